@@ -1,6 +1,7 @@
 //Models
 const Banner = require("../models/banner");
 const { successResponse, errorResponse } = require("../utils/apiResponse");
+const { trashDocument, restoreDocument, listTrash } = require("../utils/softDelete");
 
 /**
  * @description Create Banner
@@ -169,15 +170,66 @@ module.exports.deleteBanner = async (req, res) => {
   }
 
   try {
-    const banner = await Banner.findByIdAndDelete(id);
+    const banner = await trashDocument(Banner, id, req.userId);
 
     if (!banner) {
       return errorResponse(res, 404, "Banner not found");
     }
 
     //Response
-    return successResponse(res, 200, "Banner deleted successfully");
+    return successResponse(res, 200, "Banner moved to trash", banner);
   } catch (error) {
     return errorResponse(res, 500, "Failed to delete banner", error);
   }
 };
+
+/**
+ * @description Get Trashed Banners
+ * @route GET /api/banner/trash
+ * @access Private
+ * @query pageNo, itemsPerPage (optional)
+ */
+module.exports.getBannerTrash = async (req, res) => {
+  try {
+    const { results, pagination } = await listTrash(Banner, req.query);
+
+    //Response
+    return successResponse(res, 200, "Trashed banners retrieved successfully", {
+      banners: results,
+      pagination,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, "Failed to get trashed banners", error);
+  }
+};
+
+/**
+ * @description Restore Banner from trash
+ * @route PUT /api/banner/restore?id=banner_id
+ * @access Private
+ */
+module.exports.restoreBanner = async (req, res) => {
+  const { id } = req.query;
+
+  if (!id) {
+    return errorResponse(res, 400, "Banner ID is required in query parameters");
+  }
+
+  try {
+    const banner = await restoreDocument(Banner, id);
+
+    if (!banner) {
+      return errorResponse(res, 404, "Banner not found in trash");
+    }
+
+    // Only one banner can be active at a time
+    if (banner.isActive) {
+      await Banner.updateMany({ _id: { $ne: banner._id } }, { isActive: false });
+    }
+
+    //Response
+    return successResponse(res, 200, "Banner restored successfully", banner);
+  } catch (error) {
+    return errorResponse(res, 500, "Failed to restore banner", error);
+  }
+};
@@ -2,6 +2,7 @@
 const mongoose = require("mongoose");
 const Book = require("../models/book");
 const { successResponse, errorResponse } = require("../utils/apiResponse");
+const { trashDocument, restoreDocument, listTrash } = require("../utils/softDelete");
 const socketManager = require("../utils/socketManager");
 
 /**
@@ -153,15 +154,57 @@ module.exports.deleteBook = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const book = await Book.findByIdAndDelete(id);
+    const book = await trashDocument(Book, id, req.userId);
 
     if (!book) {
       return errorResponse(res, 404, "Book not found");
     }
 
     //Response
-    return successResponse(res, 200, "Book deleted successfully");
+    return successResponse(res, 200, "Book moved to trash", book);
   } catch (error) {
     return errorResponse(res, 500, "Failed to delete book", error);
   }
 };
+
+/**
+ * @description Get Trashed Books
+ * @route GET /api/book/trash
+ * @access Private
+ * @query pageNo, itemsPerPage (optional)
+ */
+module.exports.getBookTrash = async (req, res) => {
+  try {
+    const { results, pagination } = await listTrash(Book, req.query);
+
+    //Response
+    return successResponse(res, 200, "Trashed books retrieved successfully", {
+      books: results,
+      pagination,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, "Failed to get trashed books", error);
+  }
+};
+
+/**
+ * @description Restore Book from trash
+ * @route PUT /api/book/restore/:id
+ * @access Private
+ */
+module.exports.restoreBook = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const book = await restoreDocument(Book, id);
+
+    if (!book) {
+      return errorResponse(res, 404, "Book not found in trash");
+    }
+
+    //Response
+    return successResponse(res, 200, "Book restored successfully", book);
+  } catch (error) {
+    return errorResponse(res, 500, "Failed to restore book", error);
+  }
+};
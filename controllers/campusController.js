@@ -6,7 +6,14 @@ const { successResponse, errorResponse } = require('../utils/apiResponse');
 const { isUserInCampus, getCampusWithMembershipCheck, ensureMoneyMindsCampusExists } = require('../utils/campusHelpers');
 const socketManager = require('../utils/socketManager');
 const { addVideoResolutions } = require('../utils/videoResolutions');
-const { addProgressToItem } = require('../utils/progressHelper');
+const { getUserProgress, addProgressToItem } = require('../utils/progressHelper');
+const { applyPaywall } = require('../utils/entitlement');
+const { ORDER_SORT, sortByOrder } = require('../utils/ordering');
+const { PUBLISHED_FILTER, isPublished } = require('../utils/publishing');
+const { trashLearningContent, restoreLearningContent } = require('../utils/contentCascade');
+const { listTrash, excludeTrashedStage } = require('../utils/softDelete');
+const { getModuleLockStates, formatUnlock, applyModuleLock } = require('../utils/moduleUnlock');
+const { cloneCampus } = require('../utils/contentClone');
 
 const createCampus = async (req, res) => {
   try {
@@ -16,9 +23,12 @@ const createCampus = async (req, res) => {
       return errorResponse(res, 400, 'Slug and title are required');
     }
 
-    const existingCampus = await Campus.findOne({ slug });
+    // Slugs stay reserved while a campus is in the trash
+    const existingCampus = await Campus.findOne({ slug }).setOptions({ withDeleted: true });
     if (existingCampus) {
-      return errorResponse(res, 400, 'Campus with this slug already exists');
+      return errorResponse(res, 400, existingCampus.deletedAt
+        ? 'A campus with this slug is in the trash'
+        : 'Campus with this slug already exists');
     }
 
     const campus = await Campus.create({
@@ -98,12 +108,14 @@ const deleteCampus = async (req, res) => {
       return errorResponse(res, 400, 'Campus ID is required');
     }
 
-    const campus = await Campus.findByIdAndDelete(campusId);
+    const campus = await Campus.findById(campusId);
     if (!campus) {
       return errorResponse(res, 404, 'Campus not found');
     }
 
-    return successResponse(res, 200, 'Campus deleted successfully');
+    // Courses, modules and lessons go to the trash with it; channels stay until the campus is purged
+    const trashed = await trashLearningContent('campus', campus._id, req.userId);
+    return successResponse(res, 200, 'Campus moved to trash', trashed, 'trashed');
   } catch (error) {
     return errorResponse(res, 500, 'Failed to delete campus', error.message);
   }
@@ -278,7 +290,7 @@ const getCampusById = async (req, res) => {
 
     // Get all courses in this campus with their modules and lessons
     const coursesWithData = await Course.aggregate([
-      { $match: { campusId: campus._id } },
+      { $match: { campusId: campus._id, ...(req.canViewUnpublished ? {} : PUBLISHED_FILTER) } },
       {
         $lookup: {
           from: 'modules',
@@ -295,16 +307,29 @@ const getCampusById = async (req, res) => {
           as: 'lessons'
         }
       },
+      excludeTrashedStage('modules', 'lessons'),
       {
-        $sort: { createdAt: 1 }
+        $sort: ORDER_SORT
       }
     ]);
 
+    const userProgress = await getUserProgress(userId);
+    const lockStates = await getModuleLockStates(
+      userId,
+      campus,
+      coursesWithData.flatMap(course => course.modules),
+      req.canViewUnpublished
+    );
+
     // Organize the nested structure properly with resolutions
     const structuredCourses = coursesWithData.map(course => {
-      const courseModules = course.modules.map(module => {
-        const moduleLessons = course.lessons
+      // Content admins also see draft, scheduled and archived modules and lessons
+      const visibleModules = sortByOrder(course.modules)
+        .filter(module => req.canViewUnpublished || isPublished(module));
+      const courseModules = visibleModules.map(module => {
+        const moduleLessons = sortByOrder(course.lessons)
           .filter(lesson => lesson.moduleId.toString() === module._id.toString())
+          .filter(lesson => req.canViewUnpublished || isPublished(lesson))
           .map(lesson => {
             const lessonWithResolutions = addVideoResolutions({
               _id: lesson._id,
@@ -312,14 +337,21 @@ const getCampusById = async (req, res) => {
               courseId: course._id,
               campusId: campus._id,
               name: lesson.name,
+              type: lesson.type || 'standard',
               videoUrl: lesson.videoUrl,
               notes: lesson.notes || '',
               resolutions: lesson.resolutions || [],
+              posterUrl: lesson.posterUrl || '',
+              thumbnailsUrl: lesson.thumbnailsUrl || '',
+              previewUrl: lesson.previewUrl || '',
               length: lesson.length || 0,
+              isFree: !!lesson.isFree,
+              order: lesson.order || 0,
+              status: lesson.status || 'published',
               createdAt: lesson.createdAt
             });
             
-            return addProgressToItem(userId, lessonWithResolutions);
+            return addProgressToItem(userProgress, lessonWithResolutions);
           });
 
         return {
@@ -327,6 +359,9 @@ const getCampusById = async (req, res) => {
           courseId: module.courseId,
           campusId: campus._id,
           name: module.name,
+          order: module.order || 0,
+          status: module.status || 'published',
+          ...formatUnlock(module, lockStates.get(module._id.toString())),
           lessons: moduleLessons,
           createdAt: module.createdAt
         };
@@ -336,7 +371,7 @@ const getCampusById = async (req, res) => {
       let videosWithProgress = 0;
       let totalVideos = 0;
 
-      // Count videos with progress from socket manager
+      // Count videos with progress
       courseModules.forEach(module => {
         module.lessons.forEach(lesson => {
           if (lesson.videoUrl && lesson.videoUrl.trim() !== '') {
@@ -359,7 +394,12 @@ const getCampusById = async (req, res) => {
         totalVideos: totalVideos,
         videosWithProgress: videosWithProgress,
         courseProgress: courseProgress,
-        modules: courseModules,
+        modules: courseModules.map(module => ({
+          ...module,
+          lessons: module.lessons.map(lesson => applyModuleLock(applyPaywall(req.entitlement, lesson), module))
+        })),
+        order: course.order || 0,
+        status: course.status || 'published',
         createdAt: course.createdAt
       };
     });
@@ -383,6 +423,85 @@ const getCampusById = async (req, res) => {
   }
 };
 
+const listCampusTrash = async (req, res) => {
+  try {
+    const { results, pagination } = await listTrash(Campus, req.query, {});
+    return successResponse(res, 200, 'Trashed campuses retrieved successfully', {
+      campuses: results,
+      pagination
+    }, 'trash');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve trash', error.message);
+  }
+};
+
+const restoreCampus = async (req, res) => {
+  try {
+    const { campusId } = req.query;
+
+    if (!campusId) {
+      return errorResponse(res, 400, 'Campus ID is required');
+    }
+
+    const result = await restoreLearningContent('campus', campusId);
+    if (result.error === 'not-in-trash') {
+      return errorResponse(res, 404, 'Campus not found in trash');
+    }
+
+    return successResponse(res, 200, 'Campus restored successfully', {
+      campus: result.item,
+      restored: result.restored
+    }, 'restored');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to restore campus', error.message);
+  }
+};
+
+const duplicateCampus = async (req, res) => {
+  try {
+    const { campusId } = req.query;
+    const { slug, title, copyMedia = true } = req.body;
+
+    if (!campusId) {
+      return errorResponse(res, 400, 'Campus ID is required');
+    }
+    if (!slug || !title) {
+      return errorResponse(res, 400, 'Slug and title are required');
+    }
+
+    // Slugs stay reserved while a campus is in the trash
+    const existingCampus = await Campus.findOne({ slug }).setOptions({ withDeleted: true });
+    if (existingCampus) {
+      return errorResponse(res, 400, existingCampus.deletedAt
+        ? 'A campus with this slug is in the trash'
+        : 'Campus with this slug already exists');
+    }
+
+    // The copy has no members and is not announced; its courses are drafts
+    const result = await cloneCampus(campusId, { slug, title, copyMedia: !!copyMedia });
+    if (!result) {
+      return errorResponse(res, 404, 'Campus not found');
+    }
+
+    const { campus, counts } = result;
+    const responseData = {
+      _id: campus._id,
+      slug: campus.slug,
+      title: campus.title,
+      imageUrl: campus.imageUrl,
+      mainIconUrl: campus.mainIconUrl,
+      campusIconUrl: campus.campusIconUrl,
+      members: campus.members,
+      copied: counts,
+      createdAt: campus.createdAt
+    };
+
+    return successResponse(res, 201, 'Campus duplicated successfully', responseData, 'campus');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to duplicate campus', error.message);
+  }
+};
+
 module.exports = {
   createCampus,
   editCampus,
@@ -391,5 +510,8 @@ module.exports = {
   leaveCampus,
   listCampuses,
   getUserCampuses,
-  getCampusById
+  getCampusById,
+  listCampusTrash,
+  restoreCampus,
+  duplicateCampus
 }; 
\ No newline at end of file
@@ -0,0 +1,75 @@
+const Certificate = require('../models/certificate');
+const { successResponse, errorResponse } = require('../utils/apiResponse');
+const { renderCertificatePdf } = require('../utils/certificates');
+
+// Public fields of a certificate
+const formatCertificate = (certificate) => ({
+  _id: certificate._id,
+  courseId: certificate.courseId,
+  campusId: certificate.campusId,
+  verificationCode: certificate.verificationCode,
+  recipientName: certificate.recipientName,
+  courseTitle: certificate.courseTitle,
+  campusTitle: certificate.campusTitle,
+  completedAt: certificate.completedAt,
+  issuedAt: certificate.issuedAt
+});
+
+// GET /api/certificate/list
+const getUserCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ userId: req.userId }).sort({ issuedAt: -1 });
+    return successResponse(res, 200, 'Certificates retrieved successfully', certificates.map(formatCertificate), 'certificates');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve certificates', error.message);
+  }
+};
+
+// GET /api/certificate/download?certificateId=
+const downloadCertificate = async (req, res) => {
+  try {
+    const { certificateId } = req.query;
+
+    if (!certificateId) {
+      return errorResponse(res, 400, 'Certificate ID is required');
+    }
+
+    const certificate = await Certificate.findOne({ _id: certificateId, userId: req.userId });
+    if (!certificate) {
+      return errorResponse(res, 404, 'Certificate not found');
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.verificationCode}.pdf"`);
+    renderCertificatePdf(certificate, res);
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to download certificate', error.message);
+  }
+};
+
+// GET /api/certificate/verify?code= (public)
+const verifyCertificate = async (req, res) => {
+  try {
+    const { code } = req.query;
+
+    if (!code) {
+      return errorResponse(res, 400, 'Verification code is required');
+    }
+
+    const certificate = await Certificate.findOne({ verificationCode: code.trim().toUpperCase() });
+    if (!certificate) {
+      return errorResponse(res, 404, 'No certificate found for this verification code');
+    }
+
+    const { _id, ...publicFields } = formatCertificate(certificate);
+    return successResponse(res, 200, 'Certificate is valid', { valid: true, ...publicFields }, 'certificate');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to verify certificate', error.message);
+  }
+};
+
+module.exports = {
+  getUserCertificates,
+  downloadCertificate,
+  verifyCertificate
+};
@@ -6,8 +6,22 @@ const User = require('../models/user');
 const { successResponse, errorResponse } = require('../utils/apiResponse');
 const { getCampusWithMembershipCheck } = require('../utils/campusHelpers');
 const { paginateQuery } = require('../utils/pagination');
+const { awardPoints } = require('../utils/gamification');
+const { fetchPreviewsFromVideoUrl } = require('../utils/videoResolutions');
+const { signPlaybackUrl } = require('../utils/playbackUrls');
 const socketManager = require('../utils/socketManager');
 
+// Poster, thumbnail track and preview clip generated while transcoding a video message
+const getMessagePreviews = async (mediaUrl, mediaType) => {
+  if (mediaType !== 'video' || !mediaUrl) {
+    return { posterUrl: '', thumbnailsUrl: '', previewUrl: '' };
+  }
+  return fetchPreviewsFromVideoUrl(mediaUrl);
+};
+
+// Encrypted video messages are played through a short-lived playlist URL signed for the viewing user
+const withPlaybackUrl = (message, userId) => ({ ...message, mediaUrl: signPlaybackUrl(message.mediaUrl, userId) });
+
 // POST /channel/add
 const addChannel = async (req, res) => {
   try {
@@ -67,7 +81,7 @@ const listChannels = async (req, res) => {
     }
     
     // Mark user as in channel list view
-    socketManager.markInList(userId);
+    await socketManager.markInList(userId);
     
     // List campus channels grouped by category
     const channels = await Channel.find({ campusId }).populate('category').sort({ 'category.slug': 1, name: 1 });
@@ -125,11 +139,13 @@ const sendMessage = async (req, res) => {
       userId,
       text: text || '',
       mediaUrl,
-      mediaType
+      mediaType,
+      ...await getMessagePreviews(mediaUrl, mediaType)
     });
-    // Emit real-time events and update unread counts
+    // Emit real-time events and update unread counts (playback URLs are signed per recipient)
     await socketManager.handleSendMessage(message.toObject(), channelId, userId);
-    return successResponse(res, 201, 'Message sent successfully', message, 'message');
+    await awardPoints(userId, 'chat-message', { sourceId: message._id, campusId: channel.campusId._id });
+    return successResponse(res, 201, 'Message sent successfully', withPlaybackUrl(message.toObject(), userId), 'message');
   } catch (err) {
     return errorResponse(res, 500, 'Failed to send message', err.message);
   }
@@ -196,7 +212,7 @@ const getChannelMessages = async (req, res) => {
     }
     
     // Always mark user as in this channel and reset unread count when fetching messages
-    socketManager.markInChannel(userId, channelId);
+    await socketManager.markInChannel(userId, channelId);
     
     // Paginate messages, newest first
     const { results: messages, pagination } = await paginateQuery(
@@ -222,8 +238,11 @@ const getChannelMessages = async (req, res) => {
       bio: msg.userId?.bio || '',
       country: msg.userId?.country || '',
       text: msg.text,
-      mediaUrl: msg.mediaUrl,
+      mediaUrl: signPlaybackUrl(msg.mediaUrl, userId),
       mediaType: msg.mediaType,
+      posterUrl: msg.posterUrl || '',
+      thumbnailsUrl: msg.thumbnailsUrl || '',
+      previewUrl: msg.previewUrl || '',
       isMe: msg.userId?._id?.toString() === userId,
       createdAt: msg.createdAt
     }));
@@ -286,7 +305,8 @@ const editMessage = async (req, res) => {
       {
         text: text || '',
         mediaUrl,
-        mediaType
+        mediaType,
+        ...await getMessagePreviews(mediaUrl, mediaType)
       },
       { new: true }
     ).populate('userId', 'email firstName lastName avatar username bio country createdAt');
@@ -294,7 +314,7 @@ const editMessage = async (req, res) => {
     // Emit real-time update for message edit
     await socketManager.handleMessageEdit(updatedMessage.toObject(), message.channelId, userId);
 
-    return successResponse(res, 200, 'Message updated successfully', updatedMessage, 'message');
+    return successResponse(res, 200, 'Message updated successfully', withPlaybackUrl(updatedMessage.toObject(), userId), 'message');
   } catch (err) {
     return errorResponse(res, 500, 'Failed to edit message', err.message);
   }
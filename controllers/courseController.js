@@ -7,7 +7,19 @@ const { getCampusWithMembershipCheck } = require('../utils/campusHelpers');
 const socketManager = require('../utils/socketManager');
 const Campus = require('../models/campus');
 const { addVideoResolutions } = require('../utils/videoResolutions');
-const { addProgressToItem } = require('../utils/progressHelper');
+const { getUserProgress, addProgressToItem } = require('../utils/progressHelper');
+const { applyPaywall } = require('../utils/entitlement');
+const { ORDER_SORT, sortByOrder, getNextOrder, reorderChildren } = require('../utils/ordering');
+const { PUBLISHED_FILTER, isPublished, resolvePublishState, applyPublishState, announceRelease } = require('../utils/publishing');
+const { trashLearningContent, restoreLearningContent } = require('../utils/contentCascade');
+const Certificate = require('../models/certificate');
+const Quiz = require('../models/quiz');
+const { getPassedQuizIds } = require('../utils/quizzes');
+const { issueCertificateIfComplete } = require('../utils/certificates');
+const { listTrash, excludeTrashedStage } = require('../utils/softDelete');
+const { getModuleLockStates, formatUnlock, applyModuleLock } = require('../utils/moduleUnlock');
+const { getCourseRatings, getCourseRating } = require('../utils/reviews');
+const { cloneCourse } = require('../utils/contentClone');
 
 const createCourse = async (req, res) => {
   try {
@@ -17,20 +29,30 @@ const createCourse = async (req, res) => {
       return errorResponse(res, 400, 'Campus ID and title are required');
     }
 
+    const publishState = resolvePublishState(req.body);
+    if (publishState.error) {
+      return errorResponse(res, 400, publishState.error);
+    }
+
     // Verify campus exists (admin operation - no membership check required)
     const campus = await Campus.findById(campusId);
     if (!campus) {
       return errorResponse(res, 404, 'Campus not found');
     }
 
-    const course = await Course.create({
+    const course = new Course({
       campusId,
       title,
-      imageUrl
+      imageUrl,
+      order: await getNextOrder(Course, { campusId })
     });
+    const released = applyPublishState(course, publishState);
+    await course.save();
 
-    // Broadcast new course release to campus members
-    await socketManager.broadcastNewCourseRelease(course, campus.title);
+    // Broadcast new course release to campus members (scheduled courses are announced when published)
+    if (released) {
+      await socketManager.broadcastNewCourseRelease(course, campus.title);
+    }
 
     // Structure response in organized format
     const responseData = {
@@ -38,6 +60,10 @@ const createCourse = async (req, res) => {
       campusId: course.campusId,
       title: course.title,
       imageUrl: course.imageUrl,
+      order: course.order,
+      status: course.status,
+      publishAt: course.publishAt,
+      publishedAt: course.publishedAt,
       createdAt: course.createdAt
     };
 
@@ -61,18 +87,32 @@ const editCourse = async (req, res) => {
       return errorResponse(res, 404, 'Course not found');
     }
 
+    const publishState = resolvePublishState(req.body, course.status);
+    if (publishState.error) {
+      return errorResponse(res, 400, publishState.error);
+    }
+
     // Admin operation - no membership check required
     if (title) course.title = title;
     if (imageUrl !== undefined) course.imageUrl = imageUrl;
+    const released = applyPublishState(course, publishState);
     
     await course.save();
 
+    if (released) {
+      await announceRelease('course', course);
+    }
+
     // Structure response in organized format
     const responseData = {
       _id: course._id,
       campusId: course.campusId,
       title: course.title,
       imageUrl: course.imageUrl,
+      order: course.order,
+      status: course.status,
+      publishAt: course.publishAt,
+      publishedAt: course.publishedAt,
       createdAt: course.createdAt
     };
 
@@ -95,9 +135,9 @@ const deleteCourse = async (req, res) => {
       return errorResponse(res, 404, 'Course not found');
     }
 
-    // Admin operation - no membership check required
-    await Course.findByIdAndDelete(courseId);
-    return successResponse(res, 200, 'Course deleted successfully');
+    // Admin operation - no membership check required. Modules and lessons go to the trash with it.
+    const trashed = await trashLearningContent('course', course._id, req.userId);
+    return successResponse(res, 200, 'Course moved to trash', trashed, 'trashed');
   } catch (error) {
     return errorResponse(res, 500, 'Failed to delete course', error.message);
   }
@@ -123,7 +163,12 @@ const listCoursesByCampus = async (req, res) => {
 
     // Get courses with lessons for progress calculation
     const coursesWithProgress = await Course.aggregate([
-      { $match: { campusId: new mongoose.Types.ObjectId(campusId) } },
+      {
+        $match: {
+          campusId: new mongoose.Types.ObjectId(campusId),
+          ...(req.canViewUnpublished ? {} : PUBLISHED_FILTER)
+        }
+      },
       {
         $lookup: {
           from: 'lessons',
@@ -131,20 +176,26 @@ const listCoursesByCampus = async (req, res) => {
           foreignField: 'courseId',
           as: 'lessons'
         }
+      },
+      excludeTrashedStage('lessons'),
+      {
+        $sort: ORDER_SORT
       }
     ]);
 
+    const userProgress = await getUserProgress(userId);
+    const ratings = await getCourseRatings(coursesWithProgress.map(course => course._id));
+
     // Process each course to calculate progress
     const structuredCourses = coursesWithProgress.map(course => {
       let videosWithProgress = 0;
       let totalVideos = 0;
 
-      // Count videos with progress from socket manager
+      // Count videos with progress
       course.lessons.forEach(lesson => {
         if (lesson.videoUrl && lesson.videoUrl.trim() !== '') {
           totalVideos++;
-          const progress = socketManager.videoProgress[userId] && 
-                          socketManager.videoProgress[userId][lesson._id.toString()];
+          const progress = userProgress[lesson._id.toString()];
           if (progress && progress.percentage > 0) {
             videosWithProgress++;
           }
@@ -164,6 +215,10 @@ const listCoursesByCampus = async (req, res) => {
         totalVideos: totalVideos,
         videosWithProgress: videosWithProgress,
         courseProgress: courseProgress,
+        ...getCourseRating(ratings, course._id),
+        order: course.order || 0,
+        status: course.status || 'published',
+        publishAt: course.publishAt || null,
         createdAt: course.createdAt
       };
     });
@@ -184,7 +239,7 @@ const getCourseById = async (req, res) => {
     }
 
     const course = await Course.findById(courseId).populate('campusId', 'title slug');
-    if (!course) {
+    if (!course || (!req.canViewUnpublished && !isPublished(course))) {
       return errorResponse(res, 404, 'Course not found');
     }
 
@@ -199,7 +254,7 @@ const getCourseById = async (req, res) => {
 
     // Get all modules for this course with their lessons
     const modulesWithLessons = await Module.aggregate([
-      { $match: { courseId: course._id } },
+      { $match: { courseId: course._id, ...(req.canViewUnpublished ? {} : PUBLISHED_FILTER) } },
       {
         $lookup: {
           from: 'lessons',
@@ -208,33 +263,49 @@ const getCourseById = async (req, res) => {
           as: 'lessons'
         }
       },
+      excludeTrashedStage('lessons'),
       {
-        $sort: { createdAt: 1 }
+        $sort: ORDER_SORT
       }
     ]);
 
+    const userProgress = await getUserProgress(userId);
+    const lockStates = await getModuleLockStates(userId, campus, modulesWithLessons, req.canViewUnpublished);
+
     // Structure the modules with lessons and add resolutions
     const structuredModules = modulesWithLessons.map(module => ({
       _id: module._id,
       courseId: module.courseId,
       campusId: course.campusId._id,
       name: module.name,
-      lessons: module.lessons.map(lesson => {
-        const lessonWithResolutions = addVideoResolutions({
-          _id: lesson._id,
-          moduleId: lesson.moduleId,
-          courseId: course._id,
-          campusId: course.campusId._id,
-          name: lesson.name,
-          videoUrl: lesson.videoUrl,
-          notes: lesson.notes || '',
-          resolutions: lesson.resolutions || [],
-          length: lesson.length || 0,
-          createdAt: lesson.createdAt
-        });
-        
-        return addProgressToItem(userId, lessonWithResolutions);
-      }),
+      order: module.order || 0,
+      status: module.status || 'published',
+      ...formatUnlock(module, lockStates.get(module._id.toString())),
+      lessons: sortByOrder(module.lessons)
+        .filter(lesson => req.canViewUnpublished || isPublished(lesson))
+        .map(lesson => {
+          const lessonWithResolutions = addVideoResolutions({
+            _id: lesson._id,
+            moduleId: lesson.moduleId,
+            courseId: course._id,
+            campusId: course.campusId._id,
+            name: lesson.name,
+            type: lesson.type || 'standard',
+            videoUrl: lesson.videoUrl,
+            notes: lesson.notes || '',
+            resolutions: lesson.resolutions || [],
+            posterUrl: lesson.posterUrl || '',
+            thumbnailsUrl: lesson.thumbnailsUrl || '',
+            previewUrl: lesson.previewUrl || '',
+            length: lesson.length || 0,
+            isFree: !!lesson.isFree,
+            order: lesson.order || 0,
+            status: lesson.status || 'published',
+            createdAt: lesson.createdAt
+          });
+          
+          return addProgressToItem(userProgress, lessonWithResolutions);
+        }),
       createdAt: module.createdAt
     }));
 
@@ -242,7 +313,7 @@ const getCourseById = async (req, res) => {
     let videosWithProgress = 0;
     let totalVideos = 0;
 
-    // Count videos with progress from socket manager
+    // Count videos with progress
     structuredModules.forEach(module => {
       module.lessons.forEach(lesson => {
         if (lesson.videoUrl && lesson.videoUrl.trim() !== '') {
@@ -254,8 +325,30 @@ const getCourseById = async (req, res) => {
       });
     });
 
+    // Quiz lessons and module assessments count once passed
+    const visibleLessonIds = new Set(structuredModules.flatMap(module => module.lessons.map(lesson => lesson._id.toString())));
+    const quizzes = (await Quiz.find({ moduleId: { $in: structuredModules.map(module => module._id) } })
+      .sort({ createdAt: 1 })
+      .select('moduleId lessonId title passMark'))
+      .filter(quiz => !quiz.lessonId || visibleLessonIds.has(quiz.lessonId.toString()));
+    const passedQuizIds = await getPassedQuizIds(userId, quizzes.map(quiz => quiz._id));
+    const totalQuizzes = quizzes.length;
+    const quizzesPassed = quizzes.filter(quiz => passedQuizIds.has(quiz._id.toString())).length;
+
     // Calculate course progress percentage
-    const courseProgress = totalVideos > 0 ? Math.round((videosWithProgress / totalVideos) * 100) : 0;
+    const totalItems = totalVideos + totalQuizzes;
+    const courseProgress = totalItems > 0 ? Math.round(((videosWithProgress + quizzesPassed) / totalItems) * 100) : 0;
+
+    // Completions recorded before certificates existed get their certificate on the next view
+    const allLessonsCompleted = structuredModules.some(module => module.lessons.length > 0) &&
+      structuredModules.every(module => module.lessons.every(lesson => {
+        const progress = userProgress[lesson._id.toString()];
+        return progress && progress.isCompleted;
+      }));
+    let certificate = await Certificate.findOne({ userId, courseId: course._id });
+    if (!certificate && allLessonsCompleted && isPublished(course)) {
+      certificate = await issueCertificateIfComplete(userId, course._id);
+    }
 
     // Structure response in organized format
     const responseData = {
@@ -267,8 +360,31 @@ const getCourseById = async (req, res) => {
       imageUrl: course.imageUrl,
       totalVideos: totalVideos,
       videosWithProgress: videosWithProgress,
+      totalQuizzes: totalQuizzes,
+      quizzesPassed: quizzesPassed,
       courseProgress: courseProgress,
-      modules: structuredModules,
+      ...getCourseRating(await getCourseRatings([course._id]), course._id),
+      certificate: certificate ? {
+        _id: certificate._id,
+        verificationCode: certificate.verificationCode,
+        issuedAt: certificate.issuedAt
+      } : null,
+      modules: structuredModules.map(module => ({
+        ...module,
+        lessons: module.lessons.map(lesson => applyModuleLock(applyPaywall(req.entitlement, lesson), module)),
+        // Module assessments (quiz lessons appear in lessons)
+        quizzes: quizzes
+          .filter(quiz => !quiz.lessonId && quiz.moduleId.toString() === module._id.toString())
+          .map(quiz => ({
+            _id: quiz._id,
+            title: quiz.title,
+            passMark: quiz.passMark,
+            passed: passedQuizIds.has(quiz._id.toString())
+          }))
+      })),
+      order: course.order,
+      status: course.status,
+      publishAt: course.publishAt,
       createdAt: course.createdAt
     };
 
@@ -303,25 +419,32 @@ const getContinueLearning = async (req, res) => {
     }
 
     // Get all courses from user's campuses with modules and lessons
+    // Draft, scheduled and archived content is left out for regular users, so it neither leaks nor counts towards progress
     console.log('📚 [Continue Learning] Fetching courses from user campuses...');
+    const publishedFilter = req.canViewUnpublished ? {} : PUBLISHED_FILTER;
     const coursesWithProgress = await Course.aggregate([
-      { $match: { campusId: { $in: campusIds } } },
+      { $match: { campusId: { $in: campusIds }, ...publishedFilter } },
       {
         $lookup: {
           from: 'modules',
-          localField: '_id',
-          foreignField: 'courseId',
+          let: { courseId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$courseId', '$$courseId'] }, ...publishedFilter } }
+          ],
           as: 'modules'
         }
       },
       {
         $lookup: {
           from: 'lessons',
-          localField: 'modules._id',
-          foreignField: 'moduleId',
+          let: { moduleIds: '$modules._id' },
+          pipeline: [
+            { $match: { $expr: { $in: ['$moduleId', '$$moduleIds'] }, ...publishedFilter } }
+          ],
           as: 'lessons'
         }
       },
+      excludeTrashedStage('modules', 'lessons'),
       {
         $addFields: {
           totalVideos: { $size: '$lessons' },
@@ -399,16 +522,10 @@ const getContinueLearning = async (req, res) => {
       }
     ]);
 
-    // Process each course to calculate actual progress from socket manager
+    // Process each course to calculate actual progress from the progress cache
     console.log('📊 [Continue Learning] Processing courses, total found:', coursesWithProgress.length);
-    console.log('🎯 [Continue Learning] User progress in socket manager:', socketManager.videoProgress[userId] ? Object.keys(socketManager.videoProgress[userId]).length : 0, 'videos');
-    
-    // If no progress in memory, try loading from database
-    if (!socketManager.videoProgress[userId] || Object.keys(socketManager.videoProgress[userId]).length === 0) {
-      console.log('⚠️ [Continue Learning] No progress in memory, loading from database...');
-      await socketManager.loadUserWatchProgress(userId);
-      console.log('🔄 [Continue Learning] After loading from DB, user has progress for:', socketManager.videoProgress[userId] ? Object.keys(socketManager.videoProgress[userId]).length : 0, 'videos');
-    }
+    const userProgress = await getUserProgress(userId);
+    console.log('🎯 [Continue Learning] User has progress for:', Object.keys(userProgress).length, 'videos');
     
     const processedCourses = coursesWithProgress.map(course => {
       let videosWithProgress = 0;
@@ -418,12 +535,11 @@ const getContinueLearning = async (req, res) => {
       console.log(`📖 [Continue Learning] Processing course: "${course.title}" (${course._id})`);
       console.log(`📖 [Continue Learning] Course has ${course.lessons.length} lessons`);
 
-      // Count videos with progress from socket manager
+      // Count videos with progress
       course.lessons.forEach(lesson => {
         if (lesson.videoUrl && lesson.videoUrl.trim() !== '') {
           totalVideos++;
-          const progress = socketManager.videoProgress[userId] && 
-                          socketManager.videoProgress[userId][lesson._id.toString()];
+          const progress = userProgress[lesson._id.toString()];
           if (progress && progress.percentage > 0) {
             videosWithProgress++;
             console.log(`📹 [Continue Learning] Found progress for lesson ${lesson._id}: ${progress.percentage}% (${progress.seconds}s)`);
@@ -493,11 +609,124 @@ const getContinueLearning = async (req, res) => {
   }
 };
 
+const reorderCourses = async (req, res) => {
+  try {
+    const { campusId } = req.query;
+    const { courseIds } = req.body;
+
+    if (!campusId) {
+      return errorResponse(res, 400, 'Campus ID is required');
+    }
+
+    const campus = await Campus.findById(campusId);
+    if (!campus) {
+      return errorResponse(res, 404, 'Campus not found');
+    }
+
+    // Admin operation - no membership check required
+    const { error, items } = await reorderChildren(Course, 'campusId', campus._id, courseIds);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const responseData = items.map(course => ({
+      _id: course._id,
+      campusId: course.campusId,
+      title: course.title,
+      imageUrl: course.imageUrl,
+      order: course.order,
+      createdAt: course.createdAt
+    }));
+
+    return successResponse(res, 200, 'Courses reordered successfully', responseData, 'courses');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to reorder courses', error.message);
+  }
+};
+
+const listCourseTrash = async (req, res) => {
+  try {
+    const { campusId } = req.query;
+    const { results, pagination } = await listTrash(Course, req.query, campusId ? { campusId } : {});
+    return successResponse(res, 200, 'Trashed courses retrieved successfully', {
+      courses: results,
+      pagination
+    }, 'trash');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve trash', error.message);
+  }
+};
+
+const restoreCourse = async (req, res) => {
+  try {
+    const { courseId } = req.query;
+
+    if (!courseId) {
+      return errorResponse(res, 400, 'Course ID is required');
+    }
+
+    const result = await restoreLearningContent('course', courseId);
+    if (result.error === 'not-in-trash') {
+      return errorResponse(res, 404, 'Course not found in trash');
+    }
+    if (result.error === 'parent-unavailable') {
+      return errorResponse(res, 409, 'The parent campus is in the trash or no longer exists');
+    }
+
+    return successResponse(res, 200, 'Course restored successfully', {
+      course: result.item,
+      restored: result.restored
+    }, 'restored');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to restore course', error.message);
+  }
+};
+
+const duplicateCourse = async (req, res) => {
+  try {
+    const { courseId } = req.query;
+    const { campusId, title, copyMedia = true } = req.body;
+
+    if (!courseId) {
+      return errorResponse(res, 400, 'Course ID is required');
+    }
+    if (campusId && !mongoose.Types.ObjectId.isValid(campusId)) {
+      return errorResponse(res, 400, 'Campus ID is not valid');
+    }
+
+    // Admin operation - no membership check required. The copy is a draft until published.
+    const result = await cloneCourse(courseId, { campusId, title, copyMedia: !!copyMedia });
+    if (!result) {
+      return errorResponse(res, 404, 'Course or target campus not found');
+    }
+
+    const { course, counts } = result;
+    const responseData = {
+      _id: course._id,
+      campusId: course.campusId,
+      title: course.title,
+      imageUrl: course.imageUrl,
+      order: course.order,
+      status: course.status,
+      copied: counts,
+      createdAt: course.createdAt
+    };
+
+    return successResponse(res, 201, 'Course duplicated successfully', responseData, 'course');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to duplicate course', error.message);
+  }
+};
+
 module.exports = {
   createCourse,
   editCourse,
   deleteCourse,
   listCoursesByCampus,
   getCourseById,
-  getContinueLearning
+  getContinueLearning,
+  reorderCourses,
+  listCourseTrash,
+  restoreCourse,
+  duplicateCourse
 }; 
\ No newline at end of file
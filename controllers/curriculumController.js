@@ -0,0 +1,121 @@
+const Campus = require('../models/campus');
+const { successResponse, errorResponse } = require('../utils/apiResponse');
+const {
+  parseCsvCurriculum,
+  parseJsonCurriculum,
+  validateCurriculum,
+  countCurriculum,
+  importCurriculum,
+  exportCurriculum,
+  curriculumToCsv
+} = require('../utils/curriculum');
+
+const FORMATS = ['json', 'csv'];
+
+// Work out the file format from the query, then the uploaded file's name
+const getImportFormat = (req) => {
+  if (req.query.format) return req.query.format;
+  if (req.file) return /\.csv$/i.test(req.file.originalname) || req.file.mimetype === 'text/csv' ? 'csv' : 'json';
+  return 'json';
+};
+
+// Parse the uploaded file or JSON body into the common curriculum shape
+// Returns { errors } or { curriculum }
+const readCurriculum = (req, format) => {
+  if (format === 'csv') {
+    if (!req.file) {
+      return { errors: [{ row: null, field: 'file', message: 'A CSV file upload is required' }] };
+    }
+    return parseCsvCurriculum(req.file.buffer.toString('utf8'));
+  }
+
+  if (!req.file) return parseJsonCurriculum(req.body);
+  try {
+    return parseJsonCurriculum(JSON.parse(req.file.buffer.toString('utf8').replace(/^﻿/, '')));
+  } catch (error) {
+    return { errors: [{ row: null, field: 'file', message: `Invalid JSON: ${error.message}` }] };
+  }
+};
+
+// POST /api/curriculum/import?format=json|csv&dryRun=true  Body: curriculum JSON, or multipart `file`
+const importCampusCurriculum = async (req, res) => {
+  try {
+    const format = getImportFormat(req);
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!FORMATS.includes(format)) {
+      return errorResponse(res, 400, `format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    const parsed = readCurriculum(req, format);
+    const errors = parsed.errors || validateCurriculum(parsed.curriculum);
+    if (errors.length > 0) {
+      return res.status(422).json({
+        status: false,
+        message: `The curriculum has ${errors.length} error${errors.length === 1 ? '' : 's'}; nothing was imported`,
+        errors
+      });
+    }
+
+    const { curriculum } = parsed;
+    const existingCampus = await Campus.findOne({ slug: curriculum.slug }).select('_id title');
+
+    if (dryRun) {
+      return successResponse(res, 200, 'Curriculum is valid (dry run, nothing was imported)', {
+        dryRun: true,
+        campus: existingCampus ? { _id: existingCampus._id, title: existingCampus.title, exists: true } : { slug: curriculum.slug, title: curriculum.title, exists: false },
+        counts: countCurriculum(curriculum)
+      }, 'import');
+    }
+
+    // A trashed campus keeps its slug, so it has to be restored or purged first
+    if (!existingCampus && await Campus.exists({ slug: curriculum.slug }).setOptions({ withDeleted: true })) {
+      return errorResponse(res, 409, 'A campus with this slug is in the trash');
+    }
+
+    const result = await importCurriculum(curriculum);
+
+    return successResponse(res, 201, 'Curriculum imported successfully', {
+      dryRun: false,
+      campus: { _id: result.campus._id, slug: result.campus.slug, title: result.campus.title, created: result.campusCreated },
+      counts: result.created
+    }, 'import');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to import curriculum', error.message);
+  }
+};
+
+// GET /api/curriculum/export?campusId=&format=json|csv  (file download)
+const exportCampusCurriculum = async (req, res) => {
+  try {
+    const { campusId, format = 'json' } = req.query;
+
+    if (!campusId) {
+      return errorResponse(res, 400, 'Campus ID is required');
+    }
+    if (!FORMATS.includes(format)) {
+      return errorResponse(res, 400, `format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    const curriculum = await exportCurriculum(campusId);
+    if (!curriculum) {
+      return errorResponse(res, 404, 'Campus not found');
+    }
+
+    const fileName = `${curriculum.slug}-curriculum.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.status(200).send(curriculumToCsv(curriculum));
+    }
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    return res.status(200).send(JSON.stringify(curriculum, null, 2));
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to export curriculum', error.message);
+  }
+};
+
+module.exports = {
+  importCampusCurriculum,
+  exportCampusCurriculum
+};
@@ -0,0 +1,416 @@
+const DiscussionPost = require('../models/discussionPost');
+const Lesson = require('../models/lesson');
+const User = require('../models/user');
+const { successResponse, errorResponse } = require('../utils/apiResponse');
+const { paginateQuery } = require('../utils/pagination');
+const { hasPermission } = require('../utils/roles');
+const { checkLessonAccess, lessonAccessDeniedResponse } = require('../utils/lessonAccess');
+const socketManager = require('../utils/socketManager');
+
+const MAX_BODY_LENGTH = 10000;
+const AUTHOR_FIELDS = 'username firstName lastName avatar role';
+
+const THREAD_SORTS = {
+  newest: { createdAt: -1 },
+  top: { upvoteCount: -1, createdAt: -1 }
+};
+
+// Load a lesson and check the user may take part in its discussion.
+// Moderators and instructors can answer in every lesson; other users need access to the lesson itself.
+// Returns { denied } (a checkLessonAccess failure) or { lesson, campusId, canModerate }
+const checkDiscussionAccess = async (lessonId, req) => {
+  const lesson = await Lesson.findById(lessonId).populate({ path: 'moduleId', populate: { path: 'courseId' } });
+  if (!lesson || !lesson.moduleId || !lesson.moduleId.courseId) {
+    return { denied: { error: { code: 404, message: 'Lesson not found' } } };
+  }
+
+  const user = await User.findById(req.userId).select('role');
+  const canModerate = !!user && hasPermission(user.role, 'discussion:moderate');
+  if (!canModerate) {
+    const access = await checkLessonAccess(lesson, req);
+    if (access.error || access.locked || access.paywall) {
+      return { denied: access };
+    }
+  }
+
+  return { lesson, campusId: lesson.moduleId.courseId.campusId, canModerate };
+};
+
+const validateBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'Post body is required';
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    return `Post body must be at most ${MAX_BODY_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Format a question or reply for API responses and socket events
+const formatPost = (post, userId) => {
+  const author = post.userId && post.userId._id ? post.userId : null;
+  return {
+    _id: post._id,
+    lessonId: post.lessonId,
+    parentId: post.parentId,
+    author: author ? {
+      _id: author._id,
+      username: author.username,
+      firstName: author.firstName,
+      lastName: author.lastName,
+      avatar: author.avatar,
+      isInstructor: hasPermission(author.role, 'discussion:moderate')
+    } : null,
+    body: post.body,
+    upvoteCount: post.upvoteCount,
+    hasUpvoted: !!userId && post.upvotedBy.some(id => id.toString() === userId.toString()),
+    ...(post.parentId ? { isAccepted: post.isAccepted } : {
+      replyCount: post.replyCount,
+      acceptedAnswerId: post.acceptedAnswerId
+    }),
+    editedAt: post.editedAt,
+    createdAt: post.createdAt
+  };
+};
+
+// GET /api/discussion?lessonId=&sort=newest|top|unanswered&pageNo=&itemsPerPage=
+const listQuestions = async (req, res) => {
+  try {
+    const { lessonId, sort = 'newest' } = req.query;
+
+    if (!lessonId) {
+      return errorResponse(res, 400, 'Lesson ID is required');
+    }
+
+    const access = await checkDiscussionAccess(lessonId, req);
+    if (access.denied) {
+      return lessonAccessDeniedResponse(res, req, access.denied);
+    }
+
+    const filter = {
+      lessonId: access.lesson._id,
+      parentId: null,
+      ...(sort === 'unanswered' ? { acceptedAnswerId: null } : {})
+    };
+    const { results, pagination } = await paginateQuery(DiscussionPost, filter, {
+      ...req.query,
+      sort: THREAD_SORTS[sort] || THREAD_SORTS.newest,
+      populate: { path: 'userId', select: AUTHOR_FIELDS }
+    });
+
+    return successResponse(res, 200, 'Questions retrieved successfully', {
+      questions: results.map(post => formatPost(post, req.userId)),
+      pagination
+    }, 'discussion');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve questions', error.message);
+  }
+};
+
+// GET /api/discussion/thread?questionId=  (accepted answer first, then by upvotes)
+const getThread = async (req, res) => {
+  try {
+    const { questionId } = req.query;
+
+    if (!questionId) {
+      return errorResponse(res, 400, 'Question ID is required');
+    }
+
+    const question = await DiscussionPost.findOne({ _id: questionId, parentId: null }).populate('userId', AUTHOR_FIELDS);
+    if (!question) {
+      return errorResponse(res, 404, 'Question not found');
+    }
+
+    const access = await checkDiscussionAccess(question.lessonId, req);
+    if (access.denied) {
+      return lessonAccessDeniedResponse(res, req, access.denied);
+    }
+
+    const replies = await DiscussionPost.find({ parentId: question._id })
+      .sort({ isAccepted: -1, upvoteCount: -1, createdAt: 1 })
+      .populate('userId', AUTHOR_FIELDS);
+
+    return successResponse(res, 200, 'Thread retrieved successfully', {
+      question: formatPost(question, req.userId),
+      replies: replies.map(reply => formatPost(reply, req.userId)),
+      canModerate: access.canModerate
+    }, 'thread');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve thread', error.message);
+  }
+};
+
+// POST /api/discussion?lessonId=  Body: { body }
+const askQuestion = async (req, res) => {
+  try {
+    const { lessonId } = req.query;
+    const { body } = req.body;
+
+    if (!lessonId) {
+      return errorResponse(res, 400, 'Lesson ID is required');
+    }
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return errorResponse(res, 400, bodyError);
+    }
+
+    const access = await checkDiscussionAccess(lessonId, req);
+    if (access.denied) {
+      return lessonAccessDeniedResponse(res, req, access.denied);
+    }
+
+    const question = await DiscussionPost.create({
+      lessonId: access.lesson._id,
+      userId: req.userId,
+      body: body.trim()
+    });
+    await question.populate('userId', AUTHOR_FIELDS);
+
+    socketManager.emitToLesson(access.lesson._id, 'discussion-question-created', formatPost(question));
+
+    return successResponse(res, 201, 'Question posted successfully', formatPost(question, req.userId), 'question');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to post question', error.message);
+  }
+};
+
+// POST /api/discussion/reply?questionId=  Body: { body }
+const replyToQuestion = async (req, res) => {
+  try {
+    const { questionId } = req.query;
+    const { body } = req.body;
+
+    if (!questionId) {
+      return errorResponse(res, 400, 'Question ID is required');
+    }
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return errorResponse(res, 400, bodyError);
+    }
+
+    const question = await DiscussionPost.findOne({ _id: questionId, parentId: null });
+    if (!question) {
+      return errorResponse(res, 404, 'Question not found');
+    }
+
+    const access = await checkDiscussionAccess(question.lessonId, req);
+    if (access.denied) {
+      return lessonAccessDeniedResponse(res, req, access.denied);
+    }
+
+    const reply = await DiscussionPost.create({
+      lessonId: question.lessonId,
+      parentId: question._id,
+      userId: req.userId,
+      body: body.trim()
+    });
+    await DiscussionPost.updateOne({ _id: question._id }, { $inc: { replyCount: 1 } });
+    await reply.populate('userId', AUTHOR_FIELDS);
+
+    socketManager.emitToLesson(question.lessonId, 'discussion-reply-created', formatPost(reply));
+
+    // Let the asker know their question was answered
+    if (question.userId.toString() !== req.userId.toString()) {
+      try {
+        await socketManager.broadcastDiscussionAnswered(question, reply, access.lesson, access.campusId);
+      } catch (error) {
+        console.error('❌ [Discussion] Failed to send answer notification:', error.message);
+      }
+    }
+
+    return successResponse(res, 201, 'Reply posted successfully', formatPost(reply, req.userId), 'reply');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to post reply', error.message);
+  }
+};
+
+// PUT /api/discussion?postId=  Body: { body }  (authors only)
+const editPost = async (req, res) => {
+  try {
+    const { postId } = req.query;
+    const { body } = req.body;
+
+    if (!postId) {
+      return errorResponse(res, 400, 'Post ID is required');
+    }
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return errorResponse(res, 400, bodyError);
+    }
+
+    const post = await DiscussionPost.findById(postId);
+    if (!post) {
+      return errorResponse(res, 404, 'Post not found');
+    }
+    if (post.userId.toString() !== req.userId.toString()) {
+      return errorResponse(res, 403, 'You can only edit your own posts');
+    }
+
+    post.body = body.trim();
+    post.editedAt = new Date();
+    await post.save();
+    await post.populate('userId', AUTHOR_FIELDS);
+
+    socketManager.emitToLesson(post.lessonId, 'discussion-post-updated', formatPost(post));
+
+    return successResponse(res, 200, 'Post updated successfully', formatPost(post, req.userId), 'post');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to update post', error.message);
+  }
+};
+
+// DELETE /api/discussion?postId=  (authors, moderators and instructors; a question takes its replies with it)
+const deletePost = async (req, res) => {
+  try {
+    const { postId } = req.query;
+
+    if (!postId) {
+      return errorResponse(res, 400, 'Post ID is required');
+    }
+
+    const post = await DiscussionPost.findById(postId);
+    if (!post) {
+      return errorResponse(res, 404, 'Post not found');
+    }
+
+    const user = await User.findById(req.userId).select('role');
+    const isAuthor = post.userId.toString() === req.userId.toString();
+    if (!isAuthor && !(user && hasPermission(user.role, 'discussion:moderate'))) {
+      return errorResponse(res, 403, 'You can only delete your own posts');
+    }
+
+    let replies = 0;
+    if (post.parentId) {
+      await DiscussionPost.updateOne({ _id: post.parentId }, { $inc: { replyCount: -1 } });
+      await DiscussionPost.updateOne({ _id: post.parentId, acceptedAnswerId: post._id }, { acceptedAnswerId: null });
+    } else {
+      replies = (await DiscussionPost.deleteMany({ parentId: post._id })).deletedCount;
+    }
+    await DiscussionPost.deleteOne({ _id: post._id });
+
+    socketManager.emitToLesson(post.lessonId, 'discussion-post-deleted', {
+      _id: post._id,
+      lessonId: post.lessonId,
+      parentId: post.parentId
+    });
+
+    return successResponse(res, 200, 'Post deleted successfully', { posts: 1 + replies }, 'deleted');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to delete post', error.message);
+  }
+};
+
+// PUT /api/discussion/upvote?postId=  (toggles the user's upvote)
+const toggleUpvote = async (req, res) => {
+  try {
+    const { postId } = req.query;
+    const userId = req.userId;
+
+    if (!postId) {
+      return errorResponse(res, 400, 'Post ID is required');
+    }
+
+    const post = await DiscussionPost.findById(postId).select('lessonId');
+    if (!post) {
+      return errorResponse(res, 404, 'Post not found');
+    }
+
+    const access = await checkDiscussionAccess(post.lessonId, req);
+    if (access.denied) {
+      return lessonAccessDeniedResponse(res, req, access.denied);
+    }
+
+    // Conditional updates keep upvoteCount in step with upvotedBy under concurrent clicks
+    const added = await DiscussionPost.updateOne(
+      { _id: post._id, upvotedBy: { $ne: userId } },
+      { $addToSet: { upvotedBy: userId }, $inc: { upvoteCount: 1 } }
+    );
+    if (added.modifiedCount === 0) {
+      await DiscussionPost.updateOne(
+        { _id: post._id, upvotedBy: userId },
+        { $pull: { upvotedBy: userId }, $inc: { upvoteCount: -1 } }
+      );
+    }
+
+    const updated = await DiscussionPost.findById(post._id).select('lessonId upvoteCount');
+    const responseData = {
+      _id: updated._id,
+      upvoteCount: updated.upvoteCount,
+      hasUpvoted: added.modifiedCount > 0
+    };
+
+    socketManager.emitToLesson(updated.lessonId, 'discussion-post-upvoted', {
+      _id: updated._id,
+      lessonId: updated.lessonId,
+      upvoteCount: updated.upvoteCount
+    });
+
+    return successResponse(res, 200, responseData.hasUpvoted ? 'Post upvoted' : 'Upvote removed', responseData, 'post');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to update upvote', error.message);
+  }
+};
+
+// PUT /api/discussion/accept?postId=  (moderators and instructors; toggles the accepted answer)
+const acceptAnswer = async (req, res) => {
+  try {
+    const { postId } = req.query;
+
+    if (!postId) {
+      return errorResponse(res, 400, 'Post ID is required');
+    }
+
+    const reply = await DiscussionPost.findById(postId);
+    if (!reply || !reply.parentId) {
+      return errorResponse(res, 404, 'Reply not found');
+    }
+
+    const question = await DiscussionPost.findById(reply.parentId);
+    if (!question) {
+      return errorResponse(res, 404, 'Question not found');
+    }
+
+    const access = await checkDiscussionAccess(reply.lessonId, req);
+    if (access.denied) {
+      return lessonAccessDeniedResponse(res, req, access.denied);
+    }
+
+    // One accepted answer per question
+    const accept = !reply.isAccepted;
+    await DiscussionPost.updateMany({ parentId: question._id, isAccepted: true }, { isAccepted: false });
+    if (accept) {
+      await DiscussionPost.updateOne({ _id: reply._id }, { isAccepted: true });
+    }
+    await DiscussionPost.updateOne({ _id: question._id }, { acceptedAnswerId: accept ? reply._id : null });
+
+    const eventData = {
+      questionId: question._id,
+      lessonId: question.lessonId,
+      acceptedAnswerId: accept ? reply._id : null
+    };
+    socketManager.emitToLesson(question.lessonId, 'discussion-answer-accepted', eventData);
+
+    if (accept && reply.userId.toString() !== req.userId.toString()) {
+      try {
+        await socketManager.broadcastDiscussionAnswerAccepted(question, reply, access.lesson, access.campusId);
+      } catch (error) {
+        console.error('❌ [Discussion] Failed to send accepted answer notification:', error.message);
+      }
+    }
+
+    return successResponse(res, 200, accept ? 'Answer accepted' : 'Accepted answer removed', eventData, 'question');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to accept answer', error.message);
+  }
+};
+
+module.exports = {
+  listQuestions,
+  getThread,
+  askQuestion,
+  replyToQuestion,
+  editPost,
+  deletePost,
+  toggleUpvote,
+  acceptAnswer
+};
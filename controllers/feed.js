@@ -1,6 +1,7 @@
 //Models
 const Feed = require("../models/feed");
 const { successResponse, errorResponse } = require("../utils/apiResponse");
+const { trashDocument, restoreDocument, listTrash } = require("../utils/softDelete");
 
 /**
  * @description Create Feed
@@ -52,14 +53,14 @@ module.exports.deleteFeed = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const feed = await Feed.findByIdAndDelete(id);
+    const feed = await trashDocument(Feed, id, req.userId);
 
     if (!feed) {
       return errorResponse(res, 404, "Feed not found");
     }
 
     //Response
-    return successResponse(res, 200, "Feed deleted successfully");
+    return successResponse(res, 200, "Feed moved to trash", feed);
   } catch (error) {
     return errorResponse(res, 500, "Failed to delete feed", error);
   }
@@ -110,3 +111,45 @@ module.exports.getUserFeeds = async (req, res) => {
     return errorResponse(res, 500, "Failed to get feeds", error);
   }
 };
+
+/**
+ * @description Get Trashed Feeds
+ * @route GET /api/feed/trash
+ * @access Private
+ * @query pageNo, itemsPerPage (optional)
+ */
+module.exports.getFeedTrash = async (req, res) => {
+  try {
+    const { results, pagination } = await listTrash(Feed, req.query);
+
+    //Response
+    return successResponse(res, 200, "Trashed feeds retrieved successfully", {
+      feeds: results,
+      pagination,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, "Failed to get trashed feeds", error);
+  }
+};
+
+/**
+ * @description Restore Feed from trash
+ * @route PUT /api/feed/restore/:id
+ * @access Private
+ */
+module.exports.restoreFeed = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const feed = await restoreDocument(Feed, id);
+
+    if (!feed) {
+      return errorResponse(res, 404, "Feed not found in trash");
+    }
+
+    //Response
+    return successResponse(res, 200, "Feed restored successfully", feed);
+  } catch (error) {
+    return errorResponse(res, 500, "Failed to restore feed", error);
+  }
+};
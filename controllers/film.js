@@ -5,7 +5,8 @@ const mongoose = require('mongoose');
 const { successResponse, errorResponse } = require('../utils/apiResponse');
 const socketManager = require('../utils/socketManager');
 const { addVideoResolutionsToArray } = require('../utils/videoResolutions');
-const { addProgressToItem } = require('../utils/progressHelper');
+const { getUserProgress, addProgressToItem } = require('../utils/progressHelper');
+const { applyPaywall } = require('../utils/entitlement');
 
 const getRandomFilms = async (req, res) => {
   try {
@@ -23,12 +24,14 @@ const getRandomFilms = async (req, res) => {
     const films = await Video.aggregate(pipeline);
     
     // Add watch progress and resolutions to each film
+    const userProgress = await getUserProgress(req.userId);
     const filmsWithProgress = films.map(film => {
-      return addProgressToItem(req.userId, film);
+      return addProgressToItem(userProgress, film);
     });
 
     // Add resolutions to all films efficiently
-    const filmsWithResolutions = addVideoResolutionsToArray(filmsWithProgress);
+    const filmsWithResolutions = addVideoResolutionsToArray(filmsWithProgress)
+      .map(film => applyPaywall(req.entitlement, film));
     
     const totalCount = await Video.countDocuments({ type: 'film' });
     const totalPages = Math.ceil(totalCount / pagination.perPage);
@@ -104,12 +107,14 @@ const getPopularFilms = async (req, res) => {
     const popularFilms = await Video.aggregate(popularityPipeline);
     
     // Add current user's watch progress and resolutions to each film
+    const userProgress = await getUserProgress(req.userId);
     const filmsWithProgress = popularFilms.map(film => {
-      return addProgressToItem(req.userId, film);
+      return addProgressToItem(userProgress, film);
     });
 
     // Add resolutions to all films efficiently
-    const filmsWithResolutions = addVideoResolutionsToArray(filmsWithProgress);
+    const filmsWithResolutions = addVideoResolutionsToArray(filmsWithProgress)
+      .map(film => applyPaywall(req.entitlement, film));
 
     return res.status(200).json({
       status: true,
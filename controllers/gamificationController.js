@@ -0,0 +1,214 @@
+const PointRule = require('../models/pointRule');
+const Badge = require('../models/badge');
+const UserBadge = require('../models/userBadge');
+const { successResponse, errorResponse } = require('../utils/apiResponse');
+const { getCampusWithMembershipCheck } = require('../utils/campusHelpers');
+const {
+  POINT_ACTIONS,
+  LEADERBOARD_WINDOWS,
+  getPointRules,
+  validatePointRuleInput,
+  validateBadgeInput,
+  getLeaderboard,
+  getUserGamification
+} = require('../utils/gamification');
+
+// GET /api/gamification/me
+const getMyGamification = async (req, res) => {
+  try {
+    const gamification = await getUserGamification(req.userId);
+    return successResponse(res, 200, 'Points and badges retrieved successfully', gamification, 'gamification');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve points and badges', error.message);
+  }
+};
+
+// GET /api/gamification/leaderboard?campusId=&window=weekly|monthly|all-time&limit=
+const getLeaderboardRanking = async (req, res) => {
+  try {
+    const { campusId, window = 'weekly' } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+
+    if (!LEADERBOARD_WINDOWS.includes(window)) {
+      return errorResponse(res, 400, `window must be one of: ${LEADERBOARD_WINDOWS.join(', ')}`);
+    }
+
+    // Campus leaderboards are visible to the campus's members (and content admins)
+    if (campusId) {
+      const { campus, isMember } = await getCampusWithMembershipCheck(campusId, req.userId);
+      if (!campus) {
+        return errorResponse(res, 404, 'Campus not found');
+      }
+      if (!isMember && !req.canViewUnpublished) {
+        return errorResponse(res, 403, 'You must be a member of this campus to view its leaderboard');
+      }
+    }
+
+    const leaderboard = await getLeaderboard({ window, campusId, limit, userId: req.userId });
+    return successResponse(res, 200, 'Leaderboard retrieved successfully', { campusId: campusId || null, ...leaderboard }, 'leaderboard');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve leaderboard', error.message);
+  }
+};
+
+// GET /api/gamification/admin/rules
+const listPointRules = async (req, res) => {
+  try {
+    const rules = await getPointRules();
+    return successResponse(res, 200, 'Point rules retrieved successfully', Object.values(rules), 'rules');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve point rules', error.message);
+  }
+};
+
+// PUT /api/gamification/admin/rule?action=  Body: { points, dailyLimit, isActive }
+const updatePointRule = async (req, res) => {
+  try {
+    const { action } = req.query;
+
+    if (!POINT_ACTIONS.includes(action)) {
+      return errorResponse(res, 400, `action must be one of: ${POINT_ACTIONS.join(', ')}`);
+    }
+
+    const { error, fields } = validatePointRuleInput(req.body);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    // The first override starts from the current effective rule
+    const current = (await getPointRules())[action];
+    await PointRule.findOneAndUpdate(
+      { action },
+      {
+        points: current.points,
+        dailyLimit: current.dailyLimit,
+        isActive: current.isActive,
+        ...fields,
+        updatedBy: req.userId,
+        updatedAt: new Date()
+      },
+      { upsert: true, runValidators: true }
+    );
+
+    const rules = await getPointRules();
+    return successResponse(res, 200, 'Point rule updated successfully', rules[action], 'rule');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to update point rule', error.message);
+  }
+};
+
+// DELETE /api/gamification/admin/rule?action=  (restore the default)
+const resetPointRule = async (req, res) => {
+  try {
+    const { action } = req.query;
+
+    if (!POINT_ACTIONS.includes(action)) {
+      return errorResponse(res, 400, `action must be one of: ${POINT_ACTIONS.join(', ')}`);
+    }
+
+    await PointRule.deleteOne({ action });
+
+    const rules = await getPointRules();
+    return successResponse(res, 200, 'Point rule reset to default', rules[action], 'rule');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to reset point rule', error.message);
+  }
+};
+
+// GET /api/gamification/admin/badges  (including inactive badges, with how many users earned each)
+const listBadges = async (req, res) => {
+  try {
+    const badges = await Badge.find({}).sort({ criterion: 1, threshold: 1 });
+    const earnedCounts = await UserBadge.aggregate([
+      { $group: { _id: '$badgeId', count: { $sum: 1 } } }
+    ]);
+    const countsById = new Map(earnedCounts.map(c => [c._id.toString(), c.count]));
+
+    return successResponse(res, 200, 'Badges retrieved successfully', badges.map(badge => ({
+      ...badge.toObject(),
+      earnedCount: countsById.get(badge._id.toString()) || 0
+    })), 'badges');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve badges', error.message);
+  }
+};
+
+// POST /api/gamification/admin/badge  Body: { key, name, description, icon, criterion, threshold, isActive }
+const createBadge = async (req, res) => {
+  try {
+    const { error, fields } = validateBadgeInput(req.body);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const badge = await Badge.create(fields);
+    return successResponse(res, 201, 'Badge created successfully', badge, 'badge');
+  } catch (error) {
+    if (error.code === 11000) {
+      return errorResponse(res, 409, 'A badge with this key already exists');
+    }
+    return errorResponse(res, 500, 'Failed to create badge', error.message);
+  }
+};
+
+// PUT /api/gamification/admin/badge?badgeId=  Body: any of the create fields
+// Users keep badges they already earned if the criteria are raised
+const editBadge = async (req, res) => {
+  try {
+    const { badgeId } = req.query;
+
+    if (!badgeId) {
+      return errorResponse(res, 400, 'Badge ID is required');
+    }
+
+    const { error, fields } = validateBadgeInput(req.body, true);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const badge = await Badge.findByIdAndUpdate(badgeId, fields, { new: true, runValidators: true });
+    if (!badge) {
+      return errorResponse(res, 404, 'Badge not found');
+    }
+
+    return successResponse(res, 200, 'Badge updated successfully', badge, 'badge');
+  } catch (error) {
+    if (error.code === 11000) {
+      return errorResponse(res, 409, 'A badge with this key already exists');
+    }
+    return errorResponse(res, 500, 'Failed to update badge', error.message);
+  }
+};
+
+// DELETE /api/gamification/admin/badge?badgeId=  (also removes it from users who earned it)
+const deleteBadge = async (req, res) => {
+  try {
+    const { badgeId } = req.query;
+
+    if (!badgeId) {
+      return errorResponse(res, 400, 'Badge ID is required');
+    }
+
+    const badge = await Badge.findByIdAndDelete(badgeId);
+    if (!badge) {
+      return errorResponse(res, 404, 'Badge not found');
+    }
+    const { deletedCount } = await UserBadge.deleteMany({ badgeId: badge._id });
+
+    return successResponse(res, 200, 'Badge deleted successfully', { _id: badge._id, revokedFrom: deletedCount }, 'badge');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to delete badge', error.message);
+  }
+};
+
+module.exports = {
+  getMyGamification,
+  getLeaderboardRanking,
+  listPointRules,
+  updatePointRule,
+  resetPointRule,
+  listBadges,
+  createBadge,
+  editBadge,
+  deleteBadge
+};
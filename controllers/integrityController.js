@@ -0,0 +1,28 @@
+const { successResponse, errorResponse } = require('../utils/apiResponse');
+const { getIntegrityReport, purgeOrphans } = require('../utils/contentCascade');
+
+// GET /api/integrity
+const getIntegrity = async (req, res) => {
+  try {
+    const report = await getIntegrityReport();
+    return successResponse(res, 200, 'Integrity report generated successfully', report, 'report');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to generate integrity report', error.message);
+  }
+};
+
+// DELETE /api/integrity
+const purgeIntegrityOrphans = async (req, res) => {
+  try {
+    const deleted = await purgeOrphans();
+    console.log('🧹 [Integrity] Orphans purged:', deleted);
+    return successResponse(res, 200, 'Orphaned documents purged successfully', deleted, 'deleted');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to purge orphaned documents', error.message);
+  }
+};
+
+module.exports = {
+  getIntegrity,
+  purgeIntegrityOrphans
+};
@@ -3,24 +3,47 @@ const Module = require('../models/module');
 const Course = require('../models/course');
 const { successResponse, errorResponse } = require('../utils/apiResponse');
 const { getCampusWithMembershipCheck } = require('../utils/campusHelpers');
-const socketManager = require('../utils/socketManager');
-const { addVideoResolutions, fetchResolutionsFromVideoUrl } = require('../utils/videoResolutions');
+const { addVideoResolutions, fetchResolutionsFromVideoUrl, fetchPreviewsFromVideoUrl } = require('../utils/videoResolutions');
 const { calculateVideoDuration } = require('../utils/videoDuration');
-const { addProgressToItem } = require('../utils/progressHelper');
+const { getUserProgress, addProgressToItem } = require('../utils/progressHelper');
+const { applyPaywall } = require('../utils/entitlement');
+const { ORDER_SORT, getNextOrder, reorderChildren, moveToParent } = require('../utils/ordering');
+const { PUBLISHED_FILTER, isPublished, resolvePublishState, applyPublishState, announceRelease } = require('../utils/publishing');
+const { trashLearningContent, restoreLearningContent } = require('../utils/contentCascade');
+const Quiz = require('../models/quiz');
+const { clearCrossCoursePrerequisites, getModuleLockStates, applyModuleLock } = require('../utils/moduleUnlock');
+const { checkLessonAccess, lessonAccessDeniedResponse } = require('../utils/lessonAccess');
+const { listTrash } = require('../utils/softDelete');
+const ResourceDownload = require('../models/resourceDownload');
+const {
+  validateResourceInput,
+  formatResource,
+  formatLessonResources,
+  recordResourceDownload
+} = require('../utils/lessonResources');
 
 const createLesson = async (req, res) => {
   try {
-    const { moduleId, name, videoUrl, text, notes } = req.body;
+    const { moduleId, name, videoUrl, text, notes, isFree, type = 'standard' } = req.body;
 
     if (!moduleId || !name) {
       return errorResponse(res, 400, 'Module ID and name are required');
     }
 
-    // Validate that either videoUrl or text is provided
-    if (!videoUrl && !text) {
+    if (!['standard', 'quiz'].includes(type)) {
+      return errorResponse(res, 400, 'Lesson type must be standard or quiz');
+    }
+
+    // Validate that either videoUrl or text is provided (quiz lessons get their content from the quiz)
+    if (type !== 'quiz' && !videoUrl && !text) {
       return errorResponse(res, 400, 'Either videoUrl or text must be provided for a lesson');
     }
 
+    const publishState = resolvePublishState(req.body);
+    if (publishState.error) {
+      return errorResponse(res, 400, publishState.error);
+    }
+
     // Verify module exists and get course info (admin operation - no membership check required)
     const module = await Module.findById(moduleId).populate({
       path: 'courseId',
@@ -35,6 +58,7 @@ const createLesson = async (req, res) => {
 
     let resolutions = [];
     let videoDuration = 0;
+    let previews = {};
 
     // Only process video-related data if videoUrl is provided
     if (videoUrl) {
@@ -43,29 +67,37 @@ const createLesson = async (req, res) => {
       resolutions = await fetchResolutionsFromVideoUrl(videoUrl);
       console.log('📊 Resolutions found:', resolutions);
 
+      // Poster frame, thumbnail track and preview clip generated while transcoding
+      previews = await fetchPreviewsFromVideoUrl(videoUrl);
+
       // Calculate video duration automatically
       console.log('📏 Calculating video duration for lesson:', name);
       videoDuration = await calculateVideoDuration(videoUrl);
       console.log('⏱️ Video duration calculated:', videoDuration, 'seconds');
     }
 
-    const lesson = await Lesson.create({
+    const lesson = new Lesson({
       moduleId,
       name,
+      type,
       videoUrl: videoUrl || '',
       text: text || '',
       notes: notes || '',
       resolutions: resolutions,
-      length: videoDuration
+      posterUrl: previews.posterUrl || '',
+      thumbnailsUrl: previews.thumbnailsUrl || '',
+      previewUrl: previews.previewUrl || '',
+      length: videoDuration,
+      isFree: !!isFree,
+      order: await getNextOrder(Lesson, { moduleId })
     });
+    const released = applyPublishState(lesson, publishState);
+    await lesson.save();
 
-    // Broadcast new lesson release to campus members
-    await socketManager.broadcastNewLessonRelease(
-      lesson,
-      module.courseId.title,
-      module.courseId.campusId._id,
-      module.courseId.campusId.title
-    );
+    // Broadcast new lesson release to campus members (scheduled lessons are announced when published)
+    if (released) {
+      await announceRelease('lesson', lesson);
+    }
 
     // Structure response in organized format with resolutions and progress
     const lessonWithResolutions = addVideoResolutions({
@@ -74,15 +106,23 @@ const createLesson = async (req, res) => {
       courseId: module.courseId._id,
       campusId: module.courseId.campusId._id,
       name: lesson.name,
+      type: lesson.type || 'standard',
       videoUrl: lesson.videoUrl,
       text: lesson.text,
       notes: lesson.notes || '',
       resolutions: lesson.resolutions || [],
+      posterUrl: lesson.posterUrl || '',
+      thumbnailsUrl: lesson.thumbnailsUrl || '',
+      previewUrl: lesson.previewUrl || '',
       length: lesson.length || 0,
+      isFree: !!lesson.isFree,
+      order: lesson.order || 0,
+      status: lesson.status,
+      publishAt: lesson.publishAt,
       createdAt: lesson.createdAt
     });
 
-    const responseData = addProgressToItem(req.userId, lessonWithResolutions);
+    const responseData = addProgressToItem(await getUserProgress(req.userId), lessonWithResolutions);
 
     return successResponse(res, 201, 'Lesson created successfully', responseData, 'lesson');
   } catch (error) {
@@ -93,7 +133,7 @@ const createLesson = async (req, res) => {
 const editLesson = async (req, res) => {
   try {
     const { lessonId } = req.query;
-    const { name, videoUrl, text, notes } = req.body;
+    const { name, videoUrl, text, notes, isFree } = req.body;
 
     if (!lessonId) {
       return errorResponse(res, 400, 'Lesson ID is required');
@@ -113,6 +153,13 @@ const editLesson = async (req, res) => {
     if (name) lesson.name = name;
     if (notes !== undefined) lesson.notes = notes || ''; // Ensure notes is always a string, never null
     if (text !== undefined) lesson.text = text || ''; // Handle text field
+    if (isFree !== undefined) lesson.isFree = !!isFree;
+
+    const publishState = resolvePublishState(req.body, lesson.status);
+    if (publishState.error) {
+      return errorResponse(res, 400, publishState.error);
+    }
+    const released = applyPublishState(lesson, publishState);
 
     // Handle videoUrl changes
     if (videoUrl !== undefined) {
@@ -124,6 +171,11 @@ const editLesson = async (req, res) => {
         const resolutions = await fetchResolutionsFromVideoUrl(videoUrl);
         console.log('📊 New resolutions found:', resolutions);
         lesson.resolutions = resolutions;
+
+        const previews = await fetchPreviewsFromVideoUrl(videoUrl);
+        lesson.posterUrl = previews.posterUrl;
+        lesson.thumbnailsUrl = previews.thumbnailsUrl;
+        lesson.previewUrl = previews.previewUrl;
         
         // Calculate new video duration
         console.log('📏 Recalculating video duration for lesson:', lesson.name);
@@ -131,8 +183,11 @@ const editLesson = async (req, res) => {
         console.log('⏱️ New video duration calculated:', videoDuration, 'seconds');
         lesson.length = videoDuration;
       } else {
-        // If video URL is removed, clear resolutions and length
+        // If video URL is removed, clear resolutions, previews and length
         lesson.resolutions = [];
+        lesson.posterUrl = '';
+        lesson.thumbnailsUrl = '';
+        lesson.previewUrl = '';
         lesson.length = 0;
       }
     }
@@ -144,6 +199,10 @@ const editLesson = async (req, res) => {
     
     await lesson.save();
 
+    if (released) {
+      await announceRelease('lesson', lesson);
+    }
+
     // Structure response in organized format with resolutions and progress
     const lessonWithResolutions = addVideoResolutions({
       _id: lesson._id,
@@ -151,15 +210,23 @@ const editLesson = async (req, res) => {
       courseId: lesson.moduleId.courseId._id,
       campusId: lesson.moduleId.courseId.campusId,
       name: lesson.name,
+      type: lesson.type || 'standard',
       videoUrl: lesson.videoUrl,
       text: lesson.text,
       notes: lesson.notes || '', // Ensure notes is always a string
       resolutions: lesson.resolutions || [],
+      posterUrl: lesson.posterUrl || '',
+      thumbnailsUrl: lesson.thumbnailsUrl || '',
+      previewUrl: lesson.previewUrl || '',
       length: lesson.length || 0,
+      isFree: !!lesson.isFree,
+      order: lesson.order || 0,
+      status: lesson.status,
+      publishAt: lesson.publishAt,
       createdAt: lesson.createdAt
     });
 
-    const responseData = addProgressToItem(req.userId, lessonWithResolutions);
+    const responseData = addProgressToItem(await getUserProgress(req.userId), lessonWithResolutions);
 
     return successResponse(res, 200, 'Lesson updated successfully', responseData, 'lesson');
   } catch (error) {
@@ -180,9 +247,9 @@ const deleteLesson = async (req, res) => {
       return errorResponse(res, 404, 'Lesson not found');
     }
 
-    // Admin operation - no membership check required
-    await Lesson.findByIdAndDelete(lessonId);
-    return successResponse(res, 200, 'Lesson deleted successfully');
+    // Admin operation - no membership check required. Progress is kept until the lesson is purged.
+    const trashed = await trashLearningContent('lesson', lesson._id, req.userId);
+    return successResponse(res, 200, 'Lesson moved to trash', trashed, 'trashed');
   } catch (error) {
     return errorResponse(res, 500, 'Failed to delete lesson', error.message);
   }
@@ -199,7 +266,7 @@ const listLessonsByModule = async (req, res) => {
 
     // Find the module and its course to check campus membership
     const module = await Module.findById(moduleId).populate('courseId');
-    if (!module) {
+    if (!module || (!req.canViewUnpublished && (!isPublished(module) || !isPublished(module.courseId)))) {
       return errorResponse(res, 404, 'Module not found');
     }
 
@@ -212,9 +279,14 @@ const listLessonsByModule = async (req, res) => {
       return errorResponse(res, 403, 'You must be a member of this campus to view lessons');
     }
 
-    const lessons = await Lesson.find({ moduleId }).populate('moduleId', 'name');
+    const lessons = await Lesson.find({
+      moduleId,
+      ...(req.canViewUnpublished ? {} : PUBLISHED_FILTER)
+    }).sort(ORDER_SORT).populate('moduleId', 'name');
+    const userProgress = await getUserProgress(userId);
+    const lockState = (await getModuleLockStates(userId, campus, [module], req.canViewUnpublished)).get(module._id.toString());
     
-    // Structure response in organized format with resolutions and progress
+    // Structure response in organized format with resolutions and progress (stripped while the module is locked)
     const structuredLessons = lessons.map(lesson => {
       const lessonWithResolutions = addVideoResolutions({
         _id: lesson._id,
@@ -222,15 +294,23 @@ const listLessonsByModule = async (req, res) => {
         courseId: module.courseId._id,
         campusId: module.courseId.campusId,
         name: lesson.name,
+        type: lesson.type || 'standard',
         videoUrl: lesson.videoUrl,
         text: lesson.text || '', // Include text field
         notes: lesson.notes || '', // Ensure notes is always a string
         resolutions: lesson.resolutions || [],
+        posterUrl: lesson.posterUrl || '',
+        thumbnailsUrl: lesson.thumbnailsUrl || '',
+        previewUrl: lesson.previewUrl || '',
         length: lesson.length || 0,
+        isFree: !!lesson.isFree,
+        order: lesson.order || 0,
+        status: lesson.status,
+        publishAt: lesson.publishAt,
         createdAt: lesson.createdAt
       });
       
-      return addProgressToItem(userId, lessonWithResolutions);
+      return applyModuleLock(applyPaywall(req.entitlement, addProgressToItem(userProgress, lessonWithResolutions)), lockState);
     });
 
     return successResponse(res, 200, 'Lessons retrieved successfully', structuredLessons, 'lessons');
@@ -260,13 +340,9 @@ const getLessonById = async (req, res) => {
       return errorResponse(res, 404, 'Lesson not found');
     }
 
-    // Check if user is a member of the campus
-    const { campus, isMember } = await getCampusWithMembershipCheck(lesson.moduleId.courseId.campusId, userId);
-    if (!campus) {
-      return errorResponse(res, 404, 'Campus not found');
-    }
-    if (!isMember) {
-      return errorResponse(res, 403, 'You must be a member of this campus to view this lesson');
+    const access = await checkLessonAccess(lesson, req);
+    if (access.error || access.locked || access.paywall) {
+      return lessonAccessDeniedResponse(res, req, access);
     }
 
     // Structure response in organized format with resolutions and progress
@@ -276,15 +352,25 @@ const getLessonById = async (req, res) => {
       courseId: lesson.moduleId.courseId._id,
       campusId: lesson.moduleId.courseId.campusId,
       name: lesson.name,
+      type: lesson.type || 'standard',
       videoUrl: lesson.videoUrl,
       text: lesson.text || '', // Include text field
       notes: lesson.notes || '', // Ensure notes is always a string
+      resources: await formatLessonResources(lesson, userId),
       resolutions: lesson.resolutions || [],
+      posterUrl: lesson.posterUrl || '',
+      thumbnailsUrl: lesson.thumbnailsUrl || '',
+      previewUrl: lesson.previewUrl || '',
       length: lesson.length || 0,
+      isFree: !!lesson.isFree,
+      order: lesson.order || 0,
+      status: lesson.status,
+      publishAt: lesson.publishAt,
       createdAt: lesson.createdAt
     });
 
-    const responseData = addProgressToItem(userId, lessonWithResolutions);
+    // Access was checked above; applyPaywall signs the playback URL for this user
+    const responseData = applyPaywall(req.entitlement, addProgressToItem(await getUserProgress(userId), lessonWithResolutions));
 
     return successResponse(res, 200, 'Lesson retrieved successfully', responseData, 'lesson');
   } catch (error) {
@@ -292,10 +378,258 @@ const getLessonById = async (req, res) => {
   }
 };
 
+const reorderLessons = async (req, res) => {
+  try {
+    const { moduleId } = req.query;
+    const { lessonIds } = req.body;
+
+    if (!moduleId) {
+      return errorResponse(res, 400, 'Module ID is required');
+    }
+
+    const module = await Module.findById(moduleId).populate('courseId');
+    if (!module) {
+      return errorResponse(res, 404, 'Module not found');
+    }
+
+    // Admin operation - no membership check required
+    const { error, items } = await reorderChildren(Lesson, 'moduleId', module._id, lessonIds);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const responseData = items.map(lesson => ({
+      _id: lesson._id,
+      moduleId: lesson.moduleId,
+      courseId: module.courseId._id,
+      campusId: module.courseId.campusId,
+      name: lesson.name,
+      type: lesson.type || 'standard',
+      order: lesson.order,
+      createdAt: lesson.createdAt
+    }));
+
+    return successResponse(res, 200, 'Lessons reordered successfully', responseData, 'lessons');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to reorder lessons', error.message);
+  }
+};
+
+const moveLesson = async (req, res) => {
+  try {
+    const { lessonId } = req.query;
+    const { moduleId, position } = req.body;
+
+    if (!lessonId || !moduleId) {
+      return errorResponse(res, 400, 'Lesson ID and target module ID are required');
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return errorResponse(res, 400, 'Position must be a non-negative integer');
+    }
+
+    const lesson = await Lesson.findById(lessonId);
+    if (!lesson) {
+      return errorResponse(res, 404, 'Lesson not found');
+    }
+
+    const module = await Module.findById(moduleId).populate('courseId');
+    if (!module) {
+      return errorResponse(res, 404, 'Module not found');
+    }
+
+    // Admin operation - no membership check required. A quiz lesson's quiz follows it.
+    const sourceModule = await Module.findById(lesson.moduleId).select('courseId');
+    const movedLesson = await moveToParent(Lesson, 'moduleId', lesson, module._id, position);
+    await Quiz.updateOne({ lessonId: lesson._id }, { moduleId: module._id });
+    await clearCrossCoursePrerequisites([module.courseId._id, ...(sourceModule ? [sourceModule.courseId] : [])]);
+
+    const responseData = {
+      _id: movedLesson._id,
+      moduleId: movedLesson.moduleId,
+      courseId: module.courseId._id,
+      campusId: module.courseId.campusId,
+      name: movedLesson.name,
+      order: movedLesson.order,
+      createdAt: movedLesson.createdAt
+    };
+
+    return successResponse(res, 200, 'Lesson moved successfully', responseData, 'lesson');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to move lesson', error.message);
+  }
+};
+
+const listLessonTrash = async (req, res) => {
+  try {
+    const { moduleId } = req.query;
+    const { results, pagination } = await listTrash(Lesson, req.query, moduleId ? { moduleId } : {});
+    return successResponse(res, 200, 'Trashed lessons retrieved successfully', {
+      lessons: results,
+      pagination
+    }, 'trash');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve trash', error.message);
+  }
+};
+
+const restoreLesson = async (req, res) => {
+  try {
+    const { lessonId } = req.query;
+
+    if (!lessonId) {
+      return errorResponse(res, 400, 'Lesson ID is required');
+    }
+
+    const result = await restoreLearningContent('lesson', lessonId);
+    if (result.error === 'not-in-trash') {
+      return errorResponse(res, 404, 'Lesson not found in trash');
+    }
+    if (result.error === 'parent-unavailable') {
+      return errorResponse(res, 409, 'The parent module is in the trash or no longer exists');
+    }
+
+    return successResponse(res, 200, 'Lesson restored successfully', {
+      lesson: result.item,
+      restored: result.restored
+    }, 'restored');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to restore lesson', error.message);
+  }
+};
+
+const addLessonResource = async (req, res) => {
+  try {
+    const { lessonId } = req.query;
+
+    if (!lessonId) {
+      return errorResponse(res, 400, 'Lesson ID is required');
+    }
+
+    const { error, fields } = validateResourceInput(req.body);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    // Admin operation - no membership check required
+    const lesson = await Lesson.findById(lessonId);
+    if (!lesson) {
+      return errorResponse(res, 404, 'Lesson not found');
+    }
+
+    lesson.resources.push(fields);
+    await lesson.save();
+
+    const resource = lesson.resources[lesson.resources.length - 1];
+    return successResponse(res, 201, 'Resource added successfully', formatResource(resource), 'resource');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to add resource', error.message);
+  }
+};
+
+const editLessonResource = async (req, res) => {
+  try {
+    const { lessonId, resourceId } = req.query;
+
+    if (!lessonId || !resourceId) {
+      return errorResponse(res, 400, 'Lesson ID and resource ID are required');
+    }
+
+    const lesson = await Lesson.findById(lessonId);
+    const resource = lesson ? lesson.resources.id(resourceId) : null;
+    if (!resource) {
+      return errorResponse(res, 404, 'Resource not found');
+    }
+
+    // Fields not provided keep their current value
+    const { type, title, url, fileName, size, mimeType } = resource;
+    const { error, fields } = validateResourceInput({ type, title, url, fileName, size, mimeType, ...req.body });
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    resource.set(fields);
+    await lesson.save();
+
+    return successResponse(res, 200, 'Resource updated successfully', formatResource(resource), 'resource');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to update resource', error.message);
+  }
+};
+
+const deleteLessonResource = async (req, res) => {
+  try {
+    const { lessonId, resourceId } = req.query;
+
+    if (!lessonId || !resourceId) {
+      return errorResponse(res, 400, 'Lesson ID and resource ID are required');
+    }
+
+    const lesson = await Lesson.findById(lessonId);
+    const resource = lesson ? lesson.resources.id(resourceId) : null;
+    if (!resource) {
+      return errorResponse(res, 404, 'Resource not found');
+    }
+
+    resource.deleteOne();
+    await lesson.save();
+    const downloads = await ResourceDownload.deleteMany({ resourceId: resource._id });
+
+    return successResponse(res, 200, 'Resource deleted successfully', {
+      resources: 1,
+      resourceDownloads: downloads.deletedCount
+    }, 'deleted');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to delete resource', error.message);
+  }
+};
+
+const downloadLessonResource = async (req, res) => {
+  try {
+    const { lessonId, resourceId } = req.query;
+    const userId = req.userId;
+
+    if (!lessonId || !resourceId) {
+      return errorResponse(res, 400, 'Lesson ID and resource ID are required');
+    }
+
+    const lesson = await Lesson.findById(lessonId)
+      .populate({
+        path: 'moduleId',
+        populate: {
+          path: 'courseId'
+        }
+      });
+    const resource = lesson ? lesson.resources.id(resourceId) : null;
+    if (!lesson || !resource) {
+      return errorResponse(res, 404, 'Resource not found');
+    }
+
+    // Attachments follow the same access rules as the lesson itself
+    const access = await checkLessonAccess(lesson, req);
+    if (access.error || access.locked || access.paywall) {
+      return lessonAccessDeniedResponse(res, req, access);
+    }
+
+    const downloads = await recordResourceDownload(userId, lesson._id, resource._id);
+
+    return successResponse(res, 200, 'Resource download recorded', formatResource(resource, downloads), 'resource');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to download resource', error.message);
+  }
+};
+
 module.exports = {
   createLesson,
   editLesson,
   deleteLesson,
   listLessonsByModule,
-  getLessonById
+  getLessonById,
+  reorderLessons,
+  moveLesson,
+  listLessonTrash,
+  restoreLesson,
+  addLessonResource,
+  editLessonResource,
+  deleteLessonResource,
+  downloadLessonResource
 }; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 //Models
 const Marketplace = require("../models/marketplace");
 const { successResponse, errorResponse } = require("../utils/apiResponse");
+const { trashDocument, restoreDocument, listTrash } = require("../utils/softDelete");
 
 /**
  * @description Create Marketplace
@@ -100,15 +101,57 @@ module.exports.deleteMarketplace = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const marketplace = await Marketplace.findByIdAndDelete(id);
+    const marketplace = await trashDocument(Marketplace, id, req.userId);
 
     if (!marketplace) {
       return errorResponse(res, 404, "Marketplace not found");
     }
 
     //Response
-    return successResponse(res, 200, "Marketplace deleted successfully");
+    return successResponse(res, 200, "Marketplace moved to trash", marketplace);
   } catch (error) {
     return errorResponse(res, 500, "Failed to delete marketplace", error);
   }
 };
+
+/**
+ * @description Get Trashed Marketplaces
+ * @route GET /api/marketplace/trash
+ * @access Private
+ * @query pageNo, itemsPerPage (optional)
+ */
+module.exports.getMarketplaceTrash = async (req, res) => {
+  try {
+    const { results, pagination } = await listTrash(Marketplace, req.query);
+
+    //Response
+    return successResponse(res, 200, "Trashed marketplaces retrieved successfully", {
+      marketplaces: results,
+      pagination,
+    });
+  } catch (error) {
+    return errorResponse(res, 500, "Failed to get trashed marketplaces", error);
+  }
+};
+
+/**
+ * @description Restore Marketplace from trash
+ * @route PUT /api/marketplace/restore/:id
+ * @access Private
+ */
+module.exports.restoreMarketplace = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const marketplace = await restoreDocument(Marketplace, id);
+
+    if (!marketplace) {
+      return errorResponse(res, 404, "Marketplace not found in trash");
+    }
+
+    //Response
+    return successResponse(res, 200, "Marketplace restored successfully", marketplace);
+  } catch (error) {
+    return errorResponse(res, 500, "Failed to restore marketplace", error);
+  }
+};
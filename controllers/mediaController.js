@@ -0,0 +1,123 @@
+const EncryptedVideo = require('../models/encryptedVideo');
+const TranscodeJob = require('../models/transcodeJob');
+const Video = require('../models/video');
+const Lesson = require('../models/lesson');
+const Message = require('../models/chat-message');
+const { errorResponse } = require('../utils/apiResponse');
+const { canAccessItem, paywallResponse } = require('../utils/entitlement');
+const { checkLessonAccess } = require('../utils/lessonAccess');
+const { getCampusWithMembershipCheck } = require('../utils/campusHelpers');
+const { verifyPlaylistSignature, signPlaylistReferences } = require('../utils/playbackUrls');
+
+// Upload IDs are UUIDs; anything else is rejected before it reaches a query
+const VIDEO_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Decide whether the user may decrypt a video: any film, episode, lesson or chat message using it must be
+ * playable for them. Videos not attached to content yet are only available to their uploader and content admins.
+ * Needs req.userId, req.entitlement and req.canViewUnpublished.
+ * @returns {Object} - { allowed: true }, { paywall: true } or { error: { code, message } }
+ */
+const checkVideoKeyAccess = async (videoId, req) => {
+  const videoUrlPattern = new RegExp(`[?&]videoId=${videoId}(&|$)`);
+  const [videos, lessons, messages] = await Promise.all([
+    Video.find({ videoUrl: videoUrlPattern }).select('isFree'),
+    Lesson.find({ videoUrl: videoUrlPattern }).populate({ path: 'moduleId', populate: { path: 'courseId' } }),
+    Message.find({ mediaUrl: videoUrlPattern, mediaType: 'video' }).select('channelId').populate({ path: 'channelId', populate: { path: 'campusId' } })
+  ]);
+
+  if (videos.length === 0 && lessons.length === 0 && messages.length === 0) {
+    if (req.canViewUnpublished) return { allowed: true };
+    const job = await TranscodeJob.findOne({ uploadId: videoId }).select('userId');
+    return job && job.userId.toString() === req.userId.toString()
+      ? { allowed: true }
+      : { error: { code: 404, message: 'Video not found' } };
+  }
+
+  let paywall = false;
+  for (const video of videos) {
+    if (canAccessItem(req.entitlement, video)) return { allowed: true };
+    paywall = true;
+  }
+  for (const lesson of lessons) {
+    // Skip lessons whose module or course is gone
+    if (!lesson.moduleId || !lesson.moduleId.courseId) continue;
+    const access = await checkLessonAccess(lesson, req);
+    if (!access.error && !access.locked && !access.paywall) return { allowed: true };
+    paywall = paywall || !!access.paywall;
+  }
+  // Chat videos play for whoever can read the channel
+  for (const message of messages) {
+    const campus = message.channelId && message.channelId.campusId;
+    if (!campus) continue;
+    if (campus.isMoneyMindsCampus) return { allowed: true };
+    const { isMember } = await getCampusWithMembershipCheck(campus._id, req.userId);
+    if (isMember) return { allowed: true };
+  }
+
+  return paywall ? { paywall: true } : { error: { code: 403, message: 'You do not have access to this video' } };
+};
+
+// GET /api/media/playlist?videoId=&path=&expires=&signature=
+// Authorized by the signed URL alone, so native players can load it without headers
+const getPlaylist = async (req, res) => {
+  try {
+    const { videoId, path, userId } = req.query;
+
+    if (!verifyPlaylistSignature(req.query)) {
+      return errorResponse(res, 403, 'Playlist URL is invalid or has expired');
+    }
+
+    const encryptedVideo = await EncryptedVideo.findOne({ videoId }).select('playlists');
+    const playlist = encryptedVideo && encryptedVideo.playlists.find(p => p.path === path);
+    if (!playlist) {
+      return errorResponse(res, 404, 'Playlist not found');
+    }
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'private, no-store'
+    });
+    return res.status(200).send(signPlaylistReferences(playlist.content, videoId, userId));
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve playlist', error.message);
+  }
+};
+
+// GET /api/media/key?videoId=&index=  (Authorization: Bearer <token>, or &userId=&expires=&signature= from a served playlist)
+const getVideoKey = async (req, res) => {
+  try {
+    const { videoId } = req.query;
+    const index = parseInt(req.query.index);
+
+    if (!videoId || !VIDEO_ID_PATTERN.test(videoId) || !Number.isInteger(index) || index < 0) {
+      return errorResponse(res, 400, 'videoId and a valid key index are required');
+    }
+
+    const encryptedVideo = await EncryptedVideo.findOne({ videoId }).select('+keys');
+    if (!encryptedVideo || !encryptedVideo.keys[index]) {
+      return errorResponse(res, 404, 'Key not found');
+    }
+
+    const access = await checkVideoKeyAccess(videoId, req);
+    if (access.paywall) {
+      return paywallResponse(res, req.entitlement, 'An active subscription is required to watch this video');
+    }
+    if (access.error) {
+      return errorResponse(res, access.error.code, access.error.message);
+    }
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Cache-Control': 'private, no-store'
+    });
+    return res.status(200).send(encryptedVideo.keys[index]);
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve video key', error.message);
+  }
+};
+
+module.exports = {
+  getPlaylist,
+  getVideoKey
+};
@@ -3,9 +3,14 @@ const Course = require('../models/course');
 const Lesson = require('../models/lesson');
 const { successResponse, errorResponse } = require('../utils/apiResponse');
 const { getCampusWithMembershipCheck } = require('../utils/campusHelpers');
-const socketManager = require('../utils/socketManager');
 const { addVideoResolutions } = require('../utils/videoResolutions');
-const { addProgressToItem } = require('../utils/progressHelper');
+const { getUserProgress, addProgressToItem } = require('../utils/progressHelper');
+const { applyPaywall } = require('../utils/entitlement');
+const { ORDER_SORT, sortByOrder, getNextOrder, reorderChildren, moveToParent } = require('../utils/ordering');
+const { PUBLISHED_FILTER, isPublished, resolvePublishState, applyPublishState } = require('../utils/publishing');
+const { trashLearningContent, restoreLearningContent } = require('../utils/contentCascade');
+const { listTrash, excludeTrashedStage } = require('../utils/softDelete');
+const { validateUnlockRule, clearCrossCoursePrerequisites, getModuleLockStates, formatUnlock, applyModuleLock } = require('../utils/moduleUnlock');
 
 const createModule = async (req, res) => {
   try {
@@ -15,23 +20,43 @@ const createModule = async (req, res) => {
       return errorResponse(res, 400, 'Course ID and name are required');
     }
 
+    const publishState = resolvePublishState(req.body);
+    if (publishState.error) {
+      return errorResponse(res, 400, publishState.error);
+    }
+
     // Verify course exists (admin operation - no membership check required)
     const course = await Course.findById(courseId);
     if (!course) {
       return errorResponse(res, 404, 'Course not found');
     }
 
-    const module = await Module.create({
+    const module = new Module({
       courseId,
-      name
+      name,
+      order: await getNextOrder(Module, { courseId })
     });
 
+    const unlockRule = await validateUnlockRule(req.body, module);
+    if (unlockRule.error) {
+      return errorResponse(res, 400, unlockRule.error);
+    }
+    module.set(unlockRule.fields);
+
+    applyPublishState(module, publishState);
+    await module.save();
+
     // Structure response in organized format
     const responseData = {
       _id: module._id,
       courseId: module.courseId,
       campusId: course.campusId,
       name: module.name,
+      order: module.order,
+      status: module.status,
+      publishAt: module.publishAt,
+      publishedAt: module.publishedAt,
+      ...formatUnlock(module),
       createdAt: module.createdAt
     };
 
@@ -55,8 +80,20 @@ const editModule = async (req, res) => {
       return errorResponse(res, 404, 'Module not found');
     }
 
+    const publishState = resolvePublishState(req.body, module.status);
+    if (publishState.error) {
+      return errorResponse(res, 400, publishState.error);
+    }
+
+    const unlockRule = await validateUnlockRule(req.body, { _id: module._id, courseId: module.courseId._id });
+    if (unlockRule.error) {
+      return errorResponse(res, 400, unlockRule.error);
+    }
+
     // Admin operation - no membership check required
     if (name) module.name = name;
+    module.set(unlockRule.fields);
+    applyPublishState(module, publishState);
     
     await module.save();
 
@@ -66,6 +103,11 @@ const editModule = async (req, res) => {
       courseId: module.courseId._id,
       campusId: module.courseId.campusId,
       name: module.name,
+      order: module.order,
+      status: module.status,
+      publishAt: module.publishAt,
+      publishedAt: module.publishedAt,
+      ...formatUnlock(module),
       createdAt: module.createdAt
     };
 
@@ -88,9 +130,9 @@ const deleteModule = async (req, res) => {
       return errorResponse(res, 404, 'Module not found');
     }
 
-    // Admin operation - no membership check required
-    await Module.findByIdAndDelete(moduleId);
-    return successResponse(res, 200, 'Module deleted successfully');
+    // Admin operation - no membership check required. Lessons go to the trash with it.
+    const trashed = await trashLearningContent('module', module._id, req.userId);
+    return successResponse(res, 200, 'Module moved to trash', trashed, 'trashed');
   } catch (error) {
     return errorResponse(res, 500, 'Failed to delete module', error.message);
   }
@@ -107,7 +149,7 @@ const listModulesByCourse = async (req, res) => {
 
     // Find the course and check campus membership
     const course = await Course.findById(courseId);
-    if (!course) {
+    if (!course || (!req.canViewUnpublished && !isPublished(course))) {
       return errorResponse(res, 404, 'Course not found');
     }
 
@@ -122,7 +164,7 @@ const listModulesByCourse = async (req, res) => {
 
     // Get modules with embedded lessons using aggregation
     const modulesWithLessons = await Module.aggregate([
-      { $match: { courseId: course._id } },
+      { $match: { courseId: course._id, ...(req.canViewUnpublished ? {} : PUBLISHED_FILTER) } },
       {
         $lookup: {
           from: 'lessons',
@@ -131,33 +173,52 @@ const listModulesByCourse = async (req, res) => {
           as: 'lessons'
         }
       },
+      excludeTrashedStage('lessons'),
       {
-        $sort: { createdAt: 1 }
+        $sort: ORDER_SORT
       }
     ]);
 
-    // Structure response in organized format with resolutions
+    const userProgress = await getUserProgress(userId);
+    const lockStates = await getModuleLockStates(userId, campus, modulesWithLessons, req.canViewUnpublished);
+
+    // Structure response in organized format with resolutions (lessons of locked modules are stripped)
     const structuredModules = modulesWithLessons.map(module => ({
       _id: module._id,
       courseId: course._id,
       campusId: course.campusId,
       name: module.name,
-      lessons: module.lessons.map(lesson => {
-        const lessonWithResolutions = addVideoResolutions({
-          _id: lesson._id,
-          moduleId: lesson.moduleId,
-          courseId: course._id,
-          campusId: course.campusId,
-          name: lesson.name,
-          videoUrl: lesson.videoUrl,
-          notes: lesson.notes || '',
-          resolutions: lesson.resolutions || [],
-          length: lesson.length || 0,
-          createdAt: lesson.createdAt
-        });
-        
-        return addProgressToItem(userId, lessonWithResolutions);
-      }),
+      order: module.order || 0,
+      status: module.status || 'published',
+      ...formatUnlock(module, lockStates.get(module._id.toString())),
+      lessons: sortByOrder(module.lessons)
+        .filter(lesson => req.canViewUnpublished || isPublished(lesson))
+        .map(lesson => {
+          const lessonWithResolutions = addVideoResolutions({
+            _id: lesson._id,
+            moduleId: lesson.moduleId,
+            courseId: course._id,
+            campusId: course.campusId,
+            name: lesson.name,
+            type: lesson.type || 'standard',
+            videoUrl: lesson.videoUrl,
+            notes: lesson.notes || '',
+            resolutions: lesson.resolutions || [],
+            posterUrl: lesson.posterUrl || '',
+            thumbnailsUrl: lesson.thumbnailsUrl || '',
+            previewUrl: lesson.previewUrl || '',
+            length: lesson.length || 0,
+            isFree: !!lesson.isFree,
+            order: lesson.order || 0,
+            status: lesson.status || 'published',
+            createdAt: lesson.createdAt
+          });
+          
+          return applyModuleLock(
+            applyPaywall(req.entitlement, addProgressToItem(userProgress, lessonWithResolutions)),
+            lockStates.get(module._id.toString())
+          );
+        }),
       createdAt: module.createdAt
     }));
 
@@ -186,6 +247,11 @@ const getModuleById = async (req, res) => {
       return errorResponse(res, 404, 'Course not found for this module');
     }
 
+    // Unpublished modules (or modules of unpublished courses) are only visible to content admins
+    if (!req.canViewUnpublished && (!isPublished(module) || !isPublished(module.courseId))) {
+      return errorResponse(res, 404, 'Module not found');
+    }
+
     // Check if user is a member of the campus
     const { campus, isMember } = await getCampusWithMembershipCheck(module.courseId.campusId, userId);
     if (!campus) {
@@ -196,22 +262,34 @@ const getModuleById = async (req, res) => {
     }
 
     // Get all lessons for this module
-    const lessons = await Lesson.find({ moduleId: module._id }).sort({ createdAt: 1 });
-
-    // Structure the lessons with resolutions
+    const lessons = await Lesson.find({
+      moduleId: module._id,
+      ...(req.canViewUnpublished ? {} : PUBLISHED_FILTER)
+    }).sort(ORDER_SORT);
+
+    // Structure the lessons with resolutions and progress
+    const userProgress = await getUserProgress(userId);
+    const lockState = (await getModuleLockStates(userId, campus, [module], req.canViewUnpublished)).get(module._id.toString());
     const structuredLessons = lessons.map(lesson => {
-      return addVideoResolutions({
+      return applyModuleLock(applyPaywall(req.entitlement, addVideoResolutions({
         _id: lesson._id,
         moduleId: lesson.moduleId,
         courseId: module.courseId._id,
         campusId: module.courseId.campusId,
         name: lesson.name,
+        type: lesson.type || 'standard',
         videoUrl: lesson.videoUrl,
         notes: lesson.notes || '',
         resolutions: lesson.resolutions || [],
+        posterUrl: lesson.posterUrl || '',
+        thumbnailsUrl: lesson.thumbnailsUrl || '',
+        previewUrl: lesson.previewUrl || '',
+        isFree: !!lesson.isFree,
+        order: lesson.order || 0,
+        status: lesson.status,
         createdAt: lesson.createdAt,
-        watchedProgress: socketManager.videoProgress[userId]?.[lesson._id] || 0
-      });
+        watchedProgress: userProgress[lesson._id.toString()]?.percentage || 0
+      })), lockState);
     });
 
     // Structure response in organized format
@@ -220,6 +298,10 @@ const getModuleById = async (req, res) => {
       courseId: module.courseId._id,
       campusId: module.courseId.campusId,
       name: module.name,
+      order: module.order,
+      status: module.status,
+      publishAt: module.publishAt,
+      ...formatUnlock(module, lockState),
       lessons: structuredLessons,
       createdAt: module.createdAt
     };
@@ -230,10 +312,129 @@ const getModuleById = async (req, res) => {
   }
 };
 
+const reorderModules = async (req, res) => {
+  try {
+    const { courseId } = req.query;
+    const { moduleIds } = req.body;
+
+    if (!courseId) {
+      return errorResponse(res, 400, 'Course ID is required');
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return errorResponse(res, 404, 'Course not found');
+    }
+
+    // Admin operation - no membership check required
+    const { error, items } = await reorderChildren(Module, 'courseId', course._id, moduleIds);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const responseData = items.map(module => ({
+      _id: module._id,
+      courseId: module.courseId,
+      campusId: course.campusId,
+      name: module.name,
+      order: module.order,
+      createdAt: module.createdAt
+    }));
+
+    return successResponse(res, 200, 'Modules reordered successfully', responseData, 'modules');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to reorder modules', error.message);
+  }
+};
+
+const moveModule = async (req, res) => {
+  try {
+    const { moduleId } = req.query;
+    const { courseId, position } = req.body;
+
+    if (!moduleId || !courseId) {
+      return errorResponse(res, 400, 'Module ID and target course ID are required');
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return errorResponse(res, 400, 'Position must be a non-negative integer');
+    }
+
+    const module = await Module.findById(moduleId);
+    if (!module) {
+      return errorResponse(res, 404, 'Module not found');
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return errorResponse(res, 404, 'Course not found');
+    }
+
+    // Admin operation - no membership check required. Lessons follow their module.
+    const sourceCourseId = module.courseId;
+    const movedModule = await moveToParent(Module, 'courseId', module, course._id, position);
+    await clearCrossCoursePrerequisites([sourceCourseId, course._id]);
+
+    const responseData = {
+      _id: movedModule._id,
+      courseId: movedModule.courseId,
+      campusId: course.campusId,
+      name: movedModule.name,
+      order: movedModule.order,
+      createdAt: movedModule.createdAt
+    };
+
+    return successResponse(res, 200, 'Module moved successfully', responseData, 'module');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to move module', error.message);
+  }
+};
+
+const listModuleTrash = async (req, res) => {
+  try {
+    const { courseId } = req.query;
+    const { results, pagination } = await listTrash(Module, req.query, courseId ? { courseId } : {});
+    return successResponse(res, 200, 'Trashed modules retrieved successfully', {
+      modules: results,
+      pagination
+    }, 'trash');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve trash', error.message);
+  }
+};
+
+const restoreModule = async (req, res) => {
+  try {
+    const { moduleId } = req.query;
+
+    if (!moduleId) {
+      return errorResponse(res, 400, 'Module ID is required');
+    }
+
+    const result = await restoreLearningContent('module', moduleId);
+    if (result.error === 'not-in-trash') {
+      return errorResponse(res, 404, 'Module not found in trash');
+    }
+    if (result.error === 'parent-unavailable') {
+      return errorResponse(res, 409, 'The parent course is in the trash or no longer exists');
+    }
+
+    return successResponse(res, 200, 'Module restored successfully', {
+      module: result.item,
+      restored: result.restored
+    }, 'restored');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to restore module', error.message);
+  }
+};
+
 module.exports = {
   createModule,
   editModule,
   deleteModule,
   listModulesByCourse,
-  getModuleById
+  getModuleById,
+  reorderModules,
+  moveModule,
+  listModuleTrash,
+  restoreModule
 }; 
\ No newline at end of file
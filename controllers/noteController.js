@@ -0,0 +1,174 @@
+const Note = require('../models/note');
+const Course = require('../models/course');
+const Module = require('../models/module');
+const Lesson = require('../models/lesson');
+const Video = require('../models/video');
+const { successResponse, errorResponse } = require('../utils/apiResponse');
+const {
+  validateNoteInput,
+  resolveNoteContent,
+  getNoteContexts,
+  formatNote,
+  groupNotesByCourse,
+  renderCourseNotesMarkdown
+} = require('../utils/notes');
+
+// Notes past the end of the video are pinned to its last second
+const clampToLength = (seconds, length) => (length > 0 ? Math.min(seconds, Math.floor(length)) : seconds);
+
+// POST /api/note  Body: { contentId, type, seconds, text }
+const createNote = async (req, res) => {
+  try {
+    const { contentId } = req.body;
+
+    if (!contentId) {
+      return errorResponse(res, 400, 'contentId is required');
+    }
+
+    const { error, fields } = validateNoteInput(req.body);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const content = await resolveNoteContent(contentId, req.userId);
+    if (content.error) {
+      return errorResponse(res, content.error.code, content.error.message);
+    }
+
+    const note = await Note.create({
+      ...fields,
+      seconds: clampToLength(fields.seconds, content.length),
+      userId: req.userId,
+      contentId,
+      contentType: content.contentType
+    });
+
+    const contexts = await getNoteContexts([note]);
+    return successResponse(res, 201, 'Note created successfully', formatNote(note, contexts.get(note.contentId.toString())), 'note');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to create note', error.message);
+  }
+};
+
+// PUT /api/note?noteId=  Body: { seconds, text }
+const editNote = async (req, res) => {
+  try {
+    const { noteId } = req.query;
+
+    if (!noteId) {
+      return errorResponse(res, 400, 'Note ID is required');
+    }
+
+    const note = await Note.findOne({ _id: noteId, userId: req.userId });
+    if (!note) {
+      return errorResponse(res, 404, 'Note not found');
+    }
+
+    const { error, fields } = validateNoteInput(req.body, true, note.type);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    // Moved notes stay within the video, as on create
+    if (fields.seconds !== undefined) {
+      const Model = note.contentType === 'video' ? Video : Lesson;
+      const content = await Model.findById(note.contentId).select('length');
+      fields.seconds = clampToLength(fields.seconds, content ? content.length : 0);
+    }
+
+    note.set({ ...fields, updatedAt: new Date() });
+    await note.save();
+
+    const contexts = await getNoteContexts([note]);
+    return successResponse(res, 200, 'Note updated successfully', formatNote(note, contexts.get(note.contentId.toString())), 'note');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to update note', error.message);
+  }
+};
+
+// DELETE /api/note?noteId=
+const deleteNote = async (req, res) => {
+  try {
+    const { noteId } = req.query;
+
+    if (!noteId) {
+      return errorResponse(res, 400, 'Note ID is required');
+    }
+
+    const note = await Note.findOneAndDelete({ _id: noteId, userId: req.userId });
+    if (!note) {
+      return errorResponse(res, 404, 'Note not found');
+    }
+
+    return successResponse(res, 200, 'Note deleted successfully', { _id: note._id }, 'note');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to delete note', error.message);
+  }
+};
+
+// GET /api/note?contentId=  (the user's notes on one lesson or video, in playback order)
+const getContentNotes = async (req, res) => {
+  try {
+    const { contentId } = req.query;
+
+    if (!contentId) {
+      return errorResponse(res, 400, 'contentId is required');
+    }
+
+    const notes = await Note.find({ userId: req.userId, contentId }).sort({ seconds: 1, createdAt: 1 });
+    const contexts = await getNoteContexts(notes);
+
+    return successResponse(res, 200, 'Notes retrieved successfully', notes.map(note => formatNote(note, contexts.get(note.contentId.toString()))), 'notes');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve notes', error.message);
+  }
+};
+
+// GET /api/note/list  (all of the user's notes grouped by course, most recent first)
+const getMyNotes = async (req, res) => {
+  try {
+    const notes = await Note.find({ userId: req.userId }).sort({ updatedAt: -1 });
+    const contexts = await getNoteContexts(notes);
+
+    return successResponse(res, 200, 'Notes retrieved successfully', groupNotesByCourse(notes, contexts), 'notes');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve notes', error.message);
+  }
+};
+
+// GET /api/note/export?courseId=  (Markdown download)
+const exportCourseNotes = async (req, res) => {
+  try {
+    const { courseId } = req.query;
+
+    if (!courseId) {
+      return errorResponse(res, 400, 'Course ID is required');
+    }
+
+    const course = await Course.findById(courseId).populate('campusId', 'title');
+    if (!course) {
+      return errorResponse(res, 404, 'Course not found');
+    }
+
+    const modules = await Module.find({ courseId: course._id }).select('_id');
+    const lessons = await Lesson.find({ moduleId: { $in: modules.map(m => m._id) } }).select('_id');
+    const notes = await Note.find({ userId: req.userId, contentId: { $in: lessons.map(l => l._id) } });
+    const contexts = await getNoteContexts(notes);
+
+    const fileName = `${course.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'course'}-notes.md`;
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.status(200).send(renderCourseNotesMarkdown(course, notes, contexts));
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to export notes', error.message);
+  }
+};
+
+module.exports = {
+  createNote,
+  editNote,
+  deleteNote,
+  getContentNotes,
+  getMyNotes,
+  exportCourseNotes
+};
@@ -91,6 +91,10 @@ const getNotificationCategories = async (req, res) => {
       { value: 'course-release', label: 'Course Releases' },
       { value: 'lesson-release', label: 'Lesson Releases' },
       { value: 'subscription-warning', label: 'Subscription Warnings' },
+      { value: 'course-completion', label: 'Course Completions' },
+      { value: 'lesson-discussion', label: 'Lesson Discussions' },
+      { value: 'learning-streak', label: 'Learning Streaks' },
+      { value: 'achievement', label: 'Achievements' },
       { value: 'admin-broadcast', label: 'Admin Announcements' },
       { value: 'general', label: 'General' }
     ];
@@ -0,0 +1,358 @@
+const Quiz = require('../models/quiz');
+const QuizAttempt = require('../models/quizAttempt');
+const Lesson = require('../models/lesson');
+const Module = require('../models/module');
+const { successResponse, errorResponse } = require('../utils/apiResponse');
+const { getCampusWithMembershipCheck } = require('../utils/campusHelpers');
+const { canAccessItem, paywallResponse } = require('../utils/entitlement');
+const { PUBLISHED_FILTER, isPublished } = require('../utils/publishing');
+const { getModuleLockStates, lockedResponse } = require('../utils/moduleUnlock');
+const {
+  validateQuizInput,
+  gradeSubmission,
+  formatQuiz,
+  getAttemptSummary,
+  recordQuizPassed
+} = require('../utils/quizzes');
+
+// Check the user may take a quiz: released content, campus membership, module unlock and subscription
+// Returns { error: { code, message } }, { locked: state }, { paywall: true } or {}
+const checkQuizAccess = async (quiz, req) => {
+  const module = await Module.findById(quiz.moduleId).populate('courseId');
+  const lesson = quiz.lessonId ? await Lesson.findById(quiz.lessonId) : null;
+  if (!module || !module.courseId || (quiz.lessonId && !lesson)) {
+    return { error: { code: 404, message: 'Quiz not found' } };
+  }
+
+  const isReleased = isPublished(module) && isPublished(module.courseId) && (!lesson || isPublished(lesson));
+  if (!req.canViewUnpublished && !isReleased) {
+    return { error: { code: 404, message: 'Quiz not found' } };
+  }
+
+  const { campus, isMember } = await getCampusWithMembershipCheck(module.courseId.campusId, req.userId);
+  if (!campus) {
+    return { error: { code: 404, message: 'Campus not found' } };
+  }
+  if (!isMember) {
+    return { error: { code: 403, message: 'You must be a member of this campus to take this quiz' } };
+  }
+
+  const lockState = (await getModuleLockStates(req.userId, campus, [module], req.canViewUnpublished)).get(module._id.toString());
+  if (lockState.locked) {
+    return { locked: lockState };
+  }
+
+  // Quiz lessons follow the lesson's free preview flag; module assessments are premium
+  if (!canAccessItem(req.entitlement, lesson)) {
+    return { paywall: true };
+  }
+
+  return {};
+};
+
+// Send the response for a failed checkQuizAccess
+const accessDeniedResponse = (res, req, access) => {
+  if (access.locked) {
+    return lockedResponse(res, access.locked);
+  }
+  if (access.paywall) {
+    return paywallResponse(res, req.entitlement, 'An active subscription is required to take this quiz');
+  }
+  return errorResponse(res, access.error.code, access.error.message);
+};
+
+// POST /api/quiz  Body: { lessonId | moduleId, title, description, passMark, maxAttempts, questions }
+const createQuiz = async (req, res) => {
+  try {
+    const { lessonId, moduleId } = req.body;
+
+    if (!lessonId && !moduleId) {
+      return errorResponse(res, 400, 'Lesson ID or module ID is required');
+    }
+
+    const { error, fields } = validateQuizInput(req.body);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    // Admin operation - no membership check required
+    let targetModuleId = moduleId;
+    if (lessonId) {
+      const lesson = await Lesson.findById(lessonId);
+      if (!lesson) {
+        return errorResponse(res, 404, 'Lesson not found');
+      }
+      if (lesson.type !== 'quiz') {
+        return errorResponse(res, 400, 'Quizzes can only be attached to lessons of type quiz');
+      }
+      if (await Quiz.exists({ lessonId: lesson._id })) {
+        return errorResponse(res, 409, 'This lesson already has a quiz');
+      }
+      targetModuleId = lesson.moduleId;
+    } else if (!await Module.exists({ _id: moduleId })) {
+      return errorResponse(res, 404, 'Module not found');
+    }
+
+    const quiz = await Quiz.create({
+      ...fields,
+      moduleId: targetModuleId,
+      lessonId: lessonId || null
+    });
+
+    return successResponse(res, 201, 'Quiz created successfully', formatQuiz(quiz, true), 'quiz');
+  } catch (error) {
+    if (error.code === 11000) {
+      return errorResponse(res, 409, 'This lesson already has a quiz');
+    }
+    return errorResponse(res, 500, 'Failed to create quiz', error.message);
+  }
+};
+
+// PUT /api/quiz?quizId=
+const editQuiz = async (req, res) => {
+  try {
+    const { quizId } = req.query;
+
+    if (!quizId) {
+      return errorResponse(res, 400, 'Quiz ID is required');
+    }
+
+    const { error, fields } = validateQuizInput(req.body, true);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    // Past attempts keep the grades they were given
+    const quiz = await Quiz.findByIdAndUpdate(quizId, { ...fields, updatedAt: new Date() }, { new: true, runValidators: true });
+    if (!quiz) {
+      return errorResponse(res, 404, 'Quiz not found');
+    }
+
+    return successResponse(res, 200, 'Quiz updated successfully', formatQuiz(quiz, true), 'quiz');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to update quiz', error.message);
+  }
+};
+
+// DELETE /api/quiz?quizId=
+const deleteQuiz = async (req, res) => {
+  try {
+    const { quizId } = req.query;
+
+    if (!quizId) {
+      return errorResponse(res, 400, 'Quiz ID is required');
+    }
+
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) {
+      return errorResponse(res, 404, 'Quiz not found');
+    }
+
+    const attempts = await QuizAttempt.deleteMany({ quizId: quiz._id });
+    await Quiz.deleteOne({ _id: quiz._id });
+
+    return successResponse(res, 200, 'Quiz deleted successfully', {
+      quizzes: 1,
+      quizAttempts: attempts.deletedCount
+    }, 'deleted');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to delete quiz', error.message);
+  }
+};
+
+// GET /api/quiz?quizId= or ?lessonId=
+const getQuiz = async (req, res) => {
+  try {
+    const { quizId, lessonId } = req.query;
+
+    if (!quizId && !lessonId) {
+      return errorResponse(res, 400, 'Quiz ID or lesson ID is required');
+    }
+
+    const quiz = quizId ? await Quiz.findById(quizId) : await Quiz.findOne({ lessonId });
+    if (!quiz) {
+      return errorResponse(res, 404, 'Quiz not found');
+    }
+
+    const access = await checkQuizAccess(quiz, req);
+    if (access.error || access.locked || access.paywall) {
+      return accessDeniedResponse(res, req, access);
+    }
+
+    // Answer keys are only sent to content admins
+    const responseData = {
+      ...formatQuiz(quiz, req.canViewUnpublished),
+      ...await getAttemptSummary(quiz, req.userId)
+    };
+
+    return successResponse(res, 200, 'Quiz retrieved successfully', responseData, 'quiz');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve quiz', error.message);
+  }
+};
+
+// GET /api/quiz/list?moduleId=  (module assessments, not quiz lessons)
+const listModuleQuizzes = async (req, res) => {
+  try {
+    const { moduleId } = req.query;
+
+    if (!moduleId) {
+      return errorResponse(res, 400, 'Module ID is required');
+    }
+
+    const module = await Module.findOne({
+      _id: moduleId,
+      ...(req.canViewUnpublished ? {} : PUBLISHED_FILTER)
+    }).populate('courseId');
+    if (!module || !module.courseId || (!req.canViewUnpublished && !isPublished(module.courseId))) {
+      return errorResponse(res, 404, 'Module not found');
+    }
+
+    const { campus, isMember } = await getCampusWithMembershipCheck(module.courseId.campusId, req.userId);
+    if (!campus) {
+      return errorResponse(res, 404, 'Campus not found');
+    }
+    if (!isMember) {
+      return errorResponse(res, 403, 'You must be a member of this campus to view quizzes');
+    }
+
+    const quizzes = await Quiz.find({ moduleId: module._id, lessonId: null }).sort({ createdAt: 1 });
+    const responseData = await Promise.all(quizzes.map(async quiz => ({
+      _id: quiz._id,
+      moduleId: quiz.moduleId,
+      title: quiz.title,
+      description: quiz.description || '',
+      passMark: quiz.passMark,
+      maxAttempts: quiz.maxAttempts,
+      questionCount: quiz.questions.length,
+      ...await getAttemptSummary(quiz, req.userId)
+    })));
+
+    return successResponse(res, 200, 'Quizzes retrieved successfully', responseData, 'quizzes');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve quizzes', error.message);
+  }
+};
+
+// POST /api/quiz/submit?quizId=  Body: { answers: [{ questionId, answer }] }
+const submitQuiz = async (req, res) => {
+  try {
+    const { quizId } = req.query;
+    const { answers } = req.body;
+    const userId = req.userId;
+
+    if (!quizId) {
+      return errorResponse(res, 400, 'Quiz ID is required');
+    }
+    if (!Array.isArray(answers)) {
+      return errorResponse(res, 400, 'Answers must be an array of { questionId, answer }');
+    }
+
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) {
+      return errorResponse(res, 404, 'Quiz not found');
+    }
+
+    const access = await checkQuizAccess(quiz, req);
+    if (access.error || access.locked || access.paywall) {
+      return accessDeniedResponse(res, req, access);
+    }
+
+    const attemptsUsed = await QuizAttempt.countDocuments({ quizId: quiz._id, userId });
+    if (quiz.maxAttempts > 0 && attemptsUsed >= quiz.maxAttempts) {
+      return errorResponse(res, 403, 'No attempts remaining for this quiz');
+    }
+
+    // Graded on the server; the client only sends the chosen answers
+    const result = gradeSubmission(quiz, answers);
+    const wasPassed = await QuizAttempt.exists({ quizId: quiz._id, userId, passed: true });
+
+    let attempt;
+    try {
+      attempt = await QuizAttempt.create({
+        quizId: quiz._id,
+        userId,
+        attemptNumber: attemptsUsed + 1,
+        ...result
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return errorResponse(res, 409, 'Another attempt was submitted at the same time, please try again');
+      }
+      throw error;
+    }
+
+    // The first pass completes the quiz lesson / module assessment in course progress
+    if (attempt.passed && !wasPassed) {
+      try {
+        await recordQuizPassed(userId, quiz);
+      } catch (error) {
+        console.error('❌ [Quiz] Failed to record quiz completion:', error.message);
+      }
+    }
+
+    const responseData = {
+      _id: attempt._id,
+      quizId: attempt.quizId,
+      attemptNumber: attempt.attemptNumber,
+      score: attempt.score,
+      maxScore: attempt.maxScore,
+      percentage: attempt.percentage,
+      passMark: quiz.passMark,
+      passed: attempt.passed,
+      answers: attempt.answers,
+      attemptsRemaining: quiz.maxAttempts > 0 ? quiz.maxAttempts - attempt.attemptNumber : null,
+      submittedAt: attempt.submittedAt
+    };
+
+    return successResponse(res, 201, attempt.passed ? 'Quiz passed' : 'Quiz submitted', responseData, 'attempt');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to submit quiz', error.message);
+  }
+};
+
+// GET /api/quiz/attempts?quizId=
+const getQuizAttempts = async (req, res) => {
+  try {
+    const { quizId } = req.query;
+
+    if (!quizId) {
+      return errorResponse(res, 400, 'Quiz ID is required');
+    }
+
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) {
+      return errorResponse(res, 404, 'Quiz not found');
+    }
+
+    const attempts = await QuizAttempt.find({ quizId: quiz._id, userId: req.userId }).sort({ attemptNumber: -1 });
+
+    return successResponse(res, 200, 'Quiz attempts retrieved successfully', {
+      quizId: quiz._id,
+      passMark: quiz.passMark,
+      ...await getAttemptSummary(quiz, req.userId),
+      attempts: attempts.map(attempt => ({
+        _id: attempt._id,
+        attemptNumber: attempt.attemptNumber,
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        percentage: attempt.percentage,
+        passed: attempt.passed,
+        answers: attempt.answers,
+        submittedAt: attempt.submittedAt
+      }))
+    }, 'attempts');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve quiz attempts', error.message);
+  }
+};
+
+module.exports = {
+  createQuiz,
+  editQuiz,
+  deleteQuiz,
+  getQuiz,
+  listModuleQuizzes,
+  submitQuiz,
+  getQuizAttempts
+};
@@ -0,0 +1,223 @@
+const Review = require('../models/review');
+const Course = require('../models/course');
+const { successResponse, errorResponse } = require('../utils/apiResponse');
+const { getCampusWithMembershipCheck } = require('../utils/campusHelpers');
+const { paginateQuery } = require('../utils/pagination');
+const { isPublished } = require('../utils/publishing');
+const {
+  validateReviewInput,
+  hasCourseProgress,
+  getCourseRatings,
+  getCourseRating,
+  formatReview
+} = require('../utils/reviews');
+
+const AUTHOR_FIELDS = 'username firstName lastName avatar';
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Check the course is visible to the user and they belong to its campus
+// Returns { error: { code, message } } or { course }
+const checkCourseAccess = async (courseId, req) => {
+  const course = await Course.findById(courseId);
+  if (!course || (!req.canViewUnpublished && !isPublished(course))) {
+    return { error: { code: 404, message: 'Course not found' } };
+  }
+
+  const { campus, isMember } = await getCampusWithMembershipCheck(course.campusId, req.userId);
+  if (!campus) {
+    return { error: { code: 404, message: 'Campus not found' } };
+  }
+  if (!isMember) {
+    return { error: { code: 403, message: 'You must be a member of this campus to view reviews' } };
+  }
+
+  return { course };
+};
+
+// GET /api/review?courseId=&sort=newest|highest|lowest&pageNo=&itemsPerPage=
+const listCourseReviews = async (req, res) => {
+  try {
+    const { courseId, sort = 'newest', includeHidden } = req.query;
+
+    if (!courseId) {
+      return errorResponse(res, 400, 'Course ID is required');
+    }
+
+    const access = await checkCourseAccess(courseId, req);
+    if (access.error) {
+      return errorResponse(res, access.error.code, access.error.message);
+    }
+
+    // Content admins can include hidden reviews to moderate them
+    const showHidden = req.canViewUnpublished && includeHidden === 'true';
+    const filter = { courseId: access.course._id, ...(showHidden ? {} : { isHidden: false }) };
+    const { results, pagination } = await paginateQuery(Review, filter, {
+      ...req.query,
+      sort: REVIEW_SORTS[sort] || REVIEW_SORTS.newest,
+      populate: { path: 'userId', select: AUTHOR_FIELDS }
+    });
+    const ratings = await getCourseRatings([access.course._id]);
+
+    return successResponse(res, 200, 'Reviews retrieved successfully', {
+      ...getCourseRating(ratings, access.course._id),
+      reviews: results.map(review => formatReview(review, req.canViewUnpublished)),
+      pagination
+    }, 'reviews');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve reviews', error.message);
+  }
+};
+
+// GET /api/review/mine?courseId=
+const getMyReview = async (req, res) => {
+  try {
+    const { courseId } = req.query;
+
+    if (!courseId) {
+      return errorResponse(res, 400, 'Course ID is required');
+    }
+
+    const review = await Review.findOne({ courseId, userId: req.userId }).populate('userId', AUTHOR_FIELDS);
+    const canReview = review ? true : await hasCourseProgress(req.userId, courseId);
+
+    return successResponse(res, 200, 'Review retrieved successfully', {
+      review: review ? formatReview(review, true) : null,
+      canReview
+    }, 'review');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve review', error.message);
+  }
+};
+
+// POST /api/review?courseId=  Body: { rating, body }
+const createReview = async (req, res) => {
+  try {
+    const { courseId } = req.query;
+
+    if (!courseId) {
+      return errorResponse(res, 400, 'Course ID is required');
+    }
+
+    const { error, fields } = validateReviewInput(req.body);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const access = await checkCourseAccess(courseId, req);
+    if (access.error) {
+      return errorResponse(res, access.error.code, access.error.message);
+    }
+    if (!await hasCourseProgress(req.userId, access.course._id)) {
+      return errorResponse(res, 403, 'Start the course before leaving a review');
+    }
+
+    const review = await Review.create({
+      ...fields,
+      courseId: access.course._id,
+      userId: req.userId
+    });
+    await review.populate('userId', AUTHOR_FIELDS);
+
+    return successResponse(res, 201, 'Review created successfully', formatReview(review, true), 'review');
+  } catch (error) {
+    if (error.code === 11000) {
+      return errorResponse(res, 409, 'You have already reviewed this course');
+    }
+    return errorResponse(res, 500, 'Failed to create review', error.message);
+  }
+};
+
+// PUT /api/review?courseId=  Body: { rating, body }
+const editReview = async (req, res) => {
+  try {
+    const { courseId } = req.query;
+
+    if (!courseId) {
+      return errorResponse(res, 400, 'Course ID is required');
+    }
+
+    const { error, fields } = validateReviewInput(req.body, true);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    // Hidden reviews stay hidden after an edit until a moderator unhides them
+    const review = await Review.findOneAndUpdate(
+      { courseId, userId: req.userId },
+      { ...fields, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    ).populate('userId', AUTHOR_FIELDS);
+    if (!review) {
+      return errorResponse(res, 404, 'Review not found');
+    }
+
+    return successResponse(res, 200, 'Review updated successfully', formatReview(review, true), 'review');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to update review', error.message);
+  }
+};
+
+// DELETE /api/review?courseId=
+const deleteReview = async (req, res) => {
+  try {
+    const { courseId } = req.query;
+
+    if (!courseId) {
+      return errorResponse(res, 400, 'Course ID is required');
+    }
+
+    const review = await Review.findOneAndDelete({ courseId, userId: req.userId });
+    if (!review) {
+      return errorResponse(res, 404, 'Review not found');
+    }
+
+    return successResponse(res, 200, 'Review deleted successfully', { _id: review._id }, 'review');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to delete review', error.message);
+  }
+};
+
+// Hide or unhide a review (content admins)
+const setReviewHidden = async (req, res, isHidden) => {
+  try {
+    const { reviewId } = req.query;
+
+    if (!reviewId) {
+      return errorResponse(res, 400, 'Review ID is required');
+    }
+
+    const review = await Review.findByIdAndUpdate(reviewId, {
+      isHidden,
+      hiddenBy: isHidden ? req.userId : null,
+      hiddenAt: isHidden ? new Date() : null
+    }, { new: true }).populate('userId', AUTHOR_FIELDS);
+    if (!review) {
+      return errorResponse(res, 404, 'Review not found');
+    }
+
+    return successResponse(res, 200, isHidden ? 'Review hidden' : 'Review unhidden', formatReview(review, true), 'review');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to moderate review', error.message);
+  }
+};
+
+// PUT /api/review/hide?reviewId=
+const hideReview = (req, res) => setReviewHidden(req, res, true);
+
+// PUT /api/review/unhide?reviewId=
+const unhideReview = (req, res) => setReviewHidden(req, res, false);
+
+module.exports = {
+  listCourseReviews,
+  getMyReview,
+  createReview,
+  editReview,
+  deleteReview,
+  hideReview,
+  unhideReview
+};
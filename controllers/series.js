@@ -4,7 +4,9 @@ const { parsePaginationParams } = require('../utils/pagination');
 const mongoose = require('mongoose');
 const { successResponse, errorResponse } = require('../utils/apiResponse');
 const socketManager = require('../utils/socketManager');
-const { addProgressToItem } = require('../utils/progressHelper');
+const { getUserProgress, addProgressToItem } = require('../utils/progressHelper');
+const { applyPaywall } = require('../utils/entitlement');
+const { listTrash } = require('../utils/softDelete');
 
 // POST /api/series
 // Body: { title, description, posterUrl }
@@ -44,7 +46,8 @@ const getRandomSeries = async (req, res) => {
                 $expr: {
                   $and: [
                     { $eq: ['$seriesId', '$$seriesId'] },
-                    { $eq: ['$type', 'episode'] }
+                    { $eq: ['$type', 'episode'] },
+                    { $eq: [{ $ifNull: ['$deletedAt', null] }, null] }
                   ]
                 }
               }
@@ -60,8 +63,11 @@ const getRandomSeries = async (req, res) => {
                     episodeNumber: '$episodeNumber',
                     videoUrl: '$videoUrl',
                     posterUrl: '$posterUrl',
+                    thumbnailsUrl: '$thumbnailsUrl',
+                    previewUrl: '$previewUrl',
                     resolutions: '$resolutions',
                     length: '$length',
+                    isFree: '$isFree',
                     createdAt: '$createdAt'
                   }
                 }
@@ -91,12 +97,13 @@ const getRandomSeries = async (req, res) => {
     const series = await Series.aggregate(pipeline);
     
     // Add watch progress to each episode
+    const userProgress = await getUserProgress(req.userId);
     const seriesWithProgress = series.map(seriesItem => ({
       ...seriesItem,
       seasons: seriesItem.seasons.map(season => ({
         ...season,
         episodes: season.episodes.map(episode => {
-          return addProgressToItem(req.userId, episode);
+          return applyPaywall(req.entitlement, addProgressToItem(userProgress, episode));
         })
       }))
     }));
@@ -122,4 +129,80 @@ const getRandomSeries = async (req, res) => {
   }
 };
 
-module.exports = { addSeries, getRandomSeries }; 
\ No newline at end of file
+// DELETE /api/series?seriesId=
+// Episodes go to the trash together with their series
+const deleteSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.query;
+    if (!seriesId) {
+      return errorResponse(res, 400, 'Series ID is required.');
+    }
+
+    const series = await Series.findById(seriesId);
+    if (!series) {
+      return errorResponse(res, 404, 'Series not found.');
+    }
+
+    const trashedAt = new Date();
+    const episodes = await Video.updateMany(
+      { seriesId: series._id, type: 'episode' },
+      { deletedAt: trashedAt, deletedBy: req.userId }
+    );
+    series.deletedAt = trashedAt;
+    series.deletedBy = req.userId;
+    await series.save();
+
+    return successResponse(res, 200, 'Series moved to trash.', {
+      series,
+      episodes: episodes.modifiedCount
+    }, 'trashed');
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to delete series.', err.message);
+  }
+};
+
+// GET /api/series/trash?pageNo=&itemsPerPage=
+const getSeriesTrash = async (req, res) => {
+  try {
+    const { results, pagination } = await listTrash(Series, req.query);
+    return successResponse(res, 200, 'Trashed series retrieved successfully.', {
+      series: results,
+      pagination
+    }, 'trash');
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to get trashed series.', err.message);
+  }
+};
+
+// PUT /api/series/restore?seriesId=
+// Restores the series and the episodes that were trashed with it
+const restoreSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.query;
+    if (!seriesId) {
+      return errorResponse(res, 400, 'Series ID is required.');
+    }
+
+    const series = await Series.findOne({ _id: seriesId, deletedAt: { $ne: null } });
+    if (!series) {
+      return errorResponse(res, 404, 'Series not found in trash.');
+    }
+
+    const episodes = await Video.updateMany(
+      { seriesId: series._id, type: 'episode', deletedAt: series.deletedAt },
+      { deletedAt: null, deletedBy: null }
+    );
+    series.deletedAt = null;
+    series.deletedBy = null;
+    await series.save();
+
+    return successResponse(res, 200, 'Series restored successfully.', {
+      series,
+      episodes: episodes.modifiedCount
+    }, 'restored');
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to restore series.', err.message);
+  }
+};
+
+module.exports = { addSeries, getRandomSeries, deleteSeries, getSeriesTrash, restoreSeries }; 
\ No newline at end of file
@@ -5,6 +5,7 @@ const { successResponse, errorResponse } = require('../utils/apiResponse');
 const { stripeWebhookSecret } = require('../config/config');
 const sendEmail = require('../utils/sendEmail');
 const socketManager = require('../utils/socketManager');
+const { getUserEntitlement } = require('../utils/entitlement');
 
 // Stripe Price IDs from environment variables
 const MONTHLY_PRICE_ID = process.env.MONTHLY_PRICE_ID;
@@ -210,6 +211,20 @@ exports.getSubscriptionStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get user's premium content entitlement (active, trialing or in grace period)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getEntitlement = async (req, res) => {
+  try {
+    const entitlement = await getUserEntitlement(req.userId);
+    return successResponse(res, 200, 'Entitlement retrieved successfully', entitlement, 'entitlement');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to get entitlement', error.message);
+  }
+};
+
 /**
  * Handle Stripe webhook events - FULLY AUTOMATED
  * @param {Object} req - Express request object
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const TranscodeJob = require('../models/transcodeJob');
+const { successResponse, errorResponse } = require('../utils/apiResponse');
+const { paginateQuery } = require('../utils/pagination');
+const { formatTranscodeJob, cancelTranscodeJob } = require('../utils/transcodeQueue');
+
+const JOB_STATUSES = ['queued', 'running', 'failed', 'done', 'cancelled'];
+
+// Find a job by jobId or uploadId; users only see their own jobs, content admins see all
+// Returns { error: { code, message } } or { job }
+const findAccessibleJob = async (req) => {
+  const { jobId, uploadId } = req.query;
+  if (!jobId && !uploadId) {
+    return { error: { code: 400, message: 'jobId or uploadId is required' } };
+  }
+  if (jobId && !mongoose.Types.ObjectId.isValid(jobId)) {
+    return { error: { code: 400, message: 'jobId is not a valid ID' } };
+  }
+
+  const job = await TranscodeJob.findOne(jobId ? { _id: jobId } : { uploadId });
+  if (!job || (!req.canViewUnpublished && job.userId.toString() !== req.userId.toString())) {
+    return { error: { code: 404, message: 'Transcoding job not found' } };
+  }
+
+  return { job };
+};
+
+// GET /api/upload/job?jobId=|uploadId=
+const getTranscodeJob = async (req, res) => {
+  try {
+    const { error, job } = await findAccessibleJob(req);
+    if (error) {
+      return errorResponse(res, error.code, error.message);
+    }
+
+    return successResponse(res, 200, 'Transcoding job retrieved successfully', formatTranscodeJob(job), 'job');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve transcoding job', error.message);
+  }
+};
+
+// GET /api/upload/jobs?status=&pageNo=&itemsPerPage=  (content admins may pass all=true)
+const listTranscodeJobs = async (req, res) => {
+  try {
+    const { status, all } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return errorResponse(res, 400, `status must be one of: ${JOB_STATUSES.join(', ')}`);
+    }
+
+    const filter = {
+      ...(req.canViewUnpublished && all === 'true' ? {} : { userId: req.userId }),
+      ...(status ? { status } : {})
+    };
+    const { results, pagination } = await paginateQuery(TranscodeJob, filter, {
+      ...req.query,
+      sort: { createdAt: -1 }
+    });
+
+    return successResponse(res, 200, 'Transcoding jobs retrieved successfully', {
+      jobs: results.map(formatTranscodeJob),
+      pagination
+    }, 'jobs');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to retrieve transcoding jobs', error.message);
+  }
+};
+
+// DELETE /api/upload/job?jobId=|uploadId=
+const cancelJob = async (req, res) => {
+  try {
+    const { error, job } = await findAccessibleJob(req);
+    if (error) {
+      return errorResponse(res, error.code, error.message);
+    }
+
+    const cancelled = await cancelTranscodeJob(job, req.userId);
+    if (!cancelled) {
+      return errorResponse(res, 409, `Job cannot be cancelled because it is ${job.status}`);
+    }
+
+    return successResponse(res, 200, 'Transcoding job cancelled', formatTranscodeJob(cancelled), 'job');
+  } catch (error) {
+    return errorResponse(res, 500, 'Failed to cancel transcoding job', error.message);
+  }
+};
+
+module.exports = {
+  getTranscodeJob,
+  listTranscodeJobs,
+  cancelJob
+};
@@ -2,7 +2,7 @@ const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const { uploadFileSmart } = require('../utils/b2OfficialMultithreaded');
-const { transcodeToHLS } = require('../utils/ffmpegTranscoder');
+const { enqueueTranscode, formatTranscodeJob } = require('../utils/transcodeQueue');
 const { successResponse, errorResponse } = require('../utils/apiResponse');
 const socketManager = require('../utils/socketManager');
 const fs = require('fs');
@@ -75,7 +75,8 @@ const getUploadFolder = (type, uploadType) => {
     const videoFolders = {
       'film': 'videos/films',
       'episode': 'videos/episodes', 
-      'lesson': 'videos/lessons'
+      'lesson': 'videos/lessons',
+      'chat': 'videos/chat'
     };
     return videoFolders[type] || 'videos';
   } else if (uploadType === 'image') {
@@ -95,7 +96,10 @@ const getUploadFolder = (type, uploadType) => {
     };
     return imageFolders[type] || 'images';
   } else if (uploadType === 'file') {
-    return 'files';
+    const fileFolders = {
+      'resource': 'files/resources'
+    };
+    return fileFolders[type] || 'files';
   }
   return 'uploads';
 };
@@ -103,7 +107,7 @@ const getUploadFolder = (type, uploadType) => {
 // Unified type validation
 const validateUploadType = (type, uploadType) => {
   if (uploadType === 'video') {
-    return ['film', 'episode', 'lesson'].includes(type);
+    return ['film', 'episode', 'lesson', 'chat'].includes(type);
   } else if (uploadType === 'image') {
     return ['campus', 'course', 'video', 'series', 'book', 'user', 'avatar', 'banner', 'marketplace', 'feed', 'chat', 'contact'].includes(type);
   }
@@ -137,7 +141,7 @@ const unifiedUpload = async (req, res, uploadType) => {
     }
     
     if (uploadType === 'video' && (!type || !validateUploadType(type, uploadType))) {
-      return errorResponse(res, 400, 'Invalid or missing video type. Use ?type=film|episode|lesson');
+      return errorResponse(res, 400, 'Invalid or missing video type. Use ?type=film|episode|lesson|chat');
     }
     
     if (uploadType === 'image' && !validateUploadType(type, uploadType)) {
@@ -220,29 +224,25 @@ const unifiedUpload = async (req, res, uploadType) => {
       });
     });
 
-    // Handle video transcoding
-    let transcodeResult = null;
+    // Videos are transcoded by the job queue, which keeps the temp file until the job ends
+    // and sends upload-complete (or upload-error) when the HLS renditions are ready
     if (uploadType === 'video') {
-      socketManager.broadcastUploadProgress(req.userId, {
-        uploadType,
+      const job = await enqueueTranscode({
         uploadId,
+        userId: req.userId,
         videoType: type,
-        stage: 'transcoding',
-        progress: 0,
-        message: 'Starting video transcoding...'
+        originalFileName: req.file.originalname,
+        sourcePath: req.file.path,
+        originalVideoUrl: uploadResult.fileUrl
       });
 
-      const buffer = fs.readFileSync(req.file.path);
-      transcodeResult = await transcodeToHLS(buffer, uploadId, type);
-
-      socketManager.broadcastUploadProgress(req.userId, {
-        uploadType,
-        uploadId,
+      return successResponse(res, 202, 'Video uploaded successfully, transcoding has been queued', {
+        _id: uploadId,
+        originalVideoUrl: uploadResult.fileUrl,
         videoType: type,
-        stage: 'transcoding',
-        progress: 100,
-        message: 'Video transcoding complete!'
-      });
+        job: formatTranscodeJob(job),
+        createdAt: job.createdAt
+      }, uploadType);
     }
 
     // Cleanup and prepare response
@@ -250,13 +250,7 @@ const unifiedUpload = async (req, res, uploadType) => {
 
     const responseData = {
       _id: uploadId,
-      ...(uploadType === 'video' ? {
-        videoUrl: transcodeResult.videoUrl,
-        originalVideoUrl: uploadResult.fileUrl,
-        videoType: type,
-        resolutions: transcodeResult.resolutions,
-        duration: transcodeResult.duration
-      } : uploadType === 'image' ? {
+      ...(uploadType === 'image' ? {
         imageUrl: uploadResult.fileUrl,
         imageType: type
       } : {
@@ -10,9 +10,12 @@ const Campus = require("../models/campus");
 const Course = require("../models/course");
 const Book = require("../models/book");
 const mongoose = require("mongoose");
-const socketManager = require("../utils/socketManager");
 const { ensureUserInMoneyMindsCampus } = require("../utils/campusHelpers");
-const { addProgressToItem } = require("../utils/progressHelper");
+const { getUserProgress, addProgressToItem } = require("../utils/progressHelper");
+const { signPlaybackUrl } = require("../utils/playbackUrls");
+const { ROLES, isValidRole } = require("../utils/roles");
+const { excludeTrashedStage } = require("../utils/softDelete");
+const { validateGoalInput, updateLearningGoal, getActivityLog, getLearningStats } = require("../utils/learningActivity");
 
 // Helper function to format user data response consistently
 const formatUserResponse = (user) => ({
@@ -25,6 +28,7 @@ const formatUserResponse = (user) => ({
   avatar: user.avatar,
   bio: user.bio || '',
   country: user.country || '',
+  role: user.role || 'user',
   createdAt: user.createdAt
 });
 
@@ -342,46 +346,45 @@ const getUserProfile = async (req, res) => {
 
     // Get recent video/film watching data
     let recentVideo = null;
-    if (socketManager.videoProgress[req.userId]) {
-      const videoProgressEntries = Object.entries(socketManager.videoProgress[req.userId]);
-      if (videoProgressEntries.length > 0) {
-        // Sort by last updated time (most recent first)
-        const sortedProgress = videoProgressEntries.sort((a, b) => 
-          (b[1].lastUpdated || 0) - (a[1].lastUpdated || 0)
-        );
+    const userProgress = await getUserProgress(req.userId);
+    const videoProgressEntries = Object.entries(userProgress);
+    if (videoProgressEntries.length > 0) {
+      // Sort by last updated time (most recent first)
+      const sortedProgress = videoProgressEntries.sort((a, b) => 
+        (b[1].lastUpdated || 0) - (a[1].lastUpdated || 0)
+      );
+      
+      const [mostRecentVideoId, progress] = sortedProgress[0];
+      const video = await Video.findById(mostRecentVideoId);
+      if (video) {
+        const videoWithProgress = addProgressToItem(userProgress, {
+          _id: video._id,
+          title: video.title,
+          description: video.description,
+          type: video.type,
+          videoUrl: video.videoUrl,
+          posterUrl: video.posterUrl,
+          resolutions: video.resolutions || [],
+          length: video.length || 0,
+          createdAt: video.createdAt,
+          contentType: video.type === 'film' ? 'film' : 'episode'
+        });
         
-        const [mostRecentVideoId, progress] = sortedProgress[0];
-        const video = await Video.findById(mostRecentVideoId);
-        if (video) {
-          const videoWithProgress = addProgressToItem(userId, {
-            _id: video._id,
-            title: video.title,
-            description: video.description,
-            type: video.type,
-            videoUrl: video.videoUrl,
-            posterUrl: video.posterUrl,
-            resolutions: video.resolutions || [],
-            length: video.length || 0,
-            createdAt: video.createdAt,
-            contentType: video.type === 'film' ? 'film' : 'episode'
-          });
-          
-          recentVideo = {
-            _id: videoWithProgress._id,
-            title: videoWithProgress.title,
-            description: videoWithProgress.description,
-            type: videoWithProgress.type,
-            videoUrl: videoWithProgress.videoUrl,
-            posterUrl: videoWithProgress.posterUrl,
-            resolutions: videoWithProgress.resolutions,
-            length: videoWithProgress.length,
-            createdAt: videoWithProgress.createdAt,
-            watchProgress: videoWithProgress.watchedProgress,
-            watchSeconds: videoWithProgress.watchSeconds,
-            totalDuration: videoWithProgress.totalDuration,
-            contentType: videoWithProgress.contentType
-          };
-        }
+        recentVideo = {
+          _id: videoWithProgress._id,
+          title: videoWithProgress.title,
+          description: videoWithProgress.description,
+          type: videoWithProgress.type,
+          videoUrl: signPlaybackUrl(videoWithProgress.videoUrl, req.userId),
+          posterUrl: videoWithProgress.posterUrl,
+          resolutions: videoWithProgress.resolutions,
+          length: videoWithProgress.length,
+          createdAt: videoWithProgress.createdAt,
+          watchProgress: videoWithProgress.watchedProgress,
+          watchSeconds: videoWithProgress.watchSeconds,
+          totalDuration: videoWithProgress.totalDuration,
+          contentType: videoWithProgress.contentType
+        };
       }
     }
 
@@ -402,6 +405,7 @@ const getUserProfile = async (req, res) => {
             as: 'lessons'
           }
         },
+        excludeTrashedStage('lessons'),
         {
           $addFields: {
             totalVideos: {
@@ -446,8 +450,7 @@ const getUserProfile = async (req, res) => {
 
         course.lessons.forEach(lesson => {
           if (lesson.videoUrl && lesson.videoUrl.trim() !== '') {
-            const progress = socketManager.videoProgress[req.userId] && 
-                            socketManager.videoProgress[req.userId][lesson._id.toString()];
+            const progress = userProgress[lesson._id.toString()];
             if (progress && progress.percentage > 0) {
               courseProgress++;
               courseLatestTime = Math.max(courseLatestTime, progress.lastUpdated || 0);
@@ -507,7 +510,8 @@ const getUserProfile = async (req, res) => {
       user: formatUserResponse(user),
       recentVideo,
       recentCourse,
-      recentBook
+      recentBook,
+      learning: await getLearningStats(req.userId)
     });
   } catch (err) {
     return errorResponse(res, 500, "Failed to retrieve user profile", err.message);
@@ -542,6 +546,100 @@ const editUserProfile = async (req, res) => {
   }
 };
 
+// PUT /learning-goal  Body: { unit: 'minutes'|'lessons'|null, target, timezone }
+const setLearningGoal = async (req, res) => {
+  try {
+    const { error, fields } = validateGoalInput(req.body);
+    if (error) return errorResponse(res, 400, error);
+
+    await updateLearningGoal(req.userId, fields);
+    return successResponse(res, 200, "Learning goal has been successfully updated", {
+      learning: await getLearningStats(req.userId)
+    });
+  } catch (err) {
+    return errorResponse(res, 500, "Failed to update learning goal", err.message);
+  }
+};
+
+// GET /learning-activity?days=30
+const getLearningActivity = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    return successResponse(res, 200, "Learning activity retrieved successfully", {
+      days: await getActivityLog(req.userId, days)
+    });
+  } catch (err) {
+    return errorResponse(res, 500, "Failed to retrieve learning activity", err.message);
+  }
+};
+
+// Admin: grant a role to a user
+const grantUserRole = async (req, res) => {
+  try {
+    const { userId, role } = req.body;
+    if (!userId || !role)
+      return errorResponse(res, 400, "Both userId and role are required");
+
+    if (!mongoose.Types.ObjectId.isValid(userId))
+      return errorResponse(res, 400, "userId is not a valid ID");
+
+    if (!isValidRole(role))
+      return errorResponse(res, 400, `Invalid role. Valid roles: ${ROLES.join(", ")}`);
+
+    if (userId.toString() === req.userId.toString())
+      return errorResponse(res, 400, "You cannot change your own role");
+
+    const user = await User.findById(userId);
+    if (!user) return errorResponse(res, 404, "User account not found");
+
+    user.role = role;
+    await user.save();
+    return successResponse(res, 200, `Role '${role}' has been granted to ${user.email}`, {
+      user: formatUserResponse(user)
+    });
+  } catch (err) {
+    return errorResponse(res, 500, "Failed to grant role", err.message);
+  }
+};
+
+// Admin: revoke a user's role (resets to the default 'user' role)
+const revokeUserRole = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    if (!userId) return errorResponse(res, 400, "userId is required");
+
+    if (!mongoose.Types.ObjectId.isValid(userId))
+      return errorResponse(res, 400, "userId is not a valid ID");
+
+    if (userId.toString() === req.userId.toString())
+      return errorResponse(res, 400, "You cannot change your own role");
+
+    const user = await User.findById(userId);
+    if (!user) return errorResponse(res, 404, "User account not found");
+
+    user.role = "user";
+    await user.save();
+    return successResponse(res, 200, `Role has been revoked from ${user.email}`, {
+      user: formatUserResponse(user)
+    });
+  } catch (err) {
+    return errorResponse(res, 500, "Failed to revoke role", err.message);
+  }
+};
+
+// Admin: list users holding elevated roles
+const listPrivilegedUsers = async (req, res) => {
+  try {
+    const users = await User.find({ role: { $in: ROLES.filter((r) => r !== "user") } })
+      .sort({ role: 1, createdAt: -1 });
+    return successResponse(res, 200, "Privileged users retrieved successfully", {
+      users: users.map(formatUserResponse)
+    });
+  } catch (err) {
+    return errorResponse(res, 500, "Failed to retrieve privileged users", err.message);
+  }
+};
+
 module.exports = {
   signUp,
   sendOtp,
@@ -554,5 +652,10 @@ module.exports = {
   modifyBio,
   modifyCountry,
   getUserProfile,
-  editUserProfile
+  editUserProfile,
+  setLearningGoal,
+  getLearningActivity,
+  grantUserRole,
+  revokeUserRole,
+  listPrivilegedUsers
 };
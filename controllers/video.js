@@ -4,9 +4,12 @@ const { parsePaginationParams } = require('../utils/pagination');
 const mongoose = require('mongoose');
 const { successResponse, errorResponse } = require('../utils/apiResponse');
 const socketManager = require('../utils/socketManager');
-const { fetchResolutionsFromVideoUrl } = require('../utils/videoResolutions');
+const { fetchResolutionsFromVideoUrl, fetchPreviewsFromVideoUrl } = require('../utils/videoResolutions');
 const { calculateVideoDuration } = require('../utils/videoDuration');
-const { addProgressToItem } = require('../utils/progressHelper');
+const { getUserProgress, addProgressToItem } = require('../utils/progressHelper');
+const progressCache = require('../utils/progressCache');
+const { applyPaywall } = require('../utils/entitlement');
+const { trashDocument, restoreDocument, listTrash } = require('../utils/softDelete');
 
 
 
@@ -21,7 +24,8 @@ const postVideo = async (req, res) => {
       seasonNumber,
       videoUrl,
       posterUrl,
-      length
+      length,
+      isFree
     } = req.body;
 
     if (!videoUrl || !type) {
@@ -54,6 +58,9 @@ const postVideo = async (req, res) => {
     const resolutions = await fetchResolutionsFromVideoUrl(videoUrl);
     console.log('📊 Resolutions found:', resolutions);
 
+    // Poster frame, thumbnail track and preview clip generated while transcoding
+    const previews = await fetchPreviewsFromVideoUrl(videoUrl);
+
     // Calculate video duration if not provided
     let videoDuration = length || 0;
     if (!length || length === 0) {
@@ -71,8 +78,11 @@ const postVideo = async (req, res) => {
       episodeNumber,
       videoUrl,
       resolutions,
-      posterUrl,
-      length: videoDuration
+      posterUrl: posterUrl || previews.posterUrl,
+      thumbnailsUrl: previews.thumbnailsUrl,
+      previewUrl: previews.previewUrl,
+      length: videoDuration,
+      isFree: !!isFree
     });
 
     // Broadcast notifications based on content type
@@ -84,7 +94,7 @@ const postVideo = async (req, res) => {
 
     // Order the response fields as requested
     const videoObj = video.toObject();
-    const videoWithProgress = addProgressToItem(req.userId, {
+    const videoWithProgress = addProgressToItem(await getUserProgress(req.userId), {
       _id: videoObj._id,
       title: videoObj.title,
       description: videoObj.description,
@@ -145,26 +155,27 @@ const getRandomSuggestion = async (req, res) => {
         }).skip(random);
         if (film) {
           // Add watch progress if available
-          let watchProgress = 0;
-          if (socketManager.videoProgress[req.userId] && socketManager.videoProgress[req.userId][film._id]) {
-            watchProgress = socketManager.videoProgress[req.userId][film._id].percentage || 0;
-          }
+          const progress = await progressCache.getProgress(req.userId, film._id);
+          const watchProgress = progress ? progress.percentage || 0 : 0;
           
           // Explicitly structure the response to ensure all fields are present
-          suggestion = {
+          suggestion = applyPaywall(req.entitlement, {
             _id: film._id,
             title: film.title || '',
             description: film.description || '',
             type: film.type,
             videoUrl: film.videoUrl,
             posterUrl: film.posterUrl || '',
+            thumbnailsUrl: film.thumbnailsUrl || '',
+            previewUrl: film.previewUrl || '',
             originalVideoUrl: film.originalVideoUrl,
             resolutions: film.resolutions || [],
             length: film.length || 0,
             createdAt: film.createdAt,
+            isFree: !!film.isFree,
             watchProgress,
             contentType: 'film'
-          };
+          });
         }
       }
     } else {
@@ -181,7 +192,8 @@ const getRandomSuggestion = async (req, res) => {
                   $expr: {
                     $and: [
                       { $eq: ['$seriesId', '$$seriesId'] },
-                      { $eq: ['$type', 'episode'] }
+                      { $eq: ['$type', 'episode'] },
+                      { $eq: [{ $ifNull: ['$deletedAt', null] }, null] }
                     ]
                   }
                 }
@@ -227,8 +239,11 @@ const getRandomSuggestion = async (req, res) => {
                       episodeNumber: '$episodeNumber',
                       videoUrl: '$videoUrl',
                       posterUrl: '$posterUrl',
+                      thumbnailsUrl: '$thumbnailsUrl',
+                      previewUrl: '$previewUrl',
                       resolutions: '$resolutions',
                       length: '$length',
+                      isFree: '$isFree',
                       createdAt: '$createdAt',
                       watchProgress: '$watchProgress'
                     }
@@ -260,6 +275,10 @@ const getRandomSuggestion = async (req, res) => {
       if (seriesResult.length > 0) {
         suggestion = seriesResult[0];
         suggestion.contentType = 'series';
+        suggestion.seasons = suggestion.seasons.map(season => ({
+          ...season,
+          episodes: season.episodes.map(episode => applyPaywall(req.entitlement, episode))
+        }));
       }
     }
 
@@ -284,21 +303,20 @@ const getContinueWatching = async (req, res) => {
     // Get all videos with watch progress > 0
     const continueWatching = [];
     
-    // Check in-memory progress for films
-    if (socketManager.videoProgress[userId]) {
-      for (const [videoId, progress] of Object.entries(socketManager.videoProgress[userId])) {
-        if (progress.percentage > 0) {
-          // Get video details
-          const video = await Video.findById(videoId);
-          if (video) {
-            continueWatching.push({
-              ...video.toObject(),
-              watchProgress: progress.percentage,
-              watchSeconds: progress.seconds,
-              totalDuration: progress.totalDuration,
-              contentType: video.type === 'film' ? 'film' : 'episode'
-            });
-          }
+    // Check cached progress for films
+    const userProgress = await getUserProgress(userId);
+    for (const [videoId, progress] of Object.entries(userProgress)) {
+      if (progress.percentage > 0) {
+        // Get video details
+        const video = await Video.findById(videoId);
+        if (video) {
+          continueWatching.push(applyPaywall(req.entitlement, {
+            ...video.toObject(),
+            watchProgress: progress.percentage,
+            watchSeconds: progress.seconds,
+            totalDuration: progress.totalDuration,
+            contentType: video.type === 'film' ? 'film' : 'episode'
+          }));
         }
       }
     }
@@ -324,8 +342,71 @@ const getContinueWatching = async (req, res) => {
   }
 };
 
+// DELETE /api/video?videoId=
+const deleteVideo = async (req, res) => {
+  try {
+    const { videoId } = req.query;
+    if (!videoId) {
+      return errorResponse(res, 400, 'Video ID is required.');
+    }
+
+    const video = await trashDocument(Video, videoId, req.userId);
+    if (!video) {
+      return errorResponse(res, 404, 'Video not found.');
+    }
+
+    return successResponse(res, 200, 'Video moved to trash.', video, 'video');
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to delete video.', err.message);
+  }
+};
+
+// GET /api/video/trash?pageNo=&itemsPerPage=
+const getVideoTrash = async (req, res) => {
+  try {
+    const { results, pagination } = await listTrash(Video, req.query);
+    return successResponse(res, 200, 'Trashed videos retrieved successfully.', {
+      videos: results,
+      pagination
+    }, 'trash');
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to get trashed videos.', err.message);
+  }
+};
+
+// PUT /api/video/restore?videoId=
+const restoreVideo = async (req, res) => {
+  try {
+    const { videoId } = req.query;
+    if (!videoId) {
+      return errorResponse(res, 400, 'Video ID is required.');
+    }
+
+    const trashed = await Video.findOne({ _id: videoId, deletedAt: { $ne: null } });
+    if (!trashed) {
+      return errorResponse(res, 404, 'Video not found in trash.');
+    }
+
+    // Episodes need their series back first
+    if (trashed.type === 'episode' && trashed.seriesId) {
+      const series = await Series.findById(trashed.seriesId);
+      if (!series) {
+        return errorResponse(res, 409, 'The series of this episode is in the trash or no longer exists.');
+      }
+    }
+
+    const video = await restoreDocument(Video, videoId);
+    return successResponse(res, 200, 'Video restored successfully.', video, 'video');
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to restore video.', err.message);
+  }
+};
+
 module.exports = { 
   postVideo, 
   getRandomSuggestion,
-  getContinueWatching
+  getContinueWatching,
+  deleteVideo,
+  getVideoTrash,
+  restoreVideo
 }; 
\ No newline at end of file
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { successResponse, errorResponse } = require('../utils/apiResponse');
+const socketManager = require('../utils/socketManager');
+const { lessonAccessDeniedResponse } = require('../utils/lessonAccess');
+const {
+  MAX_BATCH_SIZE,
+  validateProgressUpdate,
+  recordProgress,
+  recordProgressBatch,
+  resolveContent,
+  checkProgressAccess,
+  markCompleted,
+  resetProgress,
+  getProgressForContent
+} = require('../utils/watchProgressService');
+
+// Let the user's other connected devices know their progress changed
+const notifyProgressUpdated = (userId, progress) => {
+  if (progress && socketManager.io) {
+    socketManager.emitToUser(userId, 'video-progress-updated', progress);
+  }
+};
+
+// GET /watch-progress?contentId=... or ?contentIds=id1,id2
+const getWatchProgress = async (req, res) => {
+  try {
+    const { contentId, contentIds } = req.query;
+    const ids = (contentIds ? contentIds.split(',') : [contentId])
+      .filter(Boolean)
+      .map(id => id.trim());
+
+    if (ids.length === 0) {
+      return errorResponse(res, 400, 'contentId or contentIds is required');
+    }
+    if (ids.length > MAX_BATCH_SIZE) {
+      return errorResponse(res, 400, `A maximum of ${MAX_BATCH_SIZE} contentIds can be requested at once`);
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return errorResponse(res, 400, 'One or more contentIds are not valid IDs');
+    }
+
+    const progress = await getProgressForContent(req.userId, ids);
+
+    if (!contentIds) {
+      return successResponse(res, 200, 'Watch progress retrieved successfully', progress[ids[0]], 'progress');
+    }
+    return successResponse(res, 200, 'Watch progress retrieved successfully', progress, 'progress');
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to get watch progress', err.message);
+  }
+};
+
+// POST /watch-progress  Body: { contentId, seconds, clientTimestamp }
+const updateWatchProgress = async (req, res) => {
+  try {
+    const update = validateProgressUpdate(req.body);
+    if (update.error) {
+      return errorResponse(res, 400, update.error);
+    }
+
+    const denied = await checkProgressAccess(update.contentId, req);
+    if (denied) {
+      return lessonAccessDeniedResponse(res, req, denied);
+    }
+
+    const result = await recordProgress(req.userId, update.contentId, update.seconds, {
+      clientTimestamp: update.clientTimestamp
+    });
+
+    if (result.reason === 'content-not-found') {
+      return errorResponse(res, 404, 'Content not found');
+    }
+
+    if (result.applied) {
+      notifyProgressUpdated(req.userId, result.progress);
+    }
+
+    return successResponse(res, 200, result.applied ? 'Watch progress saved successfully' : 'Watch progress unchanged', result, 'progressUpdate');
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to save watch progress', err.message);
+  }
+};
+
+// POST /watch-progress/batch  Body: { updates: [{ contentId, seconds, clientTimestamp }] }
+const batchUpdateWatchProgress = async (req, res) => {
+  try {
+    const { updates } = req.body;
+
+    if (!Array.isArray(updates) || updates.length === 0) {
+      return errorResponse(res, 400, 'updates must be a non-empty array');
+    }
+    if (updates.length > MAX_BATCH_SIZE) {
+      return errorResponse(res, 400, `A maximum of ${MAX_BATCH_SIZE} updates can be sent at once`);
+    }
+
+    const results = await recordProgressBatch(req, updates);
+    results
+      .filter(result => result.applied)
+      .forEach(result => notifyProgressUpdated(req.userId, result.progress));
+
+    return successResponse(res, 200, 'Watch progress batch processed successfully', {
+      results,
+      applied: results.filter(result => result.applied).length,
+      total: results.length
+    }, 'progressBatch');
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to process watch progress batch', err.message);
+  }
+};
+
+// POST /watch-progress/complete  Body: { contentId }
+const completeWatchProgress = async (req, res) => {
+  try {
+    const { contentId } = req.body;
+    if (!contentId || !mongoose.Types.ObjectId.isValid(contentId)) {
+      return errorResponse(res, 400, 'A valid contentId is required');
+    }
+
+    const content = await resolveContent(contentId);
+    if (content && content.isQuiz) {
+      return errorResponse(res, 400, 'Quiz lessons are completed by passing the quiz');
+    }
+
+    const denied = await checkProgressAccess(contentId, req);
+    if (denied) {
+      return lessonAccessDeniedResponse(res, req, denied);
+    }
+
+    const progress = await markCompleted(req.userId, contentId);
+    if (!progress) {
+      return errorResponse(res, 404, 'Content not found');
+    }
+
+    notifyProgressUpdated(req.userId, progress);
+    return successResponse(res, 200, 'Content marked as completed', progress, 'progress');
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to mark content as completed', err.message);
+  }
+};
+
+// DELETE /watch-progress?contentId=...
+const resetWatchProgress = async (req, res) => {
+  try {
+    const { contentId } = req.query;
+    if (!contentId || !mongoose.Types.ObjectId.isValid(contentId)) {
+      return errorResponse(res, 400, 'A valid contentId is required');
+    }
+
+    const progress = await resetProgress(req.userId, contentId);
+    if (!progress) {
+      return errorResponse(res, 404, 'No watch progress found for this content');
+    }
+
+    notifyProgressUpdated(req.userId, progress);
+    return successResponse(res, 200, 'Watch progress reset successfully', progress, 'progress');
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to reset watch progress', err.message);
+  }
+};
+
+module.exports = {
+  getWatchProgress,
+  updateWatchProgress,
+  batchUpdateWatchProgress,
+  completeWatchProgress,
+  resetWatchProgress
+};
@@ -4,6 +4,8 @@ const mongoose = require("mongoose");
 const Feed = require("../models/feed");
 const Like = require("../models/like");
 
+const { awardPoints } = require("../utils/gamification");
+
 const BUFFER_INTERVAL = 2000;
 let buffer = {};
 
@@ -12,6 +14,8 @@ const flushBuffer = async () => {
     const likeActions = buffer[feedId];
     const session = await mongoose.startSession();
     session.startTransaction();
+    // Users who liked the post, rewarded once the transaction has committed
+    const likedBy = [];
 
     try {
       for (const { userId } of likeActions) {
@@ -39,11 +43,17 @@ const flushBuffer = async () => {
             { $push: { likes: userId } },
             { session, new: true }
           );
+          likedBy.push(userId);
         }
       }
 
       await session.commitTransaction();
       console.log(`Transaction committed for feedId: ${feedId}`);
+
+      // Each post earns points once per user, so unliking and liking again is not rewarded
+      for (const userId of likedBy) {
+        await awardPoints(userId, "feed-like", { sourceId: feedId });
+      }
     } catch (error) {
       await session.abortTransaction();
       console.error("Error in flushBuffer:", error);
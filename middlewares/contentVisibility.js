@@ -0,0 +1,23 @@
+// middlewares/contentVisibility.js
+const User = require('../models/user');
+const { errorResponse } = require('../utils/apiResponse');
+const { hasPermission } = require('../utils/roles');
+
+/**
+ * Set req.canViewUnpublished so content admins see draft, scheduled and archived
+ * items while regular users only see published content.
+ * Must run after authMiddleware.
+ */
+const attachContentVisibility = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('role');
+    req.canViewUnpublished = !!user && hasPermission(user.role, 'content:manage');
+    next();
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to verify content visibility', err.message);
+  }
+};
+
+module.exports = {
+  attachContentVisibility
+};
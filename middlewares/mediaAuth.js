@@ -0,0 +1,24 @@
+// middlewares/mediaAuth.js
+const authMiddleware = require('./auth');
+const { errorResponse } = require('../utils/apiResponse');
+const { verifyKeySignature } = require('../utils/playbackUrls');
+
+/**
+ * Authenticate an HLS key request. Native players (AVPlayer, ExoPlayer) cannot add an Authorization header
+ * to key requests, so a key URI signed for the user in a served playlist stands in for the Bearer token.
+ * Sets req.userId like authMiddleware; access to the video is still checked for that user.
+ */
+const authenticateKeyRequest = (req, res, next) => {
+  if (!req.query.signature) {
+    return authMiddleware(req, res, next);
+  }
+  if (!verifyKeySignature(req.query)) {
+    return errorResponse(res, 403, 'Key URL is invalid or has expired');
+  }
+  req.userId = req.query.userId;
+  next();
+};
+
+module.exports = {
+  authenticateKeyRequest
+};
@@ -0,0 +1,33 @@
+// middlewares/permission.js
+const User = require('../models/user');
+const { errorResponse } = require('../utils/apiResponse');
+const { hasPermission } = require('../utils/roles');
+
+/**
+ * Require a permission for the authenticated user.
+ * Must run after authMiddleware so that req.userId is set.
+ * @param {String} permission - Permission key from utils/roles
+ */
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    if (!req.userId) {
+      return errorResponse(res, 401, 'Unauthorized: No token provided');
+    }
+
+    const user = await User.findById(req.userId).select('role');
+    if (!user) {
+      return errorResponse(res, 401, 'Unauthorized: User not found');
+    }
+
+    if (!hasPermission(user.role, permission)) {
+      return errorResponse(res, 403, 'Forbidden: You do not have permission to perform this action');
+    }
+
+    req.userRole = user.role;
+    next();
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to verify permissions', err.message);
+  }
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,21 @@
+// middlewares/subscription.js
+const { errorResponse } = require('../utils/apiResponse');
+const { getUserEntitlement } = require('../utils/entitlement');
+
+/**
+ * Resolve the user's entitlement and attach it as req.entitlement.
+ * Does not block, so controllers can still serve free-preview items.
+ * Must run after authMiddleware.
+ */
+const attachEntitlement = async (req, res, next) => {
+  try {
+    req.entitlement = await getUserEntitlement(req.userId);
+    next();
+  } catch (err) {
+    return errorResponse(res, 500, 'Failed to verify subscription', err.message);
+  }
+};
+
+module.exports = {
+  attachEntitlement
+};
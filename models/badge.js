@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const badgeSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // Stable identifier, e.g. 'first-course'
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  icon: { type: String, default: '🏅' }, // Emoji or image URL
+
+  // Unlocked once the user's count for the criterion reaches the threshold
+  criterion: {
+    type: String,
+    enum: ['lessons-completed', 'courses-completed', 'messages-sent', 'posts-liked', 'streak-days', 'total-points'],
+    required: true
+  },
+  threshold: { type: Number, required: true, min: 1 },
+
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Badge', badgeSchema);
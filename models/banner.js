@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { softDeletePlugin } = require("../utils/softDelete");
 
 const bannerSchema = new mongoose.Schema(
   {
@@ -29,4 +30,6 @@ const bannerSchema = new mongoose.Schema(
 // Index for efficient queries on active status
 bannerSchema.index({ isActive: 1, createdAt: -1 });
 
+bannerSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model("Banner", bannerSchema);
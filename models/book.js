@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { softDeletePlugin } = require("../utils/softDelete");
 
 const bookSchema = new mongoose.Schema(
   {
@@ -26,4 +27,6 @@ const bookSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+bookSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model("Book", bookSchema);
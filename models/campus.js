@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const campusSchema = new mongoose.Schema({
   slug: { type: String, required: true, unique: true },
@@ -14,4 +15,6 @@ const campusSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+campusSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Campus', campusSchema); 
\ No newline at end of file
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const certificateSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  campusId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campus', required: true },
+  verificationCode: { type: String, required: true, unique: true },
+
+  // Snapshot at issue time so the certificate reads the same if the course is renamed or removed
+  recipientName: { type: String, required: true },
+  courseTitle: { type: String, required: true },
+  campusTitle: { type: String, required: true },
+
+  completedAt: { type: Date, required: true },
+  issuedAt: { type: Date, default: Date.now }
+});
+
+// One certificate per user per course
+certificateSchema.index({ userId: 1, courseId: 1 }, { unique: true });
+certificateSchema.index({ userId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Certificate', certificateSchema);
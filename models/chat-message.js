@@ -7,6 +7,10 @@ const messageSchema = new mongoose.Schema({
   mediaUrl: { type: String },
   mediaType: { type: String, enum: ['image', 'video'], default: 'image' },
   length: { type: Number, default: 0 }, // Video length in seconds (for video messages)
+  // Generated while transcoding (for video messages)
+  posterUrl: { type: String, default: '' },
+  thumbnailsUrl: { type: String, default: '' },
+  previewUrl: { type: String, default: '' },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -1,10 +1,20 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const courseSchema = new mongoose.Schema({
   campusId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campus', required: true },
   title: { type: String, required: true },
   imageUrl: { type: String },
+  order: { type: Number, default: 0 }, // Position within the campus
+  status: { type: String, enum: ['draft', 'scheduled', 'published', 'archived'], default: 'published' },
+  publishAt: { type: Date }, // Release time for scheduled content
+  publishedAt: { type: Date }, // When the content was first released
   createdAt: { type: Date, default: Date.now }
 });
 
+courseSchema.index({ campusId: 1, order: 1 });
+courseSchema.index({ status: 1, publishAt: 1 });
+
+courseSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Course', courseSchema); 
\ No newline at end of file
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// A question on a lesson (parentId null) or a reply to one
+const discussionPostSchema = new mongoose.Schema({
+  lessonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson', required: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'DiscussionPost', default: null },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  body: { type: String, required: true, trim: true },
+  upvotedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  upvoteCount: { type: Number, default: 0 },
+  replyCount: { type: Number, default: 0 }, // Questions only
+  acceptedAnswerId: { type: mongoose.Schema.Types.ObjectId, ref: 'DiscussionPost', default: null }, // Questions only
+  isAccepted: { type: Boolean, default: false }, // Replies only
+  editedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+discussionPostSchema.index({ lessonId: 1, parentId: 1, createdAt: -1 });
+discussionPostSchema.index({ parentId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DiscussionPost', discussionPostSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const playlistSchema = new mongoose.Schema({
+  path: { type: String, required: true }, // Relative to the master, e.g. "720p/720p.m3u8"
+  content: { type: String, required: true } // Segment URIs are absolute, key URIs point at the key endpoint
+}, { _id: false });
+
+// AES-128 keys and playlists of an encrypted HLS video.
+// Segments live in B2; playlists are only served through signed URLs and keys only to entitled users.
+const encryptedVideoSchema = new mongoose.Schema({
+  videoId: { type: String, required: true, unique: true }, // Upload ID, also the B2 folder name
+  folder: { type: String, required: true }, // B2 folder holding the segments
+  keys: { type: [Buffer], select: false }, // 16-byte keys; a segment's key index comes from its start time
+  playlists: [playlistSchema],
+  resolutions: [{ type: Number }],
+  duration: { type: Number, default: 0 },
+  // Public preview media generated alongside the renditions
+  posterUrl: { type: String, default: '' },
+  thumbnailsUrl: { type: String, default: '' }, // WebVTT track of sprite sheet tiles
+  previewUrl: { type: String, default: '' }, // Short muted MP4
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('EncryptedVideo', encryptedVideoSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { softDeletePlugin } = require("../utils/softDelete");
 
 const feedSchema = new mongoose.Schema(
   {
@@ -15,4 +16,6 @@ const feedSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+feedSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model("Feed", feedSchema);
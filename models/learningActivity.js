@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// One document per user and day of learning (the day is taken in the user's timezone)
+const learningActivitySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  date: { type: String, required: true }, // YYYY-MM-DD
+  seconds: { type: Number, default: 0 }, // Time spent watching videos and lessons
+  lessonIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Lesson' }], // Lessons opened or watched
+  completedLessonIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Lesson' }],
+  bookIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Book' }],
+  updatedAt: { type: Date, default: Date.now }
+});
+
+learningActivitySchema.index({ userId: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('LearningActivity', learningActivitySchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const learningStatsSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  timezone: { type: String, default: 'UTC' }, // IANA timezone used to split activity into days
+
+  // Streaks (consecutive days with learning activity)
+  currentStreak: { type: Number, default: 0 },
+  longestStreak: { type: Number, default: 0 },
+  lastActiveDate: { type: String, default: null }, // YYYY-MM-DD
+  lastReminderDate: { type: String, default: null }, // Day the last streak-at-risk reminder was sent for
+
+  // Weekly goal set by the user
+  weeklyGoal: {
+    unit: { type: String, enum: ['minutes', 'lessons'] },
+    target: { type: Number, min: 1 }
+  },
+
+  updatedAt: { type: Date, default: Date.now }
+});
+
+learningStatsSchema.index({ lastActiveDate: 1, currentStreak: 1 });
+
+module.exports = mongoose.model('LearningStats', learningStatsSchema);
@@ -1,22 +1,48 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+const resourceSchema = new mongoose.Schema({
+  type: { type: String, enum: ['file', 'link'], required: true },
+  title: { type: String, required: true },
+  url: { type: String, required: true }, // Uploaded file URL or external link
+  fileName: { type: String, default: '' }, // Original file name of uploads
+  size: { type: Number, default: 0 }, // Size in bytes, 0 for links
+  mimeType: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+});
 
 const lessonSchema = new mongoose.Schema({
   moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Module', required: true },
   name: { type: String, required: true },
   videoUrl: { type: String, default: '' }, // .m3u8 video URL - now optional
   text: { type: String, default: '' }, // Lesson text content for text-only lessons
+  type: { type: String, enum: ['standard', 'quiz'], default: 'standard' }, // Quiz lessons hold a Quiz instead of video/text
   resolutions: [Number], // Available video resolutions (e.g., [1080, 720, 480, 360])
+  posterUrl: { type: String, default: '' }, // Poster frame generated while transcoding
+  thumbnailsUrl: { type: String, default: '' }, // WebVTT thumbnail track for scrub previews
+  previewUrl: { type: String, default: '' }, // Short animated preview clip
   notes: { type: String, default: '' }, // Lesson notes, defaults to empty string
+  resources: [resourceSchema], // Downloadable attachments and external links
   length: { type: Number, default: 0 }, // Video length in seconds
+  isFree: { type: Boolean, default: false }, // Free preview, playable without a subscription
+  order: { type: Number, default: 0 }, // Position within the module
+  status: { type: String, enum: ['draft', 'scheduled', 'published', 'archived'], default: 'published' },
+  publishAt: { type: Date }, // Release time for scheduled content
+  publishedAt: { type: Date }, // When the content was first released
   createdAt: { type: Date, default: Date.now }
 });
 
-// Add validation to ensure at least videoUrl or text is provided
+lessonSchema.index({ moduleId: 1, order: 1 });
+lessonSchema.index({ status: 1, publishAt: 1 });
+
+// Add validation to ensure at least videoUrl or text is provided (quiz lessons need neither)
 lessonSchema.pre('validate', function(next) {
-  if (!this.videoUrl && !this.text) {
+  if (this.type !== 'quiz' && !this.videoUrl && !this.text) {
     return next(new Error('Either videoUrl or text must be provided for a lesson'));
   }
   next();
 });
 
+lessonSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Lesson', lessonSchema); 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { softDeletePlugin } = require("../utils/softDelete");
 
 const marketplaceSchema = new mongoose.Schema(
   {
@@ -22,4 +23,6 @@ const marketplaceSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+marketplaceSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model("Marketplace", marketplaceSchema);
@@ -1,9 +1,25 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const moduleSchema = new mongoose.Schema({
   courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
   name: { type: String, required: true },
+  order: { type: Number, default: 0 }, // Position within the course
+  status: { type: String, enum: ['draft', 'scheduled', 'published', 'archived'], default: 'published' },
+  publishAt: { type: Date }, // Release time for scheduled content
+  publishedAt: { type: Date }, // When the content was first released
+  // Per-user unlock rule: drip N days after joining the campus, after a prerequisite, or on a date
+  unlockType: { type: String, enum: ['immediate', 'drip', 'prerequisite', 'date'], default: 'immediate' },
+  unlockAfterDays: { type: Number, min: 1 },
+  unlockAt: { type: Date },
+  prerequisiteModuleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Module' },
+  prerequisiteLessonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson' },
   createdAt: { type: Date, default: Date.now }
 });
 
+moduleSchema.index({ courseId: 1, order: 1 });
+moduleSchema.index({ status: 1, publishAt: 1 });
+
+moduleSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Module', moduleSchema); 
\ No newline at end of file
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const noteSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  contentId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Lesson or Video ID
+  contentType: { type: String, enum: ['lesson', 'video'], required: true },
+  type: { type: String, enum: ['note', 'bookmark'], default: 'note' },
+  seconds: { type: Number, required: true, min: 0 }, // Position in the video
+  text: { type: String, default: '' }, // Required for notes, optional label for bookmarks
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+noteSchema.index({ userId: 1, contentId: 1, seconds: 1 });
+noteSchema.index({ contentId: 1 });
+
+module.exports = mongoose.model('Note', noteSchema);
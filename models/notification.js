@@ -28,6 +28,10 @@ const notificationSchema = new mongoose.Schema({
       'course-release',
       'lesson-release',
       'subscription-warning',
+      'course-completion',
+      'lesson-discussion',
+      'learning-streak',
+      'achievement',
       'admin-broadcast',
       'general'
     ],
@@ -38,7 +42,7 @@ const notificationSchema = new mongoose.Schema({
   relatedEntityId: { type: mongoose.Schema.Types.ObjectId },
   relatedEntityType: { 
     type: String,
-    enum: ['campus', 'film', 'series', 'book', 'course', 'lesson', 'subscription']
+    enum: ['campus', 'film', 'series', 'book', 'course', 'lesson', 'subscription', 'badge']
   },
   campusId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campus' },
   
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Admin overrides of the default point rules in utils/gamification.js
+const pointRuleSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['lesson-completed', 'course-completed', 'chat-message', 'feed-like'],
+    required: true,
+    unique: true
+  },
+  points: { type: Number, required: true, min: 0 },
+  dailyLimit: { type: Number, default: null, min: 1 }, // Maximum awards per user per day (null = unlimited)
+  isActive: { type: Boolean, default: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('PointRule', pointRuleSchema);
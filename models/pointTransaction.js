@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Ledger of awarded points; leaderboards are sums over a time window
+const pointTransactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, required: true },
+  points: { type: Number, required: true },
+  campusId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campus', default: null }, // Campus the points were earned in
+  sourceId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Lesson, course, message or feed post
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Points are awarded once per user, action and source
+pointTransactionSchema.index({ userId: 1, action: 1, sourceId: 1 }, { unique: true });
+pointTransactionSchema.index({ userId: 1, createdAt: -1 });
+pointTransactionSchema.index({ campusId: 1, createdAt: -1 });
+pointTransactionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('PointTransaction', pointTransactionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['multiple-choice', 'multi-select', 'true-false', 'short-answer'],
+    required: true
+  },
+  prompt: { type: String, required: true },
+  options: [String], // Choices for multiple-choice and multi-select questions
+  correctOptions: [Number], // Indexes into options (exactly one for multiple-choice)
+  correctAnswer: { type: Boolean }, // true-false questions
+  acceptedAnswers: [String], // short-answer questions, compared case-insensitively
+  points: { type: Number, default: 1, min: 0 }
+});
+
+const quizSchema = new mongoose.Schema({
+  moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Module', required: true },
+  lessonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson', default: null }, // Null for module-level assessments
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  questions: [questionSchema],
+  passMark: { type: Number, default: 70, min: 0, max: 100 }, // Percentage needed to pass
+  maxAttempts: { type: Number, default: 0, min: 0 }, // 0 = unlimited
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// A quiz lesson has exactly one quiz
+quizSchema.index({ lessonId: 1 }, { unique: true, partialFilterExpression: { lessonId: { $type: 'objectId' } } });
+quizSchema.index({ moduleId: 1 });
+
+module.exports = mongoose.model('Quiz', quizSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const quizAttemptSchema = new mongoose.Schema({
+  quizId: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  attemptNumber: { type: Number, required: true },
+  answers: [{
+    _id: false,
+    questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    answer: { type: mongoose.Schema.Types.Mixed },
+    isCorrect: { type: Boolean, default: false },
+    pointsAwarded: { type: Number, default: 0 }
+  }],
+  score: { type: Number, default: 0 },
+  maxScore: { type: Number, default: 0 },
+  percentage: { type: Number, default: 0 },
+  passed: { type: Boolean, default: false },
+  submittedAt: { type: Date, default: Date.now }
+});
+
+// Attempt numbers are unique per user so concurrent submissions cannot exceed the attempt limit
+quizAttemptSchema.index({ quizId: 1, userId: 1, attemptNumber: 1 }, { unique: true });
+quizAttemptSchema.index({ userId: 1, passed: 1 });
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
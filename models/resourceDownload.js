@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const resourceDownloadSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  lessonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson', required: true },
+  resourceId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Subdocument of lesson.resources
+  count: { type: Number, default: 0 },
+  lastDownloadedAt: { type: Date, default: Date.now }
+});
+
+// One counter per user and resource
+resourceDownloadSchema.index({ userId: 1, resourceId: 1 }, { unique: true });
+resourceDownloadSchema.index({ lessonId: 1 });
+
+module.exports = mongoose.model('ResourceDownload', resourceDownloadSchema);
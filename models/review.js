@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  body: { type: String, default: '' },
+  isHidden: { type: Boolean, default: false }, // Hidden by a moderator, excluded from listings and averages
+  hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  hiddenAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// One review per user per course
+reviewSchema.index({ courseId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ courseId: 1, isHidden: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const seriesSchema = new mongoose.Schema({
     title: String,
@@ -7,4 +8,6 @@ const seriesSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now }
   });
   
+seriesSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Series', seriesSchema);
\ No newline at end of file
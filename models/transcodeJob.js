@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const renditionSchema = new mongoose.Schema({
+  height: { type: Number, required: true },
+  bitrate: { type: String },
+  status: { type: String, enum: ['queued', 'running', 'done', 'failed'], default: 'queued' },
+  progress: { type: Number, default: 0 } // 0-100
+}, { _id: false });
+
+// Durable record of a video transcoding job (the queue itself lives in Redis via Bull)
+const transcodeJobSchema = new mongoose.Schema({
+  uploadId: { type: String, required: true, unique: true }, // Also the folder of the HLS output
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  videoType: { type: String, enum: ['film', 'episode', 'lesson', 'chat'], required: true },
+  originalFileName: { type: String },
+  sourcePath: { type: String }, // Uploaded file on this server's disk, removed when the job ends
+  originalVideoUrl: { type: String, required: true }, // Fallback source for workers on other servers
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'failed', 'done', 'cancelled'],
+    default: 'queued'
+  },
+  progress: { type: Number, default: 0 }, // Overall 0-100
+  renditions: [renditionSchema],
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 1 },
+  error: { type: String, default: null },
+
+  // Set when done
+  result: {
+    videoUrl: { type: String },
+    resolutions: [{ type: Number }],
+    duration: { type: Number },
+    posterUrl: { type: String },
+    thumbnailsUrl: { type: String },
+    previewUrl: { type: String }
+  },
+
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+transcodeJobSchema.index({ userId: 1, createdAt: -1 });
+transcodeJobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('TranscodeJob', transcodeJobSchema);
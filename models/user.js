@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../utils/roles');
 
 const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
@@ -10,6 +11,7 @@ const userSchema = new mongoose.Schema({
   bio: { type: String, default: '' },
   country: { type: String, default: '' },
   stripeCustomerId: { type: String },
+  role: { type: String, enum: ROLES, default: 'user' },
 }, { timestamps: true });
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+const userBadgeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  badgeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Badge', required: true },
+  earnedAt: { type: Date, default: Date.now }
+});
+
+// Each badge is earned once
+userBadgeSchema.index({ userId: 1, badgeId: 1 }, { unique: true });
+userBadgeSchema.index({ badgeId: 1 });
+
+module.exports = mongoose.model('UserBadge', userBadgeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const videoSchema = new mongoose.Schema({
     title: String,
@@ -11,8 +12,13 @@ const videoSchema = new mongoose.Schema({
     originalVideoUrl: String,
     resolutions: [String],
     posterUrl: String,
+    thumbnailsUrl: String, // WebVTT thumbnail track for scrub previews
+    previewUrl: String, // Short animated preview clip
     length: { type: Number, default: 0 }, // Video length in seconds
+    isFree: { type: Boolean, default: false }, // Free preview, playable without a subscription
     createdAt: { type: Date, default: Date.now }
   });
   
+videoSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Video', videoSchema);
\ No newline at end of file
@@ -38,6 +38,10 @@ const watchProgressSchema = new mongoose.Schema({
   lastUpdated: {
     type: Date,
     default: Date.now
+  },
+  // Set when the user resets progress; older offline updates are ignored
+  resetAt: {
+    type: Date
   }
 }, {
   timestamps: true
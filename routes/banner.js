@@ -8,14 +8,25 @@ const {
   editBanner,
   toggleBannerActive,
   deleteBanner,
+  getBannerTrash,
+  restoreBanner,
 } = require("../controllers/banner");
 
+//Middlewares
+const authMiddleware = require("../middlewares/auth");
+const requirePermission = require("../middlewares/permission");
+const adminOnly = [authMiddleware, requirePermission("content:manage")];
+
 //Routes
-router.post("/create", createBanner);
 router.get("/get", getBanners);
 router.get("/active", getActiveBanner);
-router.put("/edit", editBanner);
-router.put("/activate", toggleBannerActive);
-router.delete("/delete", deleteBanner);
+
+//Admin Routes
+router.post("/create", adminOnly, createBanner);
+router.put("/edit", adminOnly, editBanner);
+router.put("/activate", adminOnly, toggleBannerActive);
+router.delete("/delete", adminOnly, deleteBanner);
+router.get("/trash", adminOnly, getBannerTrash);
+router.put("/restore", adminOnly, restoreBanner);
 
 module.exports = router;
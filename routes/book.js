@@ -1,5 +1,7 @@
 const router = require("express").Router();
 const authMiddleware = require("../middlewares/auth");
+const requirePermission = require("../middlewares/permission");
+const adminOnly = [authMiddleware, requirePermission("content:manage")];
 
 //Controllers
 const {
@@ -7,14 +9,20 @@ const {
   getBooks,
   editBook,
   deleteBook,
+  getBookTrash,
+  restoreBook,
   getContinueReading,
 } = require("../controllers/book");
 
 //Routes
-router.post("/create", createBook);
 router.get("/get", getBooks);
 router.get("/continue-reading", authMiddleware, getContinueReading); // Protected route
-router.put("/edit/:id", editBook);
-router.delete("/delete/:id", deleteBook);
+
+//Admin Routes
+router.post("/create", adminOnly, createBook);
+router.put("/edit/:id", adminOnly, editBook);
+router.delete("/delete/:id", adminOnly, deleteBook);
+router.get("/trash", adminOnly, getBookTrash);
+router.put("/restore/:id", adminOnly, restoreBook);
 
 module.exports = router;
@@ -8,20 +8,29 @@ const {
   leaveCampus,
   listCampuses,
   getUserCampuses,
-  getCampusById
+  getCampusById,
+  listCampusTrash,
+  restoreCampus,
+  duplicateCampus
 } = require('../controllers/campusController');
 const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
+const { attachEntitlement } = require('../middlewares/subscription');
+const { attachContentVisibility } = require('../middlewares/contentVisibility');
 router.use(authMiddleware);
 
 router.get('/list', listCampuses);
 router.get('/user', getUserCampuses);
-router.get('/', getCampusById);
+router.get('/', attachEntitlement, attachContentVisibility, getCampusById);
 router.post('/join', joinCampus);
 router.post('/leave', leaveCampus);
 
 //Admin Routes
-router.post('/', createCampus);
-router.put('/', editCampus);
-router.delete('/', deleteCampus);
+router.post('/', requirePermission('content:manage'), createCampus);
+router.put('/', requirePermission('content:manage'), editCampus);
+router.delete('/', requirePermission('content:manage'), deleteCampus);
+router.get('/trash', requirePermission('content:manage'), listCampusTrash);
+router.put('/restore', requirePermission('content:manage'), restoreCampus);
+router.post('/duplicate', requirePermission('content:manage'), duplicateCampus);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUserCertificates,
+  downloadCertificate,
+  verifyCertificate
+} = require('../controllers/certificateController');
+const authMiddleware = require('../middlewares/auth');
+
+// Public verification (e.g. by employers)
+router.get('/verify', verifyCertificate);
+
+router.use(authMiddleware);
+router.get('/list', getUserCertificates);
+router.get('/download', downloadCertificate);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const router = require('express').Router();
 const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
 
 // Controllers
 const {
@@ -10,7 +11,7 @@ const {
 // Public route (no authentication required)
 router.post('/submit', submitContact);
 
-// Protected route (authentication required)
-router.get('/list', authMiddleware, getAllContacts);
+// Admin route (contact:view permission required)
+router.get('/list', authMiddleware, requirePermission('contact:view'), getAllContacts);
 
 module.exports = router; 
\ No newline at end of file
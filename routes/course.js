@@ -6,18 +6,29 @@ const {
   deleteCourse,
   listCoursesByCampus,
   getCourseById,
-  getContinueLearning
+  getContinueLearning,
+  reorderCourses,
+  listCourseTrash,
+  restoreCourse,
+  duplicateCourse
 } = require('../controllers/courseController');
 const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
+const { attachEntitlement } = require('../middlewares/subscription');
+const { attachContentVisibility } = require('../middlewares/contentVisibility');
 router.use(authMiddleware);
 
 // All course routes require authentication
-router.get('/', getCourseById);
-router.get('/list', listCoursesByCampus);
-router.get('/continue-learning', getContinueLearning);
+router.get('/', attachEntitlement, attachContentVisibility, getCourseById);
+router.get('/list', attachContentVisibility, listCoursesByCampus);
+router.get('/continue-learning', attachContentVisibility, getContinueLearning);
 //Admin Routes
-router.post('/', createCourse);
-router.put('/', editCourse);
-router.delete('/', deleteCourse);
+router.post('/', requirePermission('content:manage'), createCourse);
+router.put('/', requirePermission('content:manage'), editCourse);
+router.delete('/', requirePermission('content:manage'), deleteCourse);
+router.put('/reorder', requirePermission('content:manage'), reorderCourses);
+router.get('/trash', requirePermission('content:manage'), listCourseTrash);
+router.put('/restore', requirePermission('content:manage'), restoreCourse);
+router.post('/duplicate', requirePermission('content:manage'), duplicateCourse);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const {
+  importCampusCurriculum,
+  exportCampusCurriculum
+} = require('../controllers/curriculumController');
+const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
+const { errorResponse } = require('../utils/apiResponse');
+
+// Curriculum files are small, so they are kept in memory rather than written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+const uploadErrorHandler = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return errorResponse(res, 400, 'File too large. Maximum size is 5MB');
+    }
+    return errorResponse(res, 400, 'File upload error', err.message);
+  }
+  next(err);
+};
+
+router.use(authMiddleware);
+
+//Admin Routes
+router.post('/import', requirePermission('content:manage'), upload.single('file'), uploadErrorHandler, importCampusCurriculum);
+router.get('/export', requirePermission('content:manage'), exportCampusCurriculum);
+
+module.exports = router;
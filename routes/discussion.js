@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listQuestions,
+  getThread,
+  askQuestion,
+  replyToQuestion,
+  editPost,
+  deletePost,
+  toggleUpvote,
+  acceptAnswer
+} = require('../controllers/discussionController');
+const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
+const { attachEntitlement } = require('../middlewares/subscription');
+const { attachContentVisibility } = require('../middlewares/contentVisibility');
+
+// Lesson Q&A follows the access rules of the lesson it belongs to
+router.use(authMiddleware, attachEntitlement, attachContentVisibility);
+
+router.get('/', listQuestions);
+router.get('/thread', getThread);
+router.post('/', askQuestion);
+router.post('/reply', replyToQuestion);
+router.put('/', editPost);
+router.delete('/', deletePost);
+router.put('/upvote', toggleUpvote);
+//Moderator & Instructor Routes
+router.put('/accept', requirePermission('discussion:moderate'), acceptAnswer);
+
+module.exports = router;
@@ -5,18 +5,26 @@ const {
   createFeed,
   editFeed,
   deleteFeed,
+  getFeedTrash,
+  restoreFeed,
   getAdminFeeds,
   getUserFeeds,
 } = require("../controllers/feed");
 
 //Middlewares
 const authMiddleware = require("../middlewares/auth");
+const requirePermission = require("../middlewares/permission");
+const adminOnly = [authMiddleware, requirePermission("content:manage")];
 
 //Routes
-router.post("/create", createFeed);
-router.put("/edit/:id", editFeed);
-router.delete("/delete/:id", deleteFeed);
-router.get("/admin/get", getAdminFeeds);
 router.get("/user/get", authMiddleware, getUserFeeds);
 
+//Admin Routes
+router.post("/create", adminOnly, createFeed);
+router.put("/edit/:id", adminOnly, editFeed);
+router.delete("/delete/:id", adminOnly, deleteFeed);
+router.get("/trash", adminOnly, getFeedTrash);
+router.put("/restore/:id", adminOnly, restoreFeed);
+router.get("/admin/get", adminOnly, getAdminFeeds);
+
 module.exports = router;
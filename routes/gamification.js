@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyGamification,
+  getLeaderboardRanking,
+  listPointRules,
+  updatePointRule,
+  resetPointRule,
+  listBadges,
+  createBadge,
+  editBadge,
+  deleteBadge
+} = require('../controllers/gamificationController');
+const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
+const { attachContentVisibility } = require('../middlewares/contentVisibility');
+router.use(authMiddleware);
+
+router.get('/me', getMyGamification);
+router.get('/leaderboard', attachContentVisibility, getLeaderboardRanking);
+//Admin Routes
+router.get('/admin/rules', requirePermission('content:manage'), listPointRules);
+router.put('/admin/rule', requirePermission('content:manage'), updatePointRule);
+router.delete('/admin/rule', requirePermission('content:manage'), resetPointRule);
+router.get('/admin/badges', requirePermission('content:manage'), listBadges);
+router.post('/admin/badge', requirePermission('content:manage'), createBadge);
+router.put('/admin/badge', requirePermission('content:manage'), editBadge);
+router.delete('/admin/badge', requirePermission('content:manage'), deleteBadge);
+
+module.exports = router;
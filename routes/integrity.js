@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getIntegrity,
+  purgeIntegrityOrphans
+} = require('../controllers/integrityController');
+const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
+router.use(authMiddleware);
+
+//Admin Routes
+router.get('/', requirePermission('content:manage'), getIntegrity);
+router.delete('/', requirePermission('content:manage'), purgeIntegrityOrphans);
+
+module.exports = router;
@@ -5,17 +5,36 @@ const {
   editLesson,
   deleteLesson,
   listLessonsByModule,
-  getLessonById
+  getLessonById,
+  reorderLessons,
+  moveLesson,
+  listLessonTrash,
+  restoreLesson,
+  addLessonResource,
+  editLessonResource,
+  deleteLessonResource,
+  downloadLessonResource
 } = require('../controllers/lessonController');
 const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
+const { attachEntitlement } = require('../middlewares/subscription');
+const { attachContentVisibility } = require('../middlewares/contentVisibility');
 router.use(authMiddleware);
 
 // All lesson routes require authentication
-router.get('/', getLessonById);
-router.get('/list', listLessonsByModule);
+router.get('/', attachEntitlement, attachContentVisibility, getLessonById);
+router.get('/list', attachEntitlement, attachContentVisibility, listLessonsByModule);
+router.post('/resource/download', attachEntitlement, attachContentVisibility, downloadLessonResource);
 //Admin Routes
-router.post('/', createLesson);
-router.put('/', editLesson);
-router.delete('/', deleteLesson);
+router.post('/', requirePermission('content:manage'), createLesson);
+router.put('/', requirePermission('content:manage'), editLesson);
+router.delete('/', requirePermission('content:manage'), deleteLesson);
+router.put('/reorder', requirePermission('content:manage'), reorderLessons);
+router.put('/move', requirePermission('content:manage'), moveLesson);
+router.get('/trash', requirePermission('content:manage'), listLessonTrash);
+router.put('/restore', requirePermission('content:manage'), restoreLesson);
+router.post('/resource', requirePermission('content:manage'), addLessonResource);
+router.put('/resource', requirePermission('content:manage'), editLessonResource);
+router.delete('/resource', requirePermission('content:manage'), deleteLessonResource);
 
 module.exports = router; 
\ No newline at end of file
@@ -6,12 +6,23 @@ const {
   getMarketplaces,
   editMarketplace,
   deleteMarketplace,
+  getMarketplaceTrash,
+  restoreMarketplace,
 } = require("../controllers/marketplace");
 
+//Middlewares
+const authMiddleware = require("../middlewares/auth");
+const requirePermission = require("../middlewares/permission");
+const adminOnly = [authMiddleware, requirePermission("content:manage")];
+
 //Routes
-router.post("/create", createMarketplace);
 router.get("/get", getMarketplaces);
-router.put("/edit/:id", editMarketplace);
-router.delete("/delete/:id", deleteMarketplace);
+
+//Admin Routes
+router.post("/create", adminOnly, createMarketplace);
+router.put("/edit/:id", adminOnly, editMarketplace);
+router.delete("/delete/:id", adminOnly, deleteMarketplace);
+router.get("/trash", adminOnly, getMarketplaceTrash);
+router.put("/restore/:id", adminOnly, restoreMarketplace);
 
 module.exports = router;
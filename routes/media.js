@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getPlaylist, getVideoKey } = require('../controllers/mediaController');
+const { authenticateKeyRequest } = require('../middlewares/mediaAuth');
+const { attachEntitlement } = require('../middlewares/subscription');
+const { attachContentVisibility } = require('../middlewares/contentVisibility');
+
+// Signed playlist URLs carry their own authorization
+router.get('/playlist', getPlaylist);
+
+// Decryption keys require a valid token or signed key URI, and access to the content using the video
+router.get('/key', authenticateKeyRequest, attachEntitlement, attachContentVisibility, getVideoKey);
+
+module.exports = router;
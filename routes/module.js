@@ -5,17 +5,28 @@ const {
   editModule,
   deleteModule,
   listModulesByCourse,
-  getModuleById
+  getModuleById,
+  reorderModules,
+  moveModule,
+  listModuleTrash,
+  restoreModule
 } = require('../controllers/moduleController');
 const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
+const { attachEntitlement } = require('../middlewares/subscription');
+const { attachContentVisibility } = require('../middlewares/contentVisibility');
 router.use(authMiddleware);
 
 // All module routes require authentication
-router.get('/', getModuleById);
-router.get('/list', listModulesByCourse);
+router.get('/', attachEntitlement, attachContentVisibility, getModuleById);
+router.get('/list', attachEntitlement, attachContentVisibility, listModulesByCourse);
 //Admin Routes
-router.post('/', createModule);
-router.put('/', editModule);
-router.delete('/', deleteModule);
+router.post('/', requirePermission('content:manage'), createModule);
+router.put('/', requirePermission('content:manage'), editModule);
+router.delete('/', requirePermission('content:manage'), deleteModule);
+router.put('/reorder', requirePermission('content:manage'), reorderModules);
+router.put('/move', requirePermission('content:manage'), moveModule);
+router.get('/trash', requirePermission('content:manage'), listModuleTrash);
+router.put('/restore', requirePermission('content:manage'), restoreModule);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createNote,
+  editNote,
+  deleteNote,
+  getContentNotes,
+  getMyNotes,
+  exportCourseNotes
+} = require('../controllers/noteController');
+const authMiddleware = require('../middlewares/auth');
+
+// Notes and bookmarks are private to the user who wrote them
+router.use(authMiddleware);
+
+router.get('/', getContentNotes);
+router.get('/list', getMyNotes);
+router.get('/export', exportCourseNotes);
+router.post('/', createNote);
+router.put('/', editNote);
+router.delete('/', deleteNote);
+
+module.exports = router;
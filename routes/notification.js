@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
 const notificationController = require('../controllers/notificationController');
 
 router.use(authMiddleware);
@@ -9,8 +10,8 @@ router.use(authMiddleware);
 router.get('/list', notificationController.getUserNotifications);
 router.get('/categories', notificationController.getNotificationCategories);
 
-// Admin notification endpoints (using user middleware for now)
-router.post('/admin/send', notificationController.sendAdminNotification);
-router.get('/admin/history', notificationController.getAdminNotificationHistory);
+// Admin notification endpoints
+router.post('/admin/send', requirePermission('notification:send'), notificationController.sendAdminNotification);
+router.get('/admin/history', requirePermission('notification:send'), notificationController.getAdminNotificationHistory);
 
 module.exports = router; 
\ No newline at end of file
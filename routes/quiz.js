@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createQuiz,
+  editQuiz,
+  deleteQuiz,
+  getQuiz,
+  listModuleQuizzes,
+  submitQuiz,
+  getQuizAttempts
+} = require('../controllers/quizController');
+const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
+const { attachEntitlement } = require('../middlewares/subscription');
+const { attachContentVisibility } = require('../middlewares/contentVisibility');
+router.use(authMiddleware);
+
+// All quiz routes require authentication
+router.get('/', attachEntitlement, attachContentVisibility, getQuiz);
+router.get('/list', attachContentVisibility, listModuleQuizzes);
+router.post('/submit', attachEntitlement, attachContentVisibility, submitQuiz);
+router.get('/attempts', getQuizAttempts);
+//Admin Routes
+router.post('/', requirePermission('content:manage'), createQuiz);
+router.put('/', requirePermission('content:manage'), editQuiz);
+router.delete('/', requirePermission('content:manage'), deleteQuiz);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listCourseReviews,
+  getMyReview,
+  createReview,
+  editReview,
+  deleteReview,
+  hideReview,
+  unhideReview
+} = require('../controllers/reviewController');
+const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
+const { attachContentVisibility } = require('../middlewares/contentVisibility');
+router.use(authMiddleware);
+
+router.get('/', attachContentVisibility, listCourseReviews);
+router.get('/mine', getMyReview);
+router.post('/', attachContentVisibility, createReview);
+router.put('/', editReview);
+router.delete('/', deleteReview);
+//Admin Routes
+router.put('/hide', requirePermission('content:manage'), hideReview);
+router.put('/unhide', requirePermission('content:manage'), unhideReview);
+
+module.exports = router;
@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { addSeries, getRandomSeries } = require('../controllers/series');
+const { addSeries, getRandomSeries, deleteSeries, getSeriesTrash, restoreSeries } = require('../controllers/series');
 const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
+const { attachEntitlement } = require('../middlewares/subscription');
 
-// POST /api/series
 router.use(authMiddleware);
-router.post('/add-series', addSeries);
-router.get('/', getRandomSeries);
+// Admin Routes
+router.post('/add-series', requirePermission('content:manage'), addSeries);
+router.delete('/', requirePermission('content:manage'), deleteSeries);
+router.get('/trash', requirePermission('content:manage'), getSeriesTrash);
+router.put('/restore', requirePermission('content:manage'), restoreSeries);
+router.get('/', attachEntitlement, getRandomSeries);
 
 module.exports = router; 
\ No newline at end of file
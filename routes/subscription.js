@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const subscriptionController = require('../controllers/subscriptionController');
 const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
 
 // Subscription Plans (Authentication required)
 router.get('/plans', authMiddleware, subscriptionController.getSubscriptionPlans);
@@ -13,6 +14,7 @@ router.post('/confirm-payment', authMiddleware, subscriptionController.confirmPa
 router.post('/cancel', authMiddleware, subscriptionController.cancelSubscription);
 router.get('/status', authMiddleware, subscriptionController.getSubscriptionStatus);
 router.get('/current', authMiddleware, subscriptionController.getCurrentSubscription);
+router.get('/entitlement', authMiddleware, subscriptionController.getEntitlement);
 
 // Payment Methods
 router.get('/payment-method/list', authMiddleware, subscriptionController.listPaymentMethods);
@@ -28,6 +30,6 @@ router.delete('/billing-info/delete', authMiddleware, subscriptionController.del
 // The webhook route is now handled in server.js to accommodate the raw body parser.
 
 // Admin Routes
-router.put('/admin/edit-price', authMiddleware, subscriptionController.editSubscriptionPlanPrice);
+router.put('/admin/edit-price', authMiddleware, requirePermission('subscription:manage'), subscriptionController.editSubscriptionPlanPrice);
 
 module.exports = router;
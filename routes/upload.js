@@ -6,7 +6,13 @@ const {
   uploadGeneralFile,
   upload
 } = require('../controllers/upload');
+const {
+  getTranscodeJob,
+  listTranscodeJobs,
+  cancelJob
+} = require('../controllers/transcodeJobController');
 const authMiddleware = require('../middlewares/auth');
+const { attachContentVisibility } = require('../middlewares/contentVisibility');
 const { errorResponse } = require('../utils/apiResponse');
 const multer = require('multer');
 
@@ -38,4 +44,9 @@ router.post('/file', upload.single('file'), enhancedErrorHandler, uploadGeneralF
 router.post('/image', authMiddleware, upload.single('image'), enhancedErrorHandler, uploadImage);
 router.post('/video', authMiddleware, upload.single('video'), enhancedErrorHandler, uploadVideo);
 
+// Video transcoding jobs
+router.get('/job', authMiddleware, attachContentVisibility, getTranscodeJob);
+router.get('/jobs', authMiddleware, attachContentVisibility, listTranscodeJobs);
+router.delete('/job', authMiddleware, attachContentVisibility, cancelJob);
+
 module.exports = router; 
\ No newline at end of file
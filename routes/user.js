@@ -13,9 +13,15 @@ const {
   modifyBio,
   modifyCountry,
   getUserProfile,
-  editUserProfile
+  editUserProfile,
+  setLearningGoal,
+  getLearningActivity,
+  grantUserRole,
+  revokeUserRole,
+  listPrivilegedUsers
 } = require('../controllers/user');
 const authMiddleware = require('../middlewares/auth');
+const requirePermission = require('../middlewares/permission');
 
 // Public routes
 router.post('/signup', signUp);
@@ -33,5 +39,12 @@ router.put('/modify-avatar', modifyAvatar);
 router.put('/modify-username', modifyUsername);
 router.put('/modify-bio', modifyBio);
 router.put('/modify-country', modifyCountry);
+router.put('/learning-goal', setLearningGoal);
+router.get('/learning-activity', getLearningActivity);
+
+// Admin Routes
+router.get('/admin/roles', requirePermission('role:manage'), listPrivilegedUsers);
+router.put('/admin/grant-role', requirePermission('role:manage'), grantUserRole);
+router.put('/admin/revoke-role', requirePermission('role:manage'), revokeUserRole);
 
 module.exports = router;
\ No newline at end of file
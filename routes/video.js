@@ -1,15 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { postVideo, getRandomSuggestion, getContinueWatching } = require('../controllers/video');
+const {
+  postVideo,
+  getRandomSuggestion,
+  getContinueWatching,
+  deleteVideo,
+  getVideoTrash,
+  restoreVideo
+} = require('../controllers/video');
 const { getRandomFilms, getPopularFilms } = require('../controllers/film');
 const { getRandomSeries } = require('../controllers/series');
 const authMiddleware = require('../middlewares/auth');
-
-// POST /api/video
-router.post('/add-video', postVideo);
+const requirePermission = require('../middlewares/permission');
+const { attachEntitlement } = require('../middlewares/subscription');
 
 router.use(authMiddleware); 
 
+// Admin Routes
+router.post('/add-video', requirePermission('content:manage'), postVideo);
+router.delete('/', requirePermission('content:manage'), deleteVideo);
+router.get('/trash', requirePermission('content:manage'), getVideoTrash);
+router.put('/restore', requirePermission('content:manage'), restoreVideo);
+
+// Content routes (premium items are locked without a subscription)
+router.use(attachEntitlement);
 router.get('/suggestion', getRandomSuggestion);
 router.get('/continue-watching', getContinueWatching);
 router.get('/films', getRandomFilms);
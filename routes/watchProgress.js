@@ -1,7 +1,25 @@
 const express = require('express');
 const router = express.Router();
+const {
+  getWatchProgress,
+  updateWatchProgress,
+  batchUpdateWatchProgress,
+  completeWatchProgress,
+  resetWatchProgress
+} = require('../controllers/watchProgressController');
+const authMiddleware = require('../middlewares/auth');
+const { attachEntitlement } = require('../middlewares/subscription');
+const { attachContentVisibility } = require('../middlewares/contentVisibility');
 
-// Watch progress is handled via Socket.IO events, not REST endpoints
-// The progress is stored in memory and accessed through existing video endpoints
+// Watch progress is also reported in real time via the Socket.IO "video-progress" event;
+// these endpoints share the same validation and storage for REST/mobile clients
+router.use(authMiddleware);
 
-module.exports = router; 
\ No newline at end of file
+router.get('/', getWatchProgress);
+// Lesson progress is only recorded for lessons the user may open (see checkProgressAccess)
+router.post('/', attachEntitlement, attachContentVisibility, updateWatchProgress);
+router.post('/batch', attachEntitlement, attachContentVisibility, batchUpdateWatchProgress);
+router.post('/complete', attachEntitlement, attachContentVisibility, completeWatchProgress);
+router.delete('/', resetWatchProgress);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const User = require('../models/user');
+const { ROLES, isValidRole } = require('../utils/roles');
+
+// Usage: node scripts/grantRole.js <email> <role>
+// Bootstraps the first super-admin; afterwards roles are managed via /api/user/admin/grant-role
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !role) {
+    console.error('❌ Usage: node scripts/grantRole.js <email> <role>');
+    process.exit(1);
+  }
+
+  if (!isValidRole(role)) {
+    console.error(`❌ Invalid role '${role}'. Valid roles: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(config.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const user = await User.findOneAndUpdate({ email }, { role }, { new: true });
+    if (!user) {
+      console.error(`❌ No user found with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ ${user.email} now has role '${user.role}'`);
+  } catch (error) {
+    console.error('💥 Failed to grant role:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+main();
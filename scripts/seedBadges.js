@@ -0,0 +1,37 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Badge = require('../models/badge');
+
+// Starter badges; existing badges with the same key are left untouched so admin edits survive re-runs
+const DEFAULT_BADGES = [
+  { key: 'first-lesson', name: 'First Steps', description: 'Complete your first lesson', icon: '👣', criterion: 'lessons-completed', threshold: 1 },
+  { key: 'lessons-50', name: 'Dedicated Learner', description: 'Complete 50 lessons', icon: '📚', criterion: 'lessons-completed', threshold: 50 },
+  { key: 'first-course', name: 'Graduate', description: 'Complete your first course', icon: '🎓', criterion: 'courses-completed', threshold: 1 },
+  { key: 'courses-5', name: 'Scholar', description: 'Complete 5 courses', icon: '🏛️', criterion: 'courses-completed', threshold: 5 },
+  { key: 'streak-7', name: 'On a Roll', description: 'Learn 7 days in a row', icon: '🔥', criterion: 'streak-days', threshold: 7 },
+  { key: 'streak-30', name: 'Unstoppable', description: 'Learn 30 days in a row', icon: '⚡', criterion: 'streak-days', threshold: 30 },
+  { key: 'messages-100', name: 'Community Voice', description: 'Send 100 chat messages', icon: '💬', criterion: 'messages-sent', threshold: 100 },
+  { key: 'points-1000', name: 'High Achiever', description: 'Earn 1,000 points', icon: '🏆', criterion: 'total-points', threshold: 1000 }
+];
+
+// Usage: node scripts/seedBadges.js
+const main = async () => {
+  try {
+    await mongoose.connect(config.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    for (const badge of DEFAULT_BADGES) {
+      const result = await Badge.updateOne({ key: badge.key }, { $setOnInsert: badge }, { upsert: true });
+      console.log(result.upsertedCount ? `✅ Created badge '${badge.key}'` : `⚠️ Badge '${badge.key}' already exists`);
+    }
+  } catch (error) {
+    console.error('💥 Failed to seed badges:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+main();
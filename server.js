@@ -10,6 +10,9 @@ const config = require("./config/config");
 const connectDB = require("./config/db");
 const socketManager = require("./utils/socketManager");
 const { initializeSubscriptionScheduler } = require("./utils/subscriptionScheduler");
+const { initializeContentScheduler } = require("./utils/contentScheduler");
+const { initializeLearningScheduler } = require("./utils/learningScheduler");
+const { initializeTranscodeWorker } = require("./utils/transcodeQueue");
 const subscriptionController = require('./controllers/subscriptionController');
 const subscriptionRoutes = require('./routes/subscription');
 
@@ -23,9 +26,14 @@ server.maxConnections = 1000;
 // Initialize Socket.IO with our socket manager
 socketManager.initialize(server);
 
-// Initialize subscription expiry warning scheduler
+// Initialize subscription expiry warning and content publishing schedulers
 setTimeout(() => {
   initializeSubscriptionScheduler();
+  initializeContentScheduler();
+  initializeLearningScheduler();
+  initializeTranscodeWorker().catch((error) => {
+    console.error('❌ [Transcode Queue] Failed to start worker:', error.message);
+  });
 }, 2000); // Wait a bit longer to ensure everything is initialized
 
 // Stripe webhook endpoint
@@ -81,12 +89,21 @@ app.use("/api/campus", require('./routes/campus'));
 app.use("/api/course", require('./routes/course'));
 app.use("/api/module", require('./routes/module'));
 app.use("/api/lesson", require('./routes/lesson'));
+app.use("/api/quiz", require('./routes/quiz'));
 app.use("/api/watch-progress", require('./routes/watchProgress'));
 app.use("/api/marketplace", require('./routes/marketplace'));
 app.use("/api/book", require('./routes/book'));
 app.use("/api/feed", require('./routes/feed'));
 app.use("/api/banner", require('./routes/banner'));
 app.use("/api/notification", require('./routes/notification'));
+app.use("/api/integrity", require('./routes/integrity'));
+app.use("/api/certificate", require('./routes/certificate'));
+app.use("/api/note", require('./routes/note'));
+app.use("/api/discussion", require('./routes/discussion'));
+app.use("/api/review", require('./routes/review'));
+app.use("/api/curriculum", require('./routes/curriculum'));
+app.use("/api/gamification", require('./routes/gamification'));
+app.use("/api/media", require('./routes/media'));
 
 // Base route
 app.get("/", (req, res) => {
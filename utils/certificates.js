@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Certificate = require('../models/certificate');
+const Course = require('../models/course');
+const Module = require('../models/module');
+const Lesson = require('../models/lesson');
+const User = require('../models/user');
+const WatchProgress = require('../models/watchProgress');
+const Quiz = require('../models/quiz');
+const QuizAttempt = require('../models/quizAttempt');
+const socketManager = require('./socketManager');
+const { awardPoints } = require('./gamification');
+const { PUBLISHED_FILTER, isPublished } = require('./publishing');
+
+// Attempts at generating a verification code that is not taken yet
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Generate a human-readable verification code, e.g. "4F1A-9C2E-B07D"
+ * @returns {String}
+ */
+const generateVerificationCode = () => {
+  return crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+};
+
+/**
+ * Name printed on the certificate
+ * @param {Object} user - User document
+ * @returns {String}
+ */
+const getRecipientName = (user) => {
+  const fullName = [user.firstName, user.lastName].filter(Boolean).join(' ').trim();
+  return fullName || user.username || user.email;
+};
+
+/**
+ * Check whether a user has completed every published lesson of a course and passed
+ * its module assessments (quiz lessons count as completed once their quiz is passed)
+ * @param {String} userId - User ID
+ * @param {String} courseId - Course ID
+ * @returns {Object} - { completed, completedAt } (completedAt is the last lesson or quiz completion)
+ */
+const getCourseCompletion = async (userId, courseId) => {
+  const modules = await Module.find({ courseId, ...PUBLISHED_FILTER }).select('_id');
+  const lessons = await Lesson.find({
+    moduleId: { $in: modules.map(module => module._id) },
+    ...PUBLISHED_FILTER
+  }).select('_id');
+
+  if (lessons.length === 0) {
+    return { completed: false, completedAt: null };
+  }
+
+  const completedProgress = await WatchProgress.find({
+    userId,
+    videoId: { $in: lessons.map(lesson => lesson._id) },
+    isCompleted: true
+  }).select('lastUpdated');
+
+  if (completedProgress.length < lessons.length) {
+    return { completed: false, completedAt: null };
+  }
+
+  const assessments = await Quiz.find({ moduleId: { $in: modules.map(module => module._id) }, lessonId: null }).select('_id');
+  const passedAttempts = await QuizAttempt.find({
+    userId,
+    quizId: { $in: assessments.map(quiz => quiz._id) },
+    passed: true
+  }).select('quizId submittedAt');
+  const passedQuizIds = new Set(passedAttempts.map(attempt => attempt.quizId.toString()));
+  if (passedQuizIds.size < assessments.length) {
+    return { completed: false, completedAt: null };
+  }
+
+  const completionTimes = [
+    ...completedProgress.map(progress => new Date(progress.lastUpdated).getTime()),
+    ...passedAttempts.map(attempt => new Date(attempt.submittedAt).getTime())
+  ];
+  const completedAt = new Date(Math.max(...completionTimes));
+  return { completed: true, completedAt };
+};
+
+/**
+ * Issue a certificate if the user has just completed the course.
+ * Sends the course-completed notification for newly issued certificates.
+ * @param {String} userId - User ID
+ * @param {String} courseId - Course ID
+ * @returns {Object|null} - Newly issued certificate, or null if not completed or already issued
+ */
+const issueCertificateIfComplete = async (userId, courseId) => {
+  const existing = await Certificate.exists({ userId, courseId });
+  if (existing) return null;
+
+  const course = await Course.findById(courseId).populate('campusId', 'title');
+  if (!course || !course.campusId || !isPublished(course)) return null;
+
+  const { completed, completedAt } = await getCourseCompletion(userId, course._id);
+  if (!completed) return null;
+
+  const user = await User.findById(userId).select('firstName lastName username email');
+  if (!user) return null;
+
+  let certificate = null;
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS && !certificate; attempt++) {
+    try {
+      certificate = await Certificate.create({
+        userId: user._id,
+        courseId: course._id,
+        campusId: course.campusId._id,
+        verificationCode: generateVerificationCode(),
+        recipientName: getRecipientName(user),
+        courseTitle: course.title,
+        campusTitle: course.campusId.title,
+        completedAt
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // A concurrent request already issued this certificate; otherwise the code was taken, so retry
+      if (error.keyPattern && error.keyPattern.userId) return null;
+    }
+  }
+
+  if (!certificate) {
+    throw new Error('Failed to generate a unique verification code');
+  }
+
+  console.log(`🎓 [Certificates] Issued certificate ${certificate.verificationCode} to user ${userId} for course ${course._id}`);
+
+  try {
+    await socketManager.broadcastCourseCompleted(certificate);
+  } catch (error) {
+    console.error('❌ [Certificates] Failed to send course-completed notification:', error.message);
+  }
+  await awardPoints(user._id, 'course-completed', { sourceId: course._id, campusId: course.campusId._id });
+
+  return certificate;
+};
+
+/**
+ * Issue the course certificate when a completed lesson finishes its course
+ * @param {String} userId - User ID
+ * @param {String} lessonId - Lesson ID
+ * @returns {Object|null} - Newly issued certificate or null
+ */
+const issueCertificateForLesson = async (userId, lessonId) => {
+  const lesson = await Lesson.findById(lessonId).populate('moduleId', 'courseId');
+  if (!lesson || !lesson.moduleId) return null;
+  return issueCertificateIfComplete(userId, lesson.moduleId.courseId);
+};
+
+/**
+ * Render a certificate as a landscape A4 PDF
+ * @param {Object} certificate - Certificate document
+ * @param {Object} output - Writable stream (e.g. the Express response)
+ */
+const renderCertificatePdf = (certificate, output) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+  doc.pipe(output);
+
+  const { width, height } = doc.page;
+  const contentWidth = width - 100;
+  const issuedDate = new Date(certificate.completedAt).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  doc.lineWidth(3).rect(25, 25, width - 50, height - 50).stroke('#1f2937');
+  doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke('#9ca3af');
+
+  doc.fillColor('#1f2937').font('Helvetica-Bold').fontSize(34)
+    .text('Certificate of Completion', 50, 110, { width: contentWidth, align: 'center' });
+
+  doc.font('Helvetica').fontSize(16).fillColor('#4b5563')
+    .text('This certifies that', 50, 190, { width: contentWidth, align: 'center' });
+
+  doc.font('Helvetica-Bold').fontSize(30).fillColor('#111827')
+    .text(certificate.recipientName, 50, 225, { width: contentWidth, align: 'center' });
+
+  doc.font('Helvetica').fontSize(16).fillColor('#4b5563')
+    .text('has successfully completed the course', 50, 285, { width: contentWidth, align: 'center' });
+
+  doc.font('Helvetica-Bold').fontSize(24).fillColor('#111827')
+    .text(certificate.courseTitle, 50, 320, { width: contentWidth, align: 'center' });
+
+  doc.font('Helvetica').fontSize(16).fillColor('#4b5563')
+    .text(`${certificate.campusTitle} Campus`, 50, 365, { width: contentWidth, align: 'center' })
+    .text(`Completed on ${issuedDate}`, 50, 395, { width: contentWidth, align: 'center' });
+
+  doc.fontSize(10).fillColor('#6b7280')
+    .text(`Verification code: ${certificate.verificationCode}`, 50, height - 90, { width: contentWidth, align: 'center' });
+
+  doc.end();
+};
+
+module.exports = {
+  getCourseCompletion,
+  issueCertificateIfComplete,
+  issueCertificateForLesson,
+  renderCertificatePdf
+};
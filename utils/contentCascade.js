@@ -0,0 +1,473 @@
+const Campus = require('../models/campus');
+const Course = require('../models/course');
+const Module = require('../models/module');
+const Lesson = require('../models/lesson');
+const Video = require('../models/video');
+const Channel = require('../models/channel');
+const Message = require('../models/chat-message');
+const WatchProgress = require('../models/watchProgress');
+const Notification = require('../models/notification');
+const UserNotificationRead = require('../models/userNotificationRead');
+const Quiz = require('../models/quiz');
+const QuizAttempt = require('../models/quizAttempt');
+const ResourceDownload = require('../models/resourceDownload');
+const Note = require('../models/note');
+const DiscussionPost = require('../models/discussionPost');
+const Review = require('../models/review');
+const Series = require('../models/series');
+const Banner = require('../models/banner');
+const Book = require('../models/book');
+const Feed = require('../models/feed');
+const Marketplace = require('../models/marketplace');
+const { TRASH_RETENTION_DAYS } = require('./softDelete');
+
+// Maximum number of orphan IDs listed per type in the integrity report
+const REPORT_ID_LIMIT = 100;
+
+const emptySummary = () => ({
+  campuses: 0,
+  courses: 0,
+  modules: 0,
+  lessons: 0,
+  channels: 0,
+  messages: 0,
+  watchProgress: 0,
+  notifications: 0,
+  notificationReads: 0,
+  quizzes: 0,
+  quizAttempts: 0,
+  resourceDownloads: 0,
+  notes: 0,
+  discussionPosts: 0,
+  reviews: 0
+});
+
+// Delete notifications (and their per-user read records) matching a filter
+const deleteNotifications = async (filter, summary) => {
+  const notifications = await Notification.find(filter).select('_id');
+  if (notifications.length === 0) return;
+
+  const notificationIds = notifications.map(n => n._id);
+  const reads = await UserNotificationRead.deleteMany({ notificationId: { $in: notificationIds } });
+  const deleted = await Notification.deleteMany({ _id: { $in: notificationIds } });
+  summary.notificationReads += reads.deletedCount;
+  summary.notifications += deleted.deletedCount;
+};
+
+// Delete quizzes matching a filter together with every attempt at them
+const deleteQuizzes = async (filter, summary) => {
+  const quizzes = await Quiz.find(filter).select('_id');
+  if (quizzes.length === 0) return;
+
+  const quizIds = quizzes.map(q => q._id);
+  const attempts = await QuizAttempt.deleteMany({ quizId: { $in: quizIds } });
+  const deleted = await Quiz.deleteMany({ _id: { $in: quizIds } });
+  summary.quizAttempts += attempts.deletedCount;
+  summary.quizzes += deleted.deletedCount;
+};
+
+/*
+ * Cascading deletes. Children are always removed before their parent so that a
+ * failure part-way leaves the parent in place and the delete can simply be retried.
+ * Children are looked up including trashed ones so purging a parent leaves no orphans.
+ */
+
+/**
+ * Delete lessons with their quizzes, watch progress, resource download counters, user notes,
+ * discussion threads and release notifications
+ * @param {Array} lessonIds - Lesson IDs
+ * @param {Object} summary - Deletion counters (updated in place)
+ * @returns {Object} - Deletion counters
+ */
+const deleteLessons = async (lessonIds, summary = emptySummary()) => {
+  if (lessonIds.length === 0) return summary;
+
+  const progress = await WatchProgress.deleteMany({ videoId: { $in: lessonIds } });
+  summary.watchProgress += progress.deletedCount;
+  const downloads = await ResourceDownload.deleteMany({ lessonId: { $in: lessonIds } });
+  summary.resourceDownloads += downloads.deletedCount;
+  const notes = await Note.deleteMany({ contentId: { $in: lessonIds } });
+  summary.notes += notes.deletedCount;
+  const posts = await DiscussionPost.deleteMany({ lessonId: { $in: lessonIds } });
+  summary.discussionPosts += posts.deletedCount;
+  await deleteQuizzes({ lessonId: { $in: lessonIds } }, summary);
+  await deleteNotifications({ relatedEntityType: 'lesson', relatedEntityId: { $in: lessonIds } }, summary);
+
+  const deleted = await Lesson.deleteMany({ _id: { $in: lessonIds } });
+  summary.lessons += deleted.deletedCount;
+  return summary;
+};
+
+/**
+ * Delete modules with all of their lessons and module assessments
+ * @param {Array} moduleIds - Module IDs
+ * @param {Object} summary - Deletion counters (updated in place)
+ * @returns {Object} - Deletion counters
+ */
+const deleteModules = async (moduleIds, summary = emptySummary()) => {
+  if (moduleIds.length === 0) return summary;
+
+  const lessons = await Lesson.find({ moduleId: { $in: moduleIds } }).setOptions({ withDeleted: true }).select('_id');
+  await deleteLessons(lessons.map(l => l._id), summary);
+  await deleteQuizzes({ moduleId: { $in: moduleIds } }, summary);
+
+  const deleted = await Module.deleteMany({ _id: { $in: moduleIds } });
+  summary.modules += deleted.deletedCount;
+  return summary;
+};
+
+/**
+ * Delete courses with their modules, lessons, reviews and release notifications
+ * @param {Array} courseIds - Course IDs
+ * @param {Object} summary - Deletion counters (updated in place)
+ * @returns {Object} - Deletion counters
+ */
+const deleteCourses = async (courseIds, summary = emptySummary()) => {
+  if (courseIds.length === 0) return summary;
+
+  const modules = await Module.find({ courseId: { $in: courseIds } }).setOptions({ withDeleted: true }).select('_id');
+  await deleteModules(modules.map(m => m._id), summary);
+  await deleteNotifications({ relatedEntityType: 'course', relatedEntityId: { $in: courseIds } }, summary);
+  const reviews = await Review.deleteMany({ courseId: { $in: courseIds } });
+  summary.reviews += reviews.deletedCount;
+
+  const deleted = await Course.deleteMany({ _id: { $in: courseIds } });
+  summary.courses += deleted.deletedCount;
+  return summary;
+};
+
+/**
+ * Delete chat channels with their messages (and watch progress of video messages)
+ * @param {Array} channelIds - Channel IDs
+ * @param {Object} summary - Deletion counters (updated in place)
+ * @returns {Object} - Deletion counters
+ */
+const deleteChannels = async (channelIds, summary = emptySummary()) => {
+  if (channelIds.length === 0) return summary;
+
+  const videoMessages = await Message.find({ channelId: { $in: channelIds }, mediaType: 'video' }).select('_id');
+  if (videoMessages.length > 0) {
+    const progress = await WatchProgress.deleteMany({ videoId: { $in: videoMessages.map(m => m._id) } });
+    summary.watchProgress += progress.deletedCount;
+  }
+
+  const messages = await Message.deleteMany({ channelId: { $in: channelIds } });
+  summary.messages += messages.deletedCount;
+
+  const deleted = await Channel.deleteMany({ _id: { $in: channelIds } });
+  summary.channels += deleted.deletedCount;
+  return summary;
+};
+
+/**
+ * Delete a campus with its courses, channels and campus notifications
+ * @param {String} campusId - Campus ID
+ * @returns {Object} - Deletion counters
+ */
+const deleteCampusCascade = async (campusId) => {
+  const summary = emptySummary();
+
+  const courses = await Course.find({ campusId }).setOptions({ withDeleted: true }).select('_id');
+  await deleteCourses(courses.map(c => c._id), summary);
+
+  const channels = await Channel.find({ campusId }).select('_id');
+  await deleteChannels(channels.map(c => c._id), summary);
+
+  await deleteNotifications({ campusId }, summary);
+  await deleteNotifications({ relatedEntityType: 'campus', relatedEntityId: campusId }, summary);
+
+  const deleted = await Campus.deleteOne({ _id: campusId });
+  summary.campuses += deleted.deletedCount;
+  return summary;
+};
+
+// IDs of documents (trashed or not) whose reference field points at a missing document
+const findMissingReferences = async (Model, localField, from, match = {}) => {
+  const aggregate = Model.aggregate([
+    { $match: { ...match, [localField]: { $ne: null } } },
+    { $lookup: { from, localField, foreignField: '_id', as: 'parent' } },
+    { $match: { parent: { $size: 0 } } },
+    { $project: { _id: 1 } }
+  ]);
+  if (Model.schema.path('deletedAt')) {
+    aggregate.option({ withDeleted: true });
+  }
+  const orphans = await aggregate;
+  return orphans.map(o => o._id);
+};
+
+/**
+ * Find documents that reference deleted content
+ * @returns {Object} - { [type]: [ids] }
+ */
+const findOrphans = async () => {
+  const orphans = {
+    courses: await findMissingReferences(Course, 'campusId', Campus.collection.name),
+    modules: await findMissingReferences(Module, 'courseId', Course.collection.name),
+    lessons: await findMissingReferences(Lesson, 'moduleId', Module.collection.name),
+    channels: await findMissingReferences(Channel, 'campusId', Campus.collection.name),
+    messages: await findMissingReferences(Message, 'channelId', Channel.collection.name),
+    notificationReads: await findMissingReferences(UserNotificationRead, 'notificationId', Notification.collection.name),
+    quizAttempts: await findMissingReferences(QuizAttempt, 'quizId', Quiz.collection.name),
+    resourceDownloads: await findMissingReferences(ResourceDownload, 'lessonId', Lesson.collection.name),
+    reviews: await findMissingReferences(Review, 'courseId', Course.collection.name)
+  };
+
+  // Discussion posts belong to a lesson; replies also to their question
+  const postIds = [
+    ...await findMissingReferences(DiscussionPost, 'lessonId', Lesson.collection.name),
+    ...await findMissingReferences(DiscussionPost, 'parentId', DiscussionPost.collection.name)
+  ];
+  orphans.discussionPosts = [...new Map(postIds.map(id => [id.toString(), id])).values()];
+
+  // Quizzes belong to a module and, for quiz lessons, to a lesson
+  const quizIds = [
+    ...await findMissingReferences(Quiz, 'moduleId', Module.collection.name),
+    ...await findMissingReferences(Quiz, 'lessonId', Lesson.collection.name)
+  ];
+  orphans.quizzes = [...new Map(quizIds.map(id => [id.toString(), id])).values()];
+
+  // Watch progress can point at a video, a lesson or a video chat message
+  const progress = await WatchProgress.aggregate([
+    { $lookup: { from: Video.collection.name, localField: 'videoId', foreignField: '_id', as: 'video' } },
+    { $lookup: { from: Lesson.collection.name, localField: 'videoId', foreignField: '_id', as: 'lesson' } },
+    { $lookup: { from: Message.collection.name, localField: 'videoId', foreignField: '_id', as: 'message' } },
+    { $match: { video: { $size: 0 }, lesson: { $size: 0 }, message: { $size: 0 } } },
+    { $project: { _id: 1 } }
+  ]);
+  orphans.watchProgress = progress.map(p => p._id);
+
+  // Notes can be attached to a video or a lesson
+  const notes = await Note.aggregate([
+    { $lookup: { from: Video.collection.name, localField: 'contentId', foreignField: '_id', as: 'video' } },
+    { $lookup: { from: Lesson.collection.name, localField: 'contentId', foreignField: '_id', as: 'lesson' } },
+    { $match: { video: { $size: 0 }, lesson: { $size: 0 } } },
+    { $project: { _id: 1 } }
+  ]);
+  orphans.notes = notes.map(n => n._id);
+
+  // Notifications about deleted campuses, courses or lessons
+  const notificationIds = [
+    ...await findMissingReferences(Notification, 'campusId', Campus.collection.name),
+    ...await findMissingReferences(Notification, 'relatedEntityId', Campus.collection.name, { relatedEntityType: 'campus' }),
+    ...await findMissingReferences(Notification, 'relatedEntityId', Course.collection.name, { relatedEntityType: 'course' }),
+    ...await findMissingReferences(Notification, 'relatedEntityId', Lesson.collection.name, { relatedEntityType: 'lesson' })
+  ];
+  const uniqueNotificationIds = new Map(notificationIds.map(id => [id.toString(), id]));
+  orphans.notifications = [...uniqueNotificationIds.values()];
+
+  return orphans;
+};
+
+/**
+ * Build the admin integrity report
+ * @returns {Object} - { totalOrphans, orphans: { [type]: { count, ids } } }
+ */
+const getIntegrityReport = async () => {
+  const orphans = await findOrphans();
+  const report = { totalOrphans: 0, orphans: {} };
+
+  for (const [type, ids] of Object.entries(orphans)) {
+    report.totalOrphans += ids.length;
+    report.orphans[type] = {
+      count: ids.length,
+      ids: ids.slice(0, REPORT_ID_LIMIT)
+    };
+  }
+
+  return report;
+};
+
+/**
+ * Delete all orphaned documents, cascading to their own children
+ * @returns {Object} - Deletion counters
+ */
+const purgeOrphans = async () => {
+  const summary = emptySummary();
+
+  // Hierarchy orphans first; their cascades also remove dependent progress and notifications
+  let orphans = await findOrphans();
+  await deleteCourses(orphans.courses, summary);
+  await deleteModules(orphans.modules, summary);
+  await deleteLessons(orphans.lessons, summary);
+  await deleteChannels(orphans.channels, summary);
+  await deleteQuizzes({ _id: { $in: orphans.quizzes } }, summary);
+
+  // Re-scan for leaf orphans left behind by the cascades above
+  orphans = await findOrphans();
+  const messages = await Message.deleteMany({ _id: { $in: orphans.messages } });
+  summary.messages += messages.deletedCount;
+
+  const progress = await WatchProgress.deleteMany({
+    $or: [
+      { _id: { $in: orphans.watchProgress } },
+      { videoId: { $in: orphans.messages } }
+    ]
+  });
+  summary.watchProgress += progress.deletedCount;
+
+  await deleteNotifications({ _id: { $in: orphans.notifications } }, summary);
+
+  const reads = await UserNotificationRead.deleteMany({ _id: { $in: orphans.notificationReads } });
+  summary.notificationReads += reads.deletedCount;
+
+  const attempts = await QuizAttempt.deleteMany({ _id: { $in: orphans.quizAttempts } });
+  summary.quizAttempts += attempts.deletedCount;
+
+  const downloads = await ResourceDownload.deleteMany({ _id: { $in: orphans.resourceDownloads } });
+  summary.resourceDownloads += downloads.deletedCount;
+
+  const notes = await Note.deleteMany({ _id: { $in: orphans.notes } });
+  summary.notes += notes.deletedCount;
+
+  const posts = await DiscussionPost.deleteMany({ _id: { $in: orphans.discussionPosts } });
+  summary.discussionPosts += posts.deletedCount;
+
+  const reviews = await Review.deleteMany({ _id: { $in: orphans.reviews } });
+  summary.reviews += reviews.deletedCount;
+
+  return summary;
+};
+
+const LEARNING_MODELS = {
+  campus: Campus,
+  course: Course,
+  module: Module,
+  lesson: Lesson
+};
+
+// IDs of a learning item and all of its descendants matching a deletedAt filter
+const collectLearningTree = async (contentType, id, deletedAt) => {
+  const findIds = async (Model, filter) => {
+    const docs = await Model.find({ ...filter, deletedAt }).select('_id');
+    return docs.map(doc => doc._id);
+  };
+
+  const tree = { campus: [], course: [], module: [], lesson: [] };
+  tree[contentType] = [id];
+  if (contentType === 'campus') {
+    tree.course = await findIds(Course, { campusId: id });
+  }
+  if (['campus', 'course'].includes(contentType)) {
+    tree.module = await findIds(Module, { courseId: { $in: tree.course } });
+  }
+  if (contentType !== 'lesson') {
+    tree.lesson = await findIds(Lesson, { moduleId: { $in: tree.module } });
+  }
+  return tree;
+};
+
+/**
+ * Move a campus, course, module or lesson to the trash together with its live descendants.
+ * All items share one deletedAt so they can be restored as a unit.
+ * @param {String} contentType - 'campus', 'course', 'module' or 'lesson'
+ * @param {String} id - Item ID
+ * @param {String} userId - Admin performing the delete
+ * @returns {Object|null} - Trashed counts per type, or null if the item was not found
+ */
+const trashLearningContent = async (contentType, id, userId) => {
+  const Model = LEARNING_MODELS[contentType];
+  const item = await Model.findById(id).select('_id');
+  if (!item) return null;
+
+  const trashedAt = new Date();
+  const tree = await collectLearningTree(contentType, item._id, null);
+  const trashed = {};
+  for (const [type, ids] of Object.entries(tree)) {
+    const result = await LEARNING_MODELS[type].updateMany(
+      { _id: { $in: ids } },
+      { deletedAt: trashedAt, deletedBy: userId }
+    );
+    trashed[type] = result.modifiedCount;
+  }
+  return trashed;
+};
+
+/**
+ * Restore a trashed learning item and the descendants trashed with it
+ * @param {String} contentType - 'campus', 'course', 'module' or 'lesson'
+ * @param {String} id - Item ID
+ * @returns {Object} - { error } or { item, restored } with restored counts per type
+ */
+const restoreLearningContent = async (contentType, id) => {
+  const Model = LEARNING_MODELS[contentType];
+  const item = await Model.findOne({ _id: id, deletedAt: { $ne: null } });
+  if (!item) {
+    return { error: 'not-in-trash' };
+  }
+
+  // Items cannot be restored under a parent that is itself in the trash (or gone)
+  const parents = {
+    course: [Campus, 'campusId'],
+    module: [Course, 'courseId'],
+    lesson: [Module, 'moduleId']
+  };
+  if (parents[contentType]) {
+    const [ParentModel, parentField] = parents[contentType];
+    const parent = await ParentModel.findById(item[parentField]).select('_id');
+    if (!parent) {
+      return { error: 'parent-unavailable' };
+    }
+  }
+
+  const tree = await collectLearningTree(contentType, item._id, item.deletedAt);
+  const restored = {};
+  for (const [type, ids] of Object.entries(tree)) {
+    const result = await LEARNING_MODELS[type].updateMany(
+      { _id: { $in: ids }, deletedAt: item.deletedAt },
+      { deletedAt: null, deletedBy: null }
+    );
+    restored[type] = result.modifiedCount;
+  }
+
+  return { item: await Model.findById(item._id), restored };
+};
+
+/**
+ * Permanently delete everything that has been in the trash longer than the retention period
+ * @returns {Object} - Deletion counters
+ */
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+  const expiredIds = async (Model) => (await Model.find(expired).select('_id')).map(doc => doc._id);
+
+  // Learning content goes through the cascade so progress and notifications are removed too
+  const summary = emptySummary();
+  for (const campusId of await expiredIds(Campus)) {
+    const deleted = await deleteCampusCascade(campusId);
+    for (const key of Object.keys(summary)) summary[key] += deleted[key];
+  }
+  await deleteCourses(await expiredIds(Course), summary);
+  await deleteModules(await expiredIds(Module), summary);
+  await deleteLessons(await expiredIds(Lesson), summary);
+
+  const videoIds = await expiredIds(Video);
+  if (videoIds.length > 0) {
+    const progress = await WatchProgress.deleteMany({ videoId: { $in: videoIds } });
+    summary.watchProgress += progress.deletedCount;
+    const notes = await Note.deleteMany({ contentId: { $in: videoIds } });
+    summary.notes += notes.deletedCount;
+  }
+
+  const otherModels = { videos: Video, series: Series, banners: Banner, books: Book, feeds: Feed, marketplaces: Marketplace };
+  for (const [key, Model] of Object.entries(otherModels)) {
+    const deleted = await Model.deleteMany(expired);
+    summary[key] = deleted.deletedCount;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  deleteLessons,
+  deleteModules,
+  deleteCourses,
+  deleteChannels,
+  deleteCampusCascade,
+  getIntegrityReport,
+  purgeOrphans,
+  trashLearningContent,
+  restoreLearningContent,
+  purgeExpiredTrash
+};
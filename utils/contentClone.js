@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Campus = require('../models/campus');
+const Course = require('../models/course');
+const Module = require('../models/module');
+const Lesson = require('../models/lesson');
+const Quiz = require('../models/quiz');
+const { ORDER_SORT, getNextOrder } = require('./ordering');
+const { deleteCourses, deleteCampusCascade } = require('./contentCascade');
+
+// Copies start as drafts so they can be reviewed before release
+const DRAFT_STATE = { status: 'draft', publishAt: null, publishedAt: null };
+
+const emptyCounts = () => ({ courses: 0, modules: 0, lessons: 0, quizzes: 0, resources: 0 });
+
+// Lesson fields that point at uploaded media
+const stripLessonMedia = (lesson) => ({
+  videoUrl: '',
+  resolutions: [],
+  posterUrl: '',
+  thumbnailsUrl: '',
+  previewUrl: '',
+  length: 0,
+  // External links are kept, uploaded files are not
+  resources: lesson.resources.filter(resource => resource.type === 'link')
+});
+
+// Copy resource subdocuments with new IDs (download counters start from zero)
+const copyResources = (resources) => resources.map(resource => ({
+  type: resource.type,
+  title: resource.title,
+  url: resource.url,
+  fileName: resource.fileName,
+  size: resource.size,
+  mimeType: resource.mimeType
+}));
+
+/**
+ * Copy the modules, lessons (with resources) and quizzes of one course into another.
+ * Unlock rules are remapped to the copied modules and lessons.
+ * @param {Object} source - Course being copied
+ * @param {Object} target - New course
+ * @param {Boolean} copyMedia - Keep video URLs and uploaded files
+ * @param {Object} counts - Copy counters (updated in place)
+ */
+const copyCourseContent = async (source, target, copyMedia, counts) => {
+  const modules = await Module.find({ courseId: source._id }).sort(ORDER_SORT);
+  const moduleIds = new Map(modules.map(m => [m._id.toString(), new mongoose.Types.ObjectId()]));
+  const lessons = await Lesson.find({ moduleId: { $in: modules.map(m => m._id) } }).sort(ORDER_SORT);
+  const lessonIds = new Map(lessons.map(l => [l._id.toString(), new mongoose.Types.ObjectId()]));
+  const remap = (ids, id) => (id ? ids.get(id.toString()) || null : null);
+
+  await Module.insertMany(modules.map(module => {
+    const prerequisiteModuleId = remap(moduleIds, module.prerequisiteModuleId);
+    const prerequisiteLessonId = remap(lessonIds, module.prerequisiteLessonId);
+    const keepsPrerequisite = module.unlockType !== 'prerequisite' || prerequisiteModuleId || prerequisiteLessonId;
+    return {
+      _id: moduleIds.get(module._id.toString()),
+      courseId: target._id,
+      name: module.name,
+      order: module.order,
+      ...DRAFT_STATE,
+      unlockType: keepsPrerequisite ? module.unlockType : 'immediate',
+      unlockAfterDays: module.unlockAfterDays,
+      unlockAt: module.unlockAt,
+      prerequisiteModuleId,
+      prerequisiteLessonId,
+      createdAt: new Date()
+    };
+  }));
+  counts.modules += modules.length;
+
+  for (const lesson of lessons) {
+    const media = copyMedia ? lesson : stripLessonMedia(lesson);
+    const copy = new Lesson({
+      _id: lessonIds.get(lesson._id.toString()),
+      moduleId: remap(moduleIds, lesson.moduleId),
+      name: lesson.name,
+      type: lesson.type,
+      videoUrl: media.videoUrl,
+      text: lesson.text,
+      notes: lesson.notes,
+      resolutions: media.resolutions,
+      posterUrl: media.posterUrl,
+      thumbnailsUrl: media.thumbnailsUrl,
+      previewUrl: media.previewUrl,
+      length: media.length,
+      isFree: lesson.isFree,
+      order: lesson.order,
+      ...DRAFT_STATE,
+      resources: copyResources(media.resources)
+    });
+    // Video-only lessons copied without media have no content until a new video is uploaded
+    await copy.save({ validateBeforeSave: copyMedia || !!lesson.text || lesson.type === 'quiz' });
+    counts.lessons++;
+    counts.resources += copy.resources.length;
+  }
+
+  const quizzes = await Quiz.find({ moduleId: { $in: modules.map(m => m._id) } });
+  await Quiz.insertMany(quizzes.map(quiz => ({
+    moduleId: remap(moduleIds, quiz.moduleId),
+    lessonId: remap(lessonIds, quiz.lessonId),
+    title: quiz.title,
+    description: quiz.description,
+    passMark: quiz.passMark,
+    maxAttempts: quiz.maxAttempts,
+    questions: quiz.questions.map(({ type, prompt, options, correctOptions, correctAnswer, acceptedAnswers, points }) => ({
+      type, prompt, options, correctOptions, correctAnswer, acceptedAnswers, points
+    }))
+  })));
+  counts.quizzes += quizzes.length;
+};
+
+/**
+ * Deep-clone a course into the same or another campus. The copy is a draft placed last in the campus.
+ * @param {String} courseId - Course to copy
+ * @param {Object} options - { campusId (target, defaults to the course's campus), title, copyMedia }
+ * @returns {Object|null} - { course, counts } or null if the course or target campus does not exist
+ */
+const cloneCourse = async (courseId, options = {}) => {
+  const source = await Course.findById(courseId);
+  if (!source) return null;
+
+  const campusId = options.campusId || source.campusId;
+  if (!await Campus.exists({ _id: campusId })) return null;
+
+  const course = await Course.create({
+    campusId,
+    title: options.title || `${source.title} (Copy)`,
+    imageUrl: options.copyMedia ? source.imageUrl : '',
+    order: await getNextOrder(Course, { campusId }),
+    ...DRAFT_STATE
+  });
+
+  const counts = emptyCounts();
+  counts.courses = 1;
+  try {
+    await copyCourseContent(source, course, !!options.copyMedia, counts);
+  } catch (error) {
+    // Leave nothing half-copied behind
+    await deleteCourses([course._id]);
+    throw error;
+  }
+
+  console.log(`✅ [Clone] Copied course ${source._id} to ${course._id} (${counts.modules} modules, ${counts.lessons} lessons)`);
+  return { course, counts };
+};
+
+/**
+ * Clone a campus as a template: all courses with their content, no members, chat channels or progress.
+ * Campuses have no draft state, so the copy is not announced; its courses are drafts.
+ * @param {String} campusId - Campus to copy
+ * @param {Object} options - { slug, title, copyMedia }
+ * @returns {Object|null} - { campus, counts } or null if the campus does not exist
+ */
+const cloneCampus = async (campusId, options) => {
+  const source = await Campus.findById(campusId);
+  if (!source) return null;
+
+  const campus = await Campus.create({
+    slug: options.slug,
+    title: options.title,
+    imageUrl: options.copyMedia ? source.imageUrl : '',
+    mainIconUrl: options.copyMedia ? source.mainIconUrl : '',
+    campusIconUrl: options.copyMedia ? source.campusIconUrl : '',
+    members: []
+  });
+
+  const counts = emptyCounts();
+  try {
+    const courses = await Course.find({ campusId: source._id }).sort(ORDER_SORT);
+    for (const sourceCourse of courses) {
+      const course = await Course.create({
+        campusId: campus._id,
+        title: sourceCourse.title,
+        imageUrl: options.copyMedia ? sourceCourse.imageUrl : '',
+        order: sourceCourse.order,
+        ...DRAFT_STATE
+      });
+      counts.courses++;
+      await copyCourseContent(sourceCourse, course, !!options.copyMedia, counts);
+    }
+  } catch (error) {
+    await deleteCampusCascade(campus._id);
+    throw error;
+  }
+
+  console.log(`✅ [Clone] Copied campus ${source._id} to ${campus._id} (${counts.courses} courses, ${counts.lessons} lessons)`);
+  return { campus, counts };
+};
+
+module.exports = {
+  cloneCourse,
+  cloneCampus
+};
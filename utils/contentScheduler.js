@@ -0,0 +1,48 @@
+const cron = require('node-cron');
+const { publishDueContent } = require('./publishing');
+const { purgeExpiredTrash } = require('./contentCascade');
+const { TRASH_RETENTION_DAYS } = require('./softDelete');
+
+/**
+ * Initialize scheduled content publishing and trash retention
+ * Runs every minute to publish courses, modules and lessons whose publishAt has passed,
+ * and daily to purge items that have been in the trash longer than TRASH_RETENTION_DAYS
+ */
+const initializeContentScheduler = () => {
+  console.log('🕘 [Content Scheduler] Initializing content publishing scheduler...');
+
+  // Run every minute (* * * * *) - Publish scheduled content and send release notifications
+  cron.schedule('* * * * *', async () => {
+    try {
+      const published = await publishDueContent();
+      if (published > 0) {
+        console.log(`✅ [Content Scheduler] Published ${published} scheduled item(s)`);
+      }
+    } catch (error) {
+      console.error('❌ [Content Scheduler] Failed to publish scheduled content:', error.message);
+    }
+  }, {
+    scheduled: true,
+    timezone: "America/New_York"
+  });
+
+  // Run daily at 3:00 AM (0 3 * * *) - Permanently delete expired trash
+  cron.schedule('0 3 * * *', async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+      if (total > 0) {
+        console.log(`🧹 [Content Scheduler] Purged expired trash (older than ${TRASH_RETENTION_DAYS} days):`, purged);
+      }
+    } catch (error) {
+      console.error('❌ [Content Scheduler] Failed to purge expired trash:', error.message);
+    }
+  }, {
+    scheduled: true,
+    timezone: "America/New_York"
+  });
+
+  console.log('✅ [Content Scheduler] Content publishing scheduler initialized');
+};
+
+module.exports = { initializeContentScheduler };
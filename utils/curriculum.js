@@ -0,0 +1,534 @@
+const mongoose = require('mongoose');
+const Campus = require('../models/campus');
+const Course = require('../models/course');
+const Module = require('../models/module');
+const Lesson = require('../models/lesson');
+const { ORDER_SORT, getNextOrder } = require('./ordering');
+const { fetchResolutionsFromVideoUrl, fetchPreviewsFromVideoUrl } = require('./videoResolutions');
+const { deleteCourses, deleteCampusCascade } = require('./contentCascade');
+
+/*
+ * Curriculum files describe campus → courses → modules → lessons.
+ *
+ * JSON: { slug, title, imageUrl, courses: [{ title, imageUrl, modules: [{ name, lessons: [
+ *         { name, text, notes, videoUrl, length, isFree } ] }] }] }
+ * CSV:  one row per lesson with the columns below. Consecutive rows with the same course title and
+ *       module name belong to the same course/module; rows without a lesson name add an empty module
+ *       (or course). The campus columns only need to be filled in on the first row.
+ */
+const CSV_COLUMNS = [
+  'campusSlug', 'campusTitle', 'campusImageUrl',
+  'courseTitle', 'courseImageUrl',
+  'moduleName',
+  'lessonName', 'text', 'notes', 'videoUrl', 'length', 'isFree'
+];
+
+// Imported content is created as drafts so it can be reviewed before release
+const IMPORT_STATUS = 'draft';
+
+// CSV
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF line endings)
+ * @param {String} text - CSV content
+ * @returns {Array} - Rows as arrays of strings (blank lines are skipped)
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+const escapeCsvValue = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows of values as CSV
+ * @param {Array} rows - Rows as arrays of values
+ * @returns {String}
+ */
+const toCsv = (rows) => rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+
+// PARSING INTO THE COMMON SHAPE
+
+/**
+ * Convert a CSV curriculum into the JSON shape. Every item remembers its CSV line for error reports.
+ * @param {String} text - CSV content
+ * @returns {Object} - { errors } or { curriculum }
+ */
+const parseCsvCurriculum = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    return { errors: [{ row: 1, field: null, message: 'The file needs a header row and at least one data row' }] };
+  }
+
+  const header = rows[0].map(name => name.trim());
+  const missing = CSV_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    return { errors: [{ row: 1, field: null, message: `Missing columns: ${missing.join(', ')}` }] };
+  }
+
+  const errors = [];
+  const curriculum = { slug: '', title: '', imageUrl: '', row: 2, courses: [] };
+  let course = null;
+  let module = null;
+
+  rows.slice(1).forEach((values, index) => {
+    const line = index + 2;
+    const get = (column) => (values[header.indexOf(column)] || '').trim();
+
+    // Campus details come from the first row that has them and must not change afterwards
+    for (const [column, key] of [['campusSlug', 'slug'], ['campusTitle', 'title'], ['campusImageUrl', 'imageUrl']]) {
+      const value = get(column);
+      if (!value) continue;
+      if (!curriculum[key]) {
+        curriculum[key] = value;
+      } else if (curriculum[key] !== value) {
+        errors.push({ row: line, field: column, message: `Conflicts with "${curriculum[key]}" from an earlier row` });
+      }
+    }
+
+    const courseTitle = get('courseTitle');
+    if (!courseTitle) {
+      errors.push({ row: line, field: 'courseTitle', message: 'Course title is required' });
+      return;
+    }
+    if (!course || course.title !== courseTitle) {
+      course = { title: courseTitle, imageUrl: get('courseImageUrl'), row: line, modules: [] };
+      module = null;
+      curriculum.courses.push(course);
+    }
+
+    const moduleName = get('moduleName');
+    if (!moduleName) {
+      if (get('lessonName')) {
+        errors.push({ row: line, field: 'moduleName', message: 'Module name is required for a lesson' });
+      }
+      return;
+    }
+    if (!module || module.name !== moduleName) {
+      module = { name: moduleName, row: line, lessons: [] };
+      course.modules.push(module);
+    }
+
+    if (!get('lessonName')) return;
+    module.lessons.push({
+      name: get('lessonName'),
+      text: get('text'),
+      notes: get('notes'),
+      videoUrl: get('videoUrl'),
+      length: get('length') === '' ? 0 : Number(get('length')),
+      isFree: get('isFree'),
+      row: line
+    });
+  });
+
+  return errors.length > 0 ? { errors } : { curriculum };
+};
+
+/**
+ * Bring a JSON curriculum into the common shape. Items are labelled with their JSON path for error reports.
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} - { errors } or { curriculum }
+ */
+const parseJsonCurriculum = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: [{ row: '$', field: null, message: 'Expected a campus object' }] };
+  }
+  if (!Array.isArray(data.courses)) {
+    return { errors: [{ row: '$', field: 'courses', message: 'courses must be an array' }] };
+  }
+
+  const errors = [];
+  const asArray = (value, path, field) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+      errors.push({ row: path, field, message: `${field} must be an array` });
+      return [];
+    }
+    return value;
+  };
+
+  const curriculum = {
+    slug: data.slug,
+    title: data.title,
+    imageUrl: data.imageUrl,
+    row: '$',
+    courses: data.courses.map((course, c) => {
+      const coursePath = `courses[${c}]`;
+      return {
+        ...course,
+        row: coursePath,
+        modules: asArray(course && course.modules, coursePath, 'modules').map((module, m) => {
+          const modulePath = `${coursePath}.modules[${m}]`;
+          return {
+            ...module,
+            row: modulePath,
+            lessons: asArray(module && module.lessons, modulePath, 'lessons').map((lesson, l) => ({
+              ...lesson,
+              row: `${modulePath}.lessons[${l}]`
+            }))
+          };
+        })
+      };
+    })
+  };
+
+  return errors.length > 0 ? { errors } : { curriculum };
+};
+
+// VALIDATION
+
+const isText = (value) => value === undefined || value === null || typeof value === 'string';
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Accepts booleans and the usual spreadsheet spellings
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (value === undefined || value === null || value === '') return false;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1', 'y'].includes(normalized)) return true;
+  if (['false', 'no', '0', 'n'].includes(normalized)) return false;
+  return null;
+};
+
+/**
+ * Validate a whole curriculum and normalize its values in place
+ * @param {Object} curriculum - From parseCsvCurriculum or parseJsonCurriculum
+ * @returns {Array} - Errors as { row, field, message } (empty when valid)
+ */
+const validateCurriculum = (curriculum) => {
+  const errors = [];
+  const fail = (item, field, message) => errors.push({ row: item.row, field, message });
+  const requireText = (item, field, label) => {
+    if (typeof item[field] !== 'string' || !item[field].trim()) {
+      fail(item, field, `${label} is required`);
+      return;
+    }
+    item[field] = item[field].trim();
+  };
+  const optionalText = (item, field) => {
+    if (!isText(item[field])) {
+      fail(item, field, `${field} must be a string`);
+    } else {
+      item[field] = (item[field] || '').trim();
+    }
+  };
+  const optionalUrl = (item, field) => {
+    optionalText(item, field);
+    if (typeof item[field] === 'string' && item[field] && !isHttpUrl(item[field])) {
+      fail(item, field, `${field} must be a valid http(s) URL`);
+    }
+  };
+
+  requireText(curriculum, 'slug', 'Campus slug');
+  requireText(curriculum, 'title', 'Campus title');
+  optionalUrl(curriculum, 'imageUrl');
+  if (typeof curriculum.slug === 'string' && curriculum.slug && !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(curriculum.slug)) {
+    fail(curriculum, 'slug', 'Campus slug may only contain lowercase letters, numbers and dashes');
+  }
+
+  curriculum.courses.forEach(course => {
+    requireText(course, 'title', 'Course title');
+    optionalUrl(course, 'imageUrl');
+
+    course.modules.forEach(module => {
+      requireText(module, 'name', 'Module name');
+
+      module.lessons.forEach(lesson => {
+        requireText(lesson, 'name', 'Lesson name');
+        optionalText(lesson, 'text');
+        optionalText(lesson, 'notes');
+        optionalUrl(lesson, 'videoUrl');
+
+        if (lesson.length === undefined || lesson.length === null) lesson.length = 0;
+        if (typeof lesson.length !== 'number' || !Number.isFinite(lesson.length) || lesson.length < 0) {
+          fail(lesson, 'length', 'length must be a non-negative number of seconds');
+        }
+
+        const isFree = parseBoolean(lesson.isFree);
+        if (isFree === null) {
+          fail(lesson, 'isFree', 'isFree must be true or false');
+        } else {
+          lesson.isFree = isFree;
+        }
+
+        // Mirrors the lesson model: content comes from a video or text
+        if (typeof lesson.videoUrl === 'string' && typeof lesson.text === 'string' && !lesson.videoUrl && !lesson.text) {
+          fail(lesson, 'videoUrl', 'Either videoUrl or text must be provided for a lesson');
+        }
+      });
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Count the items of a curriculum
+ * @param {Object} curriculum - Validated curriculum
+ * @returns {Object} - { courses, modules, lessons }
+ */
+const countCurriculum = (curriculum) => {
+  const modules = curriculum.courses.flatMap(course => course.modules);
+  return {
+    courses: curriculum.courses.length,
+    modules: modules.length,
+    lessons: modules.reduce((total, module) => total + module.lessons.length, 0)
+  };
+};
+
+// IMPORT
+
+// Write the campus, courses, modules and lessons (within a session when transactions are available).
+// `written` records what has been created so far, so it can be removed when there is no transaction.
+const writeCurriculum = async (curriculum, campus, videoDetails, session, written = {}) => {
+  let campusDoc = campus;
+  if (!campusDoc) {
+    [campusDoc] = await Campus.create([{
+      slug: curriculum.slug,
+      title: curriculum.title,
+      imageUrl: curriculum.imageUrl || '',
+      members: []
+    }], { session });
+    written.campusId = campusDoc._id;
+  }
+
+  // Imported courses go after the campus's existing ones
+  const firstOrder = campus ? await getNextOrder(Course, { campusId: campusDoc._id }) : 0;
+  const courses = [];
+  const modules = [];
+  const lessons = [];
+
+  curriculum.courses.forEach((course, c) => {
+    const courseId = new mongoose.Types.ObjectId();
+    courses.push({ _id: courseId, campusId: campusDoc._id, title: course.title, imageUrl: course.imageUrl || '', order: firstOrder + c, status: IMPORT_STATUS });
+
+    course.modules.forEach((module, m) => {
+      const moduleId = new mongoose.Types.ObjectId();
+      modules.push({ _id: moduleId, courseId, name: module.name, order: m, status: IMPORT_STATUS });
+
+      module.lessons.forEach((lesson, l) => {
+        lessons.push({
+          moduleId,
+          name: lesson.name,
+          text: lesson.text,
+          notes: lesson.notes,
+          videoUrl: lesson.videoUrl,
+          resolutions: [],
+          ...videoDetails.get(lesson.videoUrl),
+          length: lesson.length,
+          isFree: lesson.isFree,
+          order: l,
+          status: IMPORT_STATUS
+        });
+      });
+    });
+  });
+
+  written.courseIds = courses.map(c => c._id);
+  await Course.insertMany(courses, { session });
+  await Module.insertMany(modules, { session });
+  await Lesson.insertMany(lessons, { session });
+
+  return campusDoc;
+};
+
+// Standalone MongoDB servers (no replica set) reject transactions
+const isTransactionUnsupported = (error) => {
+  return error.code === 20 || /Transaction numbers are only allowed|replica set/i.test(error.message || '');
+};
+
+/**
+ * Create a validated curriculum. An existing campus with the same slug receives the courses;
+ * otherwise the campus is created. Everything is written in one transaction where the server
+ * supports it, and removed again on failure where it does not.
+ * @param {Object} curriculum - Validated curriculum
+ * @returns {Object} - { campus, campusCreated, created: { courses, modules, lessons } }
+ */
+const importCurriculum = async (curriculum) => {
+  const existingCampus = await Campus.findOne({ slug: curriculum.slug });
+
+  // Resolution and preview lookups are network calls, so they happen before any write
+  const videoDetails = new Map();
+  for (const lesson of curriculum.courses.flatMap(course => course.modules).flatMap(module => module.lessons)) {
+    if (lesson.videoUrl && !videoDetails.has(lesson.videoUrl)) {
+      videoDetails.set(lesson.videoUrl, {
+        resolutions: await fetchResolutionsFromVideoUrl(lesson.videoUrl),
+        ...await fetchPreviewsFromVideoUrl(lesson.videoUrl)
+      });
+    }
+  }
+
+  let campus;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      campus = await writeCurriculum(curriculum, existingCampus, videoDetails, session);
+    });
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+
+    console.warn('⚠️ [Curriculum] Transactions are not supported by this MongoDB server, importing without one');
+    const written = {};
+    try {
+      campus = await writeCurriculum(curriculum, existingCampus, videoDetails, undefined, written);
+    } catch (writeError) {
+      // Leave nothing half-imported behind
+      if (written.campusId) {
+        await deleteCampusCascade(written.campusId);
+      } else if (written.courseIds) {
+        await deleteCourses(written.courseIds);
+      }
+      throw writeError;
+    }
+  } finally {
+    await session.endSession();
+  }
+
+  console.log(`✅ [Curriculum] Imported ${curriculum.courses.length} courses into campus ${campus._id}`);
+  return {
+    campus,
+    campusCreated: !existingCampus,
+    created: countCurriculum(curriculum)
+  };
+};
+
+// EXPORT
+
+/**
+ * Export a campus (including unpublished content, excluding the trash) in the JSON curriculum format
+ * @param {String} campusId - Campus ID
+ * @returns {Object|null} - Curriculum, or null if the campus does not exist
+ */
+const exportCurriculum = async (campusId) => {
+  const campus = await Campus.findById(campusId);
+  if (!campus) return null;
+
+  const courses = await Course.find({ campusId: campus._id }).sort(ORDER_SORT);
+  const modules = await Module.find({ courseId: { $in: courses.map(c => c._id) } }).sort(ORDER_SORT);
+  const lessons = await Lesson.find({ moduleId: { $in: modules.map(m => m._id) } }).sort(ORDER_SORT);
+
+  return {
+    slug: campus.slug,
+    title: campus.title,
+    imageUrl: campus.imageUrl || '',
+    courses: courses.map(course => ({
+      title: course.title,
+      imageUrl: course.imageUrl || '',
+      modules: modules
+        .filter(module => module.courseId.toString() === course._id.toString())
+        .map(module => ({
+          name: module.name,
+          lessons: lessons
+            .filter(lesson => lesson.moduleId.toString() === module._id.toString())
+            .map(lesson => ({
+              name: lesson.name,
+              text: lesson.text || '',
+              notes: lesson.notes || '',
+              videoUrl: lesson.videoUrl || '',
+              length: lesson.length || 0,
+              isFree: !!lesson.isFree
+            }))
+        }))
+    }))
+  };
+};
+
+/**
+ * Convert a JSON curriculum into CSV rows (header first)
+ * @param {Object} curriculum - From exportCurriculum
+ * @returns {String}
+ */
+const curriculumToCsv = (curriculum) => {
+  const rows = [CSV_COLUMNS];
+  let first = true;
+  const campusValues = () => {
+    const values = first ? [curriculum.slug, curriculum.title, curriculum.imageUrl] : ['', '', ''];
+    first = false;
+    return values;
+  };
+
+  curriculum.courses.forEach(course => {
+    if (course.modules.length === 0) {
+      rows.push([...campusValues(), course.title, course.imageUrl, '', '', '', '', '', '', '']);
+    }
+    course.modules.forEach(module => {
+      if (module.lessons.length === 0) {
+        rows.push([...campusValues(), course.title, course.imageUrl, module.name, '', '', '', '', '', '']);
+      }
+      module.lessons.forEach(lesson => {
+        rows.push([
+          ...campusValues(),
+          course.title,
+          course.imageUrl,
+          module.name,
+          lesson.name,
+          lesson.text,
+          lesson.notes,
+          lesson.videoUrl,
+          lesson.length,
+          lesson.isFree
+        ]);
+      });
+    });
+  });
+
+  if (rows.length === 1) {
+    rows.push([...campusValues(), '', '', '', '', '', '', '', '', '']);
+  }
+
+  return toCsv(rows);
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  parseCsvCurriculum,
+  parseJsonCurriculum,
+  validateCurriculum,
+  countCurriculum,
+  importCurriculum,
+  exportCurriculum,
+  curriculumToCsv
+};
@@ -0,0 +1,140 @@
+const Subscription = require('../models/subscription');
+const User = require('../models/user');
+const { hasPermission } = require('./roles');
+const { signPlaybackUrl } = require('./playbackUrls');
+
+// Days a past_due subscription keeps premium access while Stripe retries the payment
+const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_PERIOD_DAYS) || 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve a user's premium content entitlement from their latest subscription
+ * @param {String} userId - User ID
+ * @returns {Object} - { userId, hasAccess, reason, subscriptionStatus, currentPeriodEnd, inGracePeriod, graceEndsAt }
+ */
+const getUserEntitlement = async (userId) => {
+  const entitlement = {
+    userId: userId.toString(),
+    hasAccess: false,
+    reason: 'no-subscription',
+    subscriptionStatus: null,
+    currentPeriodEnd: null,
+    inGracePeriod: false,
+    graceEndsAt: null
+  };
+
+  // Staff can always preview premium content
+  const user = await User.findById(userId).select('role');
+  if (user && hasPermission(user.role, 'content:manage')) {
+    return { ...entitlement, hasAccess: true, reason: 'staff' };
+  }
+
+  const subscription = await Subscription.findOne({
+    userId,
+    status: { $in: ['active', 'trialing', 'past_due', 'canceled'] }
+  }).sort({ currentPeriodEnd: -1 });
+
+  if (!subscription) {
+    return entitlement;
+  }
+
+  const now = Date.now();
+  const periodEnd = new Date(subscription.currentPeriodEnd).getTime();
+  const graceEnd = periodEnd + GRACE_PERIOD_DAYS * DAY_MS;
+
+  entitlement.subscriptionStatus = subscription.status;
+  entitlement.currentPeriodEnd = subscription.currentPeriodEnd;
+
+  // Active, trialing and canceled-at-period-end subscriptions are valid until the period ends
+  if (periodEnd > now) {
+    if (subscription.status !== 'past_due') {
+      return { ...entitlement, hasAccess: true, reason: subscription.status };
+    }
+  }
+
+  // Failed renewals keep access for a short grace period
+  if (['active', 'trialing', 'past_due'].includes(subscription.status) && graceEnd > now) {
+    return {
+      ...entitlement,
+      hasAccess: true,
+      reason: 'grace-period',
+      inGracePeriod: true,
+      graceEndsAt: new Date(graceEnd)
+    };
+  }
+
+  return { ...entitlement, reason: subscription.status === 'past_due' ? 'payment-failed' : 'expired' };
+};
+
+/**
+ * Check whether an entitlement unlocks a content item
+ * @param {Object} entitlement - Result of getUserEntitlement
+ * @param {Object} item - Lesson/video object with optional isFree flag
+ * @returns {Boolean} - True if the user may play the item
+ */
+const canAccessItem = (entitlement, item) => {
+  if (item && item.isFree) return true;
+  return !!(entitlement && entitlement.hasAccess);
+};
+
+/**
+ * Strip playable media and lesson text/notes from an item the user is not entitled to
+ * Encrypted videos of unlocked items get a short-lived playlist URL signed for the entitlement's user.
+ * @param {Object} entitlement - Result of getUserEntitlement
+ * @param {Object} item - Structured lesson/video object
+ * @returns {Object} - Item with isFree/isLocked flags (content removed when locked)
+ */
+const applyPaywall = (entitlement, item) => {
+  if (!item) return item;
+  const isFree = !!item.isFree;
+
+  if (canAccessItem(entitlement, item)) {
+    return {
+      ...item,
+      ...(item.videoUrl && { videoUrl: signPlaybackUrl(item.videoUrl, entitlement && entitlement.userId) }),
+      isFree,
+      isLocked: false
+    };
+  }
+
+  return {
+    ...item,
+    isFree,
+    isLocked: true,
+    videoUrl: '',
+    thumbnailsUrl: '',
+    resolutions: [],
+    ...(item.text !== undefined && { text: '' }),
+    ...(item.notes !== undefined && { notes: '' })
+  };
+};
+
+/**
+ * Send the standard 402 paywall error with upgrade info
+ * @param {Object} res - Express response object
+ * @param {Object} entitlement - Result of getUserEntitlement
+ * @param {String} message - Error message (optional)
+ */
+const paywallResponse = (res, entitlement, message = 'An active subscription is required to access this content') => {
+  return res.status(402).json({
+    status: false,
+    message,
+    code: 'SUBSCRIPTION_REQUIRED',
+    reason: entitlement ? entitlement.reason : 'no-subscription',
+    subscriptionStatus: entitlement ? entitlement.subscriptionStatus : null,
+    currentPeriodEnd: entitlement ? entitlement.currentPeriodEnd : null,
+    upgrade: {
+      plansUrl: '/api/subscription/plans',
+      buyPlanUrl: '/api/subscription/buy-plan',
+      plans: ['monthly', 'yearly']
+    }
+  });
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  getUserEntitlement,
+  canAccessItem,
+  applyPaywall,
+  paywallResponse
+};
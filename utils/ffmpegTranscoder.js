@@ -4,6 +4,9 @@ const fs = require('fs');
 const os = require('os');
 const { uploadFileSmart } = require('./b2OfficialMultithreaded');
 const { getB2S3Url } = require('./b2Url');
+const EncryptedVideo = require('../models/encryptedVideo');
+const { encryptHLSOutput } = require('./hlsEncryption');
+const { getEncryptedVideoUrl } = require('./playbackUrls');
 
 // Use custom binaries only on Linux (e.g., Azure server)
 if (os.platform() !== 'win32') {
@@ -11,191 +14,536 @@ if (os.platform() !== 'win32') {
   ffmpeg.setFfprobePath(path.join(__dirname, '../bin', 'ffprobe'));
 }
 
-const getVideoResolution = (videoBuffer) => {
-  return new Promise((resolve, reject) => {
-    const tempPath = path.join(__dirname, '../temp', `temp_${Date.now()}.mp4`);
-    
-    // Ensure temp directory exists
-    const tempDir = path.dirname(tempPath);
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-
-    fs.writeFileSync(tempPath, videoBuffer);
+// Parse ffprobe rates and ratios such as "30000/1001" or "16:9"
+const parseRatio = (value, separator = '/') => {
+  const [num, den] = String(value || '').split(separator).map(Number);
+  return num > 0 && den > 0 ? num / den : null;
+};
 
-    ffmpeg.ffprobe(tempPath, (err, metadata) => {
-      // Clean up temp file
-      fs.unlinkSync(tempPath);
-      
+/**
+ * Probe a video file on disk
+ * Dimensions are the displayed ones: rotation metadata and non-square pixels are applied.
+ * @param {String} inputPath - Video file path
+ * @returns {Object} - { width, height, duration, frameRate, hasAudio }
+ */
+const getVideoResolution = (inputPath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, metadata) => {
       if (err) {
         reject(err);
         return;
       }
 
       const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-      if (videoStream) {
-        resolve({
-          width: videoStream.width,
-          height: videoStream.height,
-          duration: metadata.format.duration,
-        });
-      } else {
+      if (!videoStream) {
         reject(new Error('No video stream found'));
+        return;
       }
+
+      let width = videoStream.width;
+      let height = videoStream.height;
+
+      const sampleAspectRatio = parseRatio(videoStream.sample_aspect_ratio, ':');
+      if (sampleAspectRatio && sampleAspectRatio !== 1) {
+        width = Math.round(width * sampleAspectRatio);
+      }
+
+      // Phones record portrait video as rotated landscape frames
+      const rotationSideData = (videoStream.side_data_list || []).find(data => data.rotation !== undefined);
+      const rotation = Math.abs(parseInt(videoStream.tags?.rotate ?? rotationSideData?.rotation) || 0);
+      if (rotation % 180 === 90) {
+        [width, height] = [height, width];
+      }
+
+      resolve({
+        width,
+        height,
+        duration: metadata.format.duration,
+        frameRate: parseRatio(videoStream.avg_frame_rate) || parseRatio(videoStream.r_frame_rate) || 30,
+        hasAudio: metadata.streams.some(stream => stream.codec_type === 'audio'),
+      });
     });
   });
 };
 
-const generateHLSResolutions = (sourceHeight) => {
-  const resolutions = [
-    { height: 240, bitrate: '500k' },
-    { height: 360, bitrate: '800k' },
-    { height: 480, bitrate: '1200k' },
-    { height: 720, bitrate: '2500k' },
-    { height: 1080, bitrate: '5000k' },
-    { height: 1440, bitrate: '8000k' },
-    { height: 2160, bitrate: '15000k' },
-  ];
-
-  // Only include resolutions that are equal or less than source resolution
-  return resolutions.filter(res => res.height <= sourceHeight);
+// Rungs are named after the short side, so a 720p rendition of a vertical video is 720x1280
+const HLS_LADDER = [
+  { height: 240, bitrate: '500k' },
+  { height: 360, bitrate: '800k' },
+  { height: 480, bitrate: '1200k' },
+  { height: 720, bitrate: '2500k' },
+  { height: 1080, bitrate: '5000k' },
+  { height: 1440, bitrate: '8000k' },
+  { height: 2160, bitrate: '15000k' },
+];
+
+const MAX_FRAME_RATE = 60;
+const HLS_SEGMENT_SECONDS = 6;
+const AUDIO_BITRATE = '128k';
+const AUDIO_CODEC = 'mp4a.40.2';
+// Keyframe interval of the I-frame (trick play) rendition
+const IFRAME_INTERVAL_SECONDS = 2;
+
+// H.264 levels as [level, max macroblocks per frame, max macroblocks per second]
+const H264_LEVELS = [
+  [30, 1620, 40500],
+  [31, 3600, 108000],
+  [32, 5120, 216000],
+  [40, 8192, 245760],
+  [42, 8704, 522240],
+  [50, 22080, 589824],
+  [51, 36864, 983040],
+  [52, 36864, 2073600],
+];
+
+const getH264Level = (width, height, frameRate) => {
+  const frameMacroblocks = Math.ceil(width / 16) * Math.ceil(height / 16);
+  const level = H264_LEVELS.find(([, maxFrame, maxRate]) => frameMacroblocks <= maxFrame && frameMacroblocks * frameRate <= maxRate);
+  return level ? level[0] : 52;
 };
 
+// RFC 6381 codec string for H.264 High profile, e.g. avc1.64001f
+const getVideoCodec = (level) => `avc1.6400${level.toString(16).padStart(2, '0')}`;
+
+// Round to the nearest even number, as required by yuv420p
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Pick the renditions for a source, keeping its aspect ratio
+ * @param {Object} source - { width, height, frameRate } from getVideoResolution
+ * @returns {Array} - [{ height (rung), bitrate, width, frameHeight, level, codec }]
+ */
+const generateHLSResolutions = (source) => {
+  const shortSide = Math.min(source.width, source.height);
+  const isPortrait = source.height > source.width;
+  const aspectRatio = source.width / source.height;
+  const frameRate = Math.min(source.frameRate, MAX_FRAME_RATE);
+
+  // Only include rungs that are equal or less than the source; tiny sources get a single rendition at their own size
+  let rungs = HLS_LADDER.filter(rung => rung.height <= shortSide);
+  if (rungs.length === 0) {
+    rungs = [{ height: toEven(shortSide), bitrate: HLS_LADDER[0].bitrate }];
+  }
+
+  return rungs.map(rung => {
+    const width = isPortrait ? rung.height : toEven(rung.height * aspectRatio);
+    const frameHeight = isPortrait ? toEven(rung.height / aspectRatio) : rung.height;
+    const level = getH264Level(width, frameHeight, frameRate);
+    return {
+      ...rung,
+      width,
+      frameHeight,
+      frameRate,
+      limitFrameRate: source.frameRate > MAX_FRAME_RATE,
+      level,
+      codec: getVideoCodec(level),
+    };
+  });
+};
+
+// Video encoder options shared by the renditions and the I-frame playlist
+const videoOutputOptions = (rendition, keyframeSeconds) => [
+  '-map 0:v:0',
+  '-an',
+  '-c:v libx264',
+  '-profile:v high',
+  `-level:v ${(rendition.level / 10).toFixed(1)}`,
+  '-pix_fmt yuv420p',
+  `-vf scale=${rendition.width}:${rendition.frameHeight},setsar=1`,
+  ...(rendition.limitFrameRate ? [`-r ${MAX_FRAME_RATE}`] : []),
+  // Keyframes on segment boundaries so every rendition can be switched at any segment
+  `-force_key_frames expr:gte(t,n_forced*${keyframeSeconds})`,
+  '-sc_threshold 0',
+];
+
+// Scrub preview thumbnails: one every interval, tiled into sprite sheets
+const THUMBNAIL_INTERVAL_SECONDS = parseInt(process.env.THUMBNAIL_INTERVAL_SECONDS) || 10;
+const THUMBNAIL_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+const PREVIEW_CLIP_SECONDS = 6;
+
 // Helper function to get video folder based on type
 const getVideoFolder = (videoType) => {
   const videoFolders = {
     'film': 'videos/films',
     'episode': 'videos/episodes', 
-    'lesson': 'videos/lessons'
+    'lesson': 'videos/lessons',
+    'chat': 'videos/chat'
   };
   return videoFolders[videoType] || 'videos/films';
 };
 
-const transcodeToHLS = async (videoBuffer, videoId, videoType = 'film') => {
-  try {
-    const { width, height, duration } = await getVideoResolution(videoBuffer);
-    const resolutions = generateHLSResolutions(height);
-    
-    const tempDir = path.join(__dirname, '../temp', videoId);
-    const outputDir = path.join(tempDir, 'hls');
-    
-    // Create directories
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+// Renditions encoded by one ffmpeg process (the source is decoded once per pass)
+const MAX_RENDITIONS_PER_PASS = parseInt(process.env.TRANSCODE_RENDITIONS_PER_PASS) || 4;
+// Parallel uploads of playlists and segments
+const HLS_UPLOAD_CONCURRENCY = parseInt(process.env.HLS_UPLOAD_CONCURRENCY) || 8;
+
+// Scale a bitrate such as "2500k"
+const scaleBitrate = (bitrate, factor) => `${Math.round(parseInt(bitrate) * factor)}k`;
+
+/**
+ * Encode several renditions from a single ffmpeg pass with one HLS output per rendition
+ * @param {String} inputPath - Source video path
+ * @param {Array} renditions - Resolutions from generateHLSResolutions
+ * @param {String} outputDir - Directory receiving one folder per rendition
+ * @param {Object} hooks - See transcodeToHLS
+ * @param {Object} extras - Optional { audio: true, iframes: rendition, thumbnails: { width, height } } outputs to add to this pass
+ */
+const encodeRenditions = (inputPath, renditions, outputDir, hooks, extras = {}) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+
+    for (const resolution of renditions) {
+      const renditionDir = path.join(outputDir, `${resolution.height}p`);
+      fs.mkdirSync(renditionDir, { recursive: true });
+
+      command
+        .output(path.join(renditionDir, `${resolution.height}p.m3u8`))
+        .outputOptions([
+          ...videoOutputOptions(resolution, HLS_SEGMENT_SECONDS),
+          '-preset medium',
+          '-crf 23',
+          `-maxrate ${resolution.bitrate}`,
+          `-bufsize ${scaleBitrate(resolution.bitrate, 2)}`,
+          `-hls_time ${HLS_SEGMENT_SECONDS}`,
+          '-hls_list_size 0',
+          '-hls_segment_filename', path.join(renditionDir, 'segment_%03d.ts'),
+          '-f hls'
+        ]);
     }
 
-    // Save input video temporarily
-    const inputPath = path.join(tempDir, 'input.mp4');
-    fs.writeFileSync(inputPath, videoBuffer);
+    // Audio is a separate rendition group shared by every video rendition
+    if (extras.audio) {
+      const audioDir = path.join(outputDir, 'audio');
+      fs.mkdirSync(audioDir, { recursive: true });
 
-    const masterPlaylist = [];
-    const uploadPromises = [];
-    let completedResolutions = 0;
+      command
+        .output(path.join(audioDir, 'audio.m3u8'))
+        .outputOptions([
+          '-map 0:a:0',
+          '-vn',
+          '-c:a aac',
+          `-b:a ${AUDIO_BITRATE}`,
+          '-ac 2',
+          `-hls_time ${HLS_SEGMENT_SECONDS}`,
+          '-hls_list_size 0',
+          '-hls_segment_filename', path.join(audioDir, 'segment_%03d.ts'),
+          '-f hls'
+        ]);
+    }
 
-    // Get organized video folder path
-    const videoFolder = getVideoFolder(videoType);
-
-    // Generate HLS for each resolution
-    for (const resolution of resolutions) {
-      const outputPath = path.join(outputDir, `${resolution.height}p`);
-      const playlistName = `${resolution.height}p.m3u8`;
-      
-      if (!fs.existsSync(outputPath)) {
-        fs.mkdirSync(outputPath, { recursive: true });
-      }
+    // Low resolution keyframes, addressed by byte range, for scrubbing previews
+    if (extras.iframes) {
+      const iframesDir = path.join(outputDir, 'iframes');
+      fs.mkdirSync(iframesDir, { recursive: true });
 
-      await new Promise((resolve, reject) => {
-        const command = ffmpeg(inputPath)
-          .outputOptions([
-            '-c:v libx264',
-            '-c:a aac',
-            `-b:v ${resolution.bitrate}`,
-            '-b:a 128k',
-            `-vf scale=-2:${resolution.height}`,
-            '-preset medium',
-            '-crf 23',
-            '-hls_time 6',
-            '-hls_list_size 0',
-            '-hls_segment_filename', path.join(outputPath, 'segment_%03d.ts'),
-            '-f hls'
-          ])
-          .output(path.join(outputPath, playlistName));
-
-        command
-          .on('end', () => {
-            completedResolutions++;
-            resolve();
-          })
-          .on('error', reject)
-          .run();
-      });
+      command
+        .output(path.join(iframesDir, 'iframes.m3u8'))
+        .outputOptions([
+          ...videoOutputOptions(extras.iframes, IFRAME_INTERVAL_SECONDS),
+          '-preset medium',
+          '-crf 28',
+          `-hls_time ${HLS_SEGMENT_SECONDS}`,
+          '-hls_list_size 0',
+          '-hls_flags iframes_only+single_file',
+          '-hls_segment_filename', path.join(iframesDir, 'iframes.ts'),
+          '-f hls'
+        ]);
+    }
 
-      // Add to master playlist
-      masterPlaylist.push(`#EXT-X-STREAM-INF:BANDWIDTH=${parseInt(resolution.bitrate.replace('k', '000'))},RESOLUTION=${Math.round(resolution.height * 16/9)}x${resolution.height}`);
-      masterPlaylist.push(`${resolution.height}p/${playlistName}`);
-
-      // Upload playlist and segments with organized folder structure
-      const playlistPath = path.join(outputPath, playlistName);
-      const playlistContent = fs.readFileSync(playlistPath);
-      
-      // Create temp file for upload
-      const tempPlaylistPath = path.join(tempDir, `temp_playlist_${resolution.height}.m3u8`);
-      fs.writeFileSync(tempPlaylistPath, playlistContent);
-      
-      uploadPromises.push(
-        uploadFileSmart(
-          tempPlaylistPath,
-          `${videoFolder}/${videoId}/${resolution.height}p/${playlistName}`
-        )
-      );
-
-      // Upload all segment files
-      const segmentFiles = fs.readdirSync(outputPath).filter(file => file.endsWith('.ts'));
-      for (const segmentFile of segmentFiles) {
-        const segmentPath = path.join(outputPath, segmentFile);
-        const segmentContent = fs.readFileSync(segmentPath);
-        
-        // Create temp file for upload
-        const tempSegmentPath = path.join(tempDir, `temp_segment_${segmentFile}`);
-        fs.writeFileSync(tempSegmentPath, segmentContent);
-        
-        uploadPromises.push(
-          uploadFileSmart(
-            tempSegmentPath,
-            `${videoFolder}/${videoId}/${resolution.height}p/${segmentFile}`
-          )
-        );
-      }
+    // Thumbnail sprite sheets need the whole source decoded, so they share a rendition pass
+    if (extras.thumbnails) {
+      const thumbnailsDir = path.join(outputDir, 'thumbnails');
+      fs.mkdirSync(thumbnailsDir, { recursive: true });
+
+      command
+        .output(path.join(thumbnailsDir, 'sprite_%03d.jpg'))
+        .outputOptions([
+          '-map 0:v:0',
+          '-an',
+          `-vf fps=1/${THUMBNAIL_INTERVAL_SECONDS},scale=${extras.thumbnails.width}:${extras.thumbnails.height},setsar=1,tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`,
+          '-q:v 5',
+          '-f image2'
+        ]);
     }
 
-    // Create and upload master playlist with organized folder structure
-    const masterPlaylistContent = `#EXTM3U\n#EXT-X-VERSION:3\n${masterPlaylist.join('\n')}\n`;
-    const tempMasterPath = path.join(tempDir, 'temp_master.m3u8');
-    fs.writeFileSync(tempMasterPath, Buffer.from(masterPlaylistContent));
-    
-    uploadPromises.push(
-      uploadFileSmart(
-        tempMasterPath,
-        `${videoFolder}/${videoId}/master.m3u8`
-      )
-    );
+    if (hooks.onCommand) hooks.onCommand(command);
 
-    // Wait for all uploads to complete
-    await Promise.all(uploadPromises);
+    command
+      .on('progress', (progress) => {
+        if (hooks.onProgress && progress.percent) {
+          const percent = Math.min(99, Math.floor(progress.percent));
+          renditions.forEach(resolution => hooks.onProgress(resolution.height, percent));
+        }
+      })
+      .on('end', () => {
+        if (hooks.onProgress) renditions.forEach(resolution => hooks.onProgress(resolution.height, 100));
+        resolve();
+      })
+      .on('error', reject)
+      .run();
+  });
+};
 
-    // Clean up temp files
-    fs.rmSync(tempDir, { recursive: true, force: true });
+// Run a single-output ffmpeg command, handing it to hooks.onCommand so it can be cancelled
+const runCommand = (command, hooks) => {
+  return new Promise((resolve, reject) => {
+    if (hooks.onCommand) hooks.onCommand(command);
+    command.on('end', () => resolve()).on('error', reject).run();
+  });
+};
 
-    const videoUrl = getB2S3Url(`${videoFolder}/${videoId}/master.m3u8`);
+/**
+ * Grab a poster frame and encode a short muted preview clip
+ * @param {String} inputPath - Source video path
+ * @param {Number} duration - Source duration in seconds
+ * @param {Object} posterSize - Rendition whose dimensions the poster uses
+ * @param {Object} clipSize - Rendition whose dimensions the preview clip uses
+ * @param {String} previewsDir - Directory receiving poster.jpg and preview.mp4
+ * @param {Object} hooks - See transcodeToHLS
+ */
+const encodePreviews = async (inputPath, duration, posterSize, clipSize, previewsDir, hooks) => {
+  fs.mkdirSync(previewsDir, { recursive: true });
 
-    return {
-      videoUrl,
+  // Skip the first tenth of the video, which is often black frames or titles
+  await runCommand(
+    ffmpeg(inputPath)
+      .seekInput((duration || 0) * 0.1)
+      .output(path.join(previewsDir, 'poster.jpg'))
+      .outputOptions([
+        '-map 0:v:0',
+        '-frames:v 1',
+        `-vf scale=${posterSize.width}:${posterSize.frameHeight},setsar=1`,
+        '-q:v 3'
+      ]),
+    hooks
+  );
+
+  const clipStart = duration > PREVIEW_CLIP_SECONDS * 2 ? duration * 0.25 : 0;
+  await runCommand(
+    ffmpeg(inputPath)
+      .seekInput(clipStart)
+      .output(path.join(previewsDir, 'preview.mp4'))
+      .outputOptions([
+        '-map 0:v:0',
+        '-an',
+        `-t ${PREVIEW_CLIP_SECONDS}`,
+        '-c:v libx264',
+        '-profile:v main',
+        '-pix_fmt yuv420p',
+        `-vf scale=${clipSize.width}:${clipSize.frameHeight},setsar=1`,
+        '-preset veryfast',
+        '-crf 28',
+        '-movflags +faststart'
+      ]),
+    hooks
+  );
+};
+
+/**
+ * Write the WebVTT thumbnail track pointing each stretch of the video at its tile in a sprite sheet
+ * @param {String} thumbnailsDir - Directory holding the sprite sheets
+ * @param {Number} duration - Source duration in seconds
+ * @param {Object} tile - { width, height } of one thumbnail
+ * @returns {String} - Path of thumbnails.vtt
+ */
+const writeThumbnailTrack = (thumbnailsDir, duration, tile) => {
+  const formatTime = (seconds) => new Date(Math.round(seconds * 1000)).toISOString().slice(11, 23);
+  const tilesPerSprite = SPRITE_COLUMNS * SPRITE_ROWS;
+  const sprites = fs.readdirSync(thumbnailsDir).filter(file => file.endsWith('.jpg')).sort();
+  const count = Math.min(Math.ceil(duration / THUMBNAIL_INTERVAL_SECONDS), sprites.length * tilesPerSprite);
+  const cues = ['WEBVTT', ''];
+
+  for (let i = 0; i < count; i++) {
+    const position = i % tilesPerSprite;
+    const x = (position % SPRITE_COLUMNS) * tile.width;
+    const y = Math.floor(position / SPRITE_COLUMNS) * tile.height;
+    const start = i * THUMBNAIL_INTERVAL_SECONDS;
+    cues.push(`${formatTime(start)} --> ${formatTime(Math.min(start + THUMBNAIL_INTERVAL_SECONDS, duration))}`);
+    cues.push(`${sprites[Math.floor(i / tilesPerSprite)]}#xywh=${x},${y},${tile.width},${tile.height}`);
+    cues.push('');
+  }
+
+  const trackPath = path.join(thumbnailsDir, 'thumbnails.vtt');
+  fs.writeFileSync(trackPath, cues.join('\n'));
+  return trackPath;
+};
+
+/**
+ * Measure the real bitrate of an encoded media playlist from its segment sizes
+ * @param {String} playlistPath - Media playlist written by ffmpeg
+ * @returns {Object} - { peak, average } in bits per second
+ */
+const measurePlaylistBandwidth = (playlistPath) => {
+  const playlistDir = path.dirname(playlistPath);
+  const fileSizes = new Map();
+  let peak = 0;
+  let totalBits = 0;
+  let totalDuration = 0;
+  let duration = null;
+  let byteRange = null;
+
+  for (const line of fs.readFileSync(playlistPath, 'utf8').split('\n').map(l => l.trim())) {
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      byteRange = parseInt(line.slice('#EXT-X-BYTERANGE:'.length));
+    } else if (line && !line.startsWith('#') && duration > 0) {
+      if (!fileSizes.has(line)) fileSizes.set(line, fs.statSync(path.join(playlistDir, line)).size);
+      const bits = (byteRange ?? fileSizes.get(line)) * 8;
+      peak = Math.max(peak, bits / duration);
+      totalBits += bits;
+      totalDuration += duration;
+      duration = null;
+      byteRange = null;
+    }
+  }
+
+  return {
+    peak: Math.ceil(peak),
+    average: totalDuration > 0 ? Math.ceil(totalBits / totalDuration) : 0,
+  };
+};
+
+/**
+ * Build the master playlist from the encoded outputs
+ * @param {Array} resolutions - Renditions from generateHLSResolutions
+ * @param {String} outputDir - Directory holding the encoded renditions
+ * @param {Object} options - { hasAudio, iframes } as passed to encodeRenditions
+ * @returns {String} - Master playlist contents
+ */
+const buildMasterPlaylist = (resolutions, outputDir, { hasAudio, iframes }) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:4', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  let audio = { peak: 0, average: 0 };
+
+  if (hasAudio) {
+    audio = measurePlaylistBandwidth(path.join(outputDir, 'audio', 'audio.m3u8'));
+    lines.push('#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="Default",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="2",URI="audio/audio.m3u8"');
+  }
+
+  for (const resolution of resolutions) {
+    const video = measurePlaylistBandwidth(path.join(outputDir, `${resolution.height}p`, `${resolution.height}p.m3u8`));
+    const attributes = [
+      `BANDWIDTH=${video.peak + audio.peak}`,
+      `AVERAGE-BANDWIDTH=${video.average + audio.average}`,
+      `RESOLUTION=${resolution.width}x${resolution.frameHeight}`,
+      `CODECS="${hasAudio ? `${resolution.codec},${AUDIO_CODEC}` : resolution.codec}"`,
+      `FRAME-RATE=${resolution.frameRate.toFixed(3)}`,
+      ...(hasAudio ? ['AUDIO="audio"'] : []),
+    ];
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+    lines.push(`${resolution.height}p/${resolution.height}p.m3u8`);
+  }
+
+  if (iframes) {
+    const { peak, average } = measurePlaylistBandwidth(path.join(outputDir, 'iframes', 'iframes.m3u8'));
+    lines.push(`#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=${peak},AVERAGE-BANDWIDTH=${average},RESOLUTION=${iframes.width}x${iframes.frameHeight},CODECS="${iframes.codec}",URI="iframes/iframes.m3u8"`);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Upload files from disk with limited concurrency
+const uploadFiles = async (files) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < files.length) {
+      const { localPath, remotePath } = files[next++];
+      await uploadFileSmart(localPath, remotePath);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(HLS_UPLOAD_CONCURRENCY, files.length) }, worker));
+};
+
+/**
+ * Transcode a video file into AES-128 encrypted HLS renditions and upload them.
+ * Segments go to B2; keys and playlists are stored in EncryptedVideo and served by /api/media.
+ * Also produces a poster frame, a short preview clip and a WebVTT thumbnail track with sprite sheets (public in B2).
+ * The source is read by ffmpeg from disk; the working directory is removed whether or not transcoding succeeds.
+ * @param {String} inputPath - Source video path (left in place for the caller to remove)
+ * @param {String} videoId - Output folder name
+ * @param {String} videoType - film|episode|lesson|chat
+ * @param {Object} hooks - Optional { onResolutions(resolutions), onProgress(height, percent), onCommand(command) }
+ *                         onCommand receives each running ffmpeg command so callers can kill it to cancel
+ * @returns {Object} - { videoUrl, resolutions, duration, posterUrl, thumbnailsUrl, previewUrl }
+ */
+const transcodeToHLS = async (inputPath, videoId, videoType = 'film', hooks = {}) => {
+  const tempDir = path.join(__dirname, '../temp', videoId);
+  const outputDir = path.join(tempDir, 'hls');
+
+  try {
+    const source = await getVideoResolution(inputPath);
+    const resolutions = generateHLSResolutions(source);
+    if (hooks.onResolutions) await hooks.onResolutions(resolutions);
+
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    // The audio, I-frame and thumbnail outputs ride along with the first pass
+    const iframes = resolutions[0];
+    const thumbnailTile = { width: THUMBNAIL_WIDTH, height: toEven(THUMBNAIL_WIDTH * source.height / source.width) };
+    for (let i = 0; i < resolutions.length; i += MAX_RENDITIONS_PER_PASS) {
+      const extras = i === 0 ? { audio: source.hasAudio, iframes, thumbnails: thumbnailTile } : {};
+      await encodeRenditions(inputPath, resolutions.slice(i, i + MAX_RENDITIONS_PER_PASS), outputDir, hooks, extras);
+    }
+
+    fs.writeFileSync(path.join(outputDir, 'master.m3u8'), buildMasterPlaylist(resolutions, outputDir, { hasAudio: source.hasAudio, iframes }));
+    writeThumbnailTrack(path.join(outputDir, 'thumbnails'), source.duration, thumbnailTile);
+
+    // Poster at up to 720p, preview clip at up to 360p
+    const largestUpTo = (rung) => resolutions.filter(r => r.height <= rung).pop() || resolutions[0];
+    await encodePreviews(inputPath, source.duration, largestUpTo(720), largestUpTo(360), path.join(outputDir, 'previews'), hooks);
+
+    // Get organized video folder path
+    const remoteFolder = `${getVideoFolder(videoType)}/${videoId}`;
+    const { keys, playlists } = encryptHLSOutput(outputDir, videoId, remoteFolder);
+
+    const segments = [];
+    const tracks = [];
+    for (const folder of fs.readdirSync(outputDir, { withFileTypes: true }).filter(entry => entry.isDirectory())) {
+      for (const file of fs.readdirSync(path.join(outputDir, folder.name)).filter(name => !name.endsWith('.m3u8'))) {
+        (file.endsWith('.vtt') ? tracks : segments).push({
+          localPath: path.join(outputDir, folder.name, file),
+          remotePath: `${remoteFolder}/${folder.name}/${file}`
+        });
+      }
+    }
+
+    // Segments and sprites first, then the thumbnail track and playlists, so nothing points at a missing file
+    await uploadFiles(segments);
+    await uploadFiles(tracks);
+
+    const result = {
+      videoUrl: getEncryptedVideoUrl(videoId),
       resolutions: resolutions.map(r => r.height),
-      duration: duration,
+      duration: source.duration,
+      posterUrl: getB2S3Url(`${remoteFolder}/previews/poster.jpg`),
+      thumbnailsUrl: getB2S3Url(`${remoteFolder}/thumbnails/thumbnails.vtt`),
+      previewUrl: getB2S3Url(`${remoteFolder}/previews/preview.mp4`),
     };
 
+    await EncryptedVideo.findOneAndUpdate(
+      { videoId },
+      {
+        folder: remoteFolder,
+        keys,
+        playlists,
+        resolutions: result.resolutions,
+        duration: result.duration,
+        posterUrl: result.posterUrl,
+        thumbnailsUrl: result.thumbnailsUrl,
+        previewUrl: result.previewUrl,
+        createdAt: new Date()
+      },
+      { upsert: true }
+    );
+
+    return result;
+
   } catch (error) {
     throw new Error(`Video transcoding failed: ${error.message}`);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
   }
 };
 
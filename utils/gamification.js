@@ -0,0 +1,398 @@
+const mongoose = require('mongoose');
+const PointRule = require('../models/pointRule');
+const PointTransaction = require('../models/pointTransaction');
+const Badge = require('../models/badge');
+const UserBadge = require('../models/userBadge');
+const User = require('../models/user');
+const Lesson = require('../models/lesson');
+const WatchProgress = require('../models/watchProgress');
+const Certificate = require('../models/certificate');
+const Message = require('../models/chat-message');
+const Like = require('../models/like');
+const LearningStats = require('../models/learningStats');
+
+// Points per action unless overridden by a PointRule document
+const DEFAULT_POINT_RULES = {
+  'lesson-completed': { points: 10, dailyLimit: null },
+  'course-completed': { points: 100, dailyLimit: null },
+  'chat-message': { points: 1, dailyLimit: 20 },
+  'feed-like': { points: 1, dailyLimit: 20 }
+};
+const POINT_ACTIONS = Object.keys(DEFAULT_POINT_RULES);
+
+const BADGE_CRITERIA = ['lessons-completed', 'courses-completed', 'messages-sent', 'posts-liked', 'streak-days', 'total-points'];
+const LEADERBOARD_WINDOWS = ['weekly', 'monthly', 'all-time'];
+const MAX_LEADERBOARD_SIZE = 100;
+
+const PLAYER_FIELDS = 'username firstName lastName avatar';
+
+// POINT RULES
+
+/**
+ * Effective point rules (defaults merged with admin overrides)
+ * @returns {Object} - { [action]: { action, points, dailyLimit, isActive, isDefault } }
+ */
+const getPointRules = async () => {
+  const overrides = await PointRule.find({});
+  const byAction = new Map(overrides.map(rule => [rule.action, rule]));
+
+  return POINT_ACTIONS.reduce((rules, action) => {
+    const override = byAction.get(action);
+    rules[action] = override
+      ? { action, points: override.points, dailyLimit: override.dailyLimit, isActive: override.isActive, isDefault: false }
+      : { action, ...DEFAULT_POINT_RULES[action], isActive: true, isDefault: true };
+    return rules;
+  }, {});
+};
+
+/**
+ * Validate a point rule update
+ * @param {Object} input - { points, dailyLimit, isActive }
+ * @returns {Object} - { error } or { fields }
+ */
+const validatePointRuleInput = (input) => {
+  const { points, dailyLimit, isActive } = input || {};
+  const fields = {};
+
+  if (points !== undefined) {
+    if (!Number.isInteger(points) || points < 0) {
+      return { error: 'points must be a non-negative whole number' };
+    }
+    fields.points = points;
+  }
+  if (dailyLimit !== undefined) {
+    if (dailyLimit !== null && (!Number.isInteger(dailyLimit) || dailyLimit < 1)) {
+      return { error: 'dailyLimit must be a positive whole number or null' };
+    }
+    fields.dailyLimit = dailyLimit;
+  }
+  if (isActive !== undefined) {
+    if (typeof isActive !== 'boolean') {
+      return { error: 'isActive must be true or false' };
+    }
+    fields.isActive = isActive;
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return { error: 'Provide points, dailyLimit or isActive' };
+  }
+
+  return { fields };
+};
+
+// BADGES
+
+/**
+ * Validate badge input
+ * @param {Object} input - { key, name, description, icon, criterion, threshold, isActive }
+ * @param {Boolean} isEdit - Only validate provided fields
+ * @returns {Object} - { error } or { fields }
+ */
+const validateBadgeInput = (input, isEdit = false) => {
+  const { key, name, description, icon, criterion, threshold, isActive } = input || {};
+  const fields = {};
+
+  if (key !== undefined || !isEdit) {
+    if (typeof key !== 'string' || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(key)) {
+      return { error: 'key is required and may only contain lowercase letters, numbers and dashes' };
+    }
+    fields.key = key;
+  }
+  if (name !== undefined || !isEdit) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'name is required' };
+    }
+    fields.name = name.trim();
+  }
+  if (description !== undefined) fields.description = String(description).trim();
+  if (icon !== undefined) fields.icon = String(icon).trim();
+  if (criterion !== undefined || !isEdit) {
+    if (!BADGE_CRITERIA.includes(criterion)) {
+      return { error: `criterion must be one of: ${BADGE_CRITERIA.join(', ')}` };
+    }
+    fields.criterion = criterion;
+  }
+  if (threshold !== undefined || !isEdit) {
+    if (!Number.isInteger(threshold) || threshold < 1) {
+      return { error: 'threshold must be a positive whole number' };
+    }
+    fields.threshold = threshold;
+  }
+  if (isActive !== undefined) {
+    if (typeof isActive !== 'boolean') {
+      return { error: 'isActive must be true or false' };
+    }
+    fields.isActive = isActive;
+  }
+
+  return { fields };
+};
+
+const getTotalPoints = async (userId) => {
+  const [total] = await PointTransaction.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, points: { $sum: '$points' } } }
+  ]);
+  return total ? total.points : 0;
+};
+
+/**
+ * The user's current count for each requested badge criterion
+ * @param {String} userId - User ID
+ * @param {Array} criteria - Criteria to compute
+ * @returns {Object} - { [criterion]: count }
+ */
+const getCriteriaProgress = async (userId, criteria) => {
+  const counters = {
+    'lessons-completed': () => WatchProgress.countDocuments({ userId, contentType: 'lesson', isCompleted: true }),
+    'courses-completed': () => Certificate.countDocuments({ userId }),
+    'messages-sent': () => Message.countDocuments({ userId }),
+    'posts-liked': () => Like.countDocuments({ user: userId }),
+    'streak-days': async () => {
+      const stats = await LearningStats.findOne({ userId }).select('longestStreak');
+      return stats ? stats.longestStreak : 0;
+    },
+    'total-points': () => getTotalPoints(userId)
+  };
+
+  const progress = {};
+  for (const criterion of new Set(criteria)) {
+    progress[criterion] = await counters[criterion]();
+  }
+  return progress;
+};
+
+/**
+ * Award every active badge whose criterion the user now meets and send badge-earned notifications.
+ * Errors are logged so the action that triggered the check never fails because of badges.
+ * @param {String} userId - User ID
+ * @returns {Array} - Newly earned badges
+ */
+const evaluateBadges = async (userId) => {
+  // Required lazily: socketManager -> learningActivity -> gamification
+  const socketManager = require('./socketManager');
+  const awarded = [];
+
+  try {
+    const earned = await UserBadge.find({ userId }).select('badgeId');
+    const badges = await Badge.find({ isActive: true, _id: { $nin: earned.map(e => e.badgeId) } });
+    if (badges.length === 0) return awarded;
+
+    const progress = await getCriteriaProgress(userId, badges.map(badge => badge.criterion));
+    for (const badge of badges.filter(b => progress[b.criterion] >= b.threshold)) {
+      try {
+        await UserBadge.create({ userId, badgeId: badge._id });
+      } catch (error) {
+        // Already awarded by a concurrent check
+        if (error.code === 11000) continue;
+        throw error;
+      }
+      awarded.push(badge);
+      console.log(`🏅 [Gamification] User ${userId} earned badge '${badge.key}'`);
+      await socketManager.broadcastBadgeEarned(userId, badge);
+    }
+  } catch (error) {
+    console.error('❌ [Gamification] Failed to evaluate badges:', error.message);
+  }
+
+  return awarded;
+};
+
+// POINTS
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Award points for an action once per source (e.g. each lesson is rewarded once), then check badges.
+ * Errors are logged so the action that earned the points never fails because of gamification.
+ * @param {String} userId - User ID
+ * @param {String} action - One of POINT_ACTIONS
+ * @param {Object} source - { sourceId, campusId }
+ * @returns {Object|null} - Point transaction, or null if nothing was awarded
+ */
+const awardPoints = async (userId, action, { sourceId, campusId = null }) => {
+  try {
+    const rule = (await getPointRules())[action];
+    if (!rule || !rule.isActive) return null;
+
+    if (rule.dailyLimit) {
+      const awardedToday = await PointTransaction.countDocuments({
+        userId,
+        action,
+        createdAt: { $gte: startOfUtcDay(new Date()) }
+      });
+      if (awardedToday >= rule.dailyLimit) return null;
+    }
+
+    const transaction = await PointTransaction.create({ userId, action, points: rule.points, campusId, sourceId });
+    await evaluateBadges(userId);
+    return transaction;
+  } catch (error) {
+    // Points for this source were already awarded
+    if (error.code === 11000) return null;
+    console.error(`❌ [Gamification] Failed to award points for ${action}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Award lesson completion points in the lesson's campus
+ * @param {String} userId - User ID
+ * @param {String} lessonId - Completed lesson ID
+ */
+const awardLessonCompleted = async (userId, lessonId) => {
+  const lesson = await Lesson.findById(lessonId).populate({
+    path: 'moduleId',
+    select: 'courseId',
+    populate: { path: 'courseId', select: 'campusId' }
+  });
+  if (!lesson || !lesson.moduleId || !lesson.moduleId.courseId) return null;
+
+  return awardPoints(userId, 'lesson-completed', {
+    sourceId: lesson._id,
+    campusId: lesson.moduleId.courseId.campusId
+  });
+};
+
+// LEADERBOARDS
+
+/**
+ * Start of a leaderboard window (weeks start on Monday, all windows in UTC)
+ * @param {String} window - One of LEADERBOARD_WINDOWS
+ * @param {Date} now - Current time
+ * @returns {Date|null} - null for all-time
+ */
+const getWindowStart = (window, now = new Date()) => {
+  if (window === 'weekly') {
+    const start = startOfUtcDay(now);
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+  }
+  if (window === 'monthly') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  return null;
+};
+
+/**
+ * Ranked point totals for a window, globally or within one campus
+ * @param {Object} options - { window, campusId, limit, userId (to include their own rank) }
+ * @returns {Object} - { window, since, leaders, me }
+ */
+const getLeaderboard = async ({ window, campusId = null, limit = 20, userId }) => {
+  const since = getWindowStart(window);
+  const match = {
+    ...(campusId ? { campusId: new mongoose.Types.ObjectId(campusId) } : {}),
+    ...(since ? { createdAt: { $gte: since } } : {})
+  };
+  const totalsPipeline = [
+    { $match: match },
+    { $group: { _id: '$userId', points: { $sum: '$points' } } },
+    { $match: { points: { $gt: 0 } } }
+  ];
+
+  const totals = await PointTransaction.aggregate([
+    ...totalsPipeline,
+    { $sort: { points: -1, _id: 1 } },
+    { $limit: Math.min(Math.max(limit, 1), MAX_LEADERBOARD_SIZE) }
+  ]);
+  const users = await User.find({ _id: { $in: totals.map(t => t._id) } }).select(PLAYER_FIELDS);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  // Users with equal points share a rank
+  let rank = 0;
+  let previousPoints = null;
+  const leaders = totals.map((total, index) => {
+    if (total.points !== previousPoints) {
+      rank = index + 1;
+      previousPoints = total.points;
+    }
+    const user = usersById.get(total._id.toString());
+    return {
+      rank,
+      userId: total._id,
+      username: user ? user.username : null,
+      firstName: user ? user.firstName : null,
+      lastName: user ? user.lastName : null,
+      avatar: user ? user.avatar : null,
+      points: total.points
+    };
+  });
+
+  let me = null;
+  if (userId) {
+    const [mine] = await PointTransaction.aggregate([
+      { $match: { ...match, userId: new mongoose.Types.ObjectId(userId) } },
+      { $group: { _id: null, points: { $sum: '$points' } } }
+    ]);
+    const points = mine ? mine.points : 0;
+    const [ahead] = points > 0
+      ? await PointTransaction.aggregate([...totalsPipeline, { $match: { points: { $gt: points } } }, { $count: 'users' }])
+      : [];
+    me = { points, rank: points > 0 ? (ahead ? ahead.users : 0) + 1 : null };
+  }
+
+  return { window, since, leaders, me };
+};
+
+/**
+ * A user's points, badges (earned and locked, with progress) and recent point history
+ * @param {String} userId - User ID
+ * @returns {Object}
+ */
+const getUserGamification = async (userId) => {
+  const [weekly, monthly] = await Promise.all(['weekly', 'monthly'].map(async (window) => {
+    const [total] = await PointTransaction.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), createdAt: { $gte: getWindowStart(window) } } },
+      { $group: { _id: null, points: { $sum: '$points' } } }
+    ]);
+    return total ? total.points : 0;
+  }));
+
+  const badges = await Badge.find({ isActive: true }).sort({ threshold: 1, createdAt: 1 });
+  const earned = await UserBadge.find({ userId });
+  const earnedAt = new Map(earned.map(e => [e.badgeId.toString(), e.earnedAt]));
+  const progress = await getCriteriaProgress(userId, badges.map(badge => badge.criterion));
+  const recent = await PointTransaction.find({ userId }).sort({ createdAt: -1 }).limit(20);
+
+  return {
+    points: {
+      total: await getTotalPoints(userId),
+      weekly,
+      monthly
+    },
+    badges: badges.map(badge => ({
+      _id: badge._id,
+      key: badge.key,
+      name: badge.name,
+      description: badge.description,
+      icon: badge.icon,
+      criterion: badge.criterion,
+      threshold: badge.threshold,
+      progress: Math.min(progress[badge.criterion], badge.threshold),
+      earned: earnedAt.has(badge._id.toString()),
+      earnedAt: earnedAt.get(badge._id.toString()) || null
+    })),
+    recentPoints: recent.map(transaction => ({
+      action: transaction.action,
+      points: transaction.points,
+      campusId: transaction.campusId,
+      sourceId: transaction.sourceId,
+      createdAt: transaction.createdAt
+    }))
+  };
+};
+
+module.exports = {
+  DEFAULT_POINT_RULES,
+  POINT_ACTIONS,
+  LEADERBOARD_WINDOWS,
+  getPointRules,
+  validatePointRuleInput,
+  validateBadgeInput,
+  evaluateBadges,
+  awardPoints,
+  awardLessonCompleted,
+  getLeaderboard,
+  getUserGamification
+};
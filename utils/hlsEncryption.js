@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { getB2S3Url } = require('./b2Url');
+
+// A new key is used for every window of this many seconds of playback
+const HLS_KEY_ROTATION_SECONDS = parseInt(process.env.HLS_KEY_ROTATION_SECONDS) || 60;
+
+// HLS derives the IV of a segment from its media sequence number when no IV attribute is given
+const sequenceIv = (sequenceNumber) => {
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(sequenceNumber), 8);
+  return iv;
+};
+
+const encryptSegment = (data, key, iv) => {
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+};
+
+/**
+ * Encrypt the segments of one media playlist in place and rewrite the playlist
+ * Byte-range playlists (the I-frame playlist) get each range encrypted separately and their offsets recomputed.
+ * @param {String} playlistPath - Media playlist written by ffmpeg
+ * @param {Function} getKey - (keyIndex) => 16-byte key
+ * @param {Function} keyUri - (keyIndex) => URI for the EXT-X-KEY tag
+ * @param {Function} segmentUrl - (fileName) => absolute URL of the uploaded segment
+ * @returns {String} - Rewritten playlist
+ */
+const encryptMediaPlaylist = (playlistPath, { getKey, keyUri, segmentUrl }) => {
+  const playlistDir = path.dirname(playlistPath);
+  const output = [];
+  const rangeFiles = new Map(); // fileName -> { source, chunks, size }
+  let mediaSequence = 0;
+  let segmentIndex = 0;
+  let elapsed = 0;
+  let currentKeyIndex = null;
+  let duration = 0;
+  let byteRange = null;
+  let nextRangeOffset = 0;
+
+  for (const line of fs.readFileSync(playlistPath, 'utf8').split('\n').map(l => l.trim())) {
+    if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      mediaSequence = parseInt(line.slice('#EXT-X-MEDIA-SEQUENCE:'.length)) || 0;
+      output.push(line);
+    } else if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length)) || 0;
+      const keyIndex = Math.floor(elapsed / HLS_KEY_ROTATION_SECONDS);
+      if (keyIndex !== currentKeyIndex) {
+        output.push(`#EXT-X-KEY:METHOD=AES-128,URI="${keyUri(keyIndex)}"`);
+        currentKeyIndex = keyIndex;
+      }
+      output.push(line);
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      // length[@offset]; without an offset the range follows the previous one
+      const [length, offset] = line.slice('#EXT-X-BYTERANGE:'.length).split('@').map(Number);
+      byteRange = { length, offset: offset === undefined ? nextRangeOffset : offset };
+      nextRangeOffset = byteRange.offset + length;
+    } else if (line && !line.startsWith('#')) {
+      const key = getKey(currentKeyIndex);
+      const iv = sequenceIv(mediaSequence + segmentIndex);
+
+      if (byteRange) {
+        if (!rangeFiles.has(line)) {
+          rangeFiles.set(line, { source: fs.readFileSync(path.join(playlistDir, line)), chunks: [], size: 0 });
+        }
+        const file = rangeFiles.get(line);
+        const encrypted = encryptSegment(file.source.subarray(byteRange.offset, byteRange.offset + byteRange.length), key, iv);
+        output.push(`#EXT-X-BYTERANGE:${encrypted.length}@${file.size}`);
+        file.chunks.push(encrypted);
+        file.size += encrypted.length;
+        byteRange = null;
+      } else {
+        const segmentPath = path.join(playlistDir, line);
+        fs.writeFileSync(segmentPath, encryptSegment(fs.readFileSync(segmentPath), key, iv));
+      }
+
+      output.push(segmentUrl(line));
+      segmentIndex++;
+      elapsed += duration;
+    } else if (line) {
+      output.push(line);
+    }
+  }
+
+  for (const [fileName, file] of rangeFiles) {
+    fs.writeFileSync(path.join(playlistDir, fileName), Buffer.concat(file.chunks));
+  }
+
+  return `${output.join('\n')}\n`;
+};
+
+/**
+ * Encrypt every media playlist of an HLS output directory with AES-128 and rotating keys
+ * Renditions share keys for the same stretch of playback, so switching renditions needs no extra key requests.
+ * @param {String} outputDir - Directory holding master.m3u8 and one folder per playlist
+ * @param {String} videoId - EncryptedVideo videoId
+ * @param {String} remoteFolder - B2 folder the segments are uploaded to
+ * @returns {Object} - { keys, playlists: [{ path, content }] } (master included, unchanged)
+ */
+const encryptHLSOutput = (outputDir, videoId, remoteFolder) => {
+  const keys = [];
+  const getKey = (keyIndex) => {
+    while (keys.length <= keyIndex) keys.push(crypto.randomBytes(16));
+    return keys[keyIndex];
+  };
+  const playlists = [{ path: 'master.m3u8', content: fs.readFileSync(path.join(outputDir, 'master.m3u8'), 'utf8') }];
+
+  for (const folder of fs.readdirSync(outputDir, { withFileTypes: true }).filter(entry => entry.isDirectory())) {
+    for (const file of fs.readdirSync(path.join(outputDir, folder.name)).filter(name => name.endsWith('.m3u8'))) {
+      playlists.push({
+        path: `${folder.name}/${file}`,
+        content: encryptMediaPlaylist(path.join(outputDir, folder.name, file), {
+          getKey,
+          // Relative to /api/media/playlist; signed for the user when the playlist is served
+          keyUri: (keyIndex) => `key?videoId=${encodeURIComponent(videoId)}&index=${keyIndex}`,
+          segmentUrl: (fileName) => getB2S3Url(`${remoteFolder}/${folder.name}/${fileName}`)
+        })
+      });
+    }
+  }
+
+  return { keys, playlists };
+};
+
+module.exports = {
+  encryptHLSOutput
+};
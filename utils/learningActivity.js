@@ -0,0 +1,316 @@
+const LearningActivity = require('../models/learningActivity');
+const LearningStats = require('../models/learningStats');
+const { evaluateBadges } = require('./gamification');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const GOAL_UNITS = ['minutes', 'lessons'];
+// Upper bounds for weekly goals (a full week of minutes, a generous number of lessons)
+const MAX_GOAL_TARGET = { minutes: 7 * 24 * 60, lessons: 500 };
+// Seconds credited for a single progress update at most, so seeking ahead does not count as learning
+const MAX_PROGRESS_STEP_SECONDS = 60;
+// Local hour from which a streak-at-risk reminder is sent
+const STREAK_REMINDER_HOUR = parseInt(process.env.STREAK_REMINDER_HOUR) || 19;
+// Maximum number of days returned by the activity log
+const MAX_ACTIVITY_DAYS = 365;
+
+// DATES
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Calendar day of a moment in a timezone
+ * @param {Date} date - Moment
+ * @param {String} timezone - IANA timezone
+ * @returns {String} - YYYY-MM-DD
+ */
+const getDateKey = (date, timezone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: timezone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+const shiftDateKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const getLocalHour = (date, timezone) => parseInt(new Intl.DateTimeFormat('en-US', {
+  timeZone: timezone,
+  hour: 'numeric',
+  hourCycle: 'h23'
+}).format(date));
+
+// Weeks start on Monday
+const getWeekStart = (dateKey) => {
+  const dayOfWeek = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return shiftDateKey(dateKey, -((dayOfWeek + 6) % 7));
+};
+
+// RECORDING
+
+/**
+ * Record learning activity for today and extend the user's streak.
+ * Errors are logged so socket handlers never fail because of activity tracking.
+ * @param {String} userId - User ID
+ * @param {Object} activity - { seconds, lessonId, completedLessonId, bookId }
+ */
+const recordLearningActivity = async (userId, activity = {}) => {
+  try {
+    const stats = await LearningStats.findOne({ userId });
+    const today = getDateKey(new Date(), stats ? stats.timezone : DEFAULT_TIMEZONE);
+
+    const addToSet = {};
+    if (activity.lessonId) addToSet.lessonIds = activity.lessonId;
+    if (activity.completedLessonId) addToSet.completedLessonIds = activity.completedLessonId;
+    if (activity.bookId) addToSet.bookIds = activity.bookId;
+
+    await LearningActivity.updateOne(
+      { userId, date: today },
+      {
+        $set: { updatedAt: new Date() },
+        ...(activity.seconds > 0 ? { $inc: { seconds: Math.round(activity.seconds) } } : {}),
+        ...(Object.keys(addToSet).length > 0 ? { $addToSet: addToSet } : {})
+      },
+      { upsert: true }
+    );
+
+    if (stats && stats.lastActiveDate === today) return;
+
+    const continuesStreak = stats && stats.lastActiveDate === shiftDateKey(today, -1);
+    const currentStreak = continuesStreak ? stats.currentStreak + 1 : 1;
+    // Only the first activity of the day extends the streak
+    await LearningStats.updateOne(
+      { userId, lastActiveDate: { $ne: today } },
+      {
+        $set: { lastActiveDate: today, currentStreak, updatedAt: new Date() },
+        $max: { longestStreak: currentStreak }
+      },
+      { upsert: true }
+    );
+    // A longer streak can unlock streak badges
+    await evaluateBadges(userId);
+  } catch (error) {
+    // A concurrent event already started today's streak (upsert hit the unique index)
+    if (error.code === 11000) return;
+    console.error('❌ [Learning Activity] Failed to record activity:', error.message);
+  }
+};
+
+/**
+ * Record the learning time and lesson completion of an applied progress update
+ * @param {String} userId - User ID
+ * @param {Object|null} before - Progress before the update
+ * @param {Object} progress - Progress after the update
+ */
+const recordWatchActivity = async (userId, before, progress) => {
+  // Video messages in chat are not learning content
+  if (!progress || !['video', 'lesson'].includes(progress.contentType)) return;
+
+  const isLesson = progress.contentType === 'lesson';
+  const completedNow = isLesson && progress.isCompleted && !(before && before.isCompleted);
+
+  await recordLearningActivity(userId, {
+    seconds: Math.min(Math.max(progress.seconds - (before ? before.seconds : 0), 0), MAX_PROGRESS_STEP_SECONDS),
+    lessonId: isLesson ? progress.contentId : null,
+    completedLessonId: completedNow ? progress.contentId : null
+  });
+};
+
+// GOALS
+
+/**
+ * Validate a weekly goal update
+ * @param {Object} input - { unit, target, timezone } (unit null clears the goal)
+ * @returns {Object} - { error } or { fields }
+ */
+const validateGoalInput = (input) => {
+  const { unit, target, timezone } = input || {};
+  const fields = {};
+
+  if (unit === null) {
+    fields.weeklyGoal = null;
+  } else if (unit !== undefined) {
+    if (!GOAL_UNITS.includes(unit)) {
+      return { error: `unit must be one of: ${GOAL_UNITS.join(', ')}` };
+    }
+    if (!Number.isInteger(target) || target < 1 || target > MAX_GOAL_TARGET[unit]) {
+      return { error: `target must be a whole number between 1 and ${MAX_GOAL_TARGET[unit]}` };
+    }
+    fields.weeklyGoal = { unit, target };
+  }
+
+  if (timezone !== undefined) {
+    if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+      return { error: 'timezone must be a valid IANA timezone (e.g. Europe/London)' };
+    }
+    fields.timezone = timezone;
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return { error: 'Provide a goal (unit and target) or a timezone' };
+  }
+
+  return { fields };
+};
+
+/**
+ * Update a user's weekly goal and/or timezone
+ * @param {String} userId - User ID
+ * @param {Object} fields - From validateGoalInput
+ */
+const updateLearningGoal = async (userId, fields) => {
+  const update = { $set: { updatedAt: new Date() } };
+  if (fields.weeklyGoal === null) {
+    update.$unset = { weeklyGoal: 1 };
+  } else if (fields.weeklyGoal) {
+    update.$set.weeklyGoal = fields.weeklyGoal;
+  }
+  if (fields.timezone) update.$set.timezone = fields.timezone;
+
+  await LearningStats.updateOne({ userId }, update, { upsert: true });
+};
+
+// STATS
+
+const formatActivityDay = (date, activity) => ({
+  date,
+  minutes: activity ? Math.floor(activity.seconds / 60) : 0,
+  lessonsStudied: activity ? activity.lessonIds.length : 0,
+  lessonsCompleted: activity ? activity.completedLessonIds.length : 0,
+  booksOpened: activity ? activity.bookIds.length : 0,
+  active: !!activity
+});
+
+/**
+ * Daily activity for the last `days` days, oldest first (days without activity are included)
+ * @param {String} userId - User ID
+ * @param {Number} days - Number of days including today
+ * @returns {Array}
+ */
+const getActivityLog = async (userId, days) => {
+  const stats = await LearningStats.findOne({ userId });
+  const today = getDateKey(new Date(), stats ? stats.timezone : DEFAULT_TIMEZONE);
+  const count = Math.min(Math.max(days, 1), MAX_ACTIVITY_DAYS);
+  const firstDay = shiftDateKey(today, -(count - 1));
+
+  const activities = await LearningActivity.find({ userId, date: { $gte: firstDay, $lte: today } });
+  const byDate = new Map(activities.map(activity => [activity.date, activity]));
+
+  return Array.from({ length: count }, (_, i) => {
+    const date = shiftDateKey(firstDay, i);
+    return formatActivityDay(date, byDate.get(date));
+  });
+};
+
+/**
+ * Streaks, this week's totals and weekly goal progress
+ * @param {String} userId - User ID
+ * @returns {Object}
+ */
+const getLearningStats = async (userId) => {
+  const stats = await LearningStats.findOne({ userId });
+  const timezone = stats ? stats.timezone : DEFAULT_TIMEZONE;
+  const today = getDateKey(new Date(), timezone);
+  const yesterday = shiftDateKey(today, -1);
+  const weekStart = getWeekStart(today);
+
+  const lastActiveDate = stats ? stats.lastActiveDate : null;
+  const activeToday = lastActiveDate === today;
+  // A streak survives until the end of the day after the last active day
+  const currentStreak = activeToday || lastActiveDate === yesterday ? stats.currentStreak : 0;
+
+  const week = await LearningActivity.find({ userId, date: { $gte: weekStart, $lte: today } });
+  const completedLessons = new Set(week.flatMap(day => day.completedLessonIds.map(id => id.toString())));
+  const thisWeek = {
+    weekStart,
+    minutes: Math.floor(week.reduce((total, day) => total + day.seconds, 0) / 60),
+    lessonsCompleted: completedLessons.size,
+    activeDays: week.length
+  };
+
+  let weeklyGoal = null;
+  if (stats && stats.weeklyGoal && stats.weeklyGoal.unit) {
+    const { unit, target } = stats.weeklyGoal;
+    const progress = unit === 'minutes' ? thisWeek.minutes : thisWeek.lessonsCompleted;
+    weeklyGoal = {
+      unit,
+      target,
+      progress,
+      percentage: Math.min(100, Math.round((progress / target) * 100)),
+      achieved: progress >= target
+    };
+  }
+
+  return {
+    timezone,
+    currentStreak,
+    longestStreak: stats ? stats.longestStreak : 0,
+    lastActiveDate,
+    activeToday,
+    streakAtRisk: currentStreak > 0 && !activeToday,
+    thisWeek,
+    weeklyGoal
+  };
+};
+
+// REMINDERS
+
+/**
+ * Remind users whose streak ends tonight: active yesterday, not yet today, and past
+ * STREAK_REMINDER_HOUR in their timezone. Each streak is reminded at most once a day.
+ * @param {Date} now - Current time
+ * @returns {Number} - Reminders sent
+ */
+const sendStreakReminders = async (now = new Date()) => {
+  // Required lazily: socketManager -> learningActivity
+  const socketManager = require('./socketManager');
+
+  // Yesterday in any timezone falls within these UTC days
+  const utcToday = getDateKey(now, 'UTC');
+  const candidates = await LearningStats.find({
+    currentStreak: { $gt: 0 },
+    lastActiveDate: { $in: [-2, -1, 0].map(days => shiftDateKey(utcToday, days)) }
+  });
+
+  let sent = 0;
+  for (const stats of candidates) {
+    const today = getDateKey(now, stats.timezone);
+    if (stats.lastActiveDate !== shiftDateKey(today, -1)) continue;
+    if (stats.lastReminderDate === today || getLocalHour(now, stats.timezone) < STREAK_REMINDER_HOUR) continue;
+
+    // Claim the reminder so concurrent scheduler runs do not send it twice
+    const claimed = await LearningStats.updateOne(
+      { _id: stats._id, lastReminderDate: { $ne: today } },
+      { $set: { lastReminderDate: today } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      await socketManager.broadcastStreakAtRisk(stats.userId, stats.currentStreak);
+      sent++;
+    } catch (error) {
+      console.error(`❌ [Learning Activity] Failed to send streak reminder to user ${stats.userId}:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  recordLearningActivity,
+  recordWatchActivity,
+  validateGoalInput,
+  updateLearningGoal,
+  getActivityLog,
+  getLearningStats,
+  sendStreakReminders
+};
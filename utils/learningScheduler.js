@@ -0,0 +1,29 @@
+const cron = require('node-cron');
+const { sendStreakReminders } = require('./learningActivity');
+
+/**
+ * Initialize learning streak reminders
+ * Runs hourly so every timezone reaches the reminder hour; each streak is reminded at most once a day
+ */
+const initializeLearningScheduler = () => {
+  console.log('🕘 [Learning Scheduler] Initializing streak reminder scheduler...');
+
+  // Run every hour (0 * * * *) - Remind users whose streak ends tonight
+  cron.schedule('0 * * * *', async () => {
+    try {
+      const sent = await sendStreakReminders();
+      if (sent > 0) {
+        console.log(`🔥 [Learning Scheduler] Sent ${sent} streak reminder(s)`);
+      }
+    } catch (error) {
+      console.error('❌ [Learning Scheduler] Failed to send streak reminders:', error.message);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  console.log('✅ [Learning Scheduler] Streak reminder scheduler initialized');
+};
+
+module.exports = { initializeLearningScheduler };
@@ -0,0 +1,102 @@
+const User = require('../models/user');
+const { errorResponse } = require('./apiResponse');
+const { getCampusWithMembershipCheck } = require('./campusHelpers');
+const { getUserEntitlement, canAccessItem, paywallResponse } = require('./entitlement');
+const { hasPermission } = require('./roles');
+const { isPublished } = require('./publishing');
+const { getModuleLockStates, lockedResponse } = require('./moduleUnlock');
+
+/**
+ * Check the user may open a lesson: released content, campus membership, module unlock and subscription.
+ * Needs req.userId, req.entitlement and req.canViewUnpublished (attachEntitlement, attachContentVisibility).
+ * @param {Object} lesson - Lesson document with moduleId populated with its courseId
+ * @param {Object} req - Express request
+ * @returns {Object} - { error: { code, message } }, { locked: state }, { paywall: true } or { campus }
+ */
+const checkLessonAccess = async (lesson, req) => {
+  // Unpublished lessons (or lessons under unpublished parents) are only visible to content admins
+  const isReleased = isPublished(lesson) && isPublished(lesson.moduleId) && isPublished(lesson.moduleId.courseId);
+  if (!req.canViewUnpublished && !isReleased) {
+    return { error: { code: 404, message: 'Lesson not found' } };
+  }
+
+  // Check if user is a member of the campus
+  const { campus, isMember } = await getCampusWithMembershipCheck(lesson.moduleId.courseId.campusId, req.userId);
+  if (!campus) {
+    return { error: { code: 404, message: 'Campus not found' } };
+  }
+  if (!isMember) {
+    return { error: { code: 403, message: 'You must be a member of this campus to view this lesson' } };
+  }
+
+  // Lessons of drip-fed or prerequisite-gated modules stay closed until the module unlocks
+  const lockState = (await getModuleLockStates(req.userId, campus, [lesson.moduleId], req.canViewUnpublished)).get(lesson.moduleId._id.toString());
+  if (lockState.locked) {
+    return { locked: lockState };
+  }
+
+  // Premium lessons require an active subscription unless marked as a free preview
+  if (!canAccessItem(req.entitlement, lesson)) {
+    return { paywall: true };
+  }
+
+  return { campus };
+};
+
+/**
+ * Build the request-like object checkLessonAccess needs for callers without an Express request (socket events)
+ * @param {String} userId - User ID
+ * @returns {Object} - { userId, entitlement, canViewUnpublished }
+ */
+const getLessonViewer = async (userId) => {
+  const user = await User.findById(userId).select('role');
+  return {
+    userId,
+    entitlement: await getUserEntitlement(userId),
+    canViewUnpublished: !!user && hasPermission(user.role, 'content:manage')
+  };
+};
+
+/**
+ * Describe a failed checkLessonAccess for clients outside an HTTP response (socket events, batch results)
+ * @param {Object} access - Result of checkLessonAccess
+ * @returns {Object} - { code, error } (plus unlockReason and unlocksAt for locked modules)
+ */
+const describeLessonAccessDenial = (access) => {
+  // Same details as lockedResponse, so apps can show when or how the module unlocks
+  if (access.locked) {
+    return {
+      code: 'MODULE_LOCKED',
+      error: 'This content is locked',
+      unlockReason: access.locked.unlockReason,
+      unlocksAt: access.locked.unlocksAt
+    };
+  }
+  if (access.paywall) {
+    return { code: 'SUBSCRIPTION_REQUIRED', error: 'An active subscription is required to watch this lesson' };
+  }
+  return { code: access.error.code, error: access.error.message };
+};
+
+/**
+ * Send the response for a failed checkLessonAccess
+ * @param {Object} res - Express response object
+ * @param {Object} req - Express request
+ * @param {Object} access - Result of checkLessonAccess
+ */
+const lessonAccessDeniedResponse = (res, req, access) => {
+  if (access.locked) {
+    return lockedResponse(res, access.locked);
+  }
+  if (access.paywall) {
+    return paywallResponse(res, req.entitlement, 'An active subscription is required to watch this lesson');
+  }
+  return errorResponse(res, access.error.code, access.error.message);
+};
+
+module.exports = {
+  checkLessonAccess,
+  getLessonViewer,
+  describeLessonAccessDenial,
+  lessonAccessDeniedResponse
+};
@@ -0,0 +1,125 @@
+const ResourceDownload = require('../models/resourceDownload');
+const { getB2S3Url } = require('./b2Url');
+
+const RESOURCE_TYPES = ['file', 'link'];
+
+// Documents, spreadsheets, slides and archives accepted as lesson attachments
+const RESOURCE_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/csv',
+  'text/plain',
+  'application/zip',
+  'image/jpeg',
+  'image/png'
+];
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate a lesson resource. Files must come from the /api/upload/file pipeline
+ * (its response provides fileUrl, fileName, fileSize and mimeType).
+ * @param {Object} input - { type, title, url, fileName, size, mimeType }
+ * @returns {Object} - { error } or { fields } ready to store
+ */
+const validateResourceInput = (input) => {
+  const { type, title, url, fileName, size, mimeType } = input;
+
+  if (!RESOURCE_TYPES.includes(type)) {
+    return { error: `Resource type must be one of: ${RESOURCE_TYPES.join(', ')}` };
+  }
+  if (typeof title !== 'string' || !title.trim()) {
+    return { error: 'Resource title is required' };
+  }
+  if (typeof url !== 'string' || !isHttpUrl(url)) {
+    return { error: 'Resource url must be a valid http(s) URL' };
+  }
+
+  if (type === 'link') {
+    return { fields: { type, title: title.trim(), url, fileName: '', size: 0, mimeType: '' } };
+  }
+
+  if (!url.startsWith(getB2S3Url(''))) {
+    return { error: 'File resources must be uploaded through /api/upload/file' };
+  }
+  if (!RESOURCE_MIME_TYPES.includes(mimeType)) {
+    return { error: 'Unsupported file type. Upload a PDF, document, spreadsheet, presentation, archive or image' };
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    return { error: 'File size must be a positive number of bytes' };
+  }
+
+  return {
+    fields: { type, title: title.trim(), url, fileName: fileName || title.trim(), size, mimeType }
+  };
+};
+
+/**
+ * Format a resource for API responses
+ * @param {Object} resource - Resource subdocument
+ * @param {Number} downloads - How often the current user downloaded it
+ * @returns {Object}
+ */
+const formatResource = (resource, downloads = 0) => ({
+  _id: resource._id,
+  type: resource.type,
+  title: resource.title,
+  url: resource.url,
+  fileName: resource.fileName || '',
+  size: resource.size || 0,
+  mimeType: resource.mimeType || '',
+  downloads,
+  createdAt: resource.createdAt
+});
+
+/**
+ * Format all resources of a lesson with the user's download counts
+ * @param {Object} lesson - Lesson document
+ * @param {String} userId - User ID
+ * @returns {Array}
+ */
+const formatLessonResources = async (lesson, userId) => {
+  const resources = lesson.resources || [];
+  if (resources.length === 0) return [];
+
+  const downloads = await ResourceDownload.find({ userId, lessonId: lesson._id }).select('resourceId count');
+  const counts = new Map(downloads.map(download => [download.resourceId.toString(), download.count]));
+  return resources.map(resource => formatResource(resource, counts.get(resource._id.toString()) || 0));
+};
+
+/**
+ * Count a download of a lesson resource for a user
+ * @param {String} userId - User ID
+ * @param {String} lessonId - Lesson ID
+ * @param {String} resourceId - Resource ID
+ * @returns {Number} - The user's download count for this resource
+ */
+const recordResourceDownload = async (userId, lessonId, resourceId) => {
+  const download = await ResourceDownload.findOneAndUpdate(
+    { userId, resourceId },
+    { $inc: { count: 1 }, $set: { lessonId, lastDownloadedAt: new Date() } },
+    { new: true, upsert: true }
+  );
+  return download.count;
+};
+
+module.exports = {
+  RESOURCE_TYPES,
+  validateResourceInput,
+  formatResource,
+  formatLessonResources,
+  recordResourceDownload
+};
@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Module = require('../models/module');
+const Lesson = require('../models/lesson');
+const { getUserProgress } = require('./progressHelper');
+const { PUBLISHED_FILTER } = require('./publishing');
+
+const UNLOCK_TYPES = ['immediate', 'drip', 'prerequisite', 'date'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UNLOCKED = { locked: false, unlockReason: null, unlocksAt: null };
+
+// Fields cleared when a module switches to another unlock type
+const CLEARED_RULE = {
+  unlockAfterDays: null,
+  unlockAt: null,
+  prerequisiteModuleId: null,
+  prerequisiteLessonId: null
+};
+
+// Walk the prerequisite chain starting at a module and report whether it reaches targetId
+const reachesModule = async (startModuleId, targetId) => {
+  const visited = new Set();
+  let currentId = startModuleId;
+
+  while (currentId && !visited.has(currentId.toString())) {
+    if (currentId.toString() === targetId.toString()) return true;
+    visited.add(currentId.toString());
+
+    const current = await Module.findById(currentId).select('prerequisiteModuleId prerequisiteLessonId');
+    if (!current) return false;
+    if (current.prerequisiteModuleId) {
+      currentId = current.prerequisiteModuleId;
+    } else if (current.prerequisiteLessonId) {
+      const lesson = await Lesson.findById(current.prerequisiteLessonId).select('moduleId');
+      currentId = lesson ? lesson.moduleId : null;
+    } else {
+      currentId = null;
+    }
+  }
+  return false;
+};
+
+/**
+ * Validate the unlock fields of a module create/edit request
+ * @param {Object} input - { unlockType, unlockAfterDays, unlockAt, prerequisiteModuleId, prerequisiteLessonId }
+ * @param {Object} module - Module being created or edited (needs _id and courseId)
+ * @returns {Object} - { error } or { fields } (empty when unlockType is not provided)
+ */
+const validateUnlockRule = async (input, module) => {
+  const { unlockType, unlockAfterDays, unlockAt, prerequisiteModuleId, prerequisiteLessonId } = input;
+  if (unlockType === undefined) return { fields: {} };
+
+  if (!UNLOCK_TYPES.includes(unlockType)) {
+    return { error: `unlockType must be one of: ${UNLOCK_TYPES.join(', ')}` };
+  }
+
+  if (unlockType === 'immediate') {
+    return { fields: { unlockType, ...CLEARED_RULE } };
+  }
+
+  if (unlockType === 'drip') {
+    if (!Number.isInteger(unlockAfterDays) || unlockAfterDays < 1) {
+      return { error: 'unlockAfterDays must be a positive whole number of days' };
+    }
+    return { fields: { unlockType, ...CLEARED_RULE, unlockAfterDays } };
+  }
+
+  if (unlockType === 'date') {
+    const date = new Date(unlockAt);
+    if (!unlockAt || isNaN(date.getTime())) {
+      return { error: 'unlockAt must be a valid date' };
+    }
+    return { fields: { unlockType, ...CLEARED_RULE, unlockAt: date } };
+  }
+
+  // Prerequisite: exactly one module or lesson from the same course
+  if (!prerequisiteModuleId === !prerequisiteLessonId) {
+    return { error: 'Provide either prerequisiteModuleId or prerequisiteLessonId' };
+  }
+  const prerequisiteId = prerequisiteModuleId || prerequisiteLessonId;
+  if (!mongoose.Types.ObjectId.isValid(prerequisiteId)) {
+    return { error: 'Prerequisite ID is not valid' };
+  }
+
+  let prerequisiteModule;
+  if (prerequisiteModuleId) {
+    if (prerequisiteModuleId.toString() === module._id.toString()) {
+      return { error: 'A module cannot be its own prerequisite' };
+    }
+    prerequisiteModule = await Module.findById(prerequisiteModuleId).select('courseId');
+  } else {
+    const lesson = await Lesson.findById(prerequisiteLessonId).select('moduleId');
+    if (lesson && lesson.moduleId.toString() === module._id.toString()) {
+      return { error: 'A module cannot require one of its own lessons' };
+    }
+    prerequisiteModule = lesson ? await Module.findById(lesson.moduleId).select('courseId') : null;
+  }
+
+  if (!prerequisiteModule || prerequisiteModule.courseId.toString() !== module.courseId.toString()) {
+    return { error: 'The prerequisite must belong to the same course' };
+  }
+  if (await reachesModule(prerequisiteModule._id, module._id)) {
+    return { error: 'This prerequisite would create a circular unlock chain' };
+  }
+
+  return {
+    fields: {
+      unlockType,
+      ...CLEARED_RULE,
+      prerequisiteModuleId: prerequisiteModuleId || null,
+      prerequisiteLessonId: prerequisiteLessonId || null
+    }
+  };
+};
+
+/**
+ * Reset prerequisite rules that point into another course, e.g. after a module or
+ * lesson was moved between courses
+ * @param {Array} courseIds - Courses whose modules should be checked
+ * @returns {Number} - Number of modules reset to immediate
+ */
+const clearCrossCoursePrerequisites = async (courseIds) => {
+  const modules = await Module.find({ courseId: { $in: courseIds }, unlockType: 'prerequisite' })
+    .select('courseId prerequisiteModuleId prerequisiteLessonId');
+
+  const resetIds = [];
+  for (const module of modules) {
+    let prerequisiteModuleId = module.prerequisiteModuleId;
+    if (!prerequisiteModuleId && module.prerequisiteLessonId) {
+      const lesson = await Lesson.findById(module.prerequisiteLessonId).select('moduleId');
+      prerequisiteModuleId = lesson ? lesson.moduleId : null;
+    }
+    const prerequisite = prerequisiteModuleId ? await Module.findById(prerequisiteModuleId).select('courseId') : null;
+    if (prerequisite && prerequisite.courseId.toString() !== module.courseId.toString()) {
+      resetIds.push(module._id);
+    }
+  }
+
+  if (resetIds.length === 0) return 0;
+  await Module.updateMany({ _id: { $in: resetIds } }, { unlockType: 'immediate', ...CLEARED_RULE });
+  return resetIds.length;
+};
+
+/**
+ * Work out which modules are still locked for a user
+ * Checked on lesson reads and on every lesson progress write (checkLessonAccess), since completing
+ * lessons is what unlocks prerequisite-gated modules.
+ * @param {String} userId - User ID
+ * @param {Object} campus - Campus document or object with members (for the join date)
+ * @param {Array} modules - Modules (documents or plain objects) with their unlock fields
+ * @param {Boolean} bypass - Content admins see everything unlocked
+ * @returns {Map} - moduleId -> { locked, unlockReason, unlocksAt }
+ */
+const getModuleLockStates = async (userId, campus, modules, bypass = false) => {
+  const states = new Map();
+  if (bypass) {
+    modules.forEach(module => states.set(module._id.toString(), UNLOCKED));
+    return states;
+  }
+
+  // Virtual campuses have no join record, so their drip schedule starts at the campus creation
+  const membership = (campus.members || []).find(member => member.userId.toString() === userId.toString());
+  const joinedAt = new Date(membership ? membership.joinedAt : campus.createdAt);
+  const now = new Date();
+
+  const prerequisiteModuleIds = modules.filter(m => m.unlockType === 'prerequisite' && m.prerequisiteModuleId).map(m => m.prerequisiteModuleId);
+  const prerequisiteLessonIds = modules.filter(m => m.unlockType === 'prerequisite' && m.prerequisiteLessonId).map(m => m.prerequisiteLessonId);
+
+  const [userProgress, prerequisiteModules, prerequisiteModuleLessons, prerequisiteLessons] = await Promise.all([
+    getUserProgress(userId),
+    Module.find({ _id: { $in: prerequisiteModuleIds } }).select('name'),
+    Lesson.find({ moduleId: { $in: prerequisiteModuleIds }, ...PUBLISHED_FILTER }).select('_id moduleId'),
+    Lesson.find({ _id: { $in: prerequisiteLessonIds } }).select('name')
+  ]);
+
+  const isLessonCompleted = (lessonId) => {
+    const progress = userProgress[lessonId.toString()];
+    return !!(progress && progress.isCompleted);
+  };
+  const moduleNames = new Map(prerequisiteModules.map(m => [m._id.toString(), m.name]));
+  const lessonNames = new Map(prerequisiteLessons.map(l => [l._id.toString(), l.name]));
+
+  for (const module of modules) {
+    let state = UNLOCKED;
+
+    if (module.unlockType === 'drip' && module.unlockAfterDays) {
+      const unlocksAt = new Date(joinedAt.getTime() + module.unlockAfterDays * DAY_MS);
+      if (unlocksAt > now) {
+        state = { locked: true, unlockReason: `Unlocks ${module.unlockAfterDays} days after joining the campus`, unlocksAt };
+      }
+    } else if (module.unlockType === 'date' && module.unlockAt) {
+      const unlocksAt = new Date(module.unlockAt);
+      if (unlocksAt > now) {
+        state = { locked: true, unlockReason: `Unlocks on ${unlocksAt.toISOString().slice(0, 10)}`, unlocksAt };
+      }
+    } else if (module.unlockType === 'prerequisite' && module.prerequisiteModuleId) {
+      // A deleted prerequisite no longer blocks anything
+      const prerequisiteId = module.prerequisiteModuleId.toString();
+      const lessons = prerequisiteModuleLessons.filter(lesson => lesson.moduleId.toString() === prerequisiteId);
+      if (moduleNames.has(prerequisiteId) && !lessons.every(lesson => isLessonCompleted(lesson._id))) {
+        state = { locked: true, unlockReason: `Complete the module "${moduleNames.get(prerequisiteId)}" to unlock`, unlocksAt: null };
+      }
+    } else if (module.unlockType === 'prerequisite' && module.prerequisiteLessonId) {
+      const prerequisiteId = module.prerequisiteLessonId.toString();
+      if (lessonNames.has(prerequisiteId) && !isLessonCompleted(prerequisiteId)) {
+        state = { locked: true, unlockReason: `Complete the lesson "${lessonNames.get(prerequisiteId)}" to unlock`, unlocksAt: null };
+      }
+    }
+
+    states.set(module._id.toString(), state);
+  }
+
+  return states;
+};
+
+/**
+ * Unlock fields for module API responses
+ * @param {Object} module - Module document or plain object
+ * @param {Object} state - Lock state from getModuleLockStates
+ * @returns {Object}
+ */
+const formatUnlock = (module, state = UNLOCKED) => ({
+  unlockType: module.unlockType || 'immediate',
+  unlockAfterDays: module.unlockAfterDays || null,
+  unlockAt: module.unlockAt || null,
+  prerequisiteModuleId: module.prerequisiteModuleId || null,
+  prerequisiteLessonId: module.prerequisiteLessonId || null,
+  locked: state.locked,
+  unlockReason: state.unlockReason,
+  unlocksAt: state.unlocksAt
+});
+
+/**
+ * Flag a structured lesson of a locked module and strip its content
+ * @param {Object} lesson - Structured lesson object
+ * @param {Object} state - Lock state of the lesson's module
+ * @returns {Object}
+ */
+const applyModuleLock = (lesson, state = UNLOCKED) => {
+  if (!state.locked) {
+    return { ...lesson, locked: false };
+  }
+  return {
+    ...lesson,
+    locked: true,
+    unlockReason: state.unlockReason,
+    unlocksAt: state.unlocksAt,
+    videoUrl: '',
+    thumbnailsUrl: '',
+    text: '',
+    notes: '',
+    resolutions: []
+  };
+};
+
+/**
+ * Send the standard 403 error for content in a locked module
+ * @param {Object} res - Express response object
+ * @param {Object} state - Lock state from getModuleLockStates
+ */
+const lockedResponse = (res, state) => {
+  return res.status(403).json({
+    status: false,
+    message: 'This content is locked',
+    code: 'MODULE_LOCKED',
+    unlockReason: state.unlockReason,
+    unlocksAt: state.unlocksAt
+  });
+};
+
+module.exports = {
+  UNLOCK_TYPES,
+  validateUnlockRule,
+  clearCrossCoursePrerequisites,
+  getModuleLockStates,
+  formatUnlock,
+  applyModuleLock,
+  lockedResponse
+};
@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const Lesson = require('../models/lesson');
+const Module = require('../models/module');
+const Course = require('../models/course');
+const Video = require('../models/video');
+const { getCampusWithMembershipCheck } = require('./campusHelpers');
+
+const NOTE_TYPES = ['note', 'bookmark'];
+const MAX_NOTE_LENGTH = 5000;
+
+/**
+ * Validate the fields of a note create/edit request
+ * @param {Object} input - { type, seconds, text }
+ * @param {Boolean} isEdit - When true, missing fields are left unchanged
+ * @param {String} currentType - Type of the note being edited
+ * @returns {Object} - { error } or { fields } with only the provided fields
+ */
+const validateNoteInput = (input, isEdit = false, currentType = 'note') => {
+  const { type, seconds, text } = input;
+  const fields = {};
+
+  if (type !== undefined && !isEdit) {
+    if (!NOTE_TYPES.includes(type)) {
+      return { error: `type must be one of: ${NOTE_TYPES.join(', ')}` };
+    }
+    fields.type = type;
+  }
+  if (seconds !== undefined || !isEdit) {
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) {
+      return { error: 'seconds must be a non-negative number' };
+    }
+    fields.seconds = Math.floor(seconds);
+  }
+  if (text !== undefined) {
+    if (typeof text !== 'string' || text.length > MAX_NOTE_LENGTH) {
+      return { error: `text must be a string of at most ${MAX_NOTE_LENGTH} characters` };
+    }
+    fields.text = text.trim();
+  }
+
+  // Bookmarks may be unlabelled, notes need text
+  const noteType = fields.type || currentType;
+  if (noteType === 'note' && (fields.text !== undefined || !isEdit) && !fields.text) {
+    return { error: 'Note text is required' };
+  }
+
+  return { fields };
+};
+
+/**
+ * Find the lesson or video a note is attached to and check the user can see it
+ * @param {String} contentId - Lesson or Video ID
+ * @param {String} userId - User ID
+ * @returns {Object} - { error: { code, message } } or { contentType, length }
+ */
+const resolveNoteContent = async (contentId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(contentId)) {
+    return { error: { code: 400, message: 'contentId is not a valid ID' } };
+  }
+
+  const video = await Video.findById(contentId).select('length');
+  if (video) {
+    return { contentType: 'video', length: video.length || 0 };
+  }
+
+  const lesson = await Lesson.findById(contentId).populate({ path: 'moduleId', populate: { path: 'courseId' } });
+  if (!lesson || !lesson.moduleId || !lesson.moduleId.courseId) {
+    return { error: { code: 404, message: 'Lesson or video not found' } };
+  }
+
+  const { campus, isMember } = await getCampusWithMembershipCheck(lesson.moduleId.courseId.campusId, userId);
+  if (!campus || !isMember) {
+    return { error: { code: 403, message: 'You must be a member of this campus to add notes to this lesson' } };
+  }
+
+  return { contentType: 'lesson', length: lesson.length || 0 };
+};
+
+/**
+ * Format a position as h:mm:ss or m:ss
+ * @param {Number} seconds - Position in seconds
+ * @returns {String}
+ */
+const formatTimestamp = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(Math.floor(seconds % 60)).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Load titles and course placement for the content of a set of notes.
+ * Notes on trashed or deleted content get no context and are left out of listings.
+ * @param {Array} notes - Note documents
+ * @returns {Map} - contentId -> context
+ */
+const getNoteContexts = async (notes) => {
+  const contexts = new Map();
+  const idsOf = (type) => [...new Set(notes.filter(n => n.contentType === type).map(n => n.contentId.toString()))];
+
+  const videos = await Video.find({ _id: { $in: idsOf('video') } }).select('title type seriesId');
+  videos.forEach(video => {
+    // App paths the client can open directly at the note's position
+    const path = video.type === 'episode' && video.seriesId
+      ? `/series/${video.seriesId}/episode/${video._id}`
+      : `/film/${video._id}`;
+    contexts.set(video._id.toString(), { title: video.title, videoType: video.type, seriesId: video.seriesId || null, path });
+  });
+
+  const lessons = await Lesson.find({ _id: { $in: idsOf('lesson') } }).select('name moduleId order');
+  const modules = await Module.find({ _id: { $in: lessons.map(l => l.moduleId) } }).select('name courseId order');
+  const courses = await Course.find({ _id: { $in: modules.map(m => m.courseId) } }).populate('campusId', 'title');
+  const modulesById = new Map(modules.map(m => [m._id.toString(), m]));
+  const coursesById = new Map(courses.map(c => [c._id.toString(), c]));
+
+  lessons.forEach(lesson => {
+    const module = modulesById.get(lesson.moduleId.toString());
+    const course = module ? coursesById.get(module.courseId.toString()) : null;
+    if (!course || !course.campusId) return;
+
+    contexts.set(lesson._id.toString(), {
+      title: lesson.name,
+      lessonOrder: lesson.order || 0,
+      moduleId: module._id,
+      moduleName: module.name,
+      moduleOrder: module.order || 0,
+      courseId: course._id,
+      courseTitle: course.title,
+      campusId: course.campusId._id,
+      campusTitle: course.campusId.title,
+      path: `/campus/${course.campusId._id}/course/${course._id}/lesson/${lesson._id}`
+    });
+  });
+
+  return contexts;
+};
+
+/**
+ * Format a note for API responses
+ * @param {Object} note - Note document
+ * @param {Object} context - Entry from getNoteContexts (optional)
+ * @returns {Object}
+ */
+const formatNote = (note, context = null) => ({
+  _id: note._id,
+  contentId: note.contentId,
+  contentType: note.contentType,
+  type: note.type,
+  seconds: note.seconds,
+  timestamp: formatTimestamp(note.seconds),
+  text: note.text || '',
+  ...(context ? {
+    contentTitle: context.title,
+    deepLink: `${context.path}?t=${note.seconds}`
+  } : {}),
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt
+});
+
+/**
+ * Group notes by course; notes on films and episodes are listed separately
+ * @param {Array} notes - Note documents
+ * @param {Map} contexts - From getNoteContexts
+ * @returns {Object} - { courses: [{ courseId, courseTitle, campusId, campusTitle, notes }], videos: [notes] }
+ */
+const groupNotesByCourse = (notes, contexts) => {
+  const courses = new Map();
+  const videos = [];
+
+  notes.forEach(note => {
+    const context = contexts.get(note.contentId.toString());
+    if (!context) return;
+
+    if (note.contentType === 'video') {
+      videos.push(formatNote(note, context));
+      return;
+    }
+
+    const courseKey = context.courseId.toString();
+    if (!courses.has(courseKey)) {
+      courses.set(courseKey, {
+        courseId: context.courseId,
+        courseTitle: context.courseTitle,
+        campusId: context.campusId,
+        campusTitle: context.campusTitle,
+        notes: []
+      });
+    }
+    courses.get(courseKey).notes.push({
+      ...formatNote(note, context),
+      moduleId: context.moduleId,
+      moduleName: context.moduleName
+    });
+  });
+
+  return { courses: [...courses.values()], videos };
+};
+
+/**
+ * Render a user's notes for one course as Markdown, in course order
+ * @param {Object} course - Course document populated with campusId
+ * @param {Array} notes - Note documents on the course's lessons
+ * @param {Map} contexts - From getNoteContexts
+ * @returns {String}
+ */
+const renderCourseNotesMarkdown = (course, notes, contexts) => {
+  const lines = [`# ${course.title} — Notes`, ''];
+  if (course.campusId && course.campusId.title) {
+    lines.push(`${course.campusId.title} Campus · Exported ${new Date().toISOString().slice(0, 10)}`, '');
+  }
+
+  const sorted = notes
+    .filter(note => contexts.has(note.contentId.toString()))
+    .sort((a, b) => {
+      const contextA = contexts.get(a.contentId.toString());
+      const contextB = contexts.get(b.contentId.toString());
+      return contextA.moduleOrder - contextB.moduleOrder ||
+        contextA.moduleId.toString().localeCompare(contextB.moduleId.toString()) ||
+        contextA.lessonOrder - contextB.lessonOrder ||
+        a.contentId.toString().localeCompare(b.contentId.toString()) ||
+        a.seconds - b.seconds;
+    });
+
+  if (sorted.length === 0) {
+    lines.push('_No notes yet._', '');
+  }
+
+  let currentModule = null;
+  let currentLesson = null;
+  const startSection = (heading) => {
+    if (lines[lines.length - 1] !== '') lines.push('');
+    lines.push(heading, '');
+  };
+
+  sorted.forEach(note => {
+    const context = contexts.get(note.contentId.toString());
+    if (context.moduleId.toString() !== currentModule) {
+      currentModule = context.moduleId.toString();
+      currentLesson = null;
+      startSection(`## ${context.moduleName}`);
+    }
+    if (note.contentId.toString() !== currentLesson) {
+      currentLesson = note.contentId.toString();
+      startSection(`### ${context.title}`);
+    }
+
+    const label = note.type === 'bookmark' ? '🔖 ' : '';
+    const text = (note.text || (note.type === 'bookmark' ? 'Bookmark' : '')).replace(/\n+/g, ' ');
+    lines.push(`- [${formatTimestamp(note.seconds)}](${context.path}?t=${note.seconds}) ${label}${text}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  NOTE_TYPES,
+  validateNoteInput,
+  resolveNoteContent,
+  formatTimestamp,
+  getNoteContexts,
+  formatNote,
+  groupNotesByCourse,
+  renderCourseNotesMarkdown
+};
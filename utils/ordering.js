@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Curriculum items are ordered by `order`, falling back to creation time for items
+// created before explicit ordering existed (they all share order 0)
+const ORDER_SORT = { order: 1, createdAt: 1 };
+
+/**
+ * Sort plain objects (e.g. $lookup results) by curriculum order
+ * @param {Array} items - Items with order and createdAt
+ * @returns {Array} - New sorted array
+ */
+const sortByOrder = (items = []) => {
+  return [...items].sort((a, b) =>
+    (a.order || 0) - (b.order || 0) || new Date(a.createdAt) - new Date(b.createdAt)
+  );
+};
+
+/**
+ * Get the order value that places a new item last under its parent
+ * @param {Object} Model - Mongoose model (Course, Module or Lesson)
+ * @param {Object} filter - Parent filter, e.g. { moduleId }
+ * @returns {Number} - Next order value
+ */
+const getNextOrder = async (Model, filter) => {
+  const last = await Model.findOne(filter).sort({ order: -1 }).select('order');
+  return last ? (last.order || 0) + 1 : 0;
+};
+
+// Persist order = position for the given IDs, optionally setting a new parent
+const resequence = async (Model, ids, parentUpdate = {}) => {
+  if (ids.length === 0) return;
+  await Model.bulkWrite(ids.map((id, index) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { order: index, ...parentUpdate } }
+    }
+  })));
+};
+
+/**
+ * Apply a full new order for all children of a parent
+ * @param {Object} Model - Mongoose model (Course, Module or Lesson)
+ * @param {String} parentField - Parent reference field, e.g. 'moduleId'
+ * @param {String} parentId - Parent ID
+ * @param {Array<String>} orderedIds - Every child ID, in the desired order
+ * @returns {Object} - { error } or { items } sorted in the new order
+ */
+const reorderChildren = async (Model, parentField, parentId, orderedIds) => {
+  if (!Array.isArray(orderedIds) || orderedIds.length === 0) {
+    return { error: 'An ordered array of IDs is required' };
+  }
+  if (orderedIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'All IDs must be valid' };
+  }
+
+  const ids = orderedIds.map(id => id.toString());
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'IDs must not contain duplicates' };
+  }
+
+  // The new order must cover exactly the current children so no item is left without a position
+  const children = await Model.find({ [parentField]: parentId }).select('_id');
+  const childIds = new Set(children.map(child => child._id.toString()));
+  if (ids.length !== childIds.size || ids.some(id => !childIds.has(id))) {
+    return { error: `IDs must list every item of this parent exactly once (expected ${childIds.size})` };
+  }
+
+  await resequence(Model, ids);
+  const items = await Model.find({ [parentField]: parentId }).sort(ORDER_SORT);
+  return { items };
+};
+
+/**
+ * Move an item to a position under a (possibly different) parent, keeping both
+ * parents' orders contiguous
+ * @param {Object} Model - Mongoose model (Module or Lesson)
+ * @param {String} parentField - Parent reference field, e.g. 'moduleId'
+ * @param {Object} item - Item document being moved
+ * @param {String} targetParentId - Destination parent ID
+ * @param {Number} position - Zero-based position in the destination (defaults to last)
+ * @returns {Object} - Updated item document
+ */
+const moveToParent = async (Model, parentField, item, targetParentId, position) => {
+  const sourceParentId = item[parentField].toString();
+  const targetId = targetParentId.toString();
+
+  const targetSiblings = await Model.find({ [parentField]: targetId, _id: { $ne: item._id } })
+    .sort(ORDER_SORT)
+    .select('_id');
+  const targetIds = targetSiblings.map(sibling => sibling._id.toString());
+
+  const index = Number.isInteger(position)
+    ? Math.max(0, Math.min(position, targetIds.length))
+    : targetIds.length;
+  targetIds.splice(index, 0, item._id.toString());
+
+  await resequence(Model, targetIds, { [parentField]: targetId });
+
+  // Close the gap left behind in the previous parent
+  if (sourceParentId !== targetId) {
+    const sourceSiblings = await Model.find({ [parentField]: sourceParentId })
+      .sort(ORDER_SORT)
+      .select('_id');
+    await resequence(Model, sourceSiblings.map(sibling => sibling._id.toString()));
+  }
+
+  return Model.findById(item._id);
+};
+
+module.exports = {
+  ORDER_SORT,
+  sortByOrder,
+  getNextOrder,
+  reorderChildren,
+  moveToParent
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+// Lifetime of playlist URLs handed out in content responses
+const PLAYBACK_URL_TTL_SECONDS = parseInt(process.env.PLAYBACK_URL_TTL_SECONDS) || 10 * 60;
+// Lifetime of the rendition URLs inside a served playlist, long enough to switch renditions during a film
+const PLAYBACK_SESSION_SECONDS = parseInt(process.env.PLAYBACK_SESSION_SECONDS) || 6 * 60 * 60;
+const MEDIA_PLAYLIST_PATH = '/api/media/playlist';
+
+/**
+ * Stable (unsigned) URL stored on videos and lessons for an encrypted HLS video
+ * @param {String} videoId - EncryptedVideo videoId
+ * @returns {String} - Master playlist URL; it must be signed before a player can load it
+ */
+const getEncryptedVideoUrl = (videoId) => {
+  const baseUrl = (process.env.API_BASE_URL || '').replace(/\/$/, '');
+  return `${baseUrl}${MEDIA_PLAYLIST_PATH}?videoId=${encodeURIComponent(videoId)}&path=master.m3u8`;
+};
+
+/**
+ * Extract the encrypted video ID from a stored video URL
+ * @param {String} videoUrl - Video URL stored on a video or lesson
+ * @returns {String|null} - videoId, or null for plain (public) HLS and other URLs
+ */
+const getEncryptedVideoId = (videoUrl) => {
+  if (!videoUrl || !videoUrl.includes(`${MEDIA_PLAYLIST_PATH}?`)) return null;
+  const query = new URLSearchParams(videoUrl.slice(videoUrl.indexOf('?') + 1));
+  return query.get('videoId');
+};
+
+// The first part names what is signed ('playlist' or 'key'), so one kind of signature cannot stand in for the other
+const createSignature = (...parts) => {
+  return crypto
+    .createHmac('sha256', process.env.MEDIA_SIGNING_SECRET || process.env.JWT_SECRET)
+    .update(parts.join(':'))
+    .digest('hex');
+};
+
+const verifySignature = (signature, expires, ...parts) => {
+  if (!signature || !expires || parts.some(part => !part)) return false;
+  if (parseInt(expires) < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(createSignature(...parts, expires), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+const expiresIn = (ttlSeconds) => String(Math.floor(Date.now() / 1000) + ttlSeconds);
+
+// Query string granting one user access to one playlist until it expires
+const signPlaylistQuery = (videoId, playlistPath, userId, ttlSeconds) => {
+  const expires = expiresIn(ttlSeconds);
+  const query = new URLSearchParams({
+    videoId,
+    path: playlistPath,
+    userId,
+    expires,
+    signature: createSignature('playlist', videoId, playlistPath, userId, expires)
+  });
+  return query.toString();
+};
+
+// Query string letting a player fetch one decryption key for a user without an Authorization header
+const signKeyQuery = (videoId, index, userId, ttlSeconds) => {
+  const expires = expiresIn(ttlSeconds);
+  const query = new URLSearchParams({
+    videoId,
+    index,
+    userId,
+    expires,
+    signature: createSignature('key', videoId, index, userId, expires)
+  });
+  return query.toString();
+};
+
+/**
+ * Sign a stored video URL for playback by a user. URLs of unencrypted videos are returned unchanged.
+ * @param {String} videoUrl - Video URL stored on a video or lesson
+ * @param {String} userId - User the URL is issued to; its key requests are checked against this user's access
+ * @returns {String} - Short-lived master playlist URL
+ */
+const signPlaybackUrl = (videoUrl, userId) => {
+  const videoId = getEncryptedVideoId(videoUrl);
+  if (!videoId || !userId) return videoUrl;
+  return `${videoUrl.slice(0, videoUrl.indexOf('?'))}?${signPlaylistQuery(videoId, 'master.m3u8', userId.toString(), PLAYBACK_URL_TTL_SECONDS)}`;
+};
+
+/**
+ * Check a playlist request's signature and expiry
+ * @param {Object} query - { videoId, path, userId, expires, signature }
+ * @returns {Boolean} - True if the URL was signed by this server and has not expired
+ */
+const verifyPlaylistSignature = ({ videoId, path, userId, expires, signature }) => {
+  return verifySignature(signature, expires, 'playlist', videoId, path, userId);
+};
+
+/**
+ * Check a key request's signature and expiry
+ * @param {Object} query - { videoId, index, userId, expires, signature }
+ * @returns {Boolean} - True if the key URI was signed by this server for the user and has not expired
+ */
+const verifyKeySignature = ({ videoId, index, userId, expires, signature }) => {
+  return verifySignature(signature, expires, 'key', videoId, index, userId);
+};
+
+/**
+ * Point the playlists and keys referenced by a served playlist at URLs signed for the user.
+ * URIs stay relative to /api/media/playlist, so the player resolves them against the URL it loaded.
+ * @param {String} content - Stored playlist
+ * @param {String} videoId - EncryptedVideo videoId
+ * @param {String} userId - User the playlist was signed for
+ * @returns {String} - Playlist ready to be served
+ */
+const signPlaylistReferences = (content, videoId, userId) => {
+  const sign = (playlistPath) => `playlist?${signPlaylistQuery(videoId, playlistPath, userId, PLAYBACK_SESSION_SECONDS)}`;
+  const signKey = (keyUri) => {
+    const index = new URLSearchParams(keyUri.slice(keyUri.indexOf('?') + 1)).get('index');
+    return `key?${signKeyQuery(videoId, index, userId, PLAYBACK_SESSION_SECONDS)}`;
+  };
+
+  return content
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('#')) {
+        return line
+          .replace(/URI="([^"]+\.m3u8)"/, (match, uri) => `URI="${sign(uri)}"`)
+          .replace(/URI="(key\?[^"]+)"/, (match, uri) => `URI="${signKey(uri)}"`);
+      }
+      return line.trim().endsWith('.m3u8') ? sign(line.trim()) : line;
+    })
+    .join('\n');
+};
+
+module.exports = {
+  getEncryptedVideoUrl,
+  getEncryptedVideoId,
+  signPlaybackUrl,
+  verifyPlaylistSignature,
+  verifyKeySignature,
+  signPlaylistReferences
+};
@@ -0,0 +1,208 @@
+const WatchProgress = require('../models/watchProgress');
+const { getRedisClient } = require('./redisClient');
+
+// How long a user's progress stays cached after it was loaded from the database
+const CACHE_TTL_SECONDS = parseInt(process.env.PROGRESS_CACHE_TTL_SECONDS) || 30 * 60;
+// Maximum number of users kept in the in-memory fallback cache
+const MAX_CACHED_USERS = parseInt(process.env.PROGRESS_CACHE_MAX_USERS) || 1000;
+// Marker field proving a Redis hash holds the user's complete progress set
+const LOADED_FIELD = '__loaded';
+
+/**
+ * Minimal LRU map with per-entry expiry (in-memory fallback when Redis is unavailable)
+ */
+class LRUCache {
+  constructor(maxEntries, ttlSeconds) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlSeconds * 1000;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Move to most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+    // Evict least recently used entries
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Read-through cache of per-user watch progress backed by the WatchProgress collection.
+ * Progress shape: { [contentId]: { seconds, percentage, totalDuration, isCompleted, lastUpdated } }
+ */
+class ProgressCache {
+  constructor() {
+    this.memory = new LRUCache(MAX_CACHED_USERS, CACHE_TTL_SECONDS);
+    // Users whose progress changed while Redis was unreachable; their Redis hashes are stale
+    this.staleUsers = new Set();
+  }
+
+  key(userId) {
+    return `watch-progress:${userId}`;
+  }
+
+  // A change that could not reach Redis leaves the user's hash stale once Redis is back
+  markStale(userKey) {
+    if (process.env.REDIS_URL) this.staleUsers.add(userKey);
+  }
+
+  // Drop stale hashes before using Redis again, so the next read reloads them from the database
+  async dropStaleUsers(redis) {
+    if (this.staleUsers.size === 0) return;
+    const userKeys = [...this.staleUsers];
+    await redis.del(userKeys.map(userKey => this.key(userKey)));
+    userKeys.forEach(userKey => this.staleUsers.delete(userKey));
+  }
+
+  toEntry(progress) {
+    return {
+      seconds: progress.seconds || 0,
+      percentage: progress.percentage || 0,
+      totalDuration: progress.totalDuration || 0,
+      isCompleted: !!progress.isCompleted,
+      lastUpdated: new Date(progress.lastUpdated || Date.now()).getTime()
+    };
+  }
+
+  // Load a user's complete progress set from MongoDB
+  async loadFromDatabase(userId) {
+    const records = await WatchProgress.find({ userId })
+      .select('videoId seconds percentage totalDuration isCompleted lastUpdated')
+      .lean();
+    return records.reduce((map, record) => {
+      map[record.videoId.toString()] = this.toEntry(record);
+      return map;
+    }, {});
+  }
+
+  /**
+   * Get all watch progress for a user (read-through)
+   * @param {String} userId - User ID
+   * @returns {Object} - { [contentId]: progress }
+   */
+  async getUserProgress(userId) {
+    if (!userId) return {};
+    const userKey = userId.toString();
+
+    try {
+      const redis = await getRedisClient();
+      if (redis) {
+        await this.dropStaleUsers(redis);
+        const cached = await redis.hGetAll(this.key(userKey));
+        if (cached && cached[LOADED_FIELD]) {
+          const { [LOADED_FIELD]: loaded, ...fields } = cached;
+          return Object.fromEntries(
+            Object.entries(fields).map(([contentId, value]) => [contentId, JSON.parse(value)])
+          );
+        }
+
+        const progress = await this.loadFromDatabase(userKey);
+        const fields = { [LOADED_FIELD]: '1' };
+        for (const [contentId, entry] of Object.entries(progress)) {
+          fields[contentId] = JSON.stringify(entry);
+        }
+        await redis.multi()
+          .del(this.key(userKey))
+          .hSet(this.key(userKey), fields)
+          .expire(this.key(userKey), CACHE_TTL_SECONDS)
+          .exec();
+        return progress;
+      }
+    } catch (error) {
+      console.error('❌ [Progress Cache] Redis read failed, using memory cache:', error.message);
+    }
+
+    const cached = this.memory.get(userKey);
+    if (cached) return cached;
+
+    const progress = await this.loadFromDatabase(userKey);
+    this.memory.set(userKey, progress);
+    return progress;
+  }
+
+  /**
+   * Get a user's progress for a single content item
+   * @param {String} userId - User ID
+   * @param {String} contentId - Content ID
+   * @returns {Object|null} - Progress or null
+   */
+  async getProgress(userId, contentId) {
+    const progress = await this.getUserProgress(userId);
+    return progress[contentId.toString()] || null;
+  }
+
+  /**
+   * Update a cached progress entry after it was written to the database.
+   * Users that are not cached are left alone; their next read loads from the database.
+   * @param {String} userId - User ID
+   * @param {String} contentId - Content ID
+   * @param {Object} progress - WatchProgress document or progress fields
+   */
+  async setProgress(userId, contentId, progress) {
+    const userKey = userId.toString();
+    const entry = this.toEntry(progress);
+
+    try {
+      const redis = await getRedisClient();
+      if (redis) {
+        await this.dropStaleUsers(redis);
+        if (await redis.hExists(this.key(userKey), LOADED_FIELD)) {
+          await redis.hSet(this.key(userKey), contentId.toString(), JSON.stringify(entry));
+        }
+        return;
+      }
+    } catch (error) {
+      console.error('❌ [Progress Cache] Redis write failed, invalidating user:', error.message);
+      await this.invalidateUser(userKey);
+    }
+
+    this.markStale(userKey);
+    const cached = this.memory.get(userKey);
+    if (cached) {
+      cached[contentId.toString()] = entry;
+    }
+  }
+
+  /**
+   * Drop a user's cached progress so the next read reloads it from the database
+   * @param {String} userId - User ID
+   */
+  async invalidateUser(userId) {
+    const userKey = userId.toString();
+    this.memory.delete(userKey);
+    try {
+      const redis = await getRedisClient();
+      if (redis) {
+        await redis.del(this.key(userKey));
+        return;
+      }
+    } catch (error) {
+      console.error('❌ [Progress Cache] Failed to invalidate user in Redis:', error.message);
+    }
+    this.markStale(userKey);
+  }
+}
+
+// Singleton instance
+const progressCache = new ProgressCache();
+
+module.exports = progressCache;
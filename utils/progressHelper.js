@@ -1,16 +1,26 @@
-const socketManager = require('./socketManager');
+const progressCache = require('./progressCache');
 
 /**
- * Calculate watch progress for a video/lesson using stored length
+ * Load all watch progress for a user from the progress cache (read-through to the database).
+ * Call once per request and pass the result to the helpers below.
  * @param {string} userId - User ID
+ * @returns {Promise<object>} Map of contentId to progress
+ */
+const getUserProgress = async (userId) => {
+  return progressCache.getUserProgress(userId);
+};
+
+/**
+ * Calculate watch progress for a video/lesson using stored length
+ * @param {object} userProgress - Map of contentId to progress (from getUserProgress)
  * @param {string} videoId - Video/Lesson ID
  * @param {number} videoLength - Stored video length in seconds
  * @param {boolean} hasVideo - Whether the content has a video (for lessons)
  * @returns {object} Progress data
  */
-const calculateWatchProgress = (userId, videoId, videoLength = 0, hasVideo = true) => {
-  // Get stored progress from socket manager
-  const progress = socketManager.videoProgress[userId]?.[videoId];
+const calculateWatchProgress = (userProgress, videoId, videoLength = 0, hasVideo = true) => {
+  // Get stored progress from the user's cached progress
+  const progress = userProgress?.[videoId];
   
   // For text-only lessons (no video)
   if (!hasVideo) {
@@ -54,15 +64,15 @@ const calculateWatchProgress = (userId, videoId, videoLength = 0, hasVideo = tru
 
 /**
  * Calculate watch progress for multiple videos/lessons
- * @param {string} userId - User ID
+ * @param {object} userProgress - Map of contentId to progress (from getUserProgress)
  * @param {Array} items - Array of video/lesson objects with _id and length
  * @returns {Array} Items with progress data added
  */
-const calculateWatchProgressForItems = (userId, items) => {
+const calculateWatchProgressForItems = (userProgress, items) => {
   return items.map(item => {
     // Check if this is a lesson without video (text-only lesson)
     const hasVideo = item.videoUrl && item.videoUrl.length > 0;
-    const progress = calculateWatchProgress(userId, item._id.toString(), item.length || 0, hasVideo);
+    const progress = calculateWatchProgress(userProgress, item._id.toString(), item.length || 0, hasVideo);
     
     return {
       ...item,
@@ -75,14 +85,14 @@ const calculateWatchProgressForItems = (userId, items) => {
 
 /**
  * Get progress data for a single video/lesson
- * @param {string} userId - User ID
+ * @param {object} userProgress - Map of contentId to progress (from getUserProgress)
  * @param {object} item - Video/lesson object with _id and length
  * @returns {object} Item with progress data added
  */
-const addProgressToItem = (userId, item) => {
+const addProgressToItem = (userProgress, item) => {
   // Check if this is a lesson without video (text-only lesson)
   const hasVideo = item.videoUrl && item.videoUrl.length > 0;
-  const progress = calculateWatchProgress(userId, item._id.toString(), item.length || 0, hasVideo);
+  const progress = calculateWatchProgress(userProgress, item._id.toString(), item.length || 0, hasVideo);
   
   return {
     ...item,
@@ -93,6 +103,7 @@ const addProgressToItem = (userId, item) => {
 };
 
 module.exports = {
+  getUserProgress,
   calculateWatchProgress,
   calculateWatchProgressForItems,
   addProgressToItem
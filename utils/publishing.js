@@ -0,0 +1,167 @@
+const Course = require('../models/course');
+const Module = require('../models/module');
+const Lesson = require('../models/lesson');
+const socketManager = require('./socketManager');
+
+const PUBLISH_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// Matches published items, including items created before publish states existed (no status)
+const PUBLISHED_FILTER = { status: { $in: ['published', null] } };
+
+/**
+ * Check whether an item is visible to regular users
+ * @param {Object} item - Course, module or lesson (document or plain object)
+ * @returns {Boolean}
+ */
+const isPublished = (item) => !!item && (!item.status || item.status === 'published');
+
+/**
+ * Validate the publish fields of a create/edit request
+ * @param {Object} input - { status, publishAt } from the request body
+ * @param {String} currentStatus - Existing status when editing
+ * @returns {Object} - { error } or { status, publishAt } (undefined fields are unchanged)
+ */
+const resolvePublishState = ({ status, publishAt }, currentStatus) => {
+  if (status !== undefined && !PUBLISH_STATUSES.includes(status)) {
+    return { error: `Status must be one of: ${PUBLISH_STATUSES.join(', ')}` };
+  }
+
+  let publishDate;
+  if (publishAt !== undefined && publishAt !== null) {
+    publishDate = new Date(publishAt);
+    if (isNaN(publishDate.getTime())) {
+      return { error: 'publishAt must be a valid date' };
+    }
+  }
+
+  // A publish time without a status schedules the item (or publishes it if the time has passed)
+  let resolvedStatus = status;
+  if (!resolvedStatus && publishDate) {
+    resolvedStatus = publishDate > new Date() ? 'scheduled' : 'published';
+  }
+
+  if (resolvedStatus === 'scheduled') {
+    if (!publishDate) {
+      return { error: 'publishAt is required to schedule content' };
+    }
+    if (publishDate <= new Date()) {
+      return { error: 'publishAt must be in the future' };
+    }
+  }
+
+  if (!resolvedStatus) {
+    return { status: currentStatus === undefined ? 'published' : undefined, publishAt: undefined };
+  }
+
+  return {
+    status: resolvedStatus,
+    publishAt: resolvedStatus === 'scheduled' ? publishDate : null
+  };
+};
+
+/**
+ * Apply resolved publish fields to a document and report whether it was just released
+ * @param {Object} item - Course, module or lesson document
+ * @param {Object} state - Result of resolvePublishState
+ * @returns {Boolean} - True if the item is published for the first time
+ */
+const applyPublishState = (item, state) => {
+  if (state.status === undefined) return false;
+
+  item.status = state.status;
+  item.publishAt = state.publishAt;
+
+  if (state.status === 'published' && !item.publishedAt) {
+    item.publishedAt = new Date();
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Send the release notification for newly published content.
+ * Nothing is announced while a parent course is still unpublished.
+ * @param {String} contentType - 'course', 'module' or 'lesson'
+ * @param {Object} item - Published document
+ */
+const announceRelease = async (contentType, item) => {
+  if (contentType === 'course') {
+    const course = await Course.findById(item._id).populate('campusId', 'title');
+    if (!course || !course.campusId) return;
+    await socketManager.broadcastNewCourseRelease(course, course.campusId.title);
+    return;
+  }
+
+  if (contentType === 'lesson') {
+    const lesson = await Lesson.findById(item._id).populate({
+      path: 'moduleId',
+      populate: {
+        path: 'courseId',
+        populate: {
+          path: 'campusId',
+          select: 'title'
+        }
+      }
+    });
+    const module = lesson && lesson.moduleId;
+    const course = module && module.courseId;
+    if (!course || !course.campusId || !isPublished(module) || !isPublished(course)) return;
+
+    await socketManager.broadcastNewLessonRelease(
+      lesson,
+      course.title,
+      course.campusId._id,
+      course.campusId.title
+    );
+  }
+
+  // Modules have no release notification of their own
+};
+
+/**
+ * Publish every scheduled item whose publishAt has passed and send its release notification.
+ * Each item is claimed atomically, so concurrent schedulers never announce it twice.
+ * @returns {Number} - Number of items published
+ */
+const publishDueContent = async () => {
+  const targets = [
+    { contentType: 'course', Model: Course },
+    { contentType: 'module', Model: Module },
+    { contentType: 'lesson', Model: Lesson }
+  ];
+  let published = 0;
+
+  for (const { contentType, Model } of targets) {
+    const now = new Date();
+    const dueItems = await Model.find({ status: 'scheduled', publishAt: { $lte: now } }).select('_id');
+
+    for (const { _id } of dueItems) {
+      const item = await Model.findOneAndUpdate(
+        { _id, status: 'scheduled', publishAt: { $lte: now } },
+        { status: 'published', publishAt: null, publishedAt: now },
+        { new: true }
+      );
+      if (!item) continue;
+
+      published++;
+      console.log(`📢 [Content Scheduler] Published ${contentType} ${item._id}`);
+      try {
+        await announceRelease(contentType, item);
+      } catch (error) {
+        console.error(`❌ [Content Scheduler] Failed to announce ${contentType} ${item._id}:`, error.message);
+      }
+    }
+  }
+
+  return published;
+};
+
+module.exports = {
+  PUBLISH_STATUSES,
+  PUBLISHED_FILTER,
+  isPublished,
+  resolvePublishState,
+  applyPublishState,
+  announceRelease,
+  publishDueContent
+};
@@ -0,0 +1,251 @@
+const Module = require('../models/module');
+const QuizAttempt = require('../models/quizAttempt');
+const { markCompleted } = require('./watchProgressService');
+const { issueCertificateIfComplete } = require('./certificates');
+
+const QUESTION_TYPES = ['multiple-choice', 'multi-select', 'true-false', 'short-answer'];
+
+// Short answers match regardless of case and extra whitespace
+const normalizeText = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isOptionIndex = (value, options) => Number.isInteger(value) && value >= 0 && value < options.length;
+
+/**
+ * Validate one question from a create/edit request
+ * @param {Object} question - Question input
+ * @param {Number} index - Position, used in error messages
+ * @returns {Object} - { error } or { question } ready to store
+ */
+const validateQuestion = (question, index) => {
+  const label = `Question ${index + 1}`;
+  if (!question || !QUESTION_TYPES.includes(question.type)) {
+    return { error: `${label}: type must be one of: ${QUESTION_TYPES.join(', ')}` };
+  }
+  if (typeof question.prompt !== 'string' || !question.prompt.trim()) {
+    return { error: `${label}: prompt is required` };
+  }
+
+  const points = question.points === undefined ? 1 : question.points;
+  if (typeof points !== 'number' || !Number.isFinite(points) || points < 0) {
+    return { error: `${label}: points must be a non-negative number` };
+  }
+
+  const stored = { type: question.type, prompt: question.prompt.trim(), points };
+  if (question._id) stored._id = question._id;
+
+  if (question.type === 'multiple-choice' || question.type === 'multi-select') {
+    const options = Array.isArray(question.options) ? question.options : [];
+    if (options.length < 2 || options.some(option => typeof option !== 'string' || !option.trim())) {
+      return { error: `${label}: at least two non-empty options are required` };
+    }
+
+    const correctOptions = Array.isArray(question.correctOptions) ? [...new Set(question.correctOptions)] : [];
+    if (correctOptions.length === 0 || correctOptions.some(value => !isOptionIndex(value, options))) {
+      return { error: `${label}: correctOptions must list valid option indexes` };
+    }
+    if (question.type === 'multiple-choice' && correctOptions.length !== 1) {
+      return { error: `${label}: multiple-choice questions have exactly one correct option` };
+    }
+
+    return { question: { ...stored, options: options.map(option => option.trim()), correctOptions } };
+  }
+
+  if (question.type === 'true-false') {
+    if (typeof question.correctAnswer !== 'boolean') {
+      return { error: `${label}: correctAnswer must be true or false` };
+    }
+    return { question: { ...stored, correctAnswer: question.correctAnswer } };
+  }
+
+  const acceptedAnswers = Array.isArray(question.acceptedAnswers)
+    ? question.acceptedAnswers.filter(answer => typeof answer === 'string' && answer.trim())
+    : [];
+  if (acceptedAnswers.length === 0) {
+    return { error: `${label}: at least one accepted answer is required` };
+  }
+  return { question: { ...stored, acceptedAnswers: acceptedAnswers.map(answer => answer.trim()) } };
+};
+
+/**
+ * Validate the quiz fields of a create/edit request
+ * @param {Object} input - { title, description, passMark, maxAttempts, questions }
+ * @param {Boolean} isEdit - When true, missing fields are left unchanged
+ * @returns {Object} - { error } or { fields } with only the provided fields
+ */
+const validateQuizInput = (input, isEdit = false) => {
+  const { title, description, passMark, maxAttempts, questions } = input;
+  const fields = {};
+
+  if (title !== undefined || !isEdit) {
+    if (typeof title !== 'string' || !title.trim()) {
+      return { error: 'Quiz title is required' };
+    }
+    fields.title = title.trim();
+  }
+  if (description !== undefined) {
+    fields.description = description || '';
+  }
+  if (passMark !== undefined) {
+    if (typeof passMark !== 'number' || passMark < 0 || passMark > 100) {
+      return { error: 'passMark must be a percentage between 0 and 100' };
+    }
+    fields.passMark = passMark;
+  }
+  if (maxAttempts !== undefined) {
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 0) {
+      return { error: 'maxAttempts must be a non-negative integer (0 = unlimited)' };
+    }
+    fields.maxAttempts = maxAttempts;
+  }
+
+  if (questions !== undefined || !isEdit) {
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return { error: 'At least one question is required' };
+    }
+    fields.questions = [];
+    for (const [index, question] of questions.entries()) {
+      const result = validateQuestion(question, index);
+      if (result.error) return { error: result.error };
+      fields.questions.push(result.question);
+    }
+  }
+
+  return { fields };
+};
+
+// Grade a single answer against its question
+const isAnswerCorrect = (question, answer) => {
+  if (answer === undefined || answer === null) return false;
+
+  switch (question.type) {
+    case 'multiple-choice':
+      return answer === question.correctOptions[0];
+    case 'multi-select': {
+      if (!Array.isArray(answer)) return false;
+      const selected = new Set(answer);
+      return selected.size === question.correctOptions.length &&
+        question.correctOptions.every(option => selected.has(option));
+    }
+    case 'true-false':
+      return answer === question.correctAnswer;
+    case 'short-answer':
+      return typeof answer === 'string' &&
+        question.acceptedAnswers.some(accepted => normalizeText(accepted) === normalizeText(answer));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Grade a submission on the server. Unanswered questions score zero.
+ * @param {Object} quiz - Quiz document
+ * @param {Array} answers - [{ questionId, answer }]
+ * @returns {Object} - { answers, score, maxScore, percentage, passed }
+ */
+const gradeSubmission = (quiz, answers = []) => {
+  const answersByQuestion = new Map(
+    answers
+      .filter(answer => answer && answer.questionId)
+      .map(answer => [answer.questionId.toString(), answer.answer])
+  );
+
+  let score = 0;
+  let maxScore = 0;
+  const graded = quiz.questions.map(question => {
+    const answer = answersByQuestion.get(question._id.toString());
+    const isCorrect = isAnswerCorrect(question, answer);
+    const pointsAwarded = isCorrect ? question.points : 0;
+    score += pointsAwarded;
+    maxScore += question.points;
+    return { questionId: question._id, answer: answer === undefined ? null : answer, isCorrect, pointsAwarded };
+  });
+
+  const percentage = maxScore > 0 ? Math.round((score / maxScore) * 100) : 100;
+  return { answers: graded, score, maxScore, percentage, passed: percentage >= quiz.passMark };
+};
+
+/**
+ * Format a quiz for API responses. Answer keys are only included for content admins.
+ * @param {Object} quiz - Quiz document
+ * @param {Boolean} includeAnswers - Include correct answers
+ * @returns {Object}
+ */
+const formatQuiz = (quiz, includeAnswers = false) => ({
+  _id: quiz._id,
+  moduleId: quiz.moduleId,
+  lessonId: quiz.lessonId,
+  title: quiz.title,
+  description: quiz.description || '',
+  passMark: quiz.passMark,
+  maxAttempts: quiz.maxAttempts,
+  questions: quiz.questions.map(question => ({
+    _id: question._id,
+    type: question.type,
+    prompt: question.prompt,
+    points: question.points,
+    ...(question.options && question.options.length > 0 ? { options: question.options } : {}),
+    ...(includeAnswers ? {
+      correctOptions: question.correctOptions,
+      correctAnswer: question.correctAnswer,
+      acceptedAnswers: question.acceptedAnswers
+    } : {})
+  })),
+  createdAt: quiz.createdAt,
+  updatedAt: quiz.updatedAt
+});
+
+/**
+ * Summarize a user's attempts at a quiz
+ * @param {Object} quiz - Quiz document
+ * @param {String} userId - User ID
+ * @returns {Object} - { attemptsUsed, attemptsRemaining, bestPercentage, passed }
+ */
+const getAttemptSummary = async (quiz, userId) => {
+  const attempts = await QuizAttempt.find({ quizId: quiz._id, userId }).select('percentage passed');
+  return {
+    attemptsUsed: attempts.length,
+    attemptsRemaining: quiz.maxAttempts > 0 ? Math.max(0, quiz.maxAttempts - attempts.length) : null,
+    bestPercentage: attempts.length > 0 ? Math.max(...attempts.map(attempt => attempt.percentage)) : null,
+    passed: attempts.some(attempt => attempt.passed)
+  };
+};
+
+/**
+ * IDs of the given quizzes that a user has passed at least once
+ * @param {String} userId - User ID
+ * @param {Array} quizIds - Quiz IDs
+ * @returns {Set<String>}
+ */
+const getPassedQuizIds = async (userId, quizIds) => {
+  if (quizIds.length === 0) return new Set();
+  const passed = await QuizAttempt.distinct('quizId', { userId, quizId: { $in: quizIds }, passed: true });
+  return new Set(passed.map(id => id.toString()));
+};
+
+/**
+ * Record a passed quiz in course progress: quiz lessons are marked completed,
+ * module assessments trigger the course completion check directly.
+ * @param {String} userId - User ID
+ * @param {Object} quiz - Passed quiz
+ */
+const recordQuizPassed = async (userId, quiz) => {
+  if (quiz.lessonId) {
+    await markCompleted(userId, quiz.lessonId);
+    return;
+  }
+
+  const module = await Module.findById(quiz.moduleId).select('courseId');
+  if (module) {
+    await issueCertificateIfComplete(userId, module.courseId);
+  }
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  validateQuizInput,
+  gradeSubmission,
+  formatQuiz,
+  getAttemptSummary,
+  getPassedQuizIds,
+  recordQuizPassed
+};
@@ -0,0 +1,79 @@
+const { createClient } = require('redis');
+
+// Shared Redis connection. Redis is optional: when REDIS_URL is not set (local
+// single-node development) or the connection fails, callers fall back to memory.
+const CONNECT_TIMEOUT_MS = parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS) || 5000;
+// How long to stay on the in-memory fallback before trying to connect again
+const RETRY_COOLDOWN_MS = parseInt(process.env.REDIS_RETRY_COOLDOWN_MS) || 30 * 1000;
+
+let client = null;
+let connecting = null;
+let retryAt = 0;
+
+// connect() keeps retrying an unreachable server instead of rejecting, so give up after a timeout
+const connectWithTimeout = async (redis) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Connection timed out after ${CONNECT_TIMEOUT_MS}ms`)), CONNECT_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([redis.connect(), timeout]);
+  } catch (error) {
+    redis.destroy();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Get the shared Redis client, connecting on first use
+ * While the connected client is reconnecting, or within the cooldown after a failed connection, callers use memory.
+ * @returns {Object|null} - Connected Redis client, or null if Redis is not available
+ */
+const getRedisClient = async () => {
+  if (client) return client.isReady ? client : null;
+  if (!process.env.REDIS_URL || Date.now() < retryAt) return null;
+  if (connecting) return connecting;
+
+  connecting = (async () => {
+    const redis = createClient({ url: process.env.REDIS_URL });
+    redis.on('error', (err) => {
+      console.error('❌ [Redis] Client error:', err.message);
+    });
+    try {
+      await connectWithTimeout(redis);
+      console.log('✅ [Redis] Connected');
+      client = redis;
+      return client;
+    } catch (error) {
+      console.error(`❌ [Redis] Connection failed, falling back to in-memory storage for ${RETRY_COOLDOWN_MS / 1000}s:`, error.message);
+      retryAt = Date.now() + RETRY_COOLDOWN_MS;
+      return null;
+    } finally {
+      connecting = null;
+    }
+  })();
+
+  return connecting;
+};
+
+/**
+ * Create an additional connection (e.g. for pub/sub, which needs a dedicated client)
+ * @returns {Object|null} - Connected duplicate client, or null if Redis is not available
+ */
+const duplicateRedisClient = async () => {
+  const base = await getRedisClient();
+  if (!base) return null;
+  const duplicate = base.duplicate();
+  duplicate.on('error', (err) => {
+    console.error('❌ [Redis] Duplicate client error:', err.message);
+  });
+  await connectWithTimeout(duplicate);
+  return duplicate;
+};
+
+module.exports = {
+  getRedisClient,
+  duplicateRedisClient
+};
@@ -0,0 +1,114 @@
+const Review = require('../models/review');
+const Module = require('../models/module');
+const Lesson = require('../models/lesson');
+const WatchProgress = require('../models/watchProgress');
+
+const MAX_REVIEW_LENGTH = 5000;
+
+/**
+ * Validate the fields of a review create/edit request
+ * @param {Object} input - { rating, body }
+ * @param {Boolean} isEdit - When true, missing fields are left unchanged
+ * @returns {Object} - { error } or { fields } with only the provided fields
+ */
+const validateReviewInput = (input, isEdit = false) => {
+  const { rating, body } = input;
+  const fields = {};
+
+  if (rating !== undefined || !isEdit) {
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return { error: 'Rating must be a whole number from 1 to 5' };
+    }
+    fields.rating = rating;
+  }
+  if (body !== undefined) {
+    if (typeof body !== 'string' || body.length > MAX_REVIEW_LENGTH) {
+      return { error: `Review must be a string of at most ${MAX_REVIEW_LENGTH} characters` };
+    }
+    fields.body = body.trim();
+  }
+
+  return { fields };
+};
+
+/**
+ * Check whether a user has made progress in a course (any watched or completed lesson)
+ * @param {String} userId - User ID
+ * @param {String} courseId - Course ID
+ * @returns {Boolean}
+ */
+const hasCourseProgress = async (userId, courseId) => {
+  const modules = await Module.find({ courseId }).select('_id');
+  const lessons = await Lesson.find({ moduleId: { $in: modules.map(m => m._id) } }).select('_id');
+  if (lessons.length === 0) return false;
+
+  return !!(await WatchProgress.exists({
+    userId,
+    videoId: { $in: lessons.map(l => l._id) },
+    $or: [{ seconds: { $gt: 0 } }, { isCompleted: true }]
+  }));
+};
+
+/**
+ * Average rating and number of visible reviews per course
+ * @param {Array} courseIds - Course IDs
+ * @returns {Map} - courseId -> { averageRating, reviewCount }
+ */
+const getCourseRatings = async (courseIds) => {
+  const stats = await Review.aggregate([
+    { $match: { courseId: { $in: courseIds }, isHidden: false } },
+    { $group: { _id: '$courseId', averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+  ]);
+
+  return new Map(stats.map(stat => [stat._id.toString(), {
+    averageRating: Math.round(stat.averageRating * 10) / 10,
+    reviewCount: stat.reviewCount
+  }]));
+};
+
+/**
+ * Rating fields for course API responses
+ * @param {Map} ratings - From getCourseRatings
+ * @param {String} courseId - Course ID
+ * @returns {Object} - { averageRating, reviewCount }
+ */
+const getCourseRating = (ratings, courseId) => {
+  return ratings.get(courseId.toString()) || { averageRating: null, reviewCount: 0 };
+};
+
+/**
+ * Format a review for API responses
+ * @param {Object} review - Review document (userId optionally populated)
+ * @param {Boolean} includeModeration - Include moderation fields (admins and the author)
+ * @returns {Object}
+ */
+const formatReview = (review, includeModeration = false) => {
+  const author = review.userId && review.userId._id ? review.userId : null;
+  return {
+    _id: review._id,
+    courseId: review.courseId,
+    author: author ? {
+      _id: author._id,
+      username: author.username,
+      firstName: author.firstName,
+      lastName: author.lastName,
+      avatar: author.avatar
+    } : null,
+    rating: review.rating,
+    body: review.body || '',
+    ...(includeModeration ? {
+      isHidden: review.isHidden,
+      hiddenAt: review.hiddenAt
+    } : {}),
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt
+  };
+};
+
+module.exports = {
+  validateReviewInput,
+  hasCourseProgress,
+  getCourseRatings,
+  getCourseRating,
+  formatReview
+};
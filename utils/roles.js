@@ -0,0 +1,44 @@
+// Role and permission definitions
+
+/**
+ * Available user roles, ordered from least to most privileged
+ */
+const ROLES = ['user', 'moderator', 'instructor', 'admin', 'super-admin'];
+
+/**
+ * Roles allowed to perform each permission
+ */
+const PERMISSIONS = {
+  'content:manage': ['admin', 'super-admin'],
+  'notification:send': ['admin', 'super-admin'],
+  'contact:view': ['moderator', 'admin', 'super-admin'],
+  'discussion:moderate': ['moderator', 'instructor', 'admin', 'super-admin'], // Accept answers, remove any post
+  'subscription:manage': ['super-admin'],
+  'role:manage': ['super-admin']
+};
+
+/**
+ * Check if a role is valid
+ * @param {String} role - Role to check
+ * @returns {Boolean} - True if role exists
+ */
+const isValidRole = (role) => ROLES.includes(role);
+
+/**
+ * Check if a role grants a permission
+ * @param {String} role - User role
+ * @param {String} permission - Permission key from PERMISSIONS
+ * @returns {Boolean} - True if the role is allowed
+ */
+const hasPermission = (role, permission) => {
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) return false;
+  return allowedRoles.includes(role || 'user');
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isValidRole,
+  hasPermission
+};
@@ -1,4 +1,5 @@
 const { Server } = require("socket.io");
+const { createAdapter } = require("@socket.io/redis-adapter");
 const jwt = require("jsonwebtoken");
 const path = require("path");
 const mongoose = require("mongoose");
@@ -6,12 +7,17 @@ const Channel = require("../models/channel");
 const Campus = require("../models/campus");
 const Message = require("../models/chat-message");
 const User = require("../models/user");
-const Video = require("../models/video");
-const WatchProgress = require("../models/watchProgress");
 const Book = require("../models/book");
 const Notification = require("../models/notification");
 const UserNotificationRead = require("../models/userNotificationRead");
 
+const { validateProgressUpdate, checkProgressAccess, recordProgress, markCompleted } = require("./watchProgressService");
+const progressCache = require("./progressCache");
+const socketStateStore = require("./socketStateStore");
+const { duplicateRedisClient } = require("./redisClient");
+const { signPlaybackUrl } = require("./playbackUrls");
+const { recordLearningActivity } = require("./learningActivity");
+
 //Events
 const { handleUserLike } = require("../events/likeEvents");
 
@@ -19,12 +25,7 @@ class SocketManager {
   constructor() {
     this.io = null;
     this.connectedClients = new Map();
-    // In-memory user context: { [userId]: { inList: bool, activeChannelId: string|null, socketId: string } }
-    this.userContext = {};
-    // In-memory unread state: { [userId]: { [channelId]: lastReadAt } }
-    this.lastReadAt = {};
-    // Add in-memory video progress tracking: { [userId]: { [videoId]: { seconds: number, percentage: number, totalDuration: number, lastUpdated: number } } }
-    this.videoProgress = {};
+    // User context and unread state live in socketStateStore so they are shared across instances
   }
 
   initialize(server) {
@@ -35,6 +36,9 @@ class SocketManager {
       },
     });
 
+    // Share rooms and emits across instances when Redis is available
+    this.attachRedisAdapter();
+
     this.io.on("connection", async (socket) => {
       console.log("Socket connection attempt from:", socket.handshake.address);
       
@@ -55,13 +59,13 @@ class SocketManager {
         return;
       }
       // Track socketId for user
-      this.userContext[userId] = this.userContext[userId] || {
-        inList: false,
-        activeChannelId: null,
-      };
-      this.userContext[userId].socketId = socket.id;
+      try {
+        await socketStateStore.updateContext(userId, { socketId: socket.id });
+      } catch (error) {
+        console.error('❌ [Socket Manager] Failed to update user context:', error.message);
+      }
       
-      // Load user's watch progress from database to memory cache
+      // Warm the progress cache with the user's watch progress
       this.loadUserWatchProgress(userId);
       
       // Join personal room
@@ -89,10 +93,11 @@ class SocketManager {
         }
       });
       // Exit channel list event
-      socket.on("exit-channel-list", () => {
-        if (this.userContext[userId]) {
-          this.userContext[userId].inList = false;
-          this.userContext[userId].activeChannelId = null;
+      socket.on("exit-channel-list", async () => {
+        try {
+          await socketStateStore.updateContext(userId, { inList: false, activeChannelId: null });
+        } catch (error) {
+          console.error('❌ [Socket Manager] Failed to update user context:', error.message);
         }
       });
 
@@ -355,6 +360,8 @@ class SocketManager {
 
             // Join book-specific room for real-time updates
             socket.join(`book:${data.bookId}`);
+
+            await recordLearningActivity(userId, { bookId: book._id });
             
           } catch (error) {
             console.error('❌ [Socket Manager] Error handling book-opened event:', error.message);
@@ -388,38 +395,43 @@ class SocketManager {
             }
             console.log('✅ [Socket Manager] Lesson found:', lesson.name);
 
-            // Check if lesson has no video (text-only lesson)
-            if (!lesson.videoUrl) {
+            // Opening a lesson records progress, so it must be open to the user (released, member, unlocked, entitled)
+            // Required lazily: lessonAccess -> publishing -> socketManager
+            const { getLessonViewer, describeLessonAccessDenial } = require('./lessonAccess');
+            const denied = await checkProgressAccess(data.lessonId, await getLessonViewer(userId));
+            if (denied) {
+              console.log('❌ [Socket Manager] Lesson not accessible:', data.lessonId);
+              socket.emit('lesson-opened-error', {
+                lessonId: data.lessonId,
+                ...describeLessonAccessDenial(denied)
+              });
+              return;
+            }
+
+            // Campus members viewing the lesson receive its discussion updates in real time
+            if (await this.canViewLessonDiscussion(userId, lesson)) {
+              socket.join(`lesson:${data.lessonId}`);
+            }
+
+            const progressBefore = await this.getUserVideoProgress(userId, data.lessonId);
+
+            if (lesson.type === 'quiz') {
+              // Quiz lessons are completed by passing the quiz, not by opening them
+              socket.emit('lesson-opened-confirmed', {
+                lessonId: data.lessonId,
+                lessonName: lesson.name,
+                isQuiz: true,
+                progress: progressBefore?.percentage || 0
+              });
+            } else if (!lesson.videoUrl) {
+              // Lesson has no video (text-only lesson)
               console.log('📄 [Socket Manager] Text-only lesson detected, marking as completed...');
               
-              // Create or update watch progress for text-only lesson
-              await WatchProgress.findOneAndUpdate(
-                {
-                  userId: userId,
-                  videoId: data.lessonId
-                },
-                {
-                  contentType: 'lesson',
-                  seconds: 0,
-                  percentage: 100,
-                  totalDuration: 0,
-                  isCompleted: true,
-                  lastUpdated: new Date()
-                },
-                { upsert: true, new: true }
-              );
+              // Create or update watch progress (and progress cache) for text-only lesson
+              await markCompleted(userId, data.lessonId);
               
               console.log(`✅ [Socket Manager] Text-only lesson ${lesson.name} marked as 100% complete for user ${userId}`);
               
-              // Update in-memory progress cache
-              if (!this.videoProgress[userId]) this.videoProgress[userId] = {};
-              this.videoProgress[userId][data.lessonId] = {
-                seconds: 0,
-                percentage: 100,
-                totalDuration: 0,
-                lastUpdated: Date.now()
-              };
-              
               // Emit confirmation to user
               socket.emit('lesson-opened-confirmed', {
                 lessonId: data.lessonId,
@@ -436,9 +448,12 @@ class SocketManager {
                 lessonId: data.lessonId,
                 lessonName: lesson.name,
                 hasVideo: true,
-                progress: this.getUserVideoProgress(userId, data.lessonId)?.percentage || 0
+                progress: progressBefore?.percentage || 0
               });
             }
+
+            // Opening a lesson counts towards the daily streak (completions are recorded with the progress)
+            await recordLearningActivity(userId, { lessonId: lesson._id });
             
           } catch (error) {
             console.error('❌ [Socket Manager] Error handling lesson-opened event:', error.message);
@@ -452,167 +467,104 @@ class SocketManager {
         }
       });
 
-      socket.on("disconnect", () => {
-        // Optionally clean up userContext
-        if (this.userContext[userId]) {
-          delete this.userContext[userId].socketId;
+      // Stop receiving discussion updates for a lesson the user navigated away from
+      socket.on("lesson-closed", (data) => {
+        if (data && data.lessonId) {
+          socket.leave(`lesson:${data.lessonId}`);
+        }
+      });
+
+      socket.on("disconnect", async () => {
+        // Clean up user context (unless the user already reconnected with a new socket)
+        try {
+          await socketStateStore.clearSocket(userId, socket.id);
+        } catch (error) {
+          console.error('❌ [Socket Manager] Failed to clear user context:', error.message);
         }
       });
       // Video progress event
       socket.on("video-progress", async (data) => {
-        if (data && data.videoId && typeof data.progress === "number") {
-          const userId = socket.userId; // Make sure this is defined
-          if (!this.videoProgress[userId]) this.videoProgress[userId] = {};
-      
-          let progressPercentage = 0;
-          let totalDuration = 0;
-      
-          // Get existing progress from memory
-          const existingProgress = this.videoProgress[userId][data.videoId];
-      
-                  // Fetch video from all schemas that contain video URLs
-        let video = await Video.findById(data.videoId);
-        
-        if (video) {
-          totalDuration = video.length || 0;
-        } else {
-          // Check Lesson schema
-          const Lesson = require('../models/lesson');
-          const lesson = await Lesson.findById(data.videoId);
-          if (lesson) {
-            totalDuration = lesson.length || 0;
-          } else {
-            // Check ChatMessage schema for video messages
-            const Message = require('../models/chat-message');
-            const message = await Message.findById(data.videoId);
-            if (message && message.mediaType === 'video') {
-              totalDuration = message.length || 0;
-            } else {
-              return;
-            }
-          }
+        const update = validateProgressUpdate({
+          contentId: data && data.videoId,
+          seconds: data && data.progress,
+        });
+        if (update.error) {
+          console.warn('[WARN] Invalid data received in video-progress event:', data);
+          return;
         }
-      
-          // Calculate progress %
-          progressPercentage = totalDuration > 0
-            ? Math.round((data.progress / totalDuration) * 100)
-            : 0;
-      
-          // Prevent backward progress
-          if (existingProgress && data.progress <= existingProgress.seconds) {
+
+        try {
+          const { getLessonViewer } = require('./lessonAccess');
+          if (await checkProgressAccess(update.contentId, await getLessonViewer(userId))) {
+            console.warn('[WARN] video-progress event for content the user cannot access:', update.contentId);
             return;
           }
-      
-          // Clamp between 0%–100%
-          progressPercentage = Math.max(0, Math.min(100, progressPercentage));
-      
-          const progressData = {
-            seconds: data.progress,
-            percentage: progressPercentage,
-            totalDuration: totalDuration,
-            lastUpdated: Date.now(),
-          };
-      
-      
-          // Save in memory
-          this.videoProgress[userId][data.videoId] = progressData;
-      
-          // Save to DB (upsert)
-          try {
-            // Determine content type based on which schema the video was found in
-            let contentType = 'video';
-            if (video) {
-              contentType = 'video';
-            } else {
-              const Lesson = require('../models/lesson');
-              const lesson = await Lesson.findById(data.videoId);
-              if (lesson) {
-                contentType = 'lesson';
-              } else {
-                const Message = require('../models/chat-message');
-                const message = await Message.findById(data.videoId);
-                if (message && message.mediaType === 'video') {
-                  contentType = 'chat-message';
-                }
-              }
-            }
 
-            await WatchProgress.findOneAndUpdate(
-              {
-                userId,
-                videoId: data.videoId,
-                $or: [
-                  { seconds: { $lt: data.progress } },
-                  { seconds: { $exists: false } },
-                ],
-              },
-              {
-                contentType: contentType,
-                seconds: data.progress,
-                percentage: progressPercentage,
-                totalDuration: totalDuration,
-                isCompleted: progressPercentage >= 95, // Mark as completed if 95% or more
-                lastUpdated: new Date(),
-              },
-              { upsert: true, new: true }
-            );
-          } catch (dbError) {
-            console.error('[ERROR] Failed to save watch progress to DB:', dbError.message);
-          }
-        } else {
-          console.warn('[WARN] Invalid data received in video-progress event:', data);
+          // Learning activity is recorded by the service, as for REST updates
+          await recordProgress(userId, update.contentId, update.seconds);
+        } catch (dbError) {
+          console.error('[ERROR] Failed to save watch progress to DB:', dbError.message);
         }
-      });;
+      });
     });
     return this.io;
   }
 
+  // Attach the Socket.IO Redis adapter (falls back to the default in-memory adapter)
+  async attachRedisAdapter() {
+    try {
+      const pubClient = await duplicateRedisClient();
+      if (!pubClient) {
+        console.log('⚠️ [Socket Manager] Redis not configured, using in-memory adapter (single instance)');
+        return;
+      }
+      const subClient = await duplicateRedisClient();
+      this.io.adapter(createAdapter(pubClient, subClient));
+      console.log('✅ [Socket Manager] Redis adapter attached');
+    } catch (error) {
+      console.error('❌ [Socket Manager] Failed to attach Redis adapter, using in-memory adapter:', error.message);
+    }
+  }
+
   // Called from controller: user called GET /channel/list
-  markInList(userId) {
-    this.userContext[userId] = this.userContext[userId] || {
-      inList: false,
-      activeChannelId: null,
-    };
-    this.userContext[userId].inList = true;
-    this.userContext[userId].activeChannelId = null;
+  async markInList(userId) {
+    await socketStateStore.updateContext(userId, { inList: true, activeChannelId: null });
   }
 
   // Called from controller: user called GET /channel/messages?pageNo=1
-  markInChannel(userId, channelId) {
-    this.userContext[userId] = this.userContext[userId] || {
+  async markInChannel(userId, channelId) {
+    await socketStateStore.updateContext(userId, {
       inList: false,
-      activeChannelId: null,
-    };
-    this.userContext[userId].inList = false;
-    this.userContext[userId].activeChannelId = channelId;
+      activeChannelId: channelId.toString(),
+    });
     // Reset unread count (update lastReadAt)
-    if (!this.lastReadAt[userId]) this.lastReadAt[userId] = {};
-    this.lastReadAt[userId][channelId] = new Date();
+    await socketStateStore.setLastReadAt(userId, channelId);
   }
 
   // Called from controller: user called GET /channel/messages?pageNo=1 for a new channel
-  exitOtherChannels(userId, newChannelId) {
-    if (this.userContext[userId]) {
-      this.userContext[userId].activeChannelId = newChannelId;
+  async exitOtherChannels(userId, newChannelId) {
+    if (await socketStateStore.getContext(userId)) {
+      await socketStateStore.updateContext(userId, { activeChannelId: newChannelId.toString() });
     }
   }
 
   // Called from controller: send-message
+  // Encrypted video playback URLs are signed for each recipient, since key requests are checked against that user
   async handleSendMessage(message, channelId, senderId) {
     // Find all users in this channel (campus members)
     const channel = await Channel.findById(channelId).populate("campusId");
     const campus = channel.campusId;
     const memberIds = campus.members.map((m) => m.userId.toString());
+    const contexts = await socketStateStore.getContexts(memberIds);
     for (const userId of memberIds) {
       // Skip sender for unread
       if (userId === senderId.toString()) continue;
       // If user is in this channel, emit new-message
-      const ctx = this.userContext[userId];
-      if (ctx && ctx.activeChannelId === channelId) {
-        this.io.to(`user:${userId}`).emit("new-message", message);
+      const ctx = contexts[userId];
+      if (ctx && ctx.activeChannelId === channelId.toString()) {
+        this.io.to(`user:${userId}`).emit("new-message", { ...message, mediaUrl: signPlaybackUrl(message.mediaUrl, userId) });
         // Reset unread count
-        if (!this.lastReadAt[userId]) this.lastReadAt[userId] = {};
-        this.lastReadAt[userId][channelId] = new Date();
+        await socketStateStore.setLastReadAt(userId, channelId);
       } else if (ctx && ctx.inList) {
         // If user is in channel list, emit unread-count-updated
         const unreadCount = await this.getUnreadCount(userId, channelId);
@@ -622,13 +574,13 @@ class SocketManager {
       } else if (
         ctx &&
         ctx.activeChannelId &&
-        ctx.activeChannelId !== channelId
+        ctx.activeChannelId !== channelId.toString()
       ) {
         // User is in another channel, include unread counts in message object
         const unreadCounts = await this.getAllUnreadCounts(userId);
         this.io
           .to(`user:${userId}`)
-          .emit("new-message", { ...message, unreadCounts });
+          .emit("new-message", { ...message, mediaUrl: signPlaybackUrl(message.mediaUrl, userId), unreadCounts });
       } else {
         // User is not in list or any channel: increment unread count only
         // (No emit needed)
@@ -643,13 +595,16 @@ class SocketManager {
     const campus = channel.campusId;
     const memberIds = campus.members.map((m) => m.userId.toString());
     
+    const contexts = await socketStateStore.getContexts(memberIds);
+
     // Format the message with isMe flag for each user
     for (const userId of memberIds) {
-      const ctx = this.userContext[userId];
-      if (ctx && ctx.activeChannelId === channelId) {
+      const ctx = contexts[userId];
+      if (ctx && ctx.activeChannelId === channelId.toString()) {
         // User is in this channel, emit message-edited
         const messageForUser = {
           ...editedMessage,
+          mediaUrl: signPlaybackUrl(editedMessage.mediaUrl, userId),
           isMe: editedMessage.userId._id.toString() === userId
         };
         this.io.to(`user:${userId}`).emit("message-edited", messageForUser);
@@ -663,10 +618,11 @@ class SocketManager {
     const channel = await Channel.findById(channelId).populate("campusId");
     const campus = channel.campusId;
     const memberIds = campus.members.map((m) => m.userId.toString());
+    const contexts = await socketStateStore.getContexts(memberIds);
     
     for (const userId of memberIds) {
-      const ctx = this.userContext[userId];
-      if (ctx && ctx.activeChannelId === channelId) {
+      const ctx = contexts[userId];
+      if (ctx && ctx.activeChannelId === channelId.toString()) {
         // User is in this channel, emit message-deleted
         this.io.to(`user:${userId}`).emit("message-deleted", { 
           messageId, 
@@ -679,7 +635,7 @@ class SocketManager {
 
   // Get unread count for a user/channel
   async getUnreadCount(userId, channelId) {
-    const lastRead = this.lastReadAt[userId]?.[channelId];
+    const lastRead = await socketStateStore.getLastReadAt(userId, channelId);
     if (!lastRead) {
       // All messages are unread
       return await Message.countDocuments({ channelId });
@@ -702,47 +658,19 @@ class SocketManager {
     return result;
   }
 
-  // Load user's watch progress from database to memory cache
+  // Warm the shared progress cache with the user's watch progress
   async loadUserWatchProgress(userId) {
     try {
-      console.log(`🔍 [Socket Manager] Loading watch progress for user: ${userId}`);
-      const watchProgressList = await WatchProgress.find({ userId });
-      console.log(`📊 [Socket Manager] Found ${watchProgressList.length} progress records in database`);
-      
-      // Initialize user's progress object if not exists
-      if (!this.videoProgress[userId]) {
-        this.videoProgress[userId] = {};
-      }
-      
-      // Load each progress record into memory
-      watchProgressList.forEach(progress => {
-        console.log(`📹 [Socket Manager] Loading progress: Video ${progress.videoId} - ${progress.percentage}% (${progress.seconds}s)`);
-        this.videoProgress[userId][progress.videoId.toString()] = {
-          seconds: progress.seconds,
-          percentage: progress.percentage,
-          totalDuration: progress.totalDuration,
-          lastUpdated: progress.lastUpdated.getTime()
-        };
-      });
-      
-      console.log(`✅ [Socket Manager] Loaded ${watchProgressList.length} watch progress records for user ${userId}`);
-      console.log(`📊 [Socket Manager] User now has progress for ${Object.keys(this.videoProgress[userId]).length} videos in memory`);
+      const progress = await progressCache.getUserProgress(userId);
+      console.log(`✅ [Socket Manager] Cached ${Object.keys(progress).length} watch progress records for user ${userId}`);
     } catch (error) {
       console.error('❌ [Socket Manager] Failed to load watch progress from database:', error.message);
-      console.error('❌ [Socket Manager] Stack:', error.stack);
-      // Initialize empty progress object if DB load fails
-      if (!this.videoProgress[userId]) {
-        this.videoProgress[userId] = {};
-      }
     }
   }
 
   // Get current watch progress for a user and video
-  getUserVideoProgress(userId, videoId) {
-    if (!this.videoProgress[userId] || !this.videoProgress[userId][videoId]) {
-      return null;
-    }
-    return this.videoProgress[userId][videoId];
+  async getUserVideoProgress(userId, videoId) {
+    return progressCache.getProgress(userId, videoId);
   }
 
   // Get video duration from stored length field
@@ -853,7 +781,12 @@ class SocketManager {
       'new-book-released': 'book-release',
       'new-course-released': 'course-release',
       'new-lesson-released': 'lesson-release',
-      'subscription-expiry-warning': 'subscription-warning'
+      'subscription-expiry-warning': 'subscription-warning',
+      'course-completed': 'course-completion',
+      'discussion-answered': 'lesson-discussion',
+      'discussion-answer-accepted': 'lesson-discussion',
+      'streak-at-risk': 'learning-streak',
+      'badge-earned': 'achievement'
     };
     return categoryMap[eventName] || 'general';
   }
@@ -867,7 +800,11 @@ class SocketManager {
       'new-book-released': 'book',
       'new-course-released': 'course',
       'new-lesson-released': 'lesson',
-      'subscription-expiry-warning': 'subscription'
+      'subscription-expiry-warning': 'subscription',
+      'course-completed': 'course',
+      'discussion-answered': 'lesson',
+      'discussion-answer-accepted': 'lesson',
+      'badge-earned': 'badge'
     };
     return typeMap[eventName] || null;
   }
@@ -1080,6 +1017,119 @@ class SocketManager {
     await this.broadcastUserNotification('subscription-expiry-warning', notificationData, user._id);
   }
 
+  // Course Completed (Specific User)
+  async broadcastCourseCompleted(certificate) {
+    const notificationData = {
+      _id: certificate.courseId,
+      certificateId: certificate._id,
+      verificationCode: certificate.verificationCode,
+      courseTitle: certificate.courseTitle,
+      campusId: certificate.campusId,
+      campusTitle: certificate.campusTitle,
+      completedAt: certificate.completedAt,
+      notification: {
+        title: "Course Completed!",
+        message: `Congratulations! You completed ${certificate.courseTitle}. Your certificate is ready to download.`,
+        type: "success",
+        icon: "🎓"
+      }
+    };
+
+    await this.broadcastUserNotification('course-completed', notificationData, certificate.userId);
+  }
+
+  // LESSON DISCUSSION NOTIFICATIONS
+
+  // Check whether a user belongs to the campus of a lesson (joins its discussion room)
+  async canViewLessonDiscussion(userId, lesson) {
+    const Module = require('../models/module');
+    const module = await Module.findById(lesson.moduleId).populate('courseId', 'campusId');
+    if (!module || !module.courseId) return false;
+
+    return !!(await Campus.exists({
+      _id: module.courseId.campusId,
+      $or: [{ isMoneyMindsCampus: true }, { 'members.userId': userId }]
+    }));
+  }
+
+  // Send a discussion update to everyone currently viewing the lesson
+  emitToLesson(lessonId, eventName, data) {
+    if (this.io) {
+      this.io.to(`lesson:${lessonId}`).emit(eventName, data);
+    }
+  }
+
+  // Question Answered (Asker)
+  async broadcastDiscussionAnswered(question, reply, lesson, campusId) {
+    const notificationData = {
+      _id: lesson._id,
+      lessonName: lesson.name,
+      campusId,
+      questionId: question._id,
+      replyId: reply._id,
+      notification: {
+        title: "New Answer to Your Question",
+        message: `Someone answered your question on '${lesson.name}'.`,
+        type: "info",
+        icon: "💬"
+      }
+    };
+
+    await this.broadcastUserNotification('discussion-answered', notificationData, question.userId);
+  }
+
+  // Answer Accepted (Answer Author)
+  async broadcastDiscussionAnswerAccepted(question, reply, lesson, campusId) {
+    const notificationData = {
+      _id: lesson._id,
+      lessonName: lesson.name,
+      campusId,
+      questionId: question._id,
+      replyId: reply._id,
+      notification: {
+        title: "Answer Accepted",
+        message: `Your answer on '${lesson.name}' was marked as the accepted answer.`,
+        type: "success",
+        icon: "✓"
+      }
+    };
+
+    await this.broadcastUserNotification('discussion-answer-accepted', notificationData, reply.userId);
+  }
+
+  // Streak At Risk (Specific User)
+  async broadcastStreakAtRisk(userId, currentStreak) {
+    const notificationData = {
+      currentStreak,
+      notification: {
+        title: "Keep Your Streak Going!",
+        message: `You're on a ${currentStreak}-day learning streak. Watch a lesson today to keep it alive.`,
+        type: "warning",
+        icon: "🔥"
+      }
+    };
+
+    await this.broadcastUserNotification('streak-at-risk', notificationData, userId);
+  }
+
+  // Badge Earned (Specific User)
+  async broadcastBadgeEarned(userId, badge) {
+    const notificationData = {
+      _id: badge._id,
+      badgeKey: badge.key,
+      badgeName: badge.name,
+      badgeIcon: badge.icon,
+      notification: {
+        title: "Badge Earned!",
+        message: `You earned the '${badge.name}' badge.`,
+        type: "success",
+        icon: "🏅"
+      }
+    };
+
+    await this.broadcastUserNotification('badge-earned', notificationData, userId);
+  }
+
   // UPLOAD PROGRESS TRACKING METHODS
 
   // Send upload progress to specific user
@@ -0,0 +1,173 @@
+const { getRedisClient } = require('./redisClient');
+
+// Redis keys shared by every socket server instance
+// Each context field is a separate hash field, so instances updating different fields never overwrite each other
+const contextKey = (userId) => `socket:context:${userId}`;
+const lastReadKey = (userId) => `socket:last-read:${userId}`;
+
+// Both expire after a period without activity (each write refreshes the TTL), so state of users
+// whose socket never disconnected cleanly (crash, deploy) does not live on
+const CONTEXT_TTL_SECONDS = parseInt(process.env.SOCKET_CONTEXT_TTL_SECONDS) || 24 * 60 * 60;
+const LAST_READ_TTL_SECONDS = parseInt(process.env.SOCKET_LAST_READ_TTL_SECONDS) || 30 * 24 * 60 * 60;
+
+// When the disconnected socket is still the user's current one, remove it and leave the channel/list
+const CLEAR_SOCKET_SCRIPT = `
+if redis.call('HGET', KEYS[1], 'socketId') == ARGV[1] then
+  redis.call('HDEL', KEYS[1], 'socketId')
+  redis.call('HSET', KEYS[1], 'inList', 'false', 'activeChannelId', 'null')
+  return 1
+end
+return 0`;
+
+const defaultContext = () => ({
+  inList: false,
+  activeChannelId: null,
+});
+
+// Hash field values are JSON so booleans and null survive the round trip
+const encodeFields = (fields) => Object.entries(fields).reduce((hash, [field, value]) => {
+  hash[field] = JSON.stringify(value);
+  return hash;
+}, {});
+
+const decodeContext = (hash) => {
+  if (!hash || Object.keys(hash).length === 0) return null;
+  return Object.entries(hash).reduce((context, [field, value]) => {
+    context[field] = JSON.parse(value);
+    return context;
+  }, defaultContext());
+};
+
+/**
+ * Chat presence and unread state shared across socket server instances.
+ * Stored in Redis when REDIS_URL is set, otherwise kept in process memory
+ * (single-node development).
+ *
+ * User context: { [userId]: { inList: bool, activeChannelId: string|null, socketId: string } }
+ * Unread state: { [userId]: { [channelId]: lastReadAt } }
+ */
+class SocketStateStore {
+  constructor() {
+    this.userContext = {};
+    this.lastReadAt = {};
+  }
+
+  /**
+   * Get a user's chat context
+   * @param {String} userId - User ID
+   * @returns {Object|null} - Context or null if the user has none
+   */
+  async getContext(userId) {
+    const contexts = await this.getContexts([userId]);
+    return contexts[userId.toString()] || null;
+  }
+
+  /**
+   * Get chat context for many users at once
+   * @param {Array<String>} userIds - User IDs
+   * @returns {Object} - { [userId]: context } (users without context are omitted)
+   */
+  async getContexts(userIds) {
+    const ids = userIds.map(id => id.toString());
+    if (ids.length === 0) return {};
+
+    const redis = await getRedisClient();
+    if (redis) {
+      const hashes = await ids.reduce((multi, id) => multi.hGetAll(contextKey(id)), redis.multi()).execAsPipeline();
+      return ids.reduce((map, id, index) => {
+        const context = decodeContext(hashes[index]);
+        if (context) map[id] = context;
+        return map;
+      }, {});
+    }
+
+    return ids.reduce((map, id) => {
+      if (this.userContext[id]) map[id] = this.userContext[id];
+      return map;
+    }, {});
+  }
+
+  /**
+   * Merge fields into a user's chat context, creating it if needed
+   * @param {String} userId - User ID
+   * @param {Object} fields - Context fields to set
+   * @returns {Object} - Updated context
+   */
+  async updateContext(userId, fields) {
+    const id = userId.toString();
+
+    const redis = await getRedisClient();
+    if (redis) {
+      // Only the given fields are written; reading back in the same transaction returns the merged context
+      const [, , hash] = await redis.multi()
+        .hSet(contextKey(id), encodeFields(fields))
+        .expire(contextKey(id), CONTEXT_TTL_SECONDS)
+        .hGetAll(contextKey(id))
+        .exec();
+      return decodeContext(hash);
+    }
+
+    this.userContext[id] = { ...(this.userContext[id] || defaultContext()), ...fields };
+    return this.userContext[id];
+  }
+
+  /**
+   * Clear the socket ID and channel presence when a socket disconnects, unless a newer socket replaced it
+   * @param {String} userId - User ID
+   * @param {String} socketId - Disconnected socket ID
+   */
+  async clearSocket(userId, socketId) {
+    const id = userId.toString();
+
+    const redis = await getRedisClient();
+    if (redis) {
+      await redis.eval(CLEAR_SOCKET_SCRIPT, { keys: [contextKey(id)], arguments: [JSON.stringify(socketId)] });
+      return;
+    }
+
+    const context = this.userContext[id];
+    if (!context || context.socketId !== socketId) return;
+    const { socketId: removed, ...rest } = context;
+    this.userContext[id] = { ...rest, ...defaultContext() };
+  }
+
+  /**
+   * Get when a user last read a channel
+   * @param {String} userId - User ID
+   * @param {String} channelId - Channel ID
+   * @returns {Date|null} - Last read time or null if never read
+   */
+  async getLastReadAt(userId, channelId) {
+    const redis = await getRedisClient();
+    if (redis) {
+      const value = await redis.hGet(lastReadKey(userId), channelId.toString());
+      return value ? new Date(value) : null;
+    }
+    return this.lastReadAt[userId.toString()]?.[channelId.toString()] || null;
+  }
+
+  /**
+   * Mark a channel as read for a user (resets its unread count)
+   * @param {String} userId - User ID
+   * @param {String} channelId - Channel ID
+   * @param {Date} readAt - Read time (defaults to now)
+   */
+  async setLastReadAt(userId, channelId, readAt = new Date()) {
+    const redis = await getRedisClient();
+    if (redis) {
+      await redis.multi()
+        .hSet(lastReadKey(userId), channelId.toString(), readAt.toISOString())
+        .expire(lastReadKey(userId), LAST_READ_TTL_SECONDS)
+        .exec();
+      return;
+    }
+    const id = userId.toString();
+    if (!this.lastReadAt[id]) this.lastReadAt[id] = {};
+    this.lastReadAt[id][channelId.toString()] = readAt;
+  }
+}
+
+// Singleton instance
+const socketStateStore = new SocketStateStore();
+
+module.exports = socketStateStore;
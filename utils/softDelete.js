@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { paginateQuery } = require('./pagination');
+
+// Days trashed documents are kept before the retention job purges them permanently
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Queries that hide trashed documents unless { withDeleted: true } is set or the filter mentions deletedAt
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany'
+];
+
+/**
+ * Mongoose plugin adding deletedAt/deletedBy and hiding trashed documents from
+ * normal queries and aggregations. Hard deletes (deleteOne/deleteMany) are not
+ * filtered so the retention job can purge trashed documents.
+ * @param {Object} schema - Mongoose schema
+ */
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    const options = this.getOptions();
+    if (options.withDeleted) {
+      delete options.withDeleted;
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) {
+      delete this.options.withDeleted;
+      return;
+    }
+    // $geoNear and similar stages must stay first, so match after them
+    const pipeline = this.pipeline();
+    const firstStage = pipeline[0] ? Object.keys(pipeline[0])[0] : null;
+    const index = ['$geoNear', '$search', '$searchMeta'].includes(firstStage) ? 1 : 0;
+    pipeline.splice(index, 0, { $match: { deletedAt: null } });
+  });
+};
+
+/**
+ * Check whether a plain object (e.g. a $lookup result) is in the trash
+ * @param {Object} item - Document or plain object
+ * @returns {Boolean}
+ */
+const isTrashed = (item) => !!(item && item.deletedAt);
+
+/**
+ * Aggregation stage dropping trashed documents from array fields filled by $lookup
+ * ($lookup reads the foreign collection directly, so the plugin cannot filter it)
+ * @param {...String} fields - Array field names, e.g. 'modules', 'lessons'
+ * @returns {Object} - $addFields stage
+ */
+const excludeTrashedStage = (...fields) => ({
+  $addFields: Object.fromEntries(fields.map(field => [field, {
+    $filter: {
+      input: `$${field}`,
+      as: 'item',
+      cond: { $eq: [{ $ifNull: ['$$item.deletedAt', null] }, null] }
+    }
+  }]))
+});
+
+/**
+ * Move a document to the trash
+ * @param {Object} Model - Mongoose model using softDeletePlugin
+ * @param {String} id - Document ID
+ * @param {String} userId - Admin performing the delete
+ * @returns {Object|null} - Trashed document or null if not found
+ */
+const trashDocument = async (Model, id, userId) => {
+  return Model.findOneAndUpdate(
+    { _id: id },
+    { deletedAt: new Date(), deletedBy: userId },
+    { new: true }
+  );
+};
+
+/**
+ * Restore a document from the trash
+ * @param {Object} Model - Mongoose model using softDeletePlugin
+ * @param {String} id - Document ID
+ * @returns {Object|null} - Restored document or null if it is not in the trash
+ */
+const restoreDocument = async (Model, id) => {
+  return Model.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { deletedAt: null, deletedBy: null },
+    { new: true }
+  );
+};
+
+/**
+ * List trashed documents, most recently deleted first
+ * @param {Object} Model - Mongoose model using softDeletePlugin
+ * @param {Object} query - Request query ({ pageNo, itemsPerPage })
+ * @param {Object} filter - Extra filter (e.g. parent ID)
+ * @returns {Object} - { results, pagination } with purgeAt on each result
+ */
+const listTrash = async (Model, query = {}, filter = {}) => {
+  const { results, pagination } = await paginateQuery(
+    Model,
+    { ...filter, deletedAt: { $ne: null } },
+    {
+      pageNo: query.pageNo,
+      itemsPerPage: query.itemsPerPage,
+      sort: { deletedAt: -1 },
+      populate: { path: 'deletedBy', select: 'username email' }
+    }
+  );
+
+  return {
+    results: results.map(doc => ({
+      ...doc.toObject(),
+      purgeAt: new Date(doc.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    })),
+    pagination
+  };
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  softDeletePlugin,
+  isTrashed,
+  excludeTrashedStage,
+  trashDocument,
+  restoreDocument,
+  listTrash
+};
@@ -0,0 +1,346 @@
+const Queue = require('bull');
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const TranscodeJob = require('../models/transcodeJob');
+const { transcodeToHLS } = require('./ffmpegTranscoder');
+const socketManager = require('./socketManager');
+
+const QUEUE_NAME = 'video-transcoding';
+// Transcodes running at once on each server (ffmpeg is CPU bound)
+const TRANSCODE_CONCURRENCY = parseInt(process.env.TRANSCODE_CONCURRENCY) || 1;
+// Attempts per job before it is marked failed, with exponential backoff starting at TRANSCODE_BACKOFF_MS
+const TRANSCODE_ATTEMPTS = parseInt(process.env.TRANSCODE_ATTEMPTS) || 3;
+const TRANSCODE_BACKOFF_MS = parseInt(process.env.TRANSCODE_BACKOFF_MS) || 30 * 1000;
+// Minimum time between progress writes (and cancellation checks) for a running job
+const PROGRESS_INTERVAL_MS = 2000;
+
+const UPLOAD_DIR = path.join(__dirname, '../temp/uploads');
+
+// Bull needs Redis. Without REDIS_URL (local single-node development) jobs run in this process
+// from their MongoDB records, and interrupted jobs are resumed when the server starts.
+let queue = null;
+const localQueue = { pending: [], active: 0 };
+
+const getQueue = () => {
+  if (!queue && process.env.REDIS_URL) {
+    queue = new Queue(QUEUE_NAME, process.env.REDIS_URL);
+    queue.on('error', (error) => {
+      console.error('❌ [Transcode Queue] Queue error:', error.message);
+    });
+  }
+  return queue;
+};
+
+class JobCancelledError extends Error {}
+
+/**
+ * Format a job record for API responses and socket events
+ * @param {Object} job - TranscodeJob document
+ * @returns {Object}
+ */
+const formatTranscodeJob = (job) => ({
+  _id: job._id,
+  uploadId: job.uploadId,
+  videoType: job.videoType,
+  originalFileName: job.originalFileName,
+  originalVideoUrl: job.originalVideoUrl,
+  status: job.status,
+  progress: job.progress,
+  renditions: job.renditions.map(({ height, status, progress }) => ({ height, status, progress })),
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  error: job.error,
+  result: job.status === 'done' ? job.result : null,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+const broadcastJobProgress = (job, message) => {
+  socketManager.broadcastUploadProgress(job.userId, {
+    uploadType: 'video',
+    uploadId: job.uploadId,
+    videoType: job.videoType,
+    jobId: job._id,
+    stage: job.status === 'running' ? 'transcoding' : job.status,
+    progress: job.progress,
+    renditions: job.renditions.map(({ height, status, progress }) => ({ height, status, progress })),
+    message
+  });
+};
+
+const removeSourceFile = (job) => {
+  if (job.sourcePath && fs.existsSync(job.sourcePath)) {
+    fs.rmSync(job.sourcePath, { force: true });
+  }
+};
+
+// The uploaded file, or the original downloaded from storage when the job runs on another server
+const getSourceFile = async (job) => {
+  if (job.sourcePath && fs.existsSync(job.sourcePath)) return job.sourcePath;
+
+  if (!fs.existsSync(UPLOAD_DIR)) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  }
+  const downloadPath = path.join(UPLOAD_DIR, `${job.uploadId}-source${path.extname(job.originalVideoUrl)}`);
+  const response = await axios.get(job.originalVideoUrl, { responseType: 'stream' });
+  await pipeline(response.data, fs.createWriteStream(downloadPath));
+
+  job.sourcePath = downloadPath;
+  await TranscodeJob.updateOne({ _id: job._id }, { sourcePath: downloadPath });
+  return downloadPath;
+};
+
+/**
+ * Run one attempt of a transcoding job. Throws when the attempt failed and should be retried.
+ * @param {String} jobId - TranscodeJob ID
+ * @param {Number} attemptsMade - Failed attempts so far
+ * @param {Number} maxAttempts - Total attempts allowed
+ */
+const runTranscodeJob = async (jobId, attemptsMade, maxAttempts) => {
+  // Claim the job; cancelled or finished jobs are skipped
+  const job = await TranscodeJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['queued', 'running'] } },
+    { status: 'running', startedAt: new Date(), error: null, $inc: { attempts: 1 }, updatedAt: new Date() },
+    { new: true }
+  );
+  if (!job) return;
+
+  console.log(`🎬 [Transcode Queue] Starting job ${job._id} (attempt ${attemptsMade + 1}/${maxAttempts})`);
+  broadcastJobProgress(job, 'Starting video transcoding...');
+
+  let currentCommand = null;
+  let cancelled = false;
+  let lastWrite = 0;
+
+  // Persist progress at most every PROGRESS_INTERVAL_MS; a failed write means the job was cancelled
+  const saveProgress = async (force = false) => {
+    if (!force && Date.now() - lastWrite < PROGRESS_INTERVAL_MS) return;
+    lastWrite = Date.now();
+    const updated = await TranscodeJob.findOneAndUpdate(
+      { _id: job._id, status: 'running' },
+      { renditions: job.renditions, progress: job.progress, updatedAt: new Date() }
+    );
+    if (!updated && !cancelled) {
+      cancelled = true;
+      if (currentCommand) currentCommand.kill('SIGKILL');
+    }
+    if (!cancelled) broadcastJobProgress(job, 'Transcoding video...');
+  };
+
+  try {
+    const sourcePath = await getSourceFile(job);
+
+    const result = await transcodeToHLS(sourcePath, job.uploadId, job.videoType, {
+      onResolutions: async (resolutions) => {
+        job.renditions = resolutions.map(({ height, bitrate }) => ({ height, bitrate, status: 'queued', progress: 0 }));
+        await saveProgress(true);
+        if (cancelled) throw new JobCancelledError();
+      },
+      onProgress: (height, percent) => {
+        const rendition = job.renditions.find(r => r.height === height);
+        if (!rendition) return;
+        rendition.status = percent >= 100 ? 'done' : 'running';
+        rendition.progress = percent;
+        job.progress = Math.floor(job.renditions.reduce((total, r) => total + r.progress, 0) / job.renditions.length);
+        saveProgress(percent >= 100).catch(error => {
+          console.error(`❌ [Transcode Queue] Failed to save progress for job ${job._id}:`, error.message);
+        });
+      },
+      onCommand: (command) => {
+        currentCommand = command;
+        if (cancelled) command.kill('SIGKILL');
+      }
+    });
+    if (cancelled) throw new JobCancelledError();
+
+    const done = await TranscodeJob.findOneAndUpdate(
+      { _id: job._id, status: 'running' },
+      { status: 'done', progress: 100, renditions: job.renditions, result, finishedAt: new Date(), updatedAt: new Date() },
+      { new: true }
+    );
+    if (!done) throw new JobCancelledError();
+
+    removeSourceFile(job);
+    console.log(`✅ [Transcode Queue] Job ${job._id} done (${result.resolutions.join('p, ')}p)`);
+    socketManager.broadcastUploadComplete(job.userId, {
+      uploadType: 'video',
+      uploadId: job.uploadId,
+      jobId: job._id,
+      _id: job.uploadId,
+      videoUrl: result.videoUrl,
+      originalVideoUrl: job.originalVideoUrl,
+      videoType: job.videoType,
+      resolutions: result.resolutions,
+      duration: result.duration,
+      posterUrl: result.posterUrl,
+      thumbnailsUrl: result.thumbnailsUrl,
+      previewUrl: result.previewUrl,
+      createdAt: done.finishedAt
+    });
+  } catch (error) {
+    const current = await TranscodeJob.findById(job._id);
+    if (error instanceof JobCancelledError || cancelled || (current && current.status === 'cancelled')) {
+      removeSourceFile(job);
+      console.log(`⚠️ [Transcode Queue] Job ${job._id} cancelled`);
+      return;
+    }
+
+    const willRetry = attemptsMade + 1 < maxAttempts;
+    console.error(`❌ [Transcode Queue] Job ${job._id} attempt ${attemptsMade + 1}/${maxAttempts} failed:`, error.message);
+    const failed = await TranscodeJob.findByIdAndUpdate(job._id, {
+      status: willRetry ? 'queued' : 'failed',
+      error: error.message,
+      renditions: job.renditions,
+      finishedAt: willRetry ? null : new Date(),
+      updatedAt: new Date()
+    }, { new: true });
+
+    if (willRetry) {
+      broadcastJobProgress(failed, `Transcoding failed, retrying (attempt ${attemptsMade + 2}/${maxAttempts})...`);
+      throw error;
+    }
+
+    removeSourceFile(job);
+    socketManager.broadcastUploadError(job.userId, {
+      uploadType: 'video',
+      uploadId: job.uploadId,
+      videoType: job.videoType,
+      jobId: job._id,
+      error: error.message,
+      stage: 'transcoding'
+    });
+  }
+};
+
+// IN-PROCESS FALLBACK
+
+const runLocalJobs = () => {
+  while (localQueue.active < TRANSCODE_CONCURRENCY && localQueue.pending.length > 0) {
+    const { jobId, attemptsMade } = localQueue.pending.shift();
+    localQueue.active++;
+    runTranscodeJob(jobId, attemptsMade, TRANSCODE_ATTEMPTS)
+      .catch(() => {
+        setTimeout(() => {
+          localQueue.pending.push({ jobId, attemptsMade: attemptsMade + 1 });
+          runLocalJobs();
+        }, TRANSCODE_BACKOFF_MS * Math.pow(2, attemptsMade));
+      })
+      .finally(() => {
+        localQueue.active--;
+        runLocalJobs();
+      });
+  }
+};
+
+// PUBLIC API
+
+/**
+ * Record a transcoding job for an uploaded video and add it to the queue
+ * @param {Object} data - { uploadId, userId, videoType, originalFileName, sourcePath, originalVideoUrl }
+ * @returns {Object} - TranscodeJob document
+ */
+const enqueueTranscode = async (data) => {
+  const job = await TranscodeJob.create({ ...data, maxAttempts: TRANSCODE_ATTEMPTS });
+
+  const bull = getQueue();
+  if (bull) {
+    await bull.add({ jobId: job._id.toString() }, {
+      jobId: job._id.toString(),
+      attempts: TRANSCODE_ATTEMPTS,
+      backoff: { type: 'exponential', delay: TRANSCODE_BACKOFF_MS },
+      // Job records live in MongoDB, so Redis only keeps pending work
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+  } else {
+    localQueue.pending.push({ jobId: job._id.toString(), attemptsMade: 0 });
+    runLocalJobs();
+  }
+
+  broadcastJobProgress(job, 'Video queued for transcoding...');
+  return job;
+};
+
+/**
+ * Cancel a queued or running job. Running jobs stop at their next progress update.
+ * @param {Object} job - TranscodeJob document
+ * @param {String} userId - User cancelling the job
+ * @returns {Object|null} - Updated job, or null if it already finished
+ */
+const cancelTranscodeJob = async (job, userId) => {
+  const cancelled = await TranscodeJob.findOneAndUpdate(
+    { _id: job._id, status: { $in: ['queued', 'running'] } },
+    { status: 'cancelled', cancelledBy: userId, finishedAt: new Date(), updatedAt: new Date() },
+    { new: true }
+  );
+  if (!cancelled) return null;
+
+  if (job.status === 'queued') {
+    const bull = getQueue();
+    if (bull) {
+      try {
+        const queued = await bull.getJob(job._id.toString());
+        if (queued) await queued.remove();
+      } catch (error) {
+        // The job was picked up meanwhile; the worker skips it once it sees the cancelled record
+        console.warn(`⚠️ [Transcode Queue] Could not remove job ${job._id} from the queue:`, error.message);
+      }
+    } else {
+      localQueue.pending = localQueue.pending.filter(pending => pending.jobId !== job._id.toString());
+    }
+    removeSourceFile(cancelled);
+  }
+
+  broadcastJobProgress(cancelled, 'Video transcoding cancelled');
+  return cancelled;
+};
+
+/**
+ * Start processing transcoding jobs on this server
+ */
+const initializeTranscodeWorker = async () => {
+  const bull = getQueue();
+  if (bull) {
+    bull.process(TRANSCODE_CONCURRENCY, (job) => runTranscodeJob(job.data.jobId, job.attemptsMade, job.opts.attempts || 1));
+    console.log(`✅ [Transcode Queue] Worker started (concurrency ${TRANSCODE_CONCURRENCY})`);
+    return;
+  }
+
+  // Resume jobs interrupted by a restart (an interrupted attempt counts as failed)
+  const interrupted = await TranscodeJob.find({ status: { $in: ['queued', 'running'] } }).sort({ createdAt: 1 });
+  let resumed = 0;
+  for (const job of interrupted) {
+    const maxAttempts = job.maxAttempts || TRANSCODE_ATTEMPTS;
+    if (job.attempts < maxAttempts) {
+      localQueue.pending.push({ jobId: job._id.toString(), attemptsMade: job.attempts });
+      resumed++;
+      continue;
+    }
+
+    // Interrupted on its last attempt
+    const error = 'Transcoding was interrupted by a server restart';
+    await TranscodeJob.updateOne({ _id: job._id }, { status: 'failed', error, finishedAt: new Date(), updatedAt: new Date() });
+    removeSourceFile(job);
+    console.error(`❌ [Transcode Queue] Job ${job._id} failed: interrupted on attempt ${job.attempts}/${maxAttempts}`);
+    socketManager.broadcastUploadError(job.userId, {
+      uploadType: 'video',
+      uploadId: job.uploadId,
+      videoType: job.videoType,
+      jobId: job._id,
+      error,
+      stage: 'transcoding'
+    });
+  }
+  runLocalJobs();
+  console.log(`⚠️ [Transcode Queue] REDIS_URL not set, running jobs in-process (${resumed} resumed, ${interrupted.length - resumed} failed)`);
+};
+
+module.exports = {
+  formatTranscodeJob,
+  enqueueTranscode,
+  cancelTranscodeJob,
+  initializeTranscodeWorker
+};
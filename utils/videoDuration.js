@@ -6,6 +6,8 @@ const path = require('path');
 const axios = require('axios');
 const ffmpeg = require('fluent-ffmpeg');
 const os = require('os');
+const EncryptedVideo = require('../models/encryptedVideo');
+const { getEncryptedVideoId } = require('./playbackUrls');
 
 // Use custom binaries only on Linux (e.g., Azure server)
 if (os.platform() !== 'win32') {
@@ -23,6 +25,14 @@ const calculateVideoDuration = async (videoUrl) => {
   try {
     console.log(`📏 Calculating video duration for: ${videoUrl}`);
 
+    // Encrypted videos store the duration measured while transcoding
+    const encryptedVideoId = getEncryptedVideoId(videoUrl);
+    if (encryptedVideoId) {
+      const encryptedVideo = await EncryptedVideo.findOne({ videoId: encryptedVideoId }).select('duration');
+      console.log(`⏱️ Encrypted video duration: ${encryptedVideo?.duration || 0} seconds`);
+      return Math.round(encryptedVideo?.duration || 0);
+    }
+
     // Method 1: Try HLS playlist parsing first (for .m3u8 files)
     if (videoUrl.endsWith('.m3u8')) {
       console.log('🎬 Detected HLS playlist, parsing segments...');
@@ -117,11 +127,8 @@ const calculateVideoByDownload = async (videoUrl) => {
     // Download video file
     await downloadVideo(videoUrl, tempPath);
     
-    // Read video file as buffer
-    const videoBuffer = fs.readFileSync(tempPath);
-    
     // Calculate duration using existing ffmpeg utility
-    const { duration } = await getVideoResolution(videoBuffer);
+    const { duration } = await getVideoResolution(tempPath);
     
     return duration || 0;
 
@@ -1,7 +1,84 @@
 const axios = require('axios');
+const EncryptedVideo = require('../models/encryptedVideo');
+const { getEncryptedVideoId } = require('./playbackUrls');
+
+/**
+ * Parses an HLS attribute list, e.g. BANDWIDTH=800000,CODECS="avc1.64001e,mp4a.40.2"
+ * @param {string} attributeList - Everything after the tag's colon
+ * @returns {Object} Attribute values keyed by name (quotes removed)
+ */
+function parseAttributeList(attributeList) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+
+  while ((match = pattern.exec(attributeList)) !== null) {
+    const value = match[2];
+    attributes[match[1]] = value.startsWith('"') ? value.slice(1, -1) : value;
+  }
+  return attributes;
+}
+
+/**
+ * Parses an HLS master playlist
+ * @param {string} content - Master playlist text
+ * @returns {Object} { variants, audio, iFrames } where variants are
+ *   { uri, bandwidth, averageBandwidth, width, height, codecs, frameRate, audio }
+ */
+function parseMasterPlaylist(content) {
+  const lines = content.split('\n').map(line => line.trim());
+  const variants = [];
+  const audio = [];
+  const iFrames = [];
+
+  const parseResolution = (value) => {
+    const [width, height] = (value || '').split('x').map(Number);
+    return { width: width || null, height: height || null };
+  };
+
+  lines.forEach((line, index) => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attributes = parseAttributeList(line.slice('#EXT-X-STREAM-INF:'.length));
+      // The variant URI is the next line that is not a tag
+      const uri = lines.slice(index + 1).find(next => next && !next.startsWith('#'));
+      variants.push({
+        uri: uri || null,
+        bandwidth: parseInt(attributes.BANDWIDTH, 10) || null,
+        averageBandwidth: parseInt(attributes['AVERAGE-BANDWIDTH'], 10) || null,
+        ...parseResolution(attributes.RESOLUTION),
+        codecs: attributes.CODECS ? attributes.CODECS.split(',') : [],
+        frameRate: parseFloat(attributes['FRAME-RATE']) || null,
+        audio: attributes.AUDIO || null
+      });
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const attributes = parseAttributeList(line.slice('#EXT-X-MEDIA:'.length));
+      if (attributes.TYPE === 'AUDIO') {
+        audio.push({
+          groupId: attributes['GROUP-ID'],
+          name: attributes.NAME,
+          language: attributes.LANGUAGE || null,
+          channels: attributes.CHANNELS || null,
+          uri: attributes.URI || null,
+          isDefault: attributes.DEFAULT === 'YES'
+        });
+      }
+    } else if (line.startsWith('#EXT-X-I-FRAME-STREAM-INF:')) {
+      const attributes = parseAttributeList(line.slice('#EXT-X-I-FRAME-STREAM-INF:'.length));
+      iFrames.push({
+        uri: attributes.URI || null,
+        bandwidth: parseInt(attributes.BANDWIDTH, 10) || null,
+        ...parseResolution(attributes.RESOLUTION),
+        codecs: attributes.CODECS ? attributes.CODECS.split(',') : []
+      });
+    }
+  });
+
+  return { variants, audio, iFrames };
+}
 
 /**
  * Fetches available resolutions from HLS master playlist
+ * Resolutions are named after the short side, so a 720x1280 vertical variant is 720.
  * @param {string} masterUrl - The master .m3u8 playlist URL
  * @returns {Array<number>} Array of available resolutions (heights)
  */
@@ -11,24 +88,34 @@ async function fetchResolutionsFromVideoUrl(masterUrl) {
       return [];
     }
 
-    const response = await axios.get(masterUrl, { 
-      timeout: 5000,
-      headers: {
-        'User-Agent': 'VideoResolutionFetcher/1.0'
+    // Encrypted videos keep their playlists in the database rather than behind a public URL
+    let content;
+    const encryptedVideoId = getEncryptedVideoId(masterUrl);
+    if (encryptedVideoId) {
+      const encryptedVideo = await EncryptedVideo.findOne({ videoId: encryptedVideoId }).select('playlists');
+      const master = encryptedVideo && encryptedVideo.playlists.find(playlist => playlist.path === 'master.m3u8');
+      if (!master) {
+        return [];
       }
-    });
+      content = master.content;
+    } else {
+      const response = await axios.get(masterUrl, { 
+        timeout: 5000,
+        headers: {
+          'User-Agent': 'VideoResolutionFetcher/1.0'
+        }
+      });
+      content = response.data;
+    }
     
-    const lines = response.data.split('\n');
+    const { variants } = parseMasterPlaylist(content);
     const resolutions = [];
     
-    for (const line of lines) {
-      if (line.startsWith('#EXT-X-STREAM-INF:')) {
-        const match = line.match(/RESOLUTION=(\d+)x(\d+)/);
-        if (match) {
-          const height = parseInt(match[2], 10);
-          if (height && !resolutions.includes(height)) {
-            resolutions.push(height);
-          }
+    for (const variant of variants) {
+      if (variant.width && variant.height) {
+        const height = Math.min(variant.width, variant.height);
+        if (!resolutions.includes(height)) {
+          resolutions.push(height);
         }
       }
     }
@@ -41,6 +128,34 @@ async function fetchResolutionsFromVideoUrl(masterUrl) {
   }
 }
 
+/**
+ * Looks up the poster, thumbnail track and preview clip generated while transcoding a video
+ * @param {string} videoUrl - The master .m3u8 playlist URL
+ * @returns {Object} { posterUrl, thumbnailsUrl, previewUrl } (empty strings for videos transcoded elsewhere)
+ */
+async function fetchPreviewsFromVideoUrl(videoUrl) {
+  const previews = { posterUrl: '', thumbnailsUrl: '', previewUrl: '' };
+  const encryptedVideoId = getEncryptedVideoId(videoUrl);
+  if (!encryptedVideoId) {
+    return previews;
+  }
+
+  try {
+    const encryptedVideo = await EncryptedVideo.findOne({ videoId: encryptedVideoId }).select('posterUrl thumbnailsUrl previewUrl');
+    if (!encryptedVideo) {
+      return previews;
+    }
+    return {
+      posterUrl: encryptedVideo.posterUrl || '',
+      thumbnailsUrl: encryptedVideo.thumbnailsUrl || '',
+      previewUrl: encryptedVideo.previewUrl || ''
+    };
+  } catch (error) {
+    console.log(`⚠️ [Video Resolutions] Failed to fetch previews for ${videoUrl}:`, error.message);
+    return previews;
+  }
+}
+
 /**
  * Adds resolution information to a video object
  * @param {Object} videoObj - Video object that may already contain resolutions
@@ -76,7 +191,9 @@ function addVideoResolutionsToArray(videoArray) {
 }
 
 module.exports = {
+  parseMasterPlaylist,
   fetchResolutionsFromVideoUrl,
+  fetchPreviewsFromVideoUrl,
   addVideoResolutions,
   addVideoResolutionsToArray
 }; 
\ No newline at end of file
@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+const WatchProgress = require('../models/watchProgress');
+const Video = require('../models/video');
+const Lesson = require('../models/lesson');
+const Message = require('../models/chat-message');
+const progressCache = require('./progressCache');
+const { awardLessonCompleted } = require('./gamification');
+const { recordWatchActivity } = require('./learningActivity');
+
+// Content is considered completed once this percentage has been watched
+const COMPLETION_THRESHOLD = 95;
+// Maximum number of updates accepted in a single offline batch
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Validate and normalize a progress update from a socket event or REST request
+ * @param {Object} data - { contentId, seconds, clientTimestamp }
+ * @returns {Object} - { error } or { contentId, seconds, clientTimestamp }
+ */
+const validateProgressUpdate = (data) => {
+  if (!data || !data.contentId) {
+    return { error: 'contentId is required' };
+  }
+  if (!mongoose.Types.ObjectId.isValid(data.contentId)) {
+    return { error: 'contentId is not a valid ID' };
+  }
+  if (typeof data.seconds !== 'number' || !Number.isFinite(data.seconds) || data.seconds < 0) {
+    return { error: 'seconds must be a non-negative number' };
+  }
+
+  let clientTimestamp = null;
+  if (data.clientTimestamp !== undefined && data.clientTimestamp !== null) {
+    clientTimestamp = new Date(data.clientTimestamp);
+    if (isNaN(clientTimestamp.getTime())) {
+      return { error: 'clientTimestamp must be a valid date' };
+    }
+    // Never trust client clocks that are ahead of the server
+    if (clientTimestamp.getTime() > Date.now()) {
+      clientTimestamp = new Date();
+    }
+  }
+
+  return {
+    contentId: data.contentId.toString(),
+    seconds: data.seconds,
+    clientTimestamp
+  };
+};
+
+/**
+ * Find which schema a content ID belongs to and its stored duration
+ * @param {String} contentId - Video, Lesson or video Message ID
+ * @returns {Object|null} - { contentType, totalDuration, hasVideo, isQuiz } or null if not found
+ */
+const resolveContent = async (contentId) => {
+  const video = await Video.findById(contentId).select('length');
+  if (video) {
+    return { contentType: 'video', totalDuration: video.length || 0, hasVideo: true };
+  }
+
+  const lesson = await Lesson.findById(contentId).select('length videoUrl type');
+  if (lesson) {
+    return {
+      contentType: 'lesson',
+      totalDuration: lesson.length || 0,
+      hasVideo: !!lesson.videoUrl,
+      isQuiz: lesson.type === 'quiz'
+    };
+  }
+
+  const message = await Message.findById(contentId).select('length mediaType');
+  if (message && message.mediaType === 'video') {
+    return { contentType: 'chat-message', totalDuration: message.length || 0, hasVideo: true };
+  }
+
+  return null;
+};
+
+/**
+ * Check the user may record progress on a content item. Lesson progress awards points and certificates,
+ * so lessons must be open to the user (see checkLessonAccess); other content is not gated here.
+ * @param {String} contentId - Video, Lesson or video Message ID
+ * @param {Object} viewer - Express request, or getLessonViewer result for socket events
+ * @returns {Object|null} - null if allowed, otherwise the failed checkLessonAccess result
+ */
+const checkProgressAccess = async (contentId, viewer) => {
+  // Required lazily: lessonAccess -> publishing -> socketManager -> watchProgressService
+  const { checkLessonAccess } = require('./lessonAccess');
+
+  const lesson = await Lesson.findById(contentId).populate({ path: 'moduleId', populate: { path: 'courseId' } });
+  if (!lesson) return null;
+  if (!lesson.moduleId || !lesson.moduleId.courseId) {
+    return { error: { code: 404, message: 'Lesson not found' } };
+  }
+
+  const access = await checkLessonAccess(lesson, viewer);
+  return access.campus ? null : access;
+};
+
+/**
+ * Format a WatchProgress document for API responses
+ * @param {Object} progress - WatchProgress document
+ * @returns {Object} - Structured progress
+ */
+const formatProgress = (progress) => ({
+  contentId: progress.videoId,
+  contentType: progress.contentType,
+  seconds: progress.seconds,
+  percentage: progress.percentage,
+  totalDuration: progress.totalDuration,
+  isCompleted: progress.isCompleted,
+  lastUpdated: progress.lastUpdated
+});
+
+/**
+ * Award the lesson's points and issue the course certificate if completing this lesson finished the course.
+ * Errors are logged so progress saving never fails because of points or certificates.
+ * @param {String} userId - User ID
+ * @param {String} lessonId - Completed lesson ID
+ */
+const checkCourseCompletion = async (userId, lessonId) => {
+  // Required lazily: certificates -> socketManager -> watchProgressService
+  const { issueCertificateForLesson } = require('./certificates');
+  try {
+    await awardLessonCompleted(userId, lessonId);
+    await issueCertificateForLesson(userId, lessonId);
+  } catch (error) {
+    console.error('❌ [Watch Progress] Failed to check course completion:', error.message);
+  }
+};
+
+/**
+ * Record forward-only watch progress for a user (callers check checkProgressAccess first)
+ * @param {String} userId - User ID
+ * @param {String} contentId - Video, Lesson or video Message ID
+ * @param {Number} seconds - Playback position in seconds
+ * @param {Object} options - { clientTimestamp } for offline updates
+ * @returns {Object} - { applied, reason, progress }
+ */
+const recordProgress = async (userId, contentId, seconds, options = {}) => {
+  const content = await resolveContent(contentId);
+  if (!content) {
+    return { applied: false, reason: 'content-not-found', progress: null };
+  }
+
+  const existing = await WatchProgress.findOne({ userId, videoId: contentId });
+  const updatedAt = options.clientTimestamp || new Date();
+
+  // Offline updates recorded before the last reset must not restore old progress
+  if (existing && existing.resetAt && updatedAt < existing.resetAt) {
+    return { applied: false, reason: 'stale-update', progress: formatProgress(existing) };
+  }
+
+  // Prevent backward progress
+  if (existing && seconds <= existing.seconds) {
+    return { applied: false, reason: 'not-forward', progress: formatProgress(existing) };
+  }
+
+  const { totalDuration, contentType } = content;
+  const percentage = totalDuration > 0
+    ? Math.max(0, Math.min(100, Math.round((seconds / totalDuration) * 100)))
+    : 0;
+
+  try {
+    const progress = await WatchProgress.findOneAndUpdate(
+      {
+        userId,
+        videoId: contentId,
+        $or: [
+          { seconds: { $lt: seconds } },
+          { seconds: { $exists: false } },
+        ],
+      },
+      {
+        contentType,
+        seconds,
+        percentage,
+        totalDuration,
+        isCompleted: (existing && existing.isCompleted) || percentage >= COMPLETION_THRESHOLD,
+        lastUpdated: updatedAt,
+      },
+      { upsert: true, new: true }
+    );
+
+    await progressCache.setProgress(userId, contentId, progress);
+    if (contentType === 'lesson' && progress.isCompleted && !(existing && existing.isCompleted)) {
+      await checkCourseCompletion(userId, contentId);
+    }
+    await recordWatchActivity(userId, existing ? formatProgress(existing) : null, formatProgress(progress));
+    return { applied: true, reason: null, progress: formatProgress(progress) };
+  } catch (error) {
+    // A concurrent update already stored further progress (upsert hit the unique index)
+    if (error.code === 11000) {
+      const current = await WatchProgress.findOne({ userId, videoId: contentId });
+      return { applied: false, reason: 'not-forward', progress: current ? formatProgress(current) : null };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Apply a batch of offline progress updates in client timestamp order
+ * @param {Object} viewer - Express request of the user (see checkProgressAccess)
+ * @param {Array} updates - Array of { contentId, seconds, clientTimestamp }
+ * @returns {Array} - Per-update results in request order
+ */
+const recordProgressBatch = async (viewer, updates) => {
+  const { describeLessonAccessDenial } = require('./lessonAccess');
+  const results = updates.map((update, index) => ({ index, ...validateProgressUpdate(update) }));
+
+  const valid = results
+    .filter(result => !result.error)
+    .sort((a, b) => (a.clientTimestamp ? a.clientTimestamp.getTime() : 0) - (b.clientTimestamp ? b.clientTimestamp.getTime() : 0));
+
+  for (const update of valid) {
+    const denied = await checkProgressAccess(update.contentId, viewer);
+    if (denied) {
+      Object.assign(results[update.index], { applied: false, reason: 'access-denied', progress: null, ...describeLessonAccessDenial(denied) });
+      continue;
+    }
+
+    const outcome = await recordProgress(viewer.userId, update.contentId, update.seconds, {
+      clientTimestamp: update.clientTimestamp
+    });
+    Object.assign(results[update.index], outcome);
+  }
+
+  return results.map(({ index, clientTimestamp, ...result }) => result);
+};
+
+/**
+ * Mark a content item as fully watched (callers check checkProgressAccess or quiz access first)
+ * @param {String} userId - User ID
+ * @param {String} contentId - Video, Lesson or video Message ID
+ * @returns {Object|null} - Formatted progress or null if content not found
+ */
+const markCompleted = async (userId, contentId) => {
+  const content = await resolveContent(contentId);
+  if (!content) return null;
+
+  const existing = await WatchProgress.findOne({ userId, videoId: contentId });
+  const progress = await WatchProgress.findOneAndUpdate(
+    { userId, videoId: contentId },
+    {
+      contentType: content.contentType,
+      seconds: content.hasVideo ? content.totalDuration : 0,
+      percentage: 100,
+      totalDuration: content.totalDuration,
+      isCompleted: true,
+      lastUpdated: new Date()
+    },
+    { upsert: true, new: true }
+  );
+
+  await progressCache.setProgress(userId, contentId, progress);
+  if (content.contentType === 'lesson') {
+    await checkCourseCompletion(userId, contentId);
+  }
+  await recordWatchActivity(userId, existing ? formatProgress(existing) : null, formatProgress(progress));
+  return formatProgress(progress);
+};
+
+/**
+ * Reset a user's progress for a content item back to the start
+ * @param {String} userId - User ID
+ * @param {String} contentId - Content ID
+ * @returns {Object|null} - Formatted progress or null if no progress existed
+ */
+const resetProgress = async (userId, contentId) => {
+  const now = new Date();
+  const progress = await WatchProgress.findOneAndUpdate(
+    { userId, videoId: contentId },
+    {
+      seconds: 0,
+      percentage: 0,
+      isCompleted: false,
+      lastUpdated: now,
+      resetAt: now
+    },
+    { new: true }
+  );
+
+  if (!progress) return null;
+
+  await progressCache.setProgress(userId, contentId, progress);
+  return formatProgress(progress);
+};
+
+/**
+ * Get a user's progress for one or many content items
+ * @param {String} userId - User ID
+ * @param {Array<String>} contentIds - Content IDs
+ * @returns {Object} - { [contentId]: progress } (missing items have zero progress)
+ */
+const getProgressForContent = async (userId, contentIds) => {
+  const records = await WatchProgress.find({ userId, videoId: { $in: contentIds } });
+  const byId = records.reduce((map, record) => {
+    map[record.videoId.toString()] = formatProgress(record);
+    return map;
+  }, {});
+
+  return contentIds.reduce((map, contentId) => {
+    map[contentId] = byId[contentId] || {
+      contentId,
+      contentType: null,
+      seconds: 0,
+      percentage: 0,
+      totalDuration: 0,
+      isCompleted: false,
+      lastUpdated: null
+    };
+    return map;
+  }, {});
+};
+
+module.exports = {
+  COMPLETION_THRESHOLD,
+  MAX_BATCH_SIZE,
+  validateProgressUpdate,
+  resolveContent,
+  checkProgressAccess,
+  formatProgress,
+  recordProgress,
+  recordProgressBatch,
+  markCompleted,
+  resetProgress,
+  getProgressForContent
+};